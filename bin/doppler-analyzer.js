@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Command-line batch speed analysis
+ * Runs AudioAnalyzer over WAV, FLAC or raw PCM files (or directories of them) and prints
+ * one result per file as a table, JSON or CSV.
+ *
+ * Exit codes:
+ *   0 - a Doppler pattern was found in every file
+ *   1 - at least one file has no Doppler pattern
+ *   2 - usage error (bad option or no input files)
+ *   3 - at least one file could not be read or analysed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import AudioProcessor from '../docs/shared/audio-utils.js';
+import AudioDecoders from '../docs/shared/audio-decoders.js';
+import PcmDecoder from '../docs/shared/pcm-decoder.js';
+import AudioAnalyzer from '../docs/shared/audio-analyzer.js';
+import AnalysisProfiles from '../docs/shared/analysis-profiles.js';
+import VehicleClassifier from '../docs/shared/vehicle-classifier.js';
+import FFTBackends from '../docs/shared/fft-backends.js';
+
+const EXIT_CODES = {
+    DETECTED: 0,
+    NOT_DETECTED: 1,
+    USAGE: 2,
+    FILE_ERROR: 3
+};
+
+const AUDIO_EXTENSIONS = AudioDecoders.getExtensions();
+const RAW_ENCODINGS = ['int', 'float'];
+const ENDIANNESS = ['little', 'big'];
+const WINDOW_TYPES = ['hamming', 'hann', 'blackman', 'none'];
+const SECTIONING_STRATEGIES = ['auto', 'closest_approach', 'quarters', 'time_based'];
+const SPEED_METHODS = ['sections', 'curve_fit'];
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const CSV_COLUMNS = ['file', 'detected', 'speedMPH', 'speedKMH', 'confidence', 'uncertaintyMPH',
+    'speedLowerMPH', 'speedUpperMPH', 'intervalLevel', 'intervalReliable', 'uncorrectedSpeedMPH', 'lateralDistance',
+    'approachFrequency', 'recedeFrequency', 'strategy', 'direction', 'stereoClosestApproachTime',
+    'vehicleClass', 'vehicleClassConfidence', 'duration', 'sampleRate', 'error'];
+
+const USAGE = `Usage: doppler-analyzer [options] <file|directory>...
+
+Estimate vehicle speed from the Doppler shift in WAV, FLAC or raw PCM recordings.
+Directories are scanned for ${AUDIO_EXTENSIONS.join(', ')} files.
+
+Options:
+  -t, --temperature <°C>      Air temperature (default 20)
+      --humidity <%>          Relative humidity (default 50)
+      --pressure <Pa>         Air pressure (default 101325)
+      --sound-speed <m/s>     Fixed speed of sound (overrides the environment)
+  -p, --profile <name|file>   Vehicle profile: ${AnalysisProfiles.list().join(', ')} (default ${AnalysisProfiles.getDefaultProfileName()}),
+                              or a profile saved as .json
+  -w, --window <type>         ${WINDOW_TYPES.join(', ')} (default from the profile)
+  -m, --fft-mode <mode>       ${FFTBackends.getModes().join(', ')} (default auto)
+  -s, --sectioning <name>     ${SECTIONING_STRATEGIES.join(', ')} (default auto)
+      --approach <start-end>  Approach section in seconds, e.g. 0.5-2 (time_based)
+      --recede <start-end>    Recede section in seconds, e.g. 3-4.5 (time_based)
+      --speed-method <name>   ${SPEED_METHODS.join(', ')} (default sections)
+  -r, --recursive             Scan directories recursively
+      --sample-rate <Hz>      Sample rate of raw files (default 48000)
+      --channels <count>      Interleaved channels in raw files (default 1)
+      --bit-depth <bits>      Bits per raw sample: 8, 16, 24, 32, or 32/64 for float (default 16)
+      --encoding <type>       Raw sample type: ${RAW_ENCODINGS.join(', ')} (default int)
+      --endian <order>        Raw byte order: ${ENDIANNESS.join(', ')} (default little)
+      --mic-spacing <m>       Distance between stereo microphones (default 0.5)
+      --distance <m>          Microphone distance from the vehicle's path; corrects the speed
+                              for the observation angle and sets the speed interval
+      --estimate-distance     Correct for the angle with a distance estimated from the recording
+      --temp-uncertainty <°C> Temperature uncertainty, 1σ (default 2)
+      --classifier <file>     Vehicle class model (.json from train-vehicle-classifier)
+  -f, --format <format>       ${OUTPUT_FORMATS.join(', ')} (default table)
+  -v, --verbose               Show analysis progress on stderr
+  -h, --help                  Show this help
+
+Exit codes: 0 Doppler pattern found in every file, 1 not found in at least one file,
+2 usage error, 3 a file could not be read or analysed.`;
+
+/**
+ * Error for command lines that cannot be run; reported with the usage exit code
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse a number option, rejecting anything that is not finite
+ */
+function parseNumber(value, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new UsageError(`--${name} must be a number, got '${value}'`);
+    }
+    return number;
+}
+
+/**
+ * Parse a "start-end" time range in seconds
+ */
+function parseRange(value, name) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*$/.exec(value);
+    if (!match || Number(match[1]) >= Number(match[2])) {
+        throw new UsageError(`--${name} must be a time range like 0.5-2, got '${value}'`);
+    }
+    return [Number(match[1]), Number(match[2])];
+}
+
+/**
+ * A profile by name, or loaded from a .json file
+ */
+function parseProfile(value) {
+    try {
+        if (value !== undefined && value.toLowerCase().endsWith('.json')) {
+            return AnalysisProfiles.fromJSON(fs.readFileSync(value, 'utf8'));
+        }
+        return AnalysisProfiles.get(value);
+    } catch (error) {
+        throw new UsageError(`--profile: ${error.message}`);
+    }
+}
+
+/**
+ * A vehicle classifier loaded from a model file
+ */
+function parseClassifier(file) {
+    try {
+        return VehicleClassifier.fromJSON(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`--classifier: ${error.message}`);
+    }
+}
+
+function checkChoice(value, choices, name) {
+    if (!choices.includes(value)) {
+        throw new UsageError(`--${name} must be one of ${choices.join(', ')}, got '${value}'`);
+    }
+    return value;
+}
+
+/**
+ * Turn command-line arguments into input paths, AudioAnalyzer options and output settings
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { help, inputs, analyzer, analysis, format, recursive, raw, verbose }
+ *                   where raw is the PcmDecoder layout of raw files
+ * @throws {UsageError} For unknown options, bad values or missing inputs
+ */
+function parseArguments(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                temperature: { type: 'string', short: 't' },
+                humidity: { type: 'string' },
+                pressure: { type: 'string' },
+                'sound-speed': { type: 'string' },
+                profile: { type: 'string', short: 'p' },
+                window: { type: 'string', short: 'w' },
+                'fft-mode': { type: 'string', short: 'm', default: 'auto' },
+                sectioning: { type: 'string', short: 's', default: 'auto' },
+                approach: { type: 'string' },
+                recede: { type: 'string' },
+                'speed-method': { type: 'string', default: 'sections' },
+                recursive: { type: 'boolean', short: 'r', default: false },
+                'sample-rate': { type: 'string', default: '48000' },
+                channels: { type: 'string', default: '1' },
+                'bit-depth': { type: 'string', default: '16' },
+                encoding: { type: 'string', default: 'int' },
+                endian: { type: 'string', default: 'little' },
+                'mic-spacing': { type: 'string' },
+                distance: { type: 'string' },
+                'estimate-distance': { type: 'boolean', default: false },
+                'temp-uncertainty': { type: 'string' },
+                classifier: { type: 'string' },
+                format: { type: 'string', short: 'f', default: 'table' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('No input files or directories given');
+    }
+
+    const profile = parseProfile(values.profile);
+    const analysis = {
+        profile,
+        windowType: values.window === undefined ? profile.windowType : checkChoice(values.window, WINDOW_TYPES, 'window'),
+        fftMode: checkChoice(values['fft-mode'], FFTBackends.getModes(), 'fft-mode'),
+        sectioningStrategy: checkChoice(values.sectioning, SECTIONING_STRATEGIES, 'sectioning'),
+        speedMethod: checkChoice(values['speed-method'], SPEED_METHODS, 'speed-method')
+    };
+
+    if (values.approach || values.recede) {
+        if (!values.approach || !values.recede) {
+            throw new UsageError('--approach and --recede must be given together');
+        }
+        analysis.sectioningStrategy = 'time_based';
+        analysis.timeRanges = {
+            approaching: parseRange(values.approach, 'approach'),
+            receding: parseRange(values.recede, 'recede')
+        };
+    } else if (analysis.sectioningStrategy === 'time_based') {
+        throw new UsageError('--sectioning time_based needs --approach and --recede');
+    }
+
+    // Same precedence as AudioAnalyzer: a fixed sound speed wins over the environment
+    const analyzer = {};
+    const soundSpeed = parseNumber(values['sound-speed'], 'sound-speed');
+    if (soundSpeed <= 0) {
+        throw new UsageError(`--sound-speed must be positive, got '${values['sound-speed']}'`);
+    }
+    if (soundSpeed !== undefined) {
+        analyzer.soundSpeed = soundSpeed;
+    } else {
+        const environment = {
+            temperature: parseNumber(values.temperature, 'temperature'),
+            humidity: parseNumber(values.humidity, 'humidity'),
+            pressure: parseNumber(values.pressure, 'pressure')
+        };
+        // Same limits as DopplerSpeedCalculator.setEnvironment, reported as usage errors
+        if (environment.temperature <= -273.15) {
+            throw new UsageError(`--temperature must be above absolute zero (-273.15°C), got '${values.temperature}'`);
+        }
+        if (environment.humidity < 0 || environment.humidity > 100) {
+            throw new UsageError(`--humidity must be between 0 and 100 percent, got '${values.humidity}'`);
+        }
+        if (environment.pressure <= 0) {
+            throw new UsageError(`--pressure must be positive, got '${values.pressure}'`);
+        }
+        Object.keys(environment).forEach(key => environment[key] === undefined && delete environment[key]);
+        if (Object.keys(environment).length > 0) {
+            analyzer.environment = environment;
+        }
+    }
+
+    const rawSampleRate = parseNumber(values['sample-rate'], 'sample-rate');
+    if (rawSampleRate <= 0) {
+        throw new UsageError(`--sample-rate must be positive, got '${values['sample-rate']}'`);
+    }
+    const rawChannels = parseNumber(values.channels, 'channels');
+    if (!Number.isInteger(rawChannels) || rawChannels < 1) {
+        throw new UsageError(`--channels must be a whole number of at least 1, got '${values.channels}'`);
+    }
+    const raw = {
+        sampleRate: rawSampleRate,
+        channels: rawChannels,
+        bitDepth: parseNumber(values['bit-depth'], 'bit-depth'),
+        encoding: checkChoice(values.encoding, RAW_ENCODINGS, 'encoding'),
+        endianness: checkChoice(values.endian, ENDIANNESS, 'endian')
+    };
+    try {
+        PcmDecoder.resolveOptions(raw);
+    } catch (error) {
+        throw new UsageError(`--bit-depth, --encoding and --endian: ${error.message}`);
+    }
+
+    const micSpacing = parseNumber(values['mic-spacing'], 'mic-spacing');
+    if (micSpacing !== undefined) {
+        if (micSpacing <= 0) {
+            throw new UsageError(`--mic-spacing must be positive, got '${values['mic-spacing']}'`);
+        }
+        analysis.direction = { micSpacing };
+    }
+
+    const uncertainty = {
+        lateralDistance: parseNumber(values.distance, 'distance'),
+        temperatureUncertainty: parseNumber(values['temp-uncertainty'], 'temp-uncertainty')
+    };
+    if (uncertainty.lateralDistance !== undefined && uncertainty.lateralDistance <= 0) {
+        throw new UsageError(`--distance must be positive, got '${values.distance}'`);
+    }
+    if (uncertainty.temperatureUncertainty !== undefined && uncertainty.temperatureUncertainty < 0) {
+        throw new UsageError(`--temp-uncertainty must not be negative, got '${values['temp-uncertainty']}'`);
+    }
+    Object.keys(uncertainty).forEach(key => uncertainty[key] === undefined && delete uncertainty[key]);
+    if (Object.keys(uncertainty).length > 0) {
+        analysis.uncertainty = uncertainty;
+    }
+    if (uncertainty.lateralDistance !== undefined) {
+        analysis.geometry = { lateralDistance: uncertainty.lateralDistance };
+    } else if (values['estimate-distance']) {
+        analysis.geometry = {};
+    }
+    if (values.classifier !== undefined) {
+        analysis.classifier = parseClassifier(values.classifier);
+    }
+
+    return {
+        help: false,
+        inputs: positionals,
+        analyzer,
+        analysis,
+        format: checkChoice(values.format, OUTPUT_FORMATS, 'format'),
+        recursive: values.recursive,
+        raw,
+        verbose: values.verbose
+    };
+}
+
+/**
+ * Expand inputs into audio file paths, in input order. Files (including missing ones,
+ * reported by analyzeFile) are used as given; directories are scanned for audio
+ * extensions, sorted by name.
+ * @param {Array<string>} inputs - Files and directories
+ * @param {boolean} recursive - Scan subdirectories
+ * @returns {Array<string>} File paths
+ */
+function collectAudioFiles(inputs, recursive = false) {
+    const files = [];
+
+    const scan = (directory) => {
+        const entries = fs.readdirSync(directory, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) scan(entryPath);
+            } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(entryPath);
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            scan(input);
+        } else {
+            files.push(input);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load one file as normalized channels
+ */
+async function loadAudio(file, raw = {}) {
+    const { channels, sampleRate } = await AudioProcessor.loadAudioFile(file, raw);
+    if (channels[0].length === 0) {
+        throw new Error('No audio samples');
+    }
+    return { channels: channels.map(channel => AudioProcessor.normalizeAmplitude(channel)), sampleRate };
+}
+
+/**
+ * Result row for a file before analysis
+ * @returns {Object} { file, detected, speedMPH, speedKMH, confidence, uncertaintyMPH,
+ *                     speedLowerMPH, speedUpperMPH, intervalLevel, intervalReliable, uncorrectedSpeedMPH, lateralDistance,
+ *                     approachFrequency, recedeFrequency, strategy, direction, stereoClosestApproachTime,
+ *                     vehicleClass, vehicleClassConfidence, duration, sampleRate, error, fileError }
+ */
+function createRow(file) {
+    return {
+        file,
+        detected: false,
+        speedMPH: null,
+        speedKMH: null,
+        confidence: null,
+        uncertaintyMPH: null,
+        speedLowerMPH: null,
+        speedUpperMPH: null,
+        intervalLevel: null,
+        intervalReliable: null,
+        uncorrectedSpeedMPH: null,
+        lateralDistance: null,
+        approachFrequency: null,
+        recedeFrequency: null,
+        strategy: null,
+        direction: null,
+        stereoClosestApproachTime: null,
+        vehicleClass: null,
+        vehicleClassConfidence: null,
+        duration: null,
+        sampleRate: null,
+        error: null,
+        fileError: false
+    };
+}
+
+/**
+ * Analyse one file into a flat result row (see createRow)
+ */
+async function analyzeFile(file, analyzer, options) {
+    const row = createRow(file);
+    if (!fs.existsSync(file)) {
+        return { ...row, error: 'File not found', fileError: true };
+    }
+
+    let audio;
+    try {
+        audio = await loadAudio(file, options.raw);
+    } catch (error) {
+        return { ...row, error: error.message, fileError: true };
+    }
+    row.sampleRate = audio.sampleRate;
+    row.duration = audio.channels[0].length / audio.sampleRate;
+
+    try {
+        // Stereo files also get the direction of travel
+        const result = await analyzer.analyzeStereoForSpeed(audio.channels, audio.sampleRate, options.analysis);
+        if (result.direction) {
+            row.direction = result.direction.direction;
+            row.stereoClosestApproachTime = result.direction.closestApproachTime;
+        }
+        if (result.vehicleClass?.valid) {
+            row.vehicleClass = result.vehicleClass.label;
+            row.vehicleClassConfidence = result.vehicleClass.confidence;
+        }
+        if (!result.success) {
+            return { ...row, error: result.error || 'No Doppler pattern found' };
+        }
+        return {
+            ...row,
+            detected: true,
+            speedMPH: result.speedMPH,
+            speedKMH: result.speedKMH,
+            confidence: result.confidence ?? null,
+            uncertaintyMPH: result.uncertainty?.speedMPH ?? null,
+            speedLowerMPH: result.confidenceInterval?.lowerMPH ?? null,
+            speedUpperMPH: result.confidenceInterval?.upperMPH ?? null,
+            intervalLevel: result.confidenceInterval?.level ?? null,
+            intervalReliable: result.confidenceInterval?.reliable ?? null,
+            uncorrectedSpeedMPH: result.uncorrectedSpeedMPH ?? null,
+            lateralDistance: result.geometry?.lateralDistance ?? null,
+            approachFrequency: result.frequencies?.approach ?? null,
+            recedeFrequency: result.frequencies?.recede ?? null,
+            strategy: result.strategy || result.method || null
+        };
+    } catch (error) {
+        return { ...row, error: error.message, fileError: true };
+    }
+}
+
+/**
+ * Exit code for a batch of result rows, worst outcome first
+ */
+function getExitCode(rows) {
+    if (rows.some(row => row.fileError)) return EXIT_CODES.FILE_ERROR;
+    if (rows.some(row => !row.detected)) return EXIT_CODES.NOT_DETECTED;
+    return EXIT_CODES.DETECTED;
+}
+
+function formatNumber(value, digits) {
+    return value === null || value === undefined ? '' : value.toFixed(digits);
+}
+
+/**
+ * Plain-text table with one line per file
+ * The direction column only appears when a stereo file was analysed, the class column
+ * only when a classifier was used
+ */
+function formatTable(rows) {
+    const showDirection = rows.some(row => row.direction);
+    const showClass = rows.some(row => row.vehicleClass);
+    const header = ['File', 'Speed (mph)', 'Speed (km/h)', '± mph', 'Interval (mph)', 'Confidence', 'Approach Hz', 'Recede Hz', 'Strategy',
+        ...(showDirection ? ['Direction'] : []), ...(showClass ? ['Class'] : []), 'Result'];
+    const lines = rows.map(row => [
+        row.file,
+        formatNumber(row.speedMPH, 1),
+        formatNumber(row.speedKMH, 1),
+        formatNumber(row.uncertaintyMPH, 2),
+        row.speedLowerMPH === null ? '' : `${formatNumber(row.speedLowerMPH, 1)}-${formatNumber(row.speedUpperMPH, 1)}` +
+            (row.intervalReliable === false ? ' (unreliable)' : ''),
+        formatNumber(row.confidence, 2),
+        formatNumber(row.approachFrequency, 1),
+        formatNumber(row.recedeFrequency, 1),
+        row.strategy || '',
+        ...(showDirection ? [row.direction || ''] : []),
+        ...(showClass ? [row.vehicleClass ? `${row.vehicleClass} (${formatNumber(row.vehicleClassConfidence, 2)})` : ''] : []),
+        row.detected ? 'Doppler pattern found' : (row.error || 'No Doppler pattern found')
+    ]);
+
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...lines.map(line => line[column].length)));
+    const formatLine = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [formatLine(header), formatLine(widths.map(width => '-'.repeat(width))), ...lines.map(formatLine)].join('\n') + '\n';
+}
+
+function formatJson(rows) {
+    return JSON.stringify(rows.map(({ fileError, ...row }) => row), null, 2) + '\n';
+}
+
+/**
+ * RFC 4180 CSV with a header row
+ */
+function formatCsv(rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+const FORMATTERS = {
+    table: formatTable,
+    json: formatJson,
+    csv: formatCsv
+};
+
+/**
+ * Run the CLI
+ * The analysis libraries log progress with console.log; that goes to stderr with --verbose
+ * and is dropped otherwise, so stdout carries only the report.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - { stdout, stderr } streams (default: process streams)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr.write(`doppler-analyzer: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.DETECTED;
+    }
+
+    const files = collectAudioFiles(options.inputs, options.recursive);
+    if (files.length === 0) {
+        io.stderr.write(`doppler-analyzer: No ${AUDIO_EXTENSIONS.join(', ')} files found\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const consoleMethods = ['log', 'info', 'warn', 'error', 'debug'];
+    const originalConsole = Object.fromEntries(consoleMethods.map(method => [method, console[method]]));
+    const redirect = options.verbose
+        ? (...args) => io.stderr.write(args.map(arg => typeof arg === 'string' ? arg : String(arg)).join(' ') + '\n')
+        : () => {};
+    consoleMethods.forEach(method => { console[method] = redirect; });
+
+    const rows = [];
+    try {
+        const analyzer = new AudioAnalyzer({ ...options.analyzer, ...options.analysis });
+        for (const file of files) {
+            if (options.verbose) io.stderr.write(`Analysing ${file}\n`);
+            rows.push(await analyzeFile(file, analyzer, options));
+        }
+    } finally {
+        consoleMethods.forEach(method => { console[method] = originalConsole[method]; });
+    }
+
+    io.stdout.write(FORMATTERS[options.format](rows));
+    return getExitCode(rows);
+}
+
+// Run when executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = await run(process.argv.slice(2));
+}
+
+export { run, parseArguments, collectAudioFiles, loadAudio, analyzeFile, getExitCode, formatTable, formatJson, formatCsv, EXIT_CODES, UsageError };
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Offline training of the vehicle class model
+ * Each input directory holds one subdirectory per class, named after the label:
+ *
+ *   clips/car/*.wav  clips/truck/*.wav  clips/motorbike/*.wav  clips/bicycle/*.wav
+ *
+ * Features are extracted from every clip, a VehicleClassifier is trained on them and the
+ * model is written as JSON for VehicleClassifier.fromJSON() (browser or Node.js).
+ *
+ * Exit codes:
+ *   0 - model written
+ *   2 - usage error (bad option, no inputs or fewer than two classes)
+ *   3 - at least one clip could not be read; the model is still written from the rest
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import VehicleFeatureExtractor from '../docs/shared/vehicle-features.js';
+import VehicleClassifier from '../docs/shared/vehicle-classifier.js';
+import FFTBackends from '../docs/shared/fft-backends.js';
+import { collectAudioFiles, loadAudio, UsageError } from './doppler-analyzer.js';
+
+const EXIT_CODES = {
+    TRAINED: 0,
+    USAGE: 2,
+    FILE_ERROR: 3
+};
+
+const USAGE = `Usage: train-vehicle-classifier [options] <directory>...
+
+Train a vehicle class model from labelled clips. Each directory holds one
+subdirectory per class (e.g. car/, truck/, motorbike/, bicycle/) of WAV, FLAC or raw PCM files.
+
+Options:
+      --type <name>           ${VehicleClassifier.getModelTypes().join(', ')} (default nearest_centroid)
+  -o, --output <file>         Write the model here (default: standard output)
+  -m, --fft-mode <mode>       ${FFTBackends.getModes().join(', ')} (default auto)
+      --sample-rate <Hz>      Sample rate of raw files (default 48000)
+      --channels <count>      Interleaved channels in raw files; channel 0 is used (default 1)
+  -v, --verbose               Show each clip's features on stderr
+  -h, --help                  Show this help
+
+Exit codes: 0 model written, 2 usage error, 3 a clip could not be read (model written from the rest).`;
+
+/**
+ * Turn command-line arguments into training options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { help, inputs, type, output, fftMode, rawSampleRate, rawChannels, verbose }
+ * @throws {UsageError} For unknown options, bad values or missing inputs
+ */
+function parseArguments(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                type: { type: 'string', default: 'nearest_centroid' },
+                output: { type: 'string', short: 'o' },
+                'fft-mode': { type: 'string', short: 'm', default: 'auto' },
+                'sample-rate': { type: 'string', default: '48000' },
+                channels: { type: 'string', default: '1' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('No training directories given');
+    }
+    if (!VehicleClassifier.getModelTypes().includes(values.type)) {
+        throw new UsageError(`--type must be one of ${VehicleClassifier.getModelTypes().join(', ')}, got '${values.type}'`);
+    }
+
+    if (!FFTBackends.getModes().includes(values['fft-mode'])) {
+        throw new UsageError(`--fft-mode must be one of ${FFTBackends.getModes().join(', ')}, got '${values['fft-mode']}'`);
+    }
+
+    const rawSampleRate = Number(values['sample-rate']);
+    if (!(rawSampleRate > 0)) {
+        throw new UsageError(`--sample-rate must be positive, got '${values['sample-rate']}'`);
+    }
+    const rawChannels = Number(values.channels);
+    if (!Number.isInteger(rawChannels) || rawChannels < 1) {
+        throw new UsageError(`--channels must be a whole number of at least 1, got '${values.channels}'`);
+    }
+
+    return {
+        help: false,
+        inputs: positionals,
+        type: values.type,
+        output: values.output,
+        fftMode: values['fft-mode'],
+        rawSampleRate,
+        rawChannels,
+        verbose: values.verbose
+    };
+}
+
+/**
+ * Labelled clips under the input directories
+ * @param {Array<string>} inputs - Directories of class subdirectories
+ * @returns {Array<Object>} [{ file, label }] sorted by label, then file name
+ */
+function collectLabelledClips(inputs) {
+    const clips = [];
+    for (const input of inputs) {
+        if (!fs.existsSync(input) || !fs.statSync(input).isDirectory()) {
+            throw new UsageError(`Not a directory: ${input}`);
+        }
+        const labels = fs.readdirSync(input, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+        for (const label of labels) {
+            for (const file of collectAudioFiles([path.join(input, label)], true)) {
+                clips.push({ file, label });
+            }
+        }
+    }
+    return clips;
+}
+
+/**
+ * Run the trainer
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - { stdout, stderr } streams (default: process streams)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    let clips;
+    try {
+        options = parseArguments(argv);
+        if (options.help) {
+            io.stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.TRAINED;
+        }
+        clips = collectLabelledClips(options.inputs);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr.write(`train-vehicle-classifier: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    // The analysis libraries log progress; keep it off stdout, which may carry the model
+    const originalLog = console.log;
+    console.log = () => {};
+    const examples = [];
+    let fileErrors = 0;
+    try {
+        for (const { file, label } of clips) {
+            try {
+                const { channels, sampleRate } = await loadAudio(file, { sampleRate: options.rawSampleRate, channels: options.rawChannels });
+                const extraction = await VehicleFeatureExtractor.extract(channels[0], sampleRate, { fftMode: options.fftMode });
+                if (!extraction.valid) {
+                    throw new Error(extraction.error);
+                }
+                examples.push({ label, features: extraction.features });
+                if (options.verbose) {
+                    io.stderr.write(`${label}\t${file}\t${JSON.stringify(extraction.features)}\n`);
+                }
+            } catch (error) {
+                fileErrors++;
+                io.stderr.write(`train-vehicle-classifier: ${file}: ${error.message}\n`);
+            }
+        }
+    } finally {
+        console.log = originalLog;
+    }
+
+    let classifier;
+    try {
+        classifier = VehicleClassifier.train(examples, { type: options.type });
+    } catch (error) {
+        io.stderr.write(`train-vehicle-classifier: ${error.message}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const json = classifier.toJSON() + '\n';
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+    } else {
+        io.stdout.write(json);
+    }
+    const { perClass } = classifier.model.trainedOn;
+    io.stderr.write(`Trained ${options.type} on ${examples.length} clips: ` +
+                    `${Object.entries(perClass).map(([label, count]) => `${label} ${count}`).join(', ')}\n`);
+    return fileErrors > 0 ? EXIT_CODES.FILE_ERROR : EXIT_CODES.TRAINED;
+}
+
+// Run when executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = await run(process.argv.slice(2));
+}
+
+export { run, parseArguments, collectLabelledClips, EXIT_CODES };
@@ -6,11 +6,18 @@
 
 let wasmModule = null;
 let isInitialized = false;
+let loading = null;
 
-// Load the WASM module
-async function loadWasm() {
-    if (wasmModule && isInitialized) return wasmModule;
-    
+// Load the WASM module once; calls made while it loads wait for the same load
+function loadWasm() {
+    loading ??= instantiateWasm().catch(error => {
+        loading = null;
+        throw error;
+    });
+    return loading;
+}
+
+async function instantiateWasm() {
     try {
         // Import the WASM module factory
         const wasmImport = await import('./pffft.js');
@@ -47,8 +54,8 @@ async function loadWasm() {
 
 /**
  * Perform FFT using WASM+noSIMD implementation
- * @param {Array} signal - Input signal for FFT
- * @returns {Array} FFT result
+ * @param {Array|Float32Array|Float64Array} signal - Input signal for FFT
+ * @returns {Float64Array} FFT result
  */
 export async function fft(signal) {
     await loadWasm();
@@ -74,8 +81,8 @@ export async function fft(signal) {
 
 /**
  * Simple Cooley-Tukey FFT implementation as fallback
- * @param {Array} signal - Input signal
- * @returns {Array} FFT result
+ * @param {Array|Float32Array|Float64Array} signal - Input signal
+ * @returns {Float64Array} FFT result
  */
 function simpleFft(signal) {
     const length = signal.length;
@@ -89,7 +96,7 @@ function simpleFft(signal) {
     
     // Perform FFT
     fftRecursive(complex, length);
-    return complex;
+    return new Float64Array(complex);
 }
 
 /**
@@ -2,77 +2,154 @@
  * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
 
  * Pure JavaScript FFT implementation for static web deployment
- * Uses Cooley-Tukey FFT algorithm
+ * Iterative, in-place radix-2 Cooley-Tukey FFT. A real signal of length N is packed into
+ * N/2 complex values, transformed, and split back into the N-point spectrum, halving the
+ * work. Bit-reversal and twiddle tables are computed once per size, and the working
+ * buffers are reused, so a call allocates nothing but its result.
  */
 
+// FFT size → { bitReverse, cos, sin, splitCos, splitSin, real, imag }
+const tables = new Map();
+
 /**
  * Pure JavaScript FFT implementation using Cooley-Tukey algorithm
- * @param {Array} signal - Input signal for FFT
- * @returns {Array} FFT result (complex numbers as [real, imag, real, imag, ...])
+ * @param {Array|Float32Array|Float64Array} signal - Input signal for FFT
+ * @returns {Float64Array} FFT result (complex numbers as [real, imag, real, imag, ...])
  */
 export function fft(signal) {
     const length = signal.length;
-    console.log(`🔧 FFT: Called with signal length ${length}, FFT_MODE=JavaScript FFT implementation`);
-    
+
     // Ensure power of 2 length
     if ((length & (length - 1)) !== 0) {
         throw new Error(`FFT length must be power of 2, got ${length}`);
     }
-    
-    // Convert real signal to complex (real, imaginary pairs)
-    const complex = new Array(length * 2);
-    for (let i = 0; i < length; i++) {
-        complex[i * 2] = signal[i];     // Real part
-        complex[i * 2 + 1] = 0;         // Imaginary part
+
+    const result = new Float64Array(length * 2);
+    if (length === 1) {
+        result[0] = signal[0];
+        return result;
     }
-    
-    // Perform FFT using Cooley-Tukey algorithm
-    fftRecursive(complex, length);
-    
-    return complex;
+
+    const table = getTables(length);
+    const { real, imag } = table;
+    const half = length / 2;
+
+    // Even samples become the real parts and odd samples the imaginary parts,
+    // stored in bit-reversed order ready for the in-place butterflies
+    for (let i = 0; i < half; i++) {
+        const j = table.bitReverse[i];
+        real[j] = signal[2 * i];
+        imag[j] = signal[2 * i + 1];
+    }
+
+    complexFFT(real, imag, table);
+    splitRealSpectrum(real, imag, table, result);
+    return result;
 }
 
 /**
- * Recursive Cooley-Tukey FFT implementation
- * @param {Array} x - Complex array [real, imag, real, imag, ...]
- * @param {number} N - Length of the transform
+ * Tables and working buffers for one FFT size, created on first use
+ * @param {number} length - Real FFT size, a power of 2 of at least 2
+ * @returns {Object} { bitReverse, cos, sin, splitCos, splitSin, real, imag }
  */
-function fftRecursive(x, N) {
-    if (N <= 1) return;
-    
-    // Divide
-    const even = new Array(N);
-    const odd = new Array(N);
-    
-    for (let i = 0; i < N / 2; i++) {
-        even[i * 2] = x[i * 4];         // Real part of even
-        even[i * 2 + 1] = x[i * 4 + 1]; // Imaginary part of even
-        odd[i * 2] = x[i * 4 + 2];      // Real part of odd
-        odd[i * 2 + 1] = x[i * 4 + 3];  // Imaginary part of odd
+function getTables(length) {
+    let table = tables.get(length);
+    if (table) {
+        return table;
+    }
+
+    const half = length / 2;
+    const bits = Math.log2(half);
+    const bitReverse = new Uint32Array(half);
+    for (let i = 0; i < half; i++) {
+        let reversed = 0;
+        for (let bit = 0, value = i; bit < bits; bit++, value >>= 1) {
+            reversed = (reversed << 1) | (value & 1);
+        }
+        bitReverse[i] = reversed;
+    }
+
+    // e^(-2πik / half) for the complex butterflies
+    const cos = new Float64Array(Math.max(1, half / 2));
+    const sin = new Float64Array(Math.max(1, half / 2));
+    for (let k = 0; k < half / 2; k++) {
+        cos[k] = Math.cos(2 * Math.PI * k / half);
+        sin[k] = -Math.sin(2 * Math.PI * k / half);
+    }
+
+    // e^(-2πik / length) for splitting the packed spectrum
+    const splitCos = new Float64Array(half + 1);
+    const splitSin = new Float64Array(half + 1);
+    for (let k = 0; k <= half; k++) {
+        splitCos[k] = Math.cos(2 * Math.PI * k / length);
+        splitSin[k] = -Math.sin(2 * Math.PI * k / length);
     }
-    
-    // Conquer
-    fftRecursive(even, N / 2);
-    fftRecursive(odd, N / 2);
-    
-    // Combine
-    for (let k = 0; k < N / 2; k++) {
-        const angle = -2 * Math.PI * k / N;
-        const cos_val = Math.cos(angle);
-        const sin_val = Math.sin(angle);
-        
-        // Complex multiplication: t = odd[k] * exp(-2πik/N)
-        const t_real = odd[k * 2] * cos_val - odd[k * 2 + 1] * sin_val;
-        const t_imag = odd[k * 2] * sin_val + odd[k * 2 + 1] * cos_val;
-        
-        // x[k] = even[k] + t
-        x[k * 2] = even[k * 2] + t_real;
-        x[k * 2 + 1] = even[k * 2 + 1] + t_imag;
-        
-        // x[k + N/2] = even[k] - t
-        x[(k + N / 2) * 2] = even[k * 2] - t_real;
-        x[(k + N / 2) * 2 + 1] = even[k * 2 + 1] - t_imag;
+
+    table = {
+        bitReverse, cos, sin, splitCos, splitSin,
+        real: new Float64Array(half),
+        imag: new Float64Array(half)
+    };
+    tables.set(length, table);
+    return table;
+}
+
+/**
+ * In-place iterative radix-2 FFT of bit-reversed complex data
+ * @param {Float64Array} real - Real parts
+ * @param {Float64Array} imag - Imaginary parts
+ * @param {Object} table - Twiddles from getTables()
+ */
+function complexFFT(real, imag, table) {
+    const n = real.length;
+    const { cos, sin } = table;
+
+    for (let size = 2; size <= n; size *= 2) {
+        const halfSize = size / 2;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let j = 0, k = 0; j < halfSize; j++, k += step) {
+                const even = start + j;
+                const odd = even + halfSize;
+                const tReal = real[odd] * cos[k] - imag[odd] * sin[k];
+                const tImag = real[odd] * sin[k] + imag[odd] * cos[k];
+                real[odd] = real[even] - tReal;
+                imag[odd] = imag[even] - tImag;
+                real[even] += tReal;
+                imag[even] += tImag;
+            }
+        }
     }
 }
 
-console.log('🔧 Pure JavaScript FFT implementation loaded');
\ No newline at end of file
+/**
+ * Turn the FFT of the packed half-length signal into the full real-signal spectrum.
+ * With Z the packed FFT, the even- and odd-sample spectra are
+ * E[k] = (Z[k] + conj(Z[N/2 - k])) / 2 and O[k] = (Z[k] - conj(Z[N/2 - k])) / 2i,
+ * and X[k] = E[k] + e^(-2πik/N) O[k]. The upper half mirrors the lower half.
+ */
+function splitRealSpectrum(real, imag, table, result) {
+    const half = real.length;
+    const length = half * 2;
+    const { splitCos, splitSin } = table;
+
+    for (let k = 0; k <= half; k++) {
+        const a = k % half;
+        const b = (half - k) % half;
+        const evenReal = (real[a] + real[b]) / 2;
+        const evenImag = (imag[a] - imag[b]) / 2;
+        const oddReal = (imag[a] + imag[b]) / 2;
+        const oddImag = (real[b] - real[a]) / 2;
+
+        const xReal = evenReal + splitCos[k] * oddReal - splitSin[k] * oddImag;
+        const xImag = evenImag + splitCos[k] * oddImag + splitSin[k] * oddReal;
+        result[k * 2] = xReal;
+        result[k * 2 + 1] = xImag;
+
+        // Conjugate symmetry of real signals
+        if (k > 0 && k < half) {
+            result[(length - k) * 2] = xReal;
+            result[(length - k) * 2 + 1] = -xImag;
+        }
+    }
+}
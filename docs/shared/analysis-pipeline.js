@@ -0,0 +1,138 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Section analysis pipeline
+ * The analysis the demo pages run on each recording: normalize, cut approach and recede
+ * sections around the loudest point, FFT each section, and match the strongest frequencies
+ * into a speed. Reports each stage as it starts and stops at the next stage boundary once
+ * cancelled, so it can run in a worker (AnalysisService) as well as on the main thread.
+ */
+
+import AudioAnalyzer from './audio-analyzer.js';
+import AudioProcessor from './audio-utils.js';
+import SpectrumAnalyzer from './spectrum-analyzer.js';
+
+/**
+ * Default configuration; any field can be overridden in the constructor
+ */
+const DEFAULT_PIPELINE_OPTIONS = {
+    fftMode: 'auto',             // A registered FFTBackends name, or 'auto'
+    windowType: 'hamming',       // Window applied to each section before its FFT
+    sectioning: 'peak_rms_energy', // AudioAnalyzer.extractSections strategy
+    frequencyCount: 5,           // Strongest frequencies taken from each section
+    analysis: {}                 // AudioAnalyzer options (profile, environment, ...)
+};
+
+/**
+ * Stages in the order they run, with the fraction of the work done when each starts
+ */
+const STAGES = [
+    { stage: 'sectioning', progress: 0 },
+    { stage: 'fft', section: 'approaching', progress: 0.2 },
+    { stage: 'fft', section: 'receding', progress: 0.5 },
+    { stage: 'matching', progress: 0.8 }
+];
+
+class AnalysisPipeline {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_PIPELINE_OPTIONS
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_PIPELINE_OPTIONS, ...options };
+        this.audioAnalyzer = new AudioAnalyzer({ ...this.config.analysis, fftMode: this.config.fftMode });
+    }
+
+    /**
+     * Analyze one recording
+     * @param {Array|Float32Array} samples - Mono audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Options for this call
+     * @param {number} options.expectedMph - Expected speed, or omit for a blind estimate
+     * @param {Function} options.onProgress - Called with { stage, section, progress } as each stage starts
+     * @param {Function} options.isCancelled - Checked between stages; when it returns true the
+     *                                         analysis rejects with an AbortError
+     * @returns {Promise<Object>} { speed, sectioningMethod, clipDuration, sampleCount,
+     *                              approachFrequencies, recedeFrequencies, implementation, noiseReduction };
+     *                              sampleCount is after any resampling; noiseReduction ({ method,
+     *                              noiseStart, noiseEnd, snrBefore, snrAfter }) only when it ran
+     */
+    async analyze(samples, sampleRate, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const isCancelled = options.isCancelled || (() => false);
+        const [sectioningStage, approachStage, recedeStage, matchingStage] = STAGES;
+
+        const enterStage = async (stage) => {
+            // Yield to the event loop so a pending cancel message is handled first
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) {
+                throw AnalysisPipeline.createAbortError();
+            }
+            onProgress({ ...stage });
+        };
+
+        await enterStage(sectioningStage);
+        // analysis.preprocessing (resampling, filters) runs before the sections are cut
+        const preprocessed = this.audioAnalyzer.preprocess(samples, sampleRate, this.audioAnalyzer.config);
+        if (preprocessed) {
+            ({ samples, sampleRate } = preprocessed);
+        }
+        // analysis.noiseReduction suppresses wind and background noise before the FFTs
+        const denoised = await this.audioAnalyzer.reduceNoise(samples, sampleRate, this.audioAnalyzer.config);
+        let noiseReduction = null;
+        if (denoised) {
+            ({ samples, ...noiseReduction } = denoised);
+        }
+        const normalized = AudioProcessor.normalizeAmplitude(samples);
+        const sections = this.audioAnalyzer.extractSections(normalized, sampleRate, this.config.sectioning);
+
+        await enterStage(approachStage);
+        const approachAnalyzer = await this.analyzeSection(sections.approaching, sampleRate);
+
+        await enterStage(recedeStage);
+        const recedeAnalyzer = await this.analyzeSection(sections.receding, sampleRate);
+
+        await enterStage(matchingStage);
+        const count = this.config.frequencyCount;
+        const approachFrequencies = this.audioAnalyzer.filterReasonableFrequencies(approachAnalyzer.getStrongestFrequencies(count));
+        const recedeFrequencies = this.audioAnalyzer.filterReasonableFrequencies(recedeAnalyzer.getStrongestFrequencies(count));
+        const speed = await this.audioAnalyzer.findBestSpeedCalculation(approachFrequencies, recedeFrequencies, options.expectedMph ?? null);
+
+        onProgress({ stage: 'done', progress: 1 });
+        return {
+            speed,
+            sectioningMethod: sections.sectioningMethod || 'unknown',
+            clipDuration: samples.length / sampleRate,
+            sampleCount: samples.length,
+            approachFrequencies,
+            recedeFrequencies,
+            implementation: approachAnalyzer.getImplementationInfo(),
+            ...(noiseReduction && { noiseReduction })
+        };
+    }
+
+    /**
+     * Power spectrum of one section
+     * @returns {Promise<SpectrumAnalyzer>} Analyzer with its spectrum calculated
+     */
+    async analyzeSection(section, sampleRate) {
+        const analyzer = new SpectrumAnalyzer(section, sampleRate, {
+            fftMode: this.config.fftMode,
+            windowType: this.config.windowType
+        });
+        await analyzer.calculatePowerSpectrum();
+        return analyzer;
+    }
+
+    /**
+     * The error a cancelled analysis rejects with, named like the DOM's so callers can
+     * tell it apart from a failure
+     * @returns {Error} Error named 'AbortError'
+     */
+    static createAbortError() {
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+export default AnalysisPipeline;
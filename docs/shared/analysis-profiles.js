@@ -0,0 +1,239 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Analysis Profiles
+ * Named settings for one class of vehicle. A profile bundles everything that depends on
+ * what is driving past rather than on the recording:
+ *
+ *   frequencyBand   Hz; peaks outside it are ignored when matching and tracking
+ *   speedBand       mph; typical speeds, preferred when choosing between estimates
+ *   speedLimits     mph; estimates outside are rejected outright
+ *   sections        seconds; gap left either side of closest approach and the longest
+ *                   section used (null for everything up to the ends of the recording)
+ *   windowType      FFT window for the section spectra
+ *
+ * Profiles are plain JSON objects, so they can be saved, shared and loaded back.
+ * Built-in profiles cannot be replaced; register your own under a new name.
+ */
+
+const DEFAULT_PROFILE = 'car';
+
+const WINDOW_TYPES = ['hamming', 'hann', 'blackman', 'none'];
+
+const BUILT_IN_PROFILES = {
+    car: {
+        name: 'car',
+        description: 'Cars and vans: engine, exhaust and tyre tones at urban to motorway speeds',
+        frequencyBand: { min: 50, max: 2000 },
+        speedBand: { min: 10, max: 100 },
+        speedLimits: { min: 1, max: 200 },
+        sections: { marginSeconds: 0.3, maxSectionSeconds: null },
+        windowType: 'hamming'
+    },
+    motorbike: {
+        name: 'motorbike',
+        description: 'Motorbikes: high-revving engines and fast passes, so short sections near closest approach',
+        frequencyBand: { min: 80, max: 4000 },
+        speedBand: { min: 10, max: 150 },
+        speedLimits: { min: 1, max: 250 },
+        sections: { marginSeconds: 0.2, maxSectionSeconds: 2 },
+        windowType: 'hamming'
+    },
+    truck: {
+        name: 'truck',
+        description: 'Lorries and buses: low engine orders with closely spaced harmonics, slow passes',
+        frequencyBand: { min: 30, max: 1000 },
+        speedBand: { min: 5, max: 80 },
+        speedLimits: { min: 1, max: 120 },
+        sections: { marginSeconds: 0.5, maxSectionSeconds: null },
+        windowType: 'hann'
+    },
+    'e-scooter': {
+        name: 'e-scooter',
+        description: 'E-scooters and e-bikes: quiet motor whine above tyre noise, low speeds',
+        frequencyBand: { min: 100, max: 5000 },
+        speedBand: { min: 3, max: 35 },
+        speedLimits: { min: 1, max: 60 },
+        sections: { marginSeconds: 0.3, maxSectionSeconds: 3 },
+        windowType: 'blackman'
+    }
+};
+
+// Registered profiles by name, built-in ones first
+const registry = new Map(Object.entries(BUILT_IN_PROFILES));
+
+class AnalysisProfiles {
+    /**
+     * Name of the profile used when none is given
+     * @returns {string} 'car'
+     */
+    static getDefaultProfileName() {
+        return DEFAULT_PROFILE;
+    }
+
+    /**
+     * Names of every registered profile
+     * @returns {Array<string>} Built-in profiles first, then user profiles in registration order
+     */
+    static list() {
+        return [...registry.keys()];
+    }
+
+    /**
+     * Look up a profile by name, or complete and check a profile object
+     * @param {string|Object} profile - Registered name, or a profile definition (see create())
+     * @returns {Object} A copy of the profile
+     * @throws {Error} For an unknown name or an invalid definition
+     */
+    static get(profile = DEFAULT_PROFILE) {
+        if (typeof profile === 'string') {
+            if (!registry.has(profile)) {
+                throw new Error(`Unknown analysis profile: ${profile}. Use one of ${this.list().join(', ')}`);
+            }
+            return copyProfile(registry.get(profile));
+        }
+        return this.create(profile);
+    }
+
+    /**
+     * Build a profile from a definition
+     * Fields not given are taken from the profile named by `extends` (default 'car'),
+     * so { name: 'bus', extends: 'truck', speedBand: { min: 5, max: 50 } } is a whole profile
+     * @param {Object} definition - { name, extends?, description?, frequencyBand?, speedBand?, speedLimits?, sections?, windowType? }
+     * @returns {Object} Checked profile without `extends`
+     * @throws {Error} If the definition is not an object, names an unknown base or has invalid fields
+     */
+    static create(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('An analysis profile must be a name or an object');
+        }
+        const base = this.get(definition.extends ?? DEFAULT_PROFILE);
+        const profile = {
+            name: definition.name,
+            description: definition.description ?? '',
+            frequencyBand: { ...base.frequencyBand, ...definition.frequencyBand },
+            speedBand: { ...base.speedBand, ...definition.speedBand },
+            speedLimits: { ...base.speedLimits, ...definition.speedLimits },
+            sections: { ...base.sections, ...definition.sections },
+            windowType: definition.windowType ?? base.windowType
+        };
+        this.validate(profile);
+        return profile;
+    }
+
+    /**
+     * Check a complete profile
+     * @param {Object} profile - Profile to check
+     * @throws {Error} Naming the first invalid field
+     */
+    static validate(profile) {
+        if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+            throw new Error('An analysis profile needs a name');
+        }
+        const checkBand = (band, field, unit) => {
+            if (!Number.isFinite(band.min) || !Number.isFinite(band.max) || band.min < 0 || band.min >= band.max) {
+                throw new Error(`Profile '${profile.name}': ${field} must be 0 ≤ min < max ${unit}, got ${band.min}-${band.max}`);
+            }
+        };
+        checkBand(profile.frequencyBand, 'frequencyBand', 'Hz');
+        checkBand(profile.speedBand, 'speedBand', 'mph');
+        checkBand(profile.speedLimits, 'speedLimits', 'mph');
+        if (profile.speedBand.min < profile.speedLimits.min || profile.speedBand.max > profile.speedLimits.max) {
+            throw new Error(`Profile '${profile.name}': speedBand must lie inside speedLimits`);
+        }
+
+        const { marginSeconds, maxSectionSeconds } = profile.sections;
+        if (!Number.isFinite(marginSeconds) || marginSeconds < 0) {
+            throw new Error(`Profile '${profile.name}': sections.marginSeconds must not be negative, got ${marginSeconds}`);
+        }
+        if (maxSectionSeconds !== null && !(Number.isFinite(maxSectionSeconds) && maxSectionSeconds > 0)) {
+            throw new Error(`Profile '${profile.name}': sections.maxSectionSeconds must be positive or null, got ${maxSectionSeconds}`);
+        }
+        if (!WINDOW_TYPES.includes(profile.windowType)) {
+            throw new Error(`Profile '${profile.name}': windowType must be one of ${WINDOW_TYPES.join(', ')}, got ${profile.windowType}`);
+        }
+    }
+
+    /**
+     * Add a user profile so it can be used by name
+     * Registering a name again replaces the earlier user profile
+     * @param {Object} definition - Profile definition (see create())
+     * @returns {Object} The registered profile
+     * @throws {Error} For an invalid definition or the name of a built-in profile
+     */
+    static register(definition) {
+        const profile = this.create(definition);
+        if (Object.hasOwn(BUILT_IN_PROFILES, profile.name)) {
+            throw new Error(`Cannot replace built-in analysis profile: ${profile.name}`);
+        }
+        registry.set(profile.name, profile);
+        return copyProfile(profile);
+    }
+
+    /**
+     * Remove a user profile
+     * @param {string} name - Profile name
+     * @returns {boolean} True if a user profile was removed; built-in profiles are never removed
+     */
+    static unregister(name) {
+        if (Object.hasOwn(BUILT_IN_PROFILES, name)) {
+            return false;
+        }
+        return registry.delete(name);
+    }
+
+    /**
+     * Serialize a profile
+     * @param {string|Object} profile - Name or profile object
+     * @returns {string} JSON text
+     */
+    static toJSON(profile) {
+        return JSON.stringify(this.get(profile), null, 2);
+    }
+
+    /**
+     * Load a profile from JSON text (not registered; pass the result to register() to use it by name)
+     * @param {string} json - JSON text of a profile definition
+     * @returns {Object} Checked profile
+     * @throws {Error} For invalid JSON or an invalid definition
+     */
+    static fromJSON(json) {
+        let definition;
+        try {
+            definition = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid analysis profile JSON: ${error.message}`);
+        }
+        return this.create(definition);
+    }
+
+    /**
+     * Matching limits for FrequencyMatcher and HarmonicMatcher
+     * @param {string|Object} profile - Name or profile object
+     * @returns {Object} { minFrequency, maxFrequency, minSpeedMph, maxSpeedMph }
+     */
+    static getMatchingOptions(profile) {
+        const { frequencyBand, speedLimits } = this.get(profile);
+        return {
+            minFrequency: frequencyBand.min,
+            maxFrequency: frequencyBand.max,
+            minSpeedMph: speedLimits.min,
+            maxSpeedMph: speedLimits.max
+        };
+    }
+}
+
+/**
+ * Copy a profile so callers cannot change a registered one
+ */
+function copyProfile(profile) {
+    return {
+        ...profile,
+        frequencyBand: { ...profile.frequencyBand },
+        speedBand: { ...profile.speedBand },
+        speedLimits: { ...profile.speedLimits },
+        sections: { ...profile.sections }
+    };
+}
+
+export default AnalysisProfiles;
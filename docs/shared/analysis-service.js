@@ -0,0 +1,216 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Analysis in a Web Worker
+ * AnalysisService runs AnalysisPipeline off the main thread so pages stay responsive while
+ * sections are cut, FFTs run and frequencies are matched. The page side is a promise per
+ * recording; samples go to the worker as transferred Float32Array buffers, progress comes
+ * back as the pipeline enters each stage, and an AbortSignal cancels a job.
+ *
+ * The worker side is serve(), called by analysis-worker.js. Both sides only need
+ * postMessage() and onmessage, so a MessageChannel stands in for the worker in Node.js tests.
+ *
+ * Messages to the worker:   { type: 'analyze', id, samples, sampleRate, expectedMph, pipeline }
+ *                           { type: 'cancel', id }
+ * Messages from the worker: { type: 'progress', id, stage, section, progress }
+ *                           { type: 'result', id, result }
+ *                           { type: 'error', id, name, message }
+ */
+
+import AnalysisPipeline from './analysis-pipeline.js';
+import SampleBuffer from './sample-buffer.js';
+
+class AnalysisService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.pipeline - AnalysisPipeline options for every job (fftMode, windowType, analysis, ...)
+     * @param {Worker|MessagePort} options.worker - Worker to use (default: a new module worker)
+     * @param {string|URL} options.workerUrl - Location of analysis-worker.js, when creating the worker
+     */
+    constructor(options = {}) {
+        this.pipelineOptions = options.pipeline || {};
+        this.worker = options.worker || new Worker(
+            options.workerUrl || new URL('./analysis-worker.js', import.meta.url),
+            { type: 'module' }
+        );
+        this.jobs = new Map();
+        this.nextId = 1;
+
+        this.worker.onmessage = (event) => this.receive(event.data);
+        this.worker.onerror = (event) => {
+            this.rejectAll(new Error(`Analysis worker failed: ${event.message || 'could not be loaded'}`));
+        };
+    }
+
+    /**
+     * Analyze one recording in the worker
+     * @param {Array|Float32Array} samples - Mono audio samples. A Float32Array that owns its whole
+     *                                       buffer is transferred and unusable afterwards, unless
+     *                                       options.transfer is false; anything else is copied
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Options for this job
+     * @param {number} options.expectedMph - Expected speed, or omit for a blind estimate
+     * @param {Function} options.onProgress - Called with { stage, section, progress } as the worker
+     *                                        reaches 'sectioning', 'fft', 'matching' and 'done'
+     * @param {AbortSignal} options.signal - Cancels the job; the promise rejects with an AbortError
+     * @param {boolean} options.transfer - Transfer the samples' buffer instead of copying it (default true)
+     * @returns {Promise<Object>} AnalysisPipeline.analyze() result
+     */
+    analyze(samples, sampleRate, options = {}) {
+        const { signal, transfer = true } = options;
+        if (signal?.aborted) {
+            return Promise.reject(AnalysisPipeline.createAbortError());
+        }
+
+        // Only a buffer holding nothing but these samples can be handed over whole
+        let data = SampleBuffer.toFloat32(samples);
+        if (data === samples && (!transfer || data.byteLength !== data.buffer.byteLength)) {
+            data = data.slice();
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => this.cancel(id);
+            this.jobs.set(id, {
+                resolve, reject,
+                onProgress: options.onProgress || null,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            signal?.addEventListener('abort', onAbort);
+
+            this.worker.postMessage({
+                type: 'analyze',
+                id,
+                samples: data,
+                sampleRate,
+                expectedMph: options.expectedMph ?? null,
+                pipeline: this.pipelineOptions
+            }, [data.buffer]);
+        });
+    }
+
+    /**
+     * Cancel a job: its promise rejects now and the worker stops at its next stage
+     * @param {number} id - Job id
+     * @returns {boolean} Whether the job was still running
+     */
+    cancel(id) {
+        if (!this.finish(id, job => job.reject(AnalysisPipeline.createAbortError()))) {
+            return false;
+        }
+        this.worker.postMessage({ type: 'cancel', id });
+        return true;
+    }
+
+    /**
+     * Cancel every job still running
+     */
+    cancelAll() {
+        for (const id of [...this.jobs.keys()]) {
+            this.cancel(id);
+        }
+    }
+
+    /**
+     * Number of jobs sent and not yet finished
+     */
+    get pendingCount() {
+        return this.jobs.size;
+    }
+
+    /**
+     * Stop the worker; jobs still running reject
+     */
+    terminate() {
+        this.rejectAll(new Error('AnalysisService terminated'));
+        this.worker.onmessage = null;
+        if (this.worker.terminate) {
+            this.worker.terminate();
+        } else {
+            this.worker.close();
+        }
+    }
+
+    receive(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) {
+            return; // Cancelled on this side already
+        }
+
+        if (message.type === 'progress') {
+            job.onProgress?.({ stage: message.stage, section: message.section, progress: message.progress });
+        } else if (message.type === 'result') {
+            this.finish(message.id, job => job.resolve(message.result));
+        } else if (message.type === 'error') {
+            const error = new Error(message.message);
+            error.name = message.name;
+            this.finish(message.id, job => job.reject(error));
+        }
+    }
+
+    finish(id, settle) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return false;
+        }
+        this.jobs.delete(id);
+        job.cleanup();
+        settle(job);
+        return true;
+    }
+
+    rejectAll(error) {
+        for (const id of [...this.jobs.keys()]) {
+            this.finish(id, job => job.reject(error));
+        }
+    }
+
+    /**
+     * Worker side: answer analyze and cancel messages arriving on a worker scope or port.
+     * Jobs run one at a time in arrival order; pipelines are kept per option set so FFT
+     * setups stay warm between recordings.
+     * @param {DedicatedWorkerGlobalScope|MessagePort} scope - Where messages arrive and replies go
+     */
+    static serve(scope) {
+        const pipelines = new Map();
+        const waiting = new Set();
+        const cancelled = new Set();
+        let queue = Promise.resolve();
+
+        const getPipeline = (options) => {
+            const key = JSON.stringify(options);
+            if (!pipelines.has(key)) {
+                pipelines.set(key, new AnalysisPipeline(options));
+            }
+            return pipelines.get(key);
+        };
+
+        const run = async ({ id, samples, sampleRate, expectedMph, pipeline }) => {
+            try {
+                const result = await getPipeline(pipeline).analyze(samples, sampleRate, {
+                    expectedMph,
+                    onProgress: (progress) => scope.postMessage({ type: 'progress', id, ...progress }),
+                    isCancelled: () => cancelled.has(id)
+                });
+                scope.postMessage({ type: 'result', id, result });
+            } catch (error) {
+                scope.postMessage({ type: 'error', id, name: error.name, message: error.message });
+            } finally {
+                waiting.delete(id);
+                cancelled.delete(id);
+            }
+        };
+
+        scope.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'cancel' && waiting.has(message.id)) {
+                cancelled.add(message.id);
+            } else if (message.type === 'analyze') {
+                waiting.add(message.id);
+                queue = queue.then(() => run(message));
+            }
+        };
+    }
+}
+
+export default AnalysisService;
@@ -0,0 +1,10 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Web Worker running AnalysisPipeline for AnalysisService
+ * Loaded as a module worker: new Worker(url, { type: 'module' }).
+ */
+
+import AnalysisService from './analysis-service.js';
+
+AnalysisService.serve(self);
@@ -90,6 +90,35 @@ class ApproachDetector {
         return energyProfile;
     }
     
+    /**
+     * Calculate RMS energy profile with windows stepped by a hop
+     * One entry per hop instead of per sample, so minutes of audio stay cheap
+     * @param {Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} windowSamples - Window size in samples
+     * @param {number} hopSamples - Step between windows in samples
+     * @returns {Array} Energy values with window-centre index and time in seconds
+     */
+    static calculateWindowedEnergyProfile(samples, sampleRate, windowSamples, hopSamples = windowSamples) {
+        const energyProfile = [];
+
+        for (let start = 0; start + windowSamples <= samples.length; start += hopSamples) {
+            let sumSquares = 0;
+            for (let j = start; j < start + windowSamples; j++) {
+                sumSquares += samples[j] * samples[j];
+            }
+
+            const index = start + Math.floor(windowSamples / 2);
+            energyProfile.push({
+                index,
+                energy: Math.sqrt(sumSquares / windowSamples),
+                time: index / sampleRate
+            });
+        }
+
+        return energyProfile;
+    }
+
     /**
      * Apply smoothing filter to energy profile
      * @param {Array} energyProfile - Raw energy profile
@@ -134,7 +163,8 @@ class ApproachDetector {
         if (energyProfile.length < 3) return [];
         
         const peaks = [];
-        const maxEnergy = Math.max(...energyProfile.map(p => p.energy));
+        // Reduce rather than spread - profiles have one entry per sample and overflow the call stack
+        const maxEnergy = energyProfile.reduce((max, p) => Math.max(max, p.energy), 0);
         const minProminence = maxEnergy * prominence;
         
         for (let i = 1; i < energyProfile.length - 1; i++) {
@@ -235,11 +265,14 @@ class ApproachDetector {
      * Analyze energy distribution characteristics
      * @param {Array} samples - Audio samples
      * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - { hopSize: seconds between windows; default slides one sample at a time }
      * @returns {Object} Energy distribution analysis
      */
-    static analyzeEnergyDistribution(samples, sampleRate) {
+    static analyzeEnergyDistribution(samples, sampleRate, options = {}) {
         const windowSamples = Math.floor(0.1 * sampleRate); // 100ms windows
-        const energyProfile = this.calculateEnergyProfile(samples, windowSamples);
+        const energyProfile = options.hopSize
+            ? this.calculateWindowedEnergyProfile(samples, sampleRate, windowSamples, Math.max(1, Math.round(options.hopSize * sampleRate)))
+            : this.calculateEnergyProfile(samples, windowSamples);
         
         if (energyProfile.length === 0) {
             return {
@@ -254,8 +287,8 @@ class ApproachDetector {
         
         const energies = energyProfile.map(p => p.energy);
         const meanEnergy = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-        const maxEnergy = Math.max(...energies);
-        const minEnergy = Math.min(...energies);
+        const maxEnergy = energies.reduce((max, e) => Math.max(max, e), -Infinity);
+        const minEnergy = energies.reduce((min, e) => Math.min(min, e), Infinity);
         
         // Calculate variance and standard deviation
         const variance = energies.reduce((sum, e) => sum + Math.pow(e - meanEnergy, 2), 0) / energies.length;
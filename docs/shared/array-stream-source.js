@@ -0,0 +1,59 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Recorded-samples source for StreamingAnalyzer
+ * Plays an array through the streaming pipeline in chunks, either as fast as possible
+ * (Node.js tests) or paced at the sample rate (simulating a live microphone).
+ */
+
+import SampleBuffer from './sample-buffer.js';
+
+class ArrayStreamSource {
+    /**
+     * @param {Array|Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Source options
+     * @param {number} options.chunkSize - Samples per chunk (default 2048)
+     * @param {boolean} options.realtime - Pace chunks at the sample rate (default false)
+     */
+    constructor(samples, sampleRate, options = {}) {
+        this.samples = SampleBuffer.toFloat32(samples);
+        this.sampleRate = sampleRate;
+        this.chunkSize = options.chunkSize || 2048;
+        this.realtime = options.realtime || false;
+        this.running = false;
+        this.finished = Promise.resolve();
+    }
+
+    /**
+     * Start delivering chunks. `finished` resolves once every chunk has been delivered.
+     * @param {Function} onChunk - Called with each Float32Array chunk
+     * @returns {Promise<Object>} { sampleRate }
+     */
+    async start(onChunk) {
+        this.running = true;
+        this.finished = this.feed(onChunk);
+        return { sampleRate: this.sampleRate };
+    }
+
+    async feed(onChunk) {
+        // Let the caller finish start() before the first chunk arrives
+        await Promise.resolve();
+
+        const chunkMs = this.chunkSize / this.sampleRate * 1000;
+        for (let offset = 0; offset < this.samples.length && this.running; offset += this.chunkSize) {
+            await onChunk(this.samples.subarray(offset, offset + this.chunkSize));
+            if (this.realtime) {
+                await new Promise(resolve => setTimeout(resolve, chunkMs));
+            }
+        }
+        this.running = false;
+    }
+
+    async stop() {
+        this.running = false;
+        await this.finished;
+    }
+}
+
+export default ArrayStreamSource;
@@ -10,37 +10,131 @@ import AudioSlicer from './audio-slicer.js';
 import ApproachDetector from './approach-detector.js';
 import FrequencyMatcher from './frequency-matcher.js?v=simple';
 import FrequencyAnalysis from './frequency-analysis.js';
+import HarmonicMatcher from './harmonic-matcher.js';
 import SpectrumAnalyzer from './spectrum-analyzer.js';
+import Spectrogram from './spectrogram.js';
+import FrequencyTracker from './frequency-tracker.js';
+import PassSegmenter from './pass-segmenter.js';
+import StereoDirectionEstimator from './stereo-direction.js';
+import SpeedUncertainty from './speed-uncertainty.js';
+import AnalysisProfiles from './analysis-profiles.js';
+import AudioPreprocessor from './audio-preprocessor.js';
+import NoiseReducer from './noise-reducer.js';
+import SampleBuffer from './sample-buffer.js';
+
+const KMH_PER_MPH = 1.60934;
+
+// Below this loudest-to-quietest ratio the diagnostics flag the recording as noisy
+const MIN_SNR_DB = 6;
 
 class AudioAnalyzer {
     constructor(options = {}) {
-        this.dopplerCalculator = new DopplerCalculator();
-        this.frequencyMatcher = new FrequencyMatcher(this.dopplerCalculator);
+        this.options = options;
+        
+        // Vehicle class: frequency band, speed limits, section lengths and window (default 'car')
+        this.profile = AnalysisProfiles.get(options.profile);
+        
+        // Speed of sound: fixed soundSpeed wins, otherwise derived from environment
+        // ({ temperature, humidity, pressure }) with 20°C / 50% RH / sea level defaults
+        this.dopplerCalculator = new DopplerCalculator(options.soundSpeed ?? options.environment ?? null);
+        this.dopplerCalculator.setSpeedLimits(this.profile.speedLimits.min * KMH_PER_MPH,
+                                              this.profile.speedLimits.max * KMH_PER_MPH);
+        const matchingLimits = AnalysisProfiles.getMatchingOptions(this.profile);
+        this.frequencyMatcher = new FrequencyMatcher(this.dopplerCalculator, matchingLimits);
+        this.harmonicMatcher = new HarmonicMatcher(this.dopplerCalculator, matchingLimits);
         
-        // Analysis configuration
+        // Analysis configuration; options given explicitly win over the profile
         this.config = {
             fftMode: options.fftMode || 'auto',
-            windowType: options.windowType || 'hamming',
+            windowType: options.windowType || this.profile.windowType,
+            peakInterpolation: options.peakInterpolation || 'gaussian', // Sub-bin peak refinement
+            peakPicking: options.peakPicking || {}, // PeakFinder minDistance, minProminence, noiseFloorRatio
             confidenceThreshold: options.confidenceThreshold || 0.7,
             sectioningStrategy: options.sectioningStrategy || 'auto', // 'auto', 'closest_approach', 'quarters', 'time_based'
             approachDetection: options.approachDetection !== false, // Enable by default
             multiStrategy: options.multiStrategy !== false, // Enable multi-strategy by default
-            ...options
+            speedMethod: options.speedMethod || 'sections', // 'sections' (two-point) or 'curve_fit' (S-curve)
+            harmonicMatching: options.harmonicMatching !== false, // Prefer a matched harmonic series when found
+            classifier: options.classifier || null, // VehicleClassifier; results then carry vehicleClass
+            preprocessing: options.preprocessing || [], // AudioPreprocessor chain run before analysis
+            noiseReduction: options.noiseReduction || false, // true or NoiseReducer options to suppress wind and background noise
+            ...options,
+            profile: this.profile
         };
     }
     
+    /**
+     * The analyzer to use for a profile given to one call
+     * @param {string|Object|undefined} profile - Profile name or object, or undefined for this analyzer's own
+     * @returns {AudioAnalyzer} This analyzer when the profile is unchanged, otherwise one with the
+     *                          same constructor options and the other profile
+     */
+    forProfile(profile) {
+        if (profile === undefined || profile === this.profile) {
+            return this;
+        }
+        const resolved = AnalysisProfiles.get(profile);
+        if (AnalysisProfiles.toJSON(resolved) === AnalysisProfiles.toJSON(this.profile)) {
+            return this;
+        }
+        return new AudioAnalyzer({ ...this.options, profile: resolved });
+    }
+    
     /**
      * Perform complete Doppler speed analysis on audio samples
      * @param {Array} samples - Audio sample data
      * @param {number} sampleRate - Sample rate in Hz
-     * @param {Object} options - Analysis options
-     * @returns {Object} Complete analysis results
+     * @param {Object} options - Analysis options; `profile` analyses this call with another vehicle profile
+     * @returns {Object} Complete analysis results; `preprocessing` ({ sampleRate, steps }) when a chain ran,
+     *                   `noiseReduction` ({ method, noiseStart, noiseEnd, snrBefore, snrAfter }) and
+     *                   `diagnostics.snr` ({ before, after }) when noise reduction ran
      */
     async analyzeAudioForSpeed(samples, sampleRate, options = {}) {
-        const analysisConfig = { ...this.config, ...options };
+        const { profile, ...callOptions } = options;
+        const analyzer = this.forProfile(profile);
+        if (analyzer !== this) {
+            return analyzer.analyzeAudioForSpeed(samples, sampleRate, callOptions);
+        }
+        
+        const analysisConfig = { ...this.config, ...callOptions };
         const startTime = performance.now();
         
         try {
+            // Step 0: Resampling and filtering, when a preprocessing chain is configured
+            const preprocessed = this.preprocess(samples, sampleRate, analysisConfig);
+            if (preprocessed) {
+                const { preprocessing, ...rest } = analysisConfig;
+                const results = await this.analyzeAudioForSpeed(preprocessed.samples, preprocessed.sampleRate,
+                    { ...rest, preprocessing: [] });
+                results.preprocessing = { sampleRate: preprocessed.sampleRate, steps: preprocessed.steps };
+                results.processingTime = performance.now() - startTime;
+                return results;
+            }
+            
+            // Step 0b: Wind and background noise suppression, learned from the quietest stretch
+            const denoised = await this.reduceNoise(samples, sampleRate, analysisConfig);
+            if (denoised) {
+                const { samples: denoisedSamples, ...noiseReduction } = denoised;
+                const results = await this.analyzeAudioForSpeed(denoisedSamples, sampleRate,
+                    { ...analysisConfig, noiseReduction: false });
+                results.noiseReduction = noiseReduction;
+                results.diagnostics = this.addNoiseDiagnostics(results.diagnostics, noiseReduction);
+                results.processingTime = performance.now() - startTime;
+                return results;
+            }
+            
+            if (analysisConfig.speedMethod === 'curve_fit') {
+                const curveResults = await this.analyzeSpeedFromCurve(samples, sampleRate, analysisConfig);
+                if (curveResults.success) {
+                    if (analysisConfig.classifier) {
+                        curveResults.vehicleClass = await this.classifyVehicle(samples, sampleRate, analysisConfig);
+                    }
+                    curveResults.processingTime = performance.now() - startTime;
+                    return curveResults;
+                }
+                console.warn(`S-curve fit failed (${curveResults.error}), falling back to section analysis`);
+            }
+            
             // Step 1: Detect closest approach (if enabled)
             let approachDetection = null;
             if (analysisConfig.approachDetection) {
@@ -74,7 +168,10 @@ class AudioAnalyzer {
                 fftMode: analysisConfig.fftMode,
                 windowType: analysisConfig.windowType,
                 topFrequencyCount: analysisConfig.topFrequencyCount || 10,
-                confidenceThreshold: analysisConfig.confidenceThreshold
+                confidenceThreshold: analysisConfig.confidenceThreshold,
+                peakInterpolation: analysisConfig.peakInterpolation,
+                peakPicking: analysisConfig.peakPicking,
+                soundSpeed: this.dopplerCalculator.soundSpeed
             });
             
             const dualAnalysis = await frequencyAnalysis.analyzeDualSections(
@@ -98,17 +195,38 @@ class AudioAnalyzer {
                         analysisConfig.matching
                     );
                 }
+                
+                if (analysisConfig.harmonicMatching) {
+                    const harmonicResult = this.harmonicMatcher.findHarmonicSpeedCalculation(
+                        dualAnalysis.approach.frequencies,
+                        dualAnalysis.recede.frequencies,
+                        analysisConfig.harmonic
+                    );
+                    speedResults = this.applyHarmonicResult(speedResults, harmonicResult);
+                }
             }
             
-            // Step 5: Validate and rank results
+            // Step 5: Observation geometry, when a correction for the microphone's distance was asked for
+            let geometry = null;
+            if (analysisConfig.geometry && speedResults?.bestMatch) {
+                geometry = await this.resolveGeometry(samples, sampleRate, sectioning, approachDetection, analysisConfig);
+            }
+            
+            // Step 6: Validate and rank results
             const finalResults = this.compileFinalResults(
                 speedResults,
                 dualAnalysis,
                 sectioning,
                 approachDetection,
-                analysisConfig
+                analysisConfig,
+                geometry
             );
             
+            // Step 7: Vehicle class, when a classifier was given
+            if (analysisConfig.classifier) {
+                finalResults.vehicleClass = await this.classifyVehicle(samples, sampleRate, analysisConfig);
+            }
+            
             finalResults.processingTime = performance.now() - startTime;
             return finalResults;
             
@@ -121,6 +239,360 @@ class AudioAnalyzer {
         }
     }
     
+    /**
+     * Run the configured preprocessing chain; a bandPass step without min and max uses the
+     * profile's frequency band
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} config - Analysis configuration
+     * @returns {Object|null} AudioPreprocessor.apply() result, or null when the chain is empty
+     */
+    preprocess(samples, sampleRate, config) {
+        if (!config.preprocessing?.length) {
+            return null;
+        }
+        return AudioPreprocessor.apply(samples, sampleRate, config.preprocessing, {
+            frequencyBand: this.profile.frequencyBand
+        });
+    }
+    
+    /**
+     * Suppress wind and background noise when `noiseReduction` is configured
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} config - Analysis configuration; `noiseReduction` is true or NoiseReducer options
+     * @returns {Promise<Object|null>} NoiseReducer.reduce() result, or null when noise reduction is off
+     */
+    async reduceNoise(samples, sampleRate, config) {
+        if (!config.noiseReduction) {
+            return null;
+        }
+        const options = config.noiseReduction === true ? {} : config.noiseReduction;
+        const reducer = new NoiseReducer(sampleRate, { fftMode: config.fftMode, ...options });
+        return reducer.reduce(samples);
+    }
+    
+    /**
+     * Diagnostics with the signal-to-noise ratio before and after noise reduction
+     * @param {Object|undefined} diagnostics - Diagnostics of the analysis, present when it failed
+     * @param {Object} noiseReduction - NoiseReducer.reduce() result
+     * @returns {Object} { issues, recommendations, snr: { before, after } }
+     */
+    addNoiseDiagnostics(diagnostics, noiseReduction) {
+        const result = {
+            issues: [],
+            recommendations: [],
+            ...diagnostics,
+            snr: { before: noiseReduction.snrBefore, after: noiseReduction.snrAfter }
+        };
+        if (noiseReduction.snrAfter < MIN_SNR_DB) {
+            result.issues = [...result.issues,
+                `Vehicle only ${noiseReduction.snrAfter.toFixed(1)} dB above the background after noise reduction`];
+            result.recommendations = [...result.recommendations,
+                'Shield the microphone from wind or record closer to the road'];
+        }
+        return result;
+    }
+    
+    /**
+     * Classify the vehicle in a recording with the VehicleClassifier given as `classifier`
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} config - Analysis configuration
+     * @returns {Promise<Object>} VehicleClassifier.classifyAudio() result
+     */
+    async classifyVehicle(samples, sampleRate, config) {
+        return config.classifier.classifyAudio(samples, sampleRate, { fftMode: config.fftMode });
+    }
+    
+    /**
+     * Find every vehicle pass in a long recording and analyse each one for speed
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Analysis options; `segmentation` holds PassSegmenter options, `profile` a vehicle profile
+     * @returns {Object} { success, passes, rejected, backgroundEnergy, duration, preprocessing, noiseReduction, processingTime }
+     *   preprocessing: { sampleRate, steps }, only when a chain ran; pass times are unchanged by resampling
+     *   noiseReduction: { method, noiseStart, noiseEnd, snrBefore, snrAfter }, only when noise reduction ran
+     *   passes: [{ passNumber, startTime, closestApproachTime, endTime, peakEnergy, success,
+     *              speedMPH, speedKMH, confidence, uncertainty, confidenceInterval, vehicleClass, error, result }] in time order
+     */
+    async analyzePasses(samples, sampleRate, options = {}) {
+        const { profile, ...callOptions } = options;
+        const analyzer = this.forProfile(profile);
+        if (analyzer !== this) {
+            return analyzer.analyzePasses(samples, sampleRate, callOptions);
+        }
+        
+        const startTime = performance.now();
+        const { segmentation, ...analysisOptions } = { ...this.config, ...callOptions };
+        
+        // Preprocess the whole recording once, before it is cut into passes
+        const preprocessed = this.preprocess(samples, sampleRate, analysisOptions);
+        if (preprocessed) {
+            ({ samples, sampleRate } = preprocessed);
+            analysisOptions.preprocessing = [];
+        }
+        // Learn the noise from the whole recording, where the quiet stretches between passes are
+        const denoised = await this.reduceNoise(samples, sampleRate, analysisOptions);
+        let noiseReduction = null;
+        if (denoised) {
+            ({ samples, ...noiseReduction } = denoised);
+            analysisOptions.noiseReduction = false;
+        }
+        const segments = PassSegmenter.findPasses(samples, sampleRate, segmentation);
+
+        const passes = [];
+        for (const [i, event] of segments.events.entries()) {
+            const clip = SampleBuffer.view(samples, event.startIndex, event.endIndex);
+            const result = await this.analyzeAudioForSpeed(clip, sampleRate, analysisOptions);
+            passes.push({
+                passNumber: i + 1,
+                startTime: event.startTime,
+                closestApproachTime: event.closestApproachTime,
+                endTime: event.endTime,
+                peakEnergy: event.peakEnergy,
+                success: result.success,
+                speedMPH: result.speedMPH,
+                speedKMH: result.speedKMH,
+                confidence: result.confidence,
+                uncertainty: result.uncertainty || null,
+                confidenceInterval: result.confidenceInterval || null,
+                vehicleClass: result.vehicleClass || null,
+                error: result.error || null,
+                result
+            });
+        }
+
+        return {
+            success: passes.some(pass => pass.success),
+            passes,
+            rejected: segments.rejected,
+            backgroundEnergy: segments.backgroundEnergy,
+            duration: samples.length / sampleRate,
+            ...(preprocessed && { preprocessing: { sampleRate, steps: preprocessed.steps } }),
+            ...(noiseReduction && { noiseReduction }),
+            processingTime: performance.now() - startTime
+        };
+    }
+    
+    /**
+     * Speed analysis of a multichannel recording, with direction of travel
+     * Speed comes from the first channel; with two or more channels the inter-channel delay
+     * gives the direction and a second closest-approach estimate
+     * @param {Array<Array>} channels - One sample array per channel; channel 0 is the left microphone
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Analysis options; `direction` holds StereoDirectionEstimator options (e.g. micSpacing),
+     *                           `profile` a vehicle profile
+     * @returns {Object} analyzeAudioForSpeed results plus `direction` (null for mono)
+     */
+    async analyzeStereoForSpeed(channels, sampleRate, options = {}) {
+        const { profile, ...callOptions } = options;
+        const analyzer = this.forProfile(profile);
+        if (analyzer !== this) {
+            return analyzer.analyzeStereoForSpeed(channels, sampleRate, callOptions);
+        }
+        
+        const { direction: directionOptions, ...analysisOptions } = { ...this.config, ...callOptions };
+        
+        // Every channel gets the same chain, keeping the inter-channel delay intact
+        const preprocessed = channels.map(channel => this.preprocess(channel, sampleRate, analysisOptions));
+        if (preprocessed[0]) {
+            channels = preprocessed.map(result => result.samples);
+            sampleRate = preprocessed[0].sampleRate;
+            analysisOptions.preprocessing = [];
+        }
+        const results = await this.analyzeAudioForSpeed(channels[0], sampleRate, analysisOptions);
+        if (preprocessed[0]) {
+            results.preprocessing = { sampleRate, steps: preprocessed[0].steps };
+        }
+
+        results.direction = null;
+        if (channels.length >= 2) {
+            results.direction = StereoDirectionEstimator.estimateDirection(channels[0], channels[1], sampleRate, {
+                soundSpeed: this.dopplerCalculator.soundSpeed,
+                ...directionOptions
+            });
+        }
+        return results;
+    }
+    
+    /**
+     * Replace the pair-based best match with the harmonic series estimate when the series is at
+     * least as convincing: there is no pair match, the two agree on the speed, or the series'
+     * confidence is at least the pair's. Otherwise the series becomes an alternative.
+     * The pair matches stay available as alternatives
+     * @param {Object|null} speedResults - Result of FrequencyMatcher.findMatchesMultiStrategy()
+     * @param {Object} harmonicResult - Result of HarmonicMatcher.findHarmonicSpeedCalculation()
+     * @returns {Object|null} Speed results in the same shape
+     */
+    applyHarmonicResult(speedResults, harmonicResult) {
+        if (!harmonicResult.valid) {
+            return speedResults ? { ...speedResults, harmonicSeries: harmonicResult } : speedResults;
+        }
+        
+        const harmonicMatch = {
+            speed: harmonicResult.speedMph,
+            speedKmh: harmonicResult.speedKmh,
+            confidence: harmonicResult.confidence,
+            approachFreq: harmonicResult.approachFreq,
+            recedeFreq: harmonicResult.recedeFreq,
+            approachPower: harmonicResult.approachPower,
+            recedePower: harmonicResult.recedePower,
+            powerRatio: harmonicResult.powerRatio,
+            frequencySeparation: harmonicResult.approachFreq - harmonicResult.recedeFreq,
+            frequencyRatio: harmonicResult.dopplerRatio,
+            speedUncertainty: harmonicResult.speedUncertaintyMph,
+            approachUncertainty: null,
+            recedeUncertainty: null,
+            harmonics: harmonicResult.harmonics,
+            strategy: 'harmonic_series',
+            selectedBy: ['harmonic_series']
+        };
+        harmonicMatch.validation = this.frequencyMatcher.validateMatch(harmonicMatch);
+        
+        const pairMatches = speedResults?.matches || [];
+        const pairBest = speedResults?.bestMatch || null;
+        const toleranceMph = this.frequencyMatcher.config.speedToleranceMph;
+        const agreesWithPair = pairBest !== null && Math.abs(harmonicResult.speedMph - pairBest.speed) <= toleranceMph;
+        const replacesPair = pairBest === null || agreesWithPair || harmonicResult.confidence >= pairBest.confidence;
+        const bestMatch = replacesPair ? harmonicMatch : pairBest;
+        
+        const comparison = {
+            strategy: 'harmonic_series',
+            bestSpeed: harmonicResult.speedMph,
+            bestScore: harmonicResult.confidence,
+            approachFreq: harmonicResult.approachFreq,
+            recedeFreq: harmonicResult.recedeFreq,
+            agreesWithSelection: Math.abs(harmonicResult.speedMph - bestMatch.speed) <= toleranceMph
+        };
+        const strategyComparison = (speedResults?.strategyComparison || []).map(entry => ({
+            ...entry,
+            agreesWithSelection: Math.abs(entry.bestSpeed - bestMatch.speed) <= toleranceMph
+        }));
+        
+        if (!replacesPair) {
+            return {
+                ...speedResults,
+                matches: [pairBest, harmonicMatch, ...pairMatches.slice(1)],
+                alternatives: [harmonicMatch, ...pairMatches.slice(1)],
+                strategyComparison: [...strategyComparison, comparison],
+                harmonicSeries: harmonicResult
+            };
+        }
+        
+        return {
+            ...(speedResults || {}),
+            success: true,
+            error: null,
+            matches: [harmonicMatch, ...pairMatches],
+            bestMatch: harmonicMatch,
+            alternatives: pairMatches,
+            selectedStrategy: 'harmonic_series',
+            strategyComparison: [...strategyComparison, comparison],
+            harmonicSeries: harmonicResult
+        };
+    }
+    
+    /**
+     * Compute a spectrogram and follow the dominant tone through the pass-by
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - { spectrogram: Spectrogram options, tracking: FrequencyTracker options,
+     *                           curveFit: DopplerCurveFitter options, profile: vehicle profile }
+     * @returns {Object} { spectrogram, track, endFrequencies, curveFit }
+     */
+    async analyzeFrequencyTrack(samples, sampleRate, options = {}) {
+        const { profile, ...callOptions } = options;
+        const analyzer = this.forProfile(profile);
+        if (analyzer !== this) {
+            return analyzer.analyzeFrequencyTrack(samples, sampleRate, callOptions);
+        }
+        
+        const spectrogramOptions = {
+            fftMode: options.fftMode || this.config.fftMode,
+            windowType: 'hann',
+            maxFrequency: Math.max(4000, this.profile.frequencyBand.max),
+            ...this.config.spectrogram,
+            ...options.spectrogram
+        };
+        const trackingOptions = {
+            minFrequency: this.profile.frequencyBand.min,
+            maxFrequency: this.profile.frequencyBand.max,
+            ...this.config.tracking,
+            ...options.tracking
+        };
+        
+        const spectrogram = await new Spectrogram(sampleRate, spectrogramOptions).compute(samples);
+        const track = FrequencyTracker.trackDominantTone(spectrogram, trackingOptions);
+        
+        return {
+            spectrogram,
+            track,
+            endFrequencies: FrequencyTracker.getEndFrequencies(track),
+            curveFit: this.dopplerCalculator.fitDopplerCurve(track.points, { ...this.config.curveFit, ...options.curveFit })
+        };
+    }
+    
+    /**
+     * Speed from the Doppler S-curve of the tracked tone instead of two averaged sections
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} config - Analysis configuration
+     * @returns {Object} Results in the same shape as analyzeAudioForSpeed
+     */
+    async analyzeSpeedFromCurve(samples, sampleRate, config) {
+        const { track, curveFit } = await this.analyzeFrequencyTrack(samples, sampleRate, config);
+        
+        if (!curveFit.valid) {
+            return { success: false, error: curveFit.error || 'S-curve fit failed', curveFit, track };
+        }
+        
+        // Fit quality, discounted by relative speed uncertainty and gaps in the track
+        const relativeError = curveFit.uncertainty.speedMs !== null ? curveFit.uncertainty.speedMs / curveFit.speedMs : 1;
+        const confidence = Math.max(0, curveFit.rSquared) * track.coverage / (1 + relativeError);
+        
+        return {
+            success: true,
+            confidence,
+            speed: curveFit.speedMPH,
+            speedMPH: curveFit.speedMPH,
+            speedKMH: curveFit.speedKMH,
+            error: null,
+            warning: curveFit.converged ? null : 'S-curve fit did not converge',
+            strategy: 'curve_fit',
+            frequencies: {
+                source: curveFit.sourceFrequency,
+                trackRange: track.frequencyRange
+            },
+            closestApproachTime: curveFit.closestApproachTime,
+            distance: curveFit.distance,
+            uncertainty: curveFit.uncertainty,
+            confidenceInterval: SpeedUncertainty.calculateBudget({
+                speedMPH: curveFit.speedMPH,
+                frequencyUncertaintyMPH: curveFit.uncertainty.speedMph,
+                soundSpeed: this.dopplerCalculator.soundSpeed,
+                environment: this.dopplerCalculator.getEnvironment(),
+                geometryModelled: true
+            }, config.uncertainty),
+            curveFit,
+            metadata: {
+                track: {
+                    points: track.points.length,
+                    startTime: track.startTime,
+                    endTime: track.endTime,
+                    coverage: track.coverage
+                },
+                configuration: {
+                    profile: this.profile.name,
+                    fftMode: config.fftMode,
+                    speedMethod: config.speedMethod,
+                    soundSpeed: this.dopplerCalculator.soundSpeed,
+                    environment: this.dopplerCalculator.getEnvironment()
+                }
+            }
+        };
+    }
+    
     /**
      * Extract optimal audio sections using the best available strategy
      * @param {Array} samples - Audio samples
@@ -139,7 +611,8 @@ class AudioAnalyzer {
                         samples,
                         sampleRate,
                         approachDetection.closestApproachIndex,
-                        samples.length / sampleRate
+                        samples.length / sampleRate,
+                        this.profile.sections
                     );
                 } else {
                     // Fallback to quarters if no approach detected
@@ -164,13 +637,15 @@ class AudioAnalyzer {
                 sectioning = AudioSlicer.extractBestSections(
                     samples,
                     sampleRate,
-                    approachDetection?.found ? approachDetection.closestApproachIndex : null
+                    approachDetection?.found ? approachDetection.closestApproachIndex : null,
+                    this.profile.sections
                 );
                 break;
         }
         
         // Validate sectioning results
         sectioning.validation = AudioSlicer.validateSections(sectioning);
+        sectioning.bounds = AudioSlicer.getSectionBounds(sectioning, samples.length);
         
         return sectioning;
     }
@@ -182,9 +657,10 @@ class AudioAnalyzer {
      * @param {Object} sectioning - Audio sectioning results
      * @param {Object} approachDetection - Approach detection results
      * @param {Object} config - Analysis configuration
+     * @param {Object|null} geometry - Observation geometry from resolveGeometry(), to correct the speed
      * @returns {Object} Final compiled results
      */
-    compileFinalResults(speedResults, dualAnalysis, sectioning, approachDetection, config) {
+    compileFinalResults(speedResults, dualAnalysis, sectioning, approachDetection, config, geometry = null) {
         const results = {
             success: false,
             confidence: 0,
@@ -211,6 +687,42 @@ class AudioAnalyzer {
         results.speedKMH = bestMatch.speed * 1.60934;
         results.confidence = bestMatch.confidence;
         
+        // Undo the cosine error of a microphone beside the road
+        let correction = null;
+        if (geometry) {
+            correction = this.dopplerCalculator.calculateSpeedWithGeometry(bestMatch.approachFreq, bestMatch.recedeFreq, geometry);
+            results.geometry = correction;
+            if (correction.valid) {
+                results.uncorrectedSpeedMPH = results.speedMPH;
+                results.uncorrectedSpeedKMH = results.speedKMH;
+                results.speed = correction.speedMPH;
+                results.speedMPH = correction.speedMPH;
+                results.speedKMH = correction.speedKMH;
+            } else {
+                results.warning = 'Geometry correction not applied: ' + correction.error;
+                correction = null;
+            }
+        }
+        
+        // Error bars from the interpolated peak frequencies
+        if (bestMatch.speedUncertainty !== null && bestMatch.speedUncertainty !== undefined) {
+            results.uncertainty = {
+                speedMPH: bestMatch.speedUncertainty,
+                speedKMH: bestMatch.speedUncertainty * 1.60934,
+                approachFrequency: bestMatch.approachUncertainty,
+                recedeFrequency: bestMatch.recedeUncertainty
+            };
+        }
+        
+        // Interval from every error source, for reporting
+        results.confidenceInterval = this.calculateConfidenceInterval(bestMatch, dualAnalysis, sectioning, approachDetection, config,
+            correction, speedResults.strategyComparison);
+        
+        // Harmonics whose Doppler ratios were combined
+        if (bestMatch.harmonics) {
+            results.harmonics = bestMatch.harmonics;
+        }
+        
         // Add frequency information
         results.frequencies = {
             approach: bestMatch.approachFreq,
@@ -234,6 +746,12 @@ class AudioAnalyzer {
             }
         }
         
+        // The interval cannot be trusted when the peaks may be wrongly paired
+        if (!results.confidenceInterval.reliable) {
+            const unreliable = 'Speed interval unreliable: ' + results.confidenceInterval.issues.join('; ');
+            results.warning = results.warning ? `${results.warning}; ${unreliable}` : unreliable;
+        }
+        
         // Add alternative results
         if (speedResults.matches && speedResults.matches.length > 1) {
             results.alternatives = speedResults.matches.slice(1, 4).map(match => ({
@@ -253,6 +771,93 @@ class AudioAnalyzer {
         return this.addMetadata(results, dualAnalysis, sectioning, approachDetection, config);
     }
     
+    /**
+     * Where the sections sit relative to closest approach
+     * Uses the detected closest approach, or the gap between the sections when none was detected
+     * @param {Object} sectioning - Audio sectioning results, with bounds
+     * @param {Object} approachDetection - Approach detection results
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { approachWindow, recedeWindow ([start, end] in seconds), closestApproachTime }
+     */
+    getSectionTiming(sectioning, approachDetection, sampleRate) {
+        const { approaching, receding } = sectioning.bounds;
+        const closestApproachIndex = approachDetection?.found
+            ? approachDetection.closestApproachIndex
+            : (approaching.endSample + receding.startSample) / 2;
+        const window = bounds => [bounds.startSample / sampleRate, bounds.endSample / sampleRate];
+        
+        return {
+            approachWindow: window(approaching),
+            recedeWindow: window(receding),
+            closestApproachTime: closestApproachIndex / sampleRate
+        };
+    }
+    
+    /**
+     * Observation geometry for DopplerSpeedCalculator.calculateSpeedWithGeometry()
+     * Without a lateral distance, the tracked frequency transition is passed on so the
+     * calculator can estimate it; the closest approach then comes from that fit too
+     * @param {Array} samples - Audio sample data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} sectioning - Audio sectioning results, with bounds
+     * @param {Object} approachDetection - Approach detection results
+     * @param {Object} config - Analysis configuration; `geometry` is { lateralDistance? }
+     * @returns {Object} Geometry for the calculator
+     */
+    async resolveGeometry(samples, sampleRate, sectioning, approachDetection, config) {
+        const timing = this.getSectionTiming(sectioning, approachDetection, sampleRate);
+        const { lateralDistance } = config.geometry;
+        if (Number.isFinite(lateralDistance)) {
+            return { ...timing, lateralDistance };
+        }
+        
+        const { track } = await this.analyzeFrequencyTrack(samples, sampleRate, config);
+        return {
+            approachWindow: timing.approachWindow,
+            recedeWindow: timing.recedeWindow,
+            track: track.points,
+            curveFit: { ...this.config.curveFit, ...config.curveFit }
+        };
+    }
+    
+    /**
+     * Speed interval for a section-based result
+     * @param {Object} bestMatch - Selected match from the frequency or harmonic matcher
+     * @param {Object} dualAnalysis - Frequency analysis results
+     * @param {Object} sectioning - Audio sectioning results, with bounds
+     * @param {Object} approachDetection - Approach detection results
+     * @param {Object} config - Analysis configuration; `uncertainty` holds SpeedUncertainty options
+     * @param {Object|null} correction - Valid calculateSpeedWithGeometry() result if the speed was corrected
+     * @param {Array|null} strategyComparison - Each pairing strategy's best match, to weigh the pairing
+     * @returns {Object} SpeedUncertainty.calculateBudget() result
+     */
+    calculateConfidenceInterval(bestMatch, dualAnalysis, sectioning, approachDetection, config, correction = null,
+                                strategyComparison = null) {
+        const timing = this.getSectionTiming(sectioning, approachDetection, dualAnalysis.metadata.sampleRate);
+        const centreTime = ([start, end]) => (start + end) / 2 - timing.closestApproachTime;
+        
+        return SpeedUncertainty.calculateBudget({
+            speedMPH: correction ? correction.speedMPH : bestMatch.speed,
+            approachFrequency: bestMatch.approachFreq,
+            recedeFrequency: bestMatch.recedeFreq,
+            frequencyUncertaintyMPH: bestMatch.speedUncertainty ?? null,
+            approachBinWidth: dualAnalysis.approach.binWidth,
+            recedeBinWidth: dualAnalysis.recede.binWidth,
+            approachBandwidth: bestMatch.approachBandwidth ?? null,
+            recedeBandwidth: bestMatch.recedeBandwidth ?? null,
+            peakInterpolation: config.peakInterpolation,
+            windowType: config.windowType,
+            soundSpeed: this.dopplerCalculator.soundSpeed,
+            environment: this.dopplerCalculator.getEnvironment(),
+            approachTime: centreTime(timing.approachWindow),
+            recedeTime: centreTime(timing.recedeWindow),
+            cosineFactor: correction ? correction.cosineFactor : 1,
+            geometryModelled: correction !== null,
+            harmonicCount: bestMatch.harmonics?.length ?? 1,
+            strategySpeedsMPH: strategyComparison?.map(entry => entry.bestSpeed) ?? null
+        }, config.uncertainty);
+    }
+    
     /**
      * Add comprehensive metadata to results
      * @param {Object} results - Current results object
@@ -300,11 +905,17 @@ class AudioAnalyzer {
             
             // Configuration used
             configuration: {
+                profile: this.profile.name,
                 fftMode: config.fftMode,
                 windowType: config.windowType,
+                peakInterpolation: config.peakInterpolation,
+                peakPicking: config.peakPicking,
+                harmonicMatching: config.harmonicMatching,
                 sectioningStrategy: config.sectioningStrategy,
                 confidenceThreshold: config.confidenceThreshold,
-                multiStrategy: config.multiStrategy
+                multiStrategy: config.multiStrategy,
+                soundSpeed: this.dopplerCalculator.soundSpeed,
+                environment: this.dopplerCalculator.getEnvironment()
             }
         };
         
@@ -387,7 +998,7 @@ class AudioAnalyzer {
                 return shortSections;
             } else {
                 const closestApproachIndex = ApproachDetector.detectClosestApproach(samples);
-                const sections = AudioSlicer.extractSections(samples, sampleRate, closestApproachIndex, duration);
+                const sections = AudioSlicer.extractSections(samples, sampleRate, closestApproachIndex, duration, this.profile.sections);
                 
                 // Validate sections and fallback if needed
                 if (AudioSlicer.validateSections(sections)) {
@@ -419,25 +1030,24 @@ class AudioAnalyzer {
         const quarterLength = Math.floor(totalSamples / 4);
         
         return {
-            approaching: samples.slice(0, quarterLength),
-            receding: samples.slice(totalSamples - quarterLength),
+            approaching: SampleBuffer.view(samples, 0, quarterLength),
+            receding: SampleBuffer.view(samples, totalSamples - quarterLength),
             approachDuration: quarterLength / sampleRate,
             recedeDuration: quarterLength / sampleRate
         };
     }
     
     /**
-     * Filter frequencies to reasonable range for vehicle analysis
+     * Filter frequencies to the profile's frequency band
      * @param {Array} frequencies - Array of frequency objects
+     * @param {Object} options - { profile } to filter for another vehicle profile
      * @returns {Array} Filtered frequency array
      */
-    filterReasonableFrequencies(frequencies) {
-        // Filter for vehicle frequencies (50-2000Hz to match working NodeJS version)
-        const filtered = frequencies.filter(freq => {
-            return freq.frequency >= 50 && freq.frequency <= 2000 && freq.power > 0;
-        });
+    filterReasonableFrequencies(frequencies, options = {}) {
+        const { min, max } = this.forProfile(options.profile).profile.frequencyBand;
+        const filtered = FrequencyMatcher.filterReasonableFrequencies(frequencies, min, max);
         
-        console.log(`Filtered frequencies: ${filtered.length} of ${frequencies.length} candidates (50-2000Hz range)`);
+        console.log(`Filtered frequencies: ${filtered.length} of ${frequencies.length} candidates (${min}-${max}Hz range)`);
         if (filtered.length > 0) {
             console.log(`Top frequencies: ${filtered.slice(0,3).map(f => f.frequency.toFixed(0)).join(', ')} Hz`);
         } else {
@@ -451,10 +1061,16 @@ class AudioAnalyzer {
      * Find best speed calculation (backward compatibility)
      * @param {Array} approachFrequencies - Approach frequencies
      * @param {Array} recedeFrequencies - Recede frequencies
-     * @param {number} expectedSpeed - Expected speed (optional)
+     * @param {number} expectedSpeed - Expected speed (optional; omit for blind estimation)
+     * @param {Object} options - { profile } to match for another vehicle profile
      * @returns {Object} Best speed calculation
      */
-    async findBestSpeedCalculation(approachFrequencies, recedeFrequencies, expectedSpeed = null) {
+    async findBestSpeedCalculation(approachFrequencies, recedeFrequencies, expectedSpeed = null, options = {}) {
+        const analyzer = this.forProfile(options.profile);
+        if (analyzer !== this) {
+            return analyzer.findBestSpeedCalculation(approachFrequencies, recedeFrequencies, expectedSpeed);
+        }
+        
         try {
             console.log(`Attempting to match ${approachFrequencies.length} approach freqs with ${recedeFrequencies.length} recede freqs`);
             
@@ -465,7 +1081,7 @@ class AudioAnalyzer {
             const primaryResult = this.frequencyMatcher.findOptimalSpeedCalculation(
                 approachFrequencies,
                 recedeFrequencies,
-                expectedSpeed || 30
+                expectedSpeed
             );
             
             if (primaryResult.valid) {
@@ -476,6 +1092,16 @@ class AudioAnalyzer {
                 console.log(`Primary strategy result: ${primaryResult.speedMph.toFixed(1)} mph`);
             }
             
+            // Harmonic strategy: whole harmonic series shifted by one Doppler ratio
+            const harmonicResult = this.harmonicMatcher.findHarmonicSpeedCalculation(approachFrequencies, recedeFrequencies);
+            if (harmonicResult.valid) {
+                strategies.push({
+                    ...harmonicResult,
+                    strategy: 'Harmonic'
+                });
+                console.log(`Harmonic strategy result: ${harmonicResult.speedMph.toFixed(1)} mph from ${harmonicResult.harmonicCount} harmonics`);
+            }
+            
             // Secondary strategy: Try different frequency ranges
             const secondaryResult = await this.trySecondaryStrategy(approachFrequencies, recedeFrequencies, expectedSpeed);
             if (secondaryResult.valid) {
@@ -500,12 +1126,22 @@ class AudioAnalyzer {
                 };
             }
             
+            // Without a hint every strategy scored its pairs blind, so trust the best-supported one
+            if (expectedSpeed === null || expectedSpeed === undefined) {
+                const bestResult = strategies.reduce((best, current) => 
+                    (current.confidence || 0) > (best.confidence || 0) ? current : best
+                );
+                console.log(`🎯 Choosing best-supported blind estimate: ${bestResult.speedMph.toFixed(1)} mph (${bestResult.strategy}, confidence ${(bestResult.confidence || 0).toFixed(2)})`);
+                return bestResult;
+            }
+            
             // Choose the most reasonable result:
-            // 1. Prefer speeds in reasonable range (10-100 mph)
+            // 1. Prefer speeds in the profile's speed band (10-100 mph for cars)
             // 2. Among reasonable speeds, prefer lower speeds
             // 3. If no reasonable speeds, take the lowest speed overall
             
-            const reasonableStrategies = strategies.filter(s => s.speedMph >= 10 && s.speedMph <= 100);
+            const { speedBand } = this.profile;
+            const reasonableStrategies = strategies.filter(s => s.speedMph >= speedBand.min && s.speedMph <= speedBand.max);
             let bestResult;
             
             if (reasonableStrategies.length > 0) {
@@ -540,15 +1176,18 @@ class AudioAnalyzer {
     async trySecondaryStrategy(approachFrequencies, recedeFrequencies, expectedSpeed) {
         try {
             // Create a new FrequencyMatcher with more lenient settings
-            const lenientCalculator = new (this.dopplerCalculator.constructor)();
+            const lenientCalculator = new (this.dopplerCalculator.constructor)(this.dopplerCalculator.soundSpeed, this.dopplerCalculator.ambientTemperature);
             lenientCalculator.setSpeedLimits(0, 500); // Allow higher speeds
             
-            const lenientMatcher = new (this.frequencyMatcher.constructor)(lenientCalculator);
+            const lenientMatcher = new (this.frequencyMatcher.constructor)(lenientCalculator, {
+                minFrequency: this.profile.frequencyBand.min,
+                maxFrequency: this.profile.frequencyBand.max
+            });
             
             const matchResult = lenientMatcher.findOptimalSpeedCalculation(
                 approachFrequencies,
                 recedeFrequencies,
-                expectedSpeed || 50 // Higher default expected speed
+                expectedSpeed
             );
             
             if (matchResult.valid) {
@@ -560,6 +1199,7 @@ class AudioAnalyzer {
                     recedeFreq: matchResult.recedeFreq,
                     error: matchResult.error,
                     accuracy: matchResult.accuracy,
+                    confidence: matchResult.confidence,
                     strategy: 'Secondary'
                 };
             }
@@ -576,9 +1216,13 @@ class AudioAnalyzer {
     async tryTertiaryStrategy(approachFrequencies, recedeFrequencies, expectedSpeed) {
         try {
             // Most lenient approach - try any frequency combination
-            const veryLenientCalculator = new (this.dopplerCalculator.constructor)();
+            const veryLenientCalculator = new (this.dopplerCalculator.constructor)(this.dopplerCalculator.soundSpeed, this.dopplerCalculator.ambientTemperature);
             veryLenientCalculator.setSpeedLimits(0, 1000); // Very high speed limit
             
+            if (expectedSpeed === null || expectedSpeed === undefined) {
+                return this.tryBlindTertiaryStrategy(approachFrequencies, recedeFrequencies, veryLenientCalculator);
+            }
+            
             let bestResult = null;
             let bestError = Infinity;
             
@@ -620,6 +1264,34 @@ class AudioAnalyzer {
             return { valid: false };
         }
     }
+    
+    /**
+     * Blind variant of the tertiary strategy: score the top frequencies in both
+     * orders and keep whichever assignment has the stronger evidence
+     */
+    tryBlindTertiaryStrategy(approachFrequencies, recedeFrequencies, calculator) {
+        const matcher = new (this.frequencyMatcher.constructor)(calculator, {
+            minFrequency: this.profile.frequencyBand.min,
+            maxFrequency: this.profile.frequencyBand.max,
+            maxSpeedMph: 500
+        });
+        const approach = approachFrequencies.slice(0, 10);
+        const recede = recedeFrequencies.slice(0, 10);
+        
+        const results = [
+            matcher.findBlindSpeedCalculation(approach, recede),
+            matcher.findBlindSpeedCalculation(recede, approach)
+        ].filter(result => result.valid);
+        
+        if (results.length === 0) {
+            return { valid: false };
+        }
+        
+        const bestResult = results.reduce((best, current) => 
+            current.confidence > best.confidence ? current : best
+        );
+        return { ...bestResult, strategy: 'Tertiary' };
+    }
 }
 
 export default AudioAnalyzer;
\ No newline at end of file
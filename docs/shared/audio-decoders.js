@@ -0,0 +1,233 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Audio Decoders
+ * One registry of file decoders for loading recordings in Node.js. A decoder is
+ *
+ *   {
+ *     extensions,           file extensions it claims, lower case with the dot ('.flac')
+ *     detect(bytes),        optional; truthy when the first bytes are this decoder's format
+ *     decode(bytes, options), resolves to { channels, sampleRate, format }: one Float32Array
+ *                           per channel and format metadata describing the original encoding
+ *     description
+ *   }
+ *
+ * A file goes to the first decoder whose detect() recognises its bytes, then to the one
+ * claiming its extension. Built-in decoders cannot be replaced; register others under
+ * new names.
+ */
+
+import FfmpegDecoder from './ffmpeg-decoder.js';
+import FlacDecoder from './flac-decoder.js';
+import PcmDecoder from './pcm-decoder.js';
+
+// wavefile's audio format codes for compressed WAV, and the method expanding each to 16-bit PCM
+const COMPRESSED_WAV_FORMATS = {
+    6: { encoding: 'a-law', expand: 'fromALaw' },
+    7: { encoding: 'mu-law', expand: 'fromMuLaw' },
+    17: { encoding: 'ima-adpcm', expand: 'fromIMAADPCM' }
+};
+
+const BUILT_IN_DECODERS = {
+    'wav': {
+        extensions: ['.wav', '.wave'],
+        detect: (bytes) => ['RIFF', 'RIFX', 'RF64'].includes(ascii(bytes, 0, 4)) && ascii(bytes, 8, 12) === 'WAVE',
+        decode: decodeWav,
+        description: 'WAV: 8/16/24/32-bit integer, 32/64-bit float, A-law, mu-law and IMA-ADPCM (wavefile)'
+    },
+    'flac': {
+        extensions: ['.flac'],
+        detect: (bytes) => FlacDecoder.detect(bytes),
+        decode: (bytes) => FlacDecoder.decode(bytes),
+        description: 'FLAC: pure JavaScript, any bit depth and channel count'
+    },
+    'ffmpeg': {
+        extensions: ['.m4a', '.mp4'],
+        detect: (bytes) => FfmpegDecoder.detect(bytes),
+        decode: (bytes, options) => FfmpegDecoder.decode(bytes, options),
+        description: 'MPEG-4 audio (.m4a, .mp4): AAC, ALAC and other codecs, through an installed ffmpeg'
+    },
+    'raw': {
+        extensions: ['.raw', '.pcm'],
+        decode: (bytes, options) => PcmDecoder.decode(bytes, options),
+        description: 'Raw PCM: layout given by sampleRate, channels, bitDepth, encoding and endianness options'
+    }
+};
+
+// Registered decoders by name, built-in ones first
+const registry = new Map(Object.entries(BUILT_IN_DECODERS));
+
+class AudioDecoders {
+    /**
+     * Names of every registered decoder
+     * @returns {Array<string>} In registration order
+     */
+    static list() {
+        return [...registry.keys()];
+    }
+
+    /**
+     * Every file extension some decoder claims
+     * @returns {Array<string>} Lower case, with the dot
+     */
+    static getExtensions() {
+        return [...new Set([...registry.values()].flatMap(decoder => decoder.extensions))];
+    }
+
+    /**
+     * Add a decoder
+     * @param {string} name - Name used as the format option
+     * @param {Object} decoder - { extensions (default none), detect, decode, description }
+     * @throws {Error} For a built-in name or a decoder without decode()
+     */
+    static register(name, decoder) {
+        if (!name) {
+            throw new Error('Audio decoder name must not be empty');
+        }
+        if (Object.hasOwn(BUILT_IN_DECODERS, name)) {
+            throw new Error(`Cannot replace the built-in audio decoder ${name}`);
+        }
+        if (typeof decoder?.decode !== 'function') {
+            throw new Error(`Audio decoder ${name} needs a decode() function`);
+        }
+
+        registry.set(name, {
+            description: name,
+            ...decoder,
+            extensions: (decoder.extensions || []).map(extension => extension.toLowerCase())
+        });
+    }
+
+    /**
+     * Remove a registered decoder
+     * @param {string} name - Decoder name
+     * @returns {boolean} True if removed; built-in decoders are never removed
+     */
+    static unregister(name) {
+        if (Object.hasOwn(BUILT_IN_DECODERS, name) || !registry.has(name)) {
+            return false;
+        }
+        return registry.delete(name);
+    }
+
+    /**
+     * Description of a decoder
+     * @param {string} name - Decoder name
+     * @returns {string} Description, or 'Unknown decoder'
+     */
+    static getDescription(name) {
+        return registry.get(name)?.description || 'Unknown decoder';
+    }
+
+    /**
+     * The decoder for some bytes: by content first, then by file extension
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} fileName - File name or path, for its extension
+     * @returns {string|null} Decoder name, or null when none applies
+     */
+    static find(bytes, fileName = '') {
+        for (const [name, decoder] of registry) {
+            if (decoder.detect?.(bytes)) {
+                return name;
+            }
+        }
+        const extension = extensionOf(fileName);
+        for (const [name, decoder] of registry) {
+            if (decoder.extensions.includes(extension)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decode a whole file
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} options - Decoding options
+     * @param {string} options.format - Decoder name (default: found from the bytes and fileName)
+     * @param {string} options.fileName - File name or path, used to pick a decoder
+     * @param {boolean} options.normalize - Scale integer WAV samples to [-1, 1] (default true)
+     *                                      Other options (sampleRate, channels, bitDepth, encoding,
+     *                                      endianness, signed) describe raw PCM
+     * @returns {Promise<Object>} { samples (first channel), channels, sampleRate, channelCount,
+     *                            duration (seconds), format: { decoder, encoding, bitDepth, ... } }
+     * @throws {Error} For an unknown format or data the decoder rejects
+     */
+    static async decode(bytes, options = {}) {
+        const { format, fileName = '', ...decoderOptions } = options;
+        const name = format || this.find(bytes, fileName);
+        if (!name) {
+            throw new Error(`No audio decoder for ${fileName || 'these bytes'}. ` +
+                `Known extensions: ${this.getExtensions().join(', ')}; register a decoder with AudioDecoders.register() for others`);
+        }
+        if (!registry.has(name)) {
+            throw new Error(`Unknown audio decoder: ${name}. Use one of ${this.list().join(', ')}`);
+        }
+
+        const decoded = await registry.get(name).decode(bytes, decoderOptions);
+        const channels = decoded.channels;
+        return {
+            samples: channels[0],
+            channels,
+            sampleRate: decoded.sampleRate,
+            channelCount: channels.length,
+            duration: channels[0].length / decoded.sampleRate,
+            format: { decoder: name, ...decoded.format }
+        };
+    }
+}
+
+/**
+ * WAV through wavefile, loaded on first use so browsers never import it
+ */
+async function decodeWav(bytes, options = {}) {
+    const { normalize = true } = options;
+    const { WaveFile } = (await import('wavefile')).default;
+    const wav = new WaveFile(bytes);
+
+    const compressed = COMPRESSED_WAV_FORMATS[wav.fmt.audioFormat];
+    const originalBitDepth = wav.fmt.bitsPerSample;
+    if (compressed) {
+        wav[compressed.expand]();
+    }
+
+    const bitDepth = wav.bitDepth; // '8', '16', '24', '32', '32f' or '64' after any expansion
+    const isFloat = bitDepth === '32f' || bitDepth === '64';
+    const channels = wav.fmt.numChannels > 1
+        ? wav.getSamples(false, Float32Array)
+        : [wav.getSamples(true, Float32Array)];
+
+    if (normalize && !isFloat) {
+        const bits = parseInt(bitDepth, 10);
+        const scale = 2 ** (bits - 1);
+        // 8-bit WAV is unsigned, centred on 128
+        const offset = bits === 8 ? scale : 0;
+        channels.forEach(channel => {
+            for (let i = 0; i < channel.length; i++) {
+                channel[i] = (channel[i] - offset) / scale;
+            }
+        });
+    }
+
+    return {
+        channels,
+        sampleRate: wav.fmt.sampleRate,
+        format: {
+            encoding: compressed ? compressed.encoding : (isFloat ? 'pcm-float' : 'pcm-int'),
+            bitDepth: compressed ? originalBitDepth : parseInt(bitDepth, 10),
+            container: wav.container,
+            normalized: normalize || isFloat
+        }
+    };
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function extensionOf(fileName) {
+    const match = /\.[^./\\]+$/.exec(fileName);
+    return match ? match[0].toLowerCase() : '';
+}
+
+export default AudioDecoders;
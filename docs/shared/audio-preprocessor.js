@@ -0,0 +1,343 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Audio Preprocessor
+ * Conditioning applied to a recording before analysis, as a declarative chain of steps:
+ *
+ *   [
+ *     'removeDC',
+ *     { type: 'highPass', cutoff: 40 },                 // Wind rumble
+ *     { type: 'bandPass', min: 50, max: 2000 },         // Or the profile's frequencyBand when omitted
+ *     { type: 'resample', sampleRate: 16000 }
+ *   ]
+ *
+ * Steps run in order; a string is a step with default settings. Resampling to one rate
+ * gives every clip the same FFT resolution whether it was recorded at 8, 44.1 or 48 kHz.
+ * Filters are Butterworth biquad cascades, run forwards and backwards by default so they
+ * do not shift the closest approach in time. Input samples are never modified.
+ */
+
+import AudioProcessor from './audio-utils.js';
+import SampleBuffer from './sample-buffer.js';
+
+const STEP_DEFAULTS = {
+    removeDC: {},
+    highPass: { cutoff: 40, order: 4, zeroPhase: true },
+    lowPass: { cutoff: 4000, order: 4, zeroPhase: true },
+    bandPass: { min: undefined, max: undefined, order: 4, zeroPhase: true }, // min/max default to the frequency band
+    resample: { sampleRate: 16000, zeroCrossings: 16, cutoff: 0.95, beta: 8.6 },
+    normalize: {}
+};
+
+class AudioPreprocessor {
+    /**
+     * Names of every step type
+     * @returns {Array<string>}
+     */
+    static getStepTypes() {
+        return Object.keys(STEP_DEFAULTS);
+    }
+
+    /**
+     * Run a preprocessing chain
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Array<string|Object>} chain - Steps, each a type name or { type, ...settings }
+     * @param {Object} context - Defaults taken from the analysis
+     * @param {Object} context.frequencyBand - { min, max } Hz for a bandPass step without its own
+     * @returns {Object} { samples (Float32Array), sampleRate, steps }; steps lists each step
+     *                   with the settings it ran with. With no steps, samples are the input
+     *                   (converted only if not already a Float32Array)
+     * @throws {Error} For an unknown step type or settings the sample rate cannot support
+     */
+    static apply(samples, sampleRate, chain = [], context = {}) {
+        let current = samples;
+        let rate = sampleRate;
+        const steps = [];
+
+        for (const entry of chain) {
+            const step = AudioPreprocessor.resolveStep(entry, context);
+            switch (step.type) {
+                case 'removeDC':
+                    current = AudioPreprocessor.removeDC(current);
+                    break;
+                case 'highPass':
+                    current = AudioPreprocessor.highPass(current, rate, step.cutoff, step);
+                    break;
+                case 'lowPass':
+                    current = AudioPreprocessor.lowPass(current, rate, step.cutoff, step);
+                    break;
+                case 'bandPass':
+                    current = AudioPreprocessor.bandPass(current, rate, step.min, step.max, step);
+                    break;
+                case 'resample':
+                    current = AudioPreprocessor.resample(current, rate, step.sampleRate, step);
+                    rate = step.sampleRate;
+                    break;
+                case 'normalize':
+                    current = AudioProcessor.normalizeAmplitude(current);
+                    break;
+            }
+            steps.push(step);
+        }
+
+        return { samples: SampleBuffer.toFloat32(current), sampleRate: rate, steps };
+    }
+
+    /**
+     * One chain entry with its defaults filled in
+     * @throws {Error} For an unknown step type or a setting the step does not have
+     */
+    static resolveStep(entry, context = {}) {
+        const { type, ...settings } = typeof entry === 'string' ? { type: entry } : entry;
+        if (!Object.hasOwn(STEP_DEFAULTS, type)) {
+            throw new Error(`Unknown preprocessing step: ${type}. Use one of ${AudioPreprocessor.getStepTypes().join(', ')}`);
+        }
+        const step = { type, ...STEP_DEFAULTS[type] };
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!Object.hasOwn(STEP_DEFAULTS[type], key)) {
+                const known = Object.keys(STEP_DEFAULTS[type]);
+                throw new Error(`Unknown ${type} setting: ${key}. ` +
+                    (known.length > 0 ? `Use ${known.join(', ')}` : `${type} takes no settings`));
+            }
+            if (value !== undefined) {
+                step[key] = value;
+            }
+        });
+        if (type === 'bandPass') {
+            step.min ??= context.frequencyBand?.min;
+            step.max ??= context.frequencyBand?.max;
+            if (step.min === undefined || step.max === undefined) {
+                throw new Error('bandPass needs min and max, or a frequency band from the analysis profile');
+            }
+        }
+        return step;
+    }
+
+    /**
+     * Subtract the mean
+     * @param {Array|Float32Array} samples - Audio samples
+     * @returns {Float32Array} New samples
+     */
+    static removeDC(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i];
+        }
+        const mean = samples.length > 0 ? sum / samples.length : 0;
+        const result = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            result[i] = samples[i] - mean;
+        }
+        return result;
+    }
+
+    /**
+     * Butterworth high-pass filter
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} cutoff - -3 dB frequency in Hz
+     * @param {Object} options - { order (even, default 4), zeroPhase (default true; the
+     *                           response is then applied twice) }
+     * @returns {Float32Array} New samples
+     */
+    static highPass(samples, sampleRate, cutoff, options = {}) {
+        return filter(samples, designButterworth('highPass', cutoff, sampleRate, options.order ?? 4), options.zeroPhase ?? true);
+    }
+
+    /**
+     * Butterworth low-pass filter
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} cutoff - -3 dB frequency in Hz
+     * @param {Object} options - { order (even, default 4), zeroPhase (default true) }
+     * @returns {Float32Array} New samples
+     */
+    static lowPass(samples, sampleRate, cutoff, options = {}) {
+        return filter(samples, designButterworth('lowPass', cutoff, sampleRate, options.order ?? 4), options.zeroPhase ?? true);
+    }
+
+    /**
+     * Butterworth band-pass filter: a high-pass at min and a low-pass at max
+     * An edge at or beyond 0 Hz or the Nyquist frequency is left open
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} min - Lower -3 dB frequency in Hz
+     * @param {number} max - Upper -3 dB frequency in Hz
+     * @param {Object} options - { order (even, default 4), zeroPhase (default true) }
+     * @returns {Float32Array} New samples
+     * @throws {Error} When min is not below max
+     */
+    static bandPass(samples, sampleRate, min, max, options = {}) {
+        if (!(min < max)) {
+            throw new Error(`Band-pass needs min below max, got ${min}-${max} Hz`);
+        }
+        const order = options.order ?? 4;
+        const sections = [
+            ...(min > 0 ? designButterworth('highPass', min, sampleRate, order) : []),
+            ...(max < sampleRate / 2 ? designButterworth('lowPass', max, sampleRate, order) : [])
+        ];
+        return filter(samples, sections, options.zeroPhase ?? true);
+    }
+
+    /**
+     * Polyphase resampling with a Kaiser-windowed sinc interpolator
+     * The rate ratio is reduced to L/M; each output sample uses one of L fixed filter phases,
+     * with the cutoff below the lower of the two Nyquist frequencies so nothing aliases.
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} fromRate - Input sample rate in Hz (a whole number)
+     * @param {number} toRate - Output sample rate in Hz (a whole number)
+     * @param {Object} options - { zeroCrossings (per side, default 16), cutoff (fraction of the
+     *                           lower Nyquist frequency, default 0.95), beta (Kaiser, default 8.6) }
+     * @returns {Float32Array} New samples, ceil(length × toRate / fromRate) of them
+     * @throws {Error} For rates that are not positive whole numbers
+     */
+    static resample(samples, fromRate, toRate, options = {}) {
+        if (!Number.isInteger(fromRate) || !Number.isInteger(toRate) || fromRate <= 0 || toRate <= 0) {
+            throw new Error(`Resampling needs positive whole-number rates, got ${fromRate} Hz to ${toRate} Hz`);
+        }
+        if (fromRate === toRate) {
+            return Float32Array.from(samples);
+        }
+
+        const { zeroCrossings = 16, cutoff = 0.95, beta = 8.6 } = options;
+        const divisor = gcd(fromRate, toRate);
+        const up = toRate / divisor;   // L
+        const down = fromRate / divisor; // M
+
+        // Impulse response in input samples: bandwidth relative to the input Nyquist frequency
+        const bandwidth = Math.min(1, toRate / fromRate) * cutoff;
+        const halfWidth = zeroCrossings / bandwidth;
+        const taps = Math.ceil(halfWidth);
+        const kaiserNorm = besselI0(beta);
+
+        // Weights for input samples base-taps+1 ... base+taps at one fractional offset, summing to 1
+        const phases = new Map();
+        const weightsFor = (phase) => {
+            let weights = phases.get(phase);
+            if (!weights) {
+                const fraction = phase / up;
+                weights = new Float64Array(2 * taps);
+                let sum = 0;
+                for (let j = 0; j < 2 * taps; j++) {
+                    const offset = fraction + taps - 1 - j; // Output time minus input sample time
+                    const ratio = offset / halfWidth;
+                    const weight = Math.abs(ratio) >= 1 ? 0
+                        : bandwidth * sinc(bandwidth * offset) * besselI0(beta * Math.sqrt(1 - ratio * ratio)) / kaiserNorm;
+                    weights[j] = weight;
+                    sum += weight;
+                }
+                for (let j = 0; j < weights.length; j++) {
+                    weights[j] /= sum;
+                }
+                phases.set(phase, weights);
+            }
+            return weights;
+        };
+
+        const length = samples.length;
+        const output = new Float32Array(Math.ceil(length * up / down));
+        for (let n = 0; n < output.length; n++) {
+            const position = n * down;
+            const base = Math.floor(position / up);
+            const weights = weightsFor(position - base * up);
+            const first = base - taps + 1;
+            let value = 0;
+            const start = Math.max(0, -first);
+            const end = Math.min(weights.length, length - first);
+            for (let j = start; j < end; j++) {
+                value += weights[j] * samples[first + j];
+            }
+            output[n] = value;
+        }
+        return output;
+    }
+}
+
+/**
+ * Second-order sections of an even-order Butterworth filter (Audio EQ Cookbook biquads
+ * with the Butterworth pole Qs)
+ * @returns {Array<Object>} [{ b0, b1, b2, a1, a2 }] normalized so a0 is 1
+ */
+function designButterworth(kind, cutoff, sampleRate, order) {
+    if (!(cutoff > 0 && cutoff < sampleRate / 2)) {
+        throw new Error(`Filter cutoff must be between 0 and ${sampleRate / 2} Hz at ${sampleRate} Hz, got ${cutoff}`);
+    }
+    if (!Number.isInteger(order) || order < 2 || order % 2 !== 0) {
+        throw new Error(`Filter order must be an even number of at least 2, got ${order}`);
+    }
+
+    const w0 = 2 * Math.PI * cutoff / sampleRate;
+    const cos = Math.cos(w0);
+    const sections = [];
+    for (let k = 0; k < order / 2; k++) {
+        const q = 1 / (2 * Math.cos((2 * k + 1) * Math.PI / (2 * order)));
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        const edge = kind === 'lowPass' ? (1 - cos) / 2 : (1 + cos) / 2;
+        const middle = kind === 'lowPass' ? 1 - cos : -(1 + cos);
+        sections.push({
+            b0: edge / a0,
+            b1: middle / a0,
+            b2: edge / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        });
+    }
+    return sections;
+}
+
+/**
+ * Run biquad sections over samples, once or forwards then backwards
+ */
+function filter(samples, sections, zeroPhase) {
+    const data = Float64Array.from(samples);
+    const passes = zeroPhase ? [false, true] : [false];
+    for (const reverse of passes) {
+        for (const { b0, b1, b2, a1, a2 } of sections) {
+            // Transposed direct form II
+            let z1 = 0;
+            let z2 = 0;
+            for (let step = 0; step < data.length; step++) {
+                const i = reverse ? data.length - 1 - step : step;
+                const x = data[i];
+                const y = b0 * x + z1;
+                z1 = b1 * x - a1 * y + z2;
+                z2 = b2 * x - a2 * y;
+                data[i] = y;
+            }
+        }
+    }
+    return Float32Array.from(data);
+}
+
+function sinc(x) {
+    if (x === 0) {
+        return 1;
+    }
+    const px = Math.PI * x;
+    return Math.sin(px) / px;
+}
+
+/**
+ * Modified Bessel function of the first kind, order 0, for the Kaiser window
+ */
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const quarterSquare = x * x / 4;
+    for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+        term *= quarterSquare / (k * k);
+        sum += term;
+    }
+    return sum;
+}
+
+function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+export default AudioPreprocessor;
@@ -14,6 +14,8 @@
  * - Quality metrics for section validation
  */
 
+import SampleBuffer from './sample-buffer.js';
+
 class AudioSlicer {
     /**
      * Extract approach and recede sections from audio around closest approach point
@@ -21,11 +23,13 @@ class AudioSlicer {
      * @param {number} sampleRate - Audio sample rate in Hz
      * @param {number} closestApproachIndex - Sample index of closest approach
      * @param {number} duration - Total audio duration in seconds
+     * @param {Object} options - { marginSeconds (default 0.3), maxSectionSeconds (default null, no limit) },
+     *                           usually an analysis profile's `sections`
      * @returns {Object} Object with approach and recede sections
      */
-    static extractSections(samples, sampleRate, closestApproachIndex, duration) {
+    static extractSections(samples, sampleRate, closestApproachIndex, duration, options = {}) {
         // Calculate adaptive margins around closest approach
-        const marginSeconds = Math.min(0.3, duration * 0.2);
+        const marginSeconds = Math.min(options.marginSeconds ?? 0.3, duration * 0.2);
         const marginSamples = Math.floor(marginSeconds * sampleRate);
         const minSectionSamples = 2048;
         
@@ -33,9 +37,16 @@ class AudioSlicer {
         const approachEnd = Math.max(closestApproachIndex - marginSamples, minSectionSamples);
         const recedeStart = Math.min(closestApproachIndex + marginSamples, samples.length - minSectionSamples);
         
+        // Sections stop short of the recording's ends when a maximum length is set
+        const maxSectionSamples = options.maxSectionSeconds
+            ? Math.max(minSectionSamples, Math.floor(options.maxSectionSeconds * sampleRate))
+            : Infinity;
+        const approachStart = Math.max(0, approachEnd - maxSectionSamples);
+        const recedeEnd = Math.min(samples.length, recedeStart + maxSectionSamples);
+        
         // Extract sections
-        const approachSection = samples.slice(0, approachEnd);
-        const recedeSection = samples.slice(recedeStart);
+        const approachSection = SampleBuffer.view(samples, approachStart, approachEnd);
+        const recedeSection = SampleBuffer.view(samples, recedeStart, recedeEnd);
         
         return {
             approaching: approachSection,
@@ -47,8 +58,10 @@ class AudioSlicer {
                 closestApproachIndex,
                 marginSeconds,
                 marginSamples,
+                approachStart,
                 approachEnd,
-                recedeStart
+                recedeStart,
+                recedeEnd
             }
         };
     }
@@ -63,8 +76,8 @@ class AudioSlicer {
         // For short files, use first and last quarters
         const quarterLength = Math.floor(samples.length / 4);
         
-        const approachSection = samples.slice(0, quarterLength);
-        const recedeSection = samples.slice(-quarterLength);
+        const approachSection = SampleBuffer.view(samples, 0, quarterLength);
+        const recedeSection = SampleBuffer.view(samples, -quarterLength);
         
         return {
             approaching: approachSection,
@@ -97,7 +110,7 @@ class AudioSlicer {
             const validStartSample = Math.max(0, startSample);
             const validEndSample = Math.min(samples.length, endSample);
             
-            sections[sectionName] = samples.slice(validStartSample, validEndSample);
+            sections[sectionName] = SampleBuffer.view(samples, validStartSample, validEndSample);
             metadata[sectionName] = {
                 startTime,
                 endTime,
@@ -114,6 +127,36 @@ class AudioSlicer {
         };
     }
     
+    /**
+     * Where each section sits in the full recording
+     * Time-based and closest-approach sections record their own bounds; every other strategy
+     * takes the approach section from the start of the audio and the recede section from the end
+     * @param {Object} sections - Sections object from any extract method
+     * @param {number} totalSamples - Length of the full recording
+     * @returns {Object} { approaching: { startSample, endSample }, receding: { startSample, endSample } }
+     */
+    static getSectionBounds(sections, totalSamples) {
+        const metadata = sections.metadata || {};
+        const timed = Number.isFinite(metadata.approachStart) ? {
+            approaching: { startSample: metadata.approachStart, endSample: metadata.approachEnd },
+            receding: { startSample: metadata.recedeStart, endSample: metadata.recedeEnd }
+        } : metadata;
+        const bounds = (name, fromEnd) => {
+            if (timed[name] && Number.isFinite(timed[name].startSample)) {
+                return { startSample: timed[name].startSample, endSample: timed[name].endSample };
+            }
+            const length = sections[name]?.length || 0;
+            return fromEnd
+                ? { startSample: totalSamples - length, endSample: totalSamples }
+                : { startSample: 0, endSample: length };
+        };
+        
+        return {
+            approaching: bounds('approaching', false),
+            receding: bounds('receding', true)
+        };
+    }
+    
     /**
      * Validate that extracted sections are large enough for analysis
      * @param {Object} sections - Sections object from extractSections
@@ -169,15 +212,16 @@ class AudioSlicer {
      * @param {Array} samples - Audio sample data
      * @param {number} sampleRate - Audio sample rate in Hz
      * @param {number} closestApproachIndex - Optional closest approach index
+     * @param {Object} sectionOptions - Margin and length limits for the closest approach strategy (see extractSections)
      * @returns {Object} Best sections with strategy metadata
      */
-    static extractBestSections(samples, sampleRate, closestApproachIndex = null) {
+    static extractBestSections(samples, sampleRate, closestApproachIndex = null, sectionOptions = {}) {
         const duration = samples.length / sampleRate;
         const strategies = [];
         
         // Strategy 1: Closest approach (if available)
         if (closestApproachIndex !== null && closestApproachIndex > 0 && closestApproachIndex < samples.length) {
-            const sections = this.extractSections(samples, sampleRate, closestApproachIndex, duration);
+            const sections = this.extractSections(samples, sampleRate, closestApproachIndex, duration, sectionOptions);
             const validation = this.validateSections(sections);
             
             strategies.push({
@@ -206,8 +250,8 @@ class AudioSlicer {
         // Strategy 3: Simple quarters (fallback)
         const quarterLength = Math.floor(samples.length / 4);
         const fallbackSections = {
-            approaching: samples.slice(0, quarterLength),
-            receding: samples.slice(-quarterLength),
+            approaching: SampleBuffer.view(samples, 0, quarterLength),
+            receding: SampleBuffer.view(samples, -quarterLength),
             approachDuration: quarterLength / sampleRate,
             recedeDuration: quarterLength / sampleRate,
             strategy: 'simple_quarters'
@@ -260,7 +304,7 @@ class AudioSlicer {
         const halfPoint = Math.floor(samples.length / 2);
         for (let start = 0; start + sectionSamples <= halfPoint; start += stepSamples) {
             sections.approaching.push({
-                samples: samples.slice(start, start + sectionSamples),
+                samples: SampleBuffer.view(samples, start, start + sectionSamples),
                 startTime: start / sampleRate,
                 endTime: (start + sectionSamples) / sampleRate,
                 duration: sectionDuration
@@ -270,7 +314,7 @@ class AudioSlicer {
         // Extract overlapping sections from second half (receding)
         for (let start = halfPoint; start + sectionSamples <= samples.length; start += stepSamples) {
             sections.receding.push({
-                samples: samples.slice(start, start + sectionSamples),
+                samples: SampleBuffer.view(samples, start, start + sectionSamples),
                 startTime: start / sampleRate,
                 endTime: (start + sectionSamples) / sampleRate,
                 duration: sectionDuration
@@ -5,24 +5,46 @@
  * Unified audio processing utilities that work in both web and Node.js environments
  */
 
+import AudioDecoders from './audio-decoders.js';
+import SampleBuffer from './sample-buffer.js';
+
 class AudioProcessor {
     /**
      * Decode Web Audio API AudioBuffer to samples array
      * @param {AudioBuffer} audioBuffer - Web Audio API AudioBuffer
-     * @returns {Object} Audio data with samples array and sample rate
+     * @returns {Object} Audio data with samples (first channel), channels (all of them, the
+     *                   AudioBuffer's own Float32Arrays, not copies) and sample rate
      */
     static decodeAudioBuffer(audioBuffer) {
-        // Get the first channel (mono)
-        const channelData = audioBuffer.getChannelData(0);
-        const samples = Array.from(channelData);
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
         const sampleRate = audioBuffer.sampleRate;
-        return { samples, sampleRate };
+        return { samples: channels[0], channels, sampleRate };
+    }
+    
+    /**
+     * Split interleaved samples (L R L R ...) into one array per channel
+     * @param {Array|Float32Array} interleaved - Interleaved sample data
+     * @param {number} channelCount - Number of channels
+     * @returns {Array<Float32Array>} One sample array per channel
+     */
+    static deinterleave(interleaved, channelCount) {
+        const frames = Math.floor(interleaved.length / channelCount);
+        const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                channels[channel][frame] = interleaved[frame * channelCount + channel];
+            }
+        }
+        return channels;
     }
     
     /**
      * Normalize audio amplitude to prevent clipping
-     * @param {Array} samples - Audio sample data
-     * @returns {Array} Normalized audio samples
+     * @param {Array|Float32Array} samples - Audio sample data
+     * @returns {Array|Float32Array} Normalized audio samples, a Float32Array for typed input
      */
     static normalizeAmplitude(samples) {
         // Find max amplitude without stack overflow
@@ -37,7 +59,7 @@ class AudioProcessor {
         if (maxAmplitude === 0) return samples;
         
         const scaleFactor = 0.95 / maxAmplitude;
-        const normalized = new Array(samples.length);
+        const normalized = ArrayBuffer.isView(samples) ? new Float32Array(samples.length) : new Array(samples.length);
         for (let i = 0; i < samples.length; i++) {
             normalized[i] = samples[i] * scaleFactor;
         }
@@ -46,10 +68,11 @@ class AudioProcessor {
     
     /**
      * Split audio into time-based sections
-     * @param {Array} samples - Audio sample data
+     * @param {Array|Float32Array} samples - Audio sample data
      * @param {number} sampleRate - Sample rate in Hz
      * @param {Object} timeRanges - Object with section names and [startTime, endTime] arrays
      * @returns {Object} Object with section names as keys and sample arrays as values
+     *                   (views into typed input, not copies)
      */
     static extractTimeSections(samples, sampleRate, timeRanges) {
         const sections = {};
@@ -60,19 +83,40 @@ class AudioProcessor {
             const validEndIndex = Math.min(endIndex, samples.length);
             
             if (startIndex < validEndIndex) {
-                sections[sectionName] = samples.slice(startIndex, validEndIndex);
+                sections[sectionName] = SampleBuffer.view(samples, startIndex, validEndIndex);
             } else {
-                sections[sectionName] = [];
+                sections[sectionName] = SampleBuffer.view(samples, 0, 0);
             }
         }
         
         return sections;
     }
     
+    /**
+     * Load and decode an audio file in any format AudioDecoders knows (Node.js only)
+     * @param {string} filePath - Path to the audio file
+     * @param {Object} options - AudioDecoders.decode() options: format, normalize, and for raw PCM
+     *                           sampleRate, channels, bitDepth, encoding and endianness
+     * @returns {Object} Audio data with samples (first channel), channels (all of them), sample rate,
+     *                   channel count, duration and format metadata of the original encoding
+     */
+    static async loadAudioFile(filePath, options = {}) {
+        if (typeof window !== 'undefined') {
+            throw new Error('loadAudioFile is only available in Node.js environment. Use fetch() + decodeAudioBuffer() in browsers.');
+        }
+
+        const fs = (await import('fs')).default;
+        const bytes = fs.readFileSync(filePath);
+        return AudioDecoders.decode(bytes, { fileName: filePath, ...options });
+    }
+
     /**
      * Load and decode a WAV audio file (Node.js only)
+     * Samples keep wavefile's scale: integers as stored, floats in [-1, 1].
+     * Use loadAudioFile() for integer formats scaled to [-1, 1].
      * @param {string} filePath - Path to the WAV file
-     * @returns {Object} Audio data with samples array and sample rate
+     * @returns {Object} Audio data with samples (first channel), channels (all of them), sample rate,
+     *                   channel count, duration and format metadata
      */
     static async loadWavFile(filePath) {
         if (typeof window !== 'undefined') {
@@ -80,15 +124,7 @@ class AudioProcessor {
         }
         
         try {
-            const fs = (await import('fs')).default;
-            const pkg = await import('wavefile');
-            const { WaveFile } = pkg.default;
-            
-            const audioBuffer = fs.readFileSync(filePath);
-            const wav = new WaveFile(audioBuffer);
-            const samples = wav.getSamples(true, Float32Array);
-            const sampleRate = wav.fmt.sampleRate;
-            return { samples: Array.from(samples), sampleRate };
+            return await this.loadAudioFile(filePath, { format: 'wav', normalize: false });
         } catch (error) {
             throw new Error(`Failed to load WAV file: ${error.message}. Make sure 'wavefile' package is installed.`);
         }
@@ -98,31 +134,20 @@ class AudioProcessor {
      * Load raw PCM audio data (Node.js only)
      * @param {string} filePath - Path to the raw audio file
      * @param {number} sampleRate - Sample rate in Hz (default: 48000)
-     * @param {number} channels - Number of channels (default: 1)
-     * @param {number} bitDepth - Bit depth (default: 16)
-     * @returns {Object} Audio data with samples array and sample rate
+     * @param {number} channels - Number of interleaved channels (default: 1)
+     * @param {number} bitDepth - Bits per sample: 8, 16, 24 or 32, or 32/64 for floats (default: 16)
+     * @param {Object} options - Further PcmDecoder layout: encoding ('int' or 'float'),
+     *                           endianness ('little' or 'big'), signed
+     * @returns {Object} Audio data with samples (first channel), channels (all of them), sample rate,
+     *                   channel count, duration and format metadata
      */
-    static async loadRawFile(filePath, sampleRate = 48000, channels = 1, bitDepth = 16) {
+    static async loadRawFile(filePath, sampleRate = 48000, channels = 1, bitDepth = 16, options = {}) {
         if (typeof window !== 'undefined') {
             throw new Error('loadRawFile is only available in Node.js environment.');
         }
         
         try {
-            const fs = (await import('fs')).default;
-            const buffer = fs.readFileSync(filePath);
-            const samples = [];
-            
-            if (bitDepth === 16) {
-                // Read 16-bit signed integers and normalize to [-1, 1]
-                for (let i = 0; i < buffer.length; i += 2) {
-                    if (i + 1 < buffer.length) {
-                        const sample = buffer.readInt16LE(i);
-                        samples.push(sample / 32768.0);
-                    }
-                }
-            }
-            
-            return { samples, sampleRate };
+            return await this.loadAudioFile(filePath, { ...options, format: 'raw', sampleRate, channels, bitDepth });
         } catch (error) {
             throw new Error(`Failed to load raw file: ${error.message}`);
         }
@@ -4,17 +4,154 @@
  * Doppler effect calculator for car speed determination
  * Uses frequency shift between approaching and receding vehicle sounds
  */
+
+import DopplerCurveFitter from './doppler-curve-fitter.js';
+
+/**
+ * Coefficients for Cramer's (1993) speed of sound in humid air.
+ * J. Acoust. Soc. Am. 93(5), 2510-2516. Validated for 0-30°C and 60-110 kPa.
+ */
+const CRAMER_COEFFICIENTS = [
+    331.5024, 0.603055, -0.000528,
+    51.471935, 0.1495874, -0.000782,
+    -1.82e-7, 3.73e-8, -2.93e-10,
+    -85.20931, -0.228525, 5.91e-5,
+    -2.835149, -2.15e-13, 29.179762, 0.000486
+];
+
+const DEFAULT_ENVIRONMENT = {
+    temperature: 20,     // °C
+    humidity: 50,        // % relative humidity
+    pressure: 101325,    // Pa (standard sea-level atmosphere)
+    co2Fraction: 0.0004  // CO2 mole fraction (~400 ppm)
+};
+
 class DopplerSpeedCalculator {
     /**
      * Initialize calculator with physical constants
-     * @param {number} soundSpeed - Speed of sound in m/s (default: 343 at 20°C)
+     * 
+     * When soundSpeed is a number it is used as-is. Otherwise the speed of sound
+     * is derived from the environment: pass an object { temperature, humidity, pressure }
+     * as the first argument, or leave soundSpeed null and give a temperature.
+     * 
+     * @param {number|Object|null} soundSpeed - Fixed speed of sound in m/s, or environment object (default: derived)
      * @param {number} temperature - Ambient temperature in Celsius (default: 20)
      */
-    constructor(soundSpeed = 343, temperature = 20) {
-        this.soundSpeed = soundSpeed;
-        this.ambientTemperature = temperature;
+    constructor(soundSpeed = null, temperature = 20) {
         this.maxReasonableSpeed = 300; // km/h - upper limit for reasonable car speeds
         this.minReasonableSpeed = 0;   // km/h - lower limit
+        
+        if (typeof soundSpeed === 'number') {
+            this.setSoundSpeed(soundSpeed, temperature);
+        } else if (soundSpeed && typeof soundSpeed === 'object') {
+            this.setEnvironment(soundSpeed);
+        } else {
+            this.setEnvironment({ temperature });
+        }
+    }
+    
+    /**
+     * Calculate the speed of sound in humid air (Cramer 1993)
+     * @param {number} temperature - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in percent (0-100, default: 50)
+     * @param {number} pressure - Atmospheric pressure in Pa (default: 101325)
+     * @param {number} co2Fraction - CO2 mole fraction (default: 0.0004)
+     * @returns {number} Speed of sound in m/s
+     */
+    static calculateSoundSpeed(temperature, humidity = DEFAULT_ENVIRONMENT.humidity,
+                               pressure = DEFAULT_ENVIRONMENT.pressure,
+                               co2Fraction = DEFAULT_ENVIRONMENT.co2Fraction) {
+        const t = temperature;
+        const p = pressure;
+        const kelvin = t + 273.15;
+        
+        // Saturation vapour pressure (Pa) and enhancement factor (Davis 1992)
+        const saturationPressure = Math.exp(
+            1.2811805e-5 * kelvin * kelvin - 1.9509874e-2 * kelvin + 34.04926034 - 6.3536311e3 / kelvin
+        );
+        const enhancement = 1.00062 + 3.14e-8 * p + 5.6e-7 * t * t;
+        
+        // Mole fraction of water vapour
+        const xw = (humidity / 100) * enhancement * saturationPressure / p;
+        const xc = co2Fraction;
+        const a = CRAMER_COEFFICIENTS;
+        
+        return a[0] + a[1] * t + a[2] * t * t +
+               (a[3] + a[4] * t + a[5] * t * t) * xw +
+               (a[6] + a[7] * t + a[8] * t * t) * p +
+               (a[9] + a[10] * t + a[11] * t * t) * xc +
+               a[12] * xw * xw + a[13] * p * p + a[14] * xc * xc +
+               a[15] * xw * p * xc;
+    }
+    
+    /**
+     * Set atmospheric conditions and recompute the speed of sound
+     * Omitted fields keep their current values
+     * @param {Object} environment - Atmospheric conditions
+     * @param {number} environment.temperature - Air temperature in Celsius
+     * @param {number} environment.humidity - Relative humidity in percent (0-100)
+     * @param {number} environment.pressure - Atmospheric pressure in Pa
+     * @returns {Object} The environment now in effect, including the derived soundSpeed
+     */
+    setEnvironment(environment = {}) {
+        const current = this.environment || DEFAULT_ENVIRONMENT;
+        const merged = {
+            temperature: environment.temperature ?? current.temperature,
+            humidity: environment.humidity ?? current.humidity,
+            pressure: environment.pressure ?? current.pressure,
+            co2Fraction: environment.co2Fraction ?? current.co2Fraction
+        };
+        
+        if (!Number.isFinite(merged.temperature) || merged.temperature <= -273.15) {
+            throw new Error(`Invalid temperature: ${merged.temperature}°C`);
+        }
+        if (!Number.isFinite(merged.humidity) || merged.humidity < 0 || merged.humidity > 100) {
+            throw new Error(`Invalid relative humidity: ${merged.humidity}% (expected 0-100)`);
+        }
+        if (!Number.isFinite(merged.pressure) || merged.pressure <= 0) {
+            throw new Error(`Invalid pressure: ${merged.pressure} Pa`);
+        }
+        
+        this.environment = merged;
+        this.ambientTemperature = merged.temperature;
+        this.soundSpeed = DopplerSpeedCalculator.calculateSoundSpeed(
+            merged.temperature, merged.humidity, merged.pressure, merged.co2Fraction
+        );
+        this.soundSpeedSource = 'environment';
+        
+        return this.getEnvironment();
+    }
+    
+    /**
+     * Use a fixed speed of sound instead of deriving it from the environment
+     * @param {number} soundSpeed - Speed of sound in m/s
+     * @param {number} temperature - Ambient temperature in Celsius (informational)
+     */
+    setSoundSpeed(soundSpeed, temperature = this.ambientTemperature ?? DEFAULT_ENVIRONMENT.temperature) {
+        if (!Number.isFinite(soundSpeed) || soundSpeed <= 0) {
+            throw new Error(`Invalid speed of sound: ${soundSpeed} m/s`);
+        }
+        
+        this.soundSpeed = soundSpeed;
+        this.ambientTemperature = temperature;
+        this.environment = { ...DEFAULT_ENVIRONMENT, temperature };
+        this.soundSpeedSource = 'fixed';
+    }
+    
+    /**
+     * Get the atmospheric conditions and speed of sound currently in use
+     * @returns {Object} { temperature, humidity, pressure, co2Fraction, soundSpeed, source, withinValidatedRange }
+     */
+    getEnvironment() {
+        return {
+            ...this.environment,
+            soundSpeed: this.soundSpeed,
+            source: this.soundSpeedSource,
+            withinValidatedRange: this.soundSpeedSource === 'fixed' || (
+                this.environment.temperature >= 0 && this.environment.temperature <= 30 &&
+                this.environment.pressure >= 60000 && this.environment.pressure <= 110000
+            )
+        };
     }
     
     /**
@@ -22,6 +159,9 @@ class DopplerSpeedCalculator {
      * Uses the formula: v = c * (f1 - f2) / (f1 + f2)
      * where f1 = approaching frequency, f2 = receding frequency, c = sound speed
      * 
+     * Only exact for a source moving straight at the microphone; a vehicle passing at a
+     * distance never reaches the full shift. Use fitDopplerCurve() when a frequency track is available.
+     * 
      * @param {number} approachingFrequency - Frequency when vehicle approaches (Hz)
      * @param {number} recedingFrequency - Frequency when vehicle recedes (Hz)
      * @returns {number} Car speed in km/h (0 if calculation invalid)
@@ -43,21 +183,46 @@ class DopplerSpeedCalculator {
         return speedKmh;
     }
     
+    /**
+     * Propagate frequency uncertainty to the two-point speed
+     * First-order error propagation through v = c(f1 − f2)/(f1 + f2):
+     * ∂v/∂f1 = 2c·f2/(f1 + f2)², ∂v/∂f2 = −2c·f1/(f1 + f2)²
+     * 
+     * @param {number} approachingFrequency - Approach frequency (Hz)
+     * @param {number} recedingFrequency - Recede frequency (Hz)
+     * @param {number} approachUncertainty - 1σ uncertainty of the approach frequency (Hz)
+     * @param {number} recedeUncertainty - 1σ uncertainty of the recede frequency (Hz)
+     * @returns {number} 1σ speed uncertainty in km/h
+     */
+    calculateSpeedUncertainty(approachingFrequency, recedingFrequency, approachUncertainty, recedeUncertainty) {
+        const sum = approachingFrequency + recedingFrequency;
+        const dApproach = 2 * this.soundSpeed * recedingFrequency / (sum * sum);
+        const dRecede = 2 * this.soundSpeed * approachingFrequency / (sum * sum);
+        const speedMs = Math.sqrt((dApproach * approachUncertainty) ** 2 + (dRecede * recedeUncertainty) ** 2);
+        return speedMs * 3.6;
+    }
+    
     /**
      * Calculate speed with error handling and validation
+     * Every result reports the speed of sound used, so its contribution to the error is visible
      * @param {number} f1 - First frequency measurement (Hz)
      * @param {number} f2 - Second frequency measurement (Hz) 
-     * @returns {Object} Result object with speedKMH, speedMPH, validity, and error info
+     * @returns {Object} Result object with speedKMH, speedMPH, validity, error info and soundSpeed/environment
      */
     calculateSpeedWithValidation(f1, f2) {
+        const soundSpeedInfo = {
+            soundSpeed: this.soundSpeed,
+            environment: this.getEnvironment()
+        };
+        
         try {
             // Basic frequency validation
             if (f1 <= 0 || f2 <= 0) {
-                return { speedKMH: 0, speedMPH: 0, valid: false, error: 'Invalid frequency values' };
+                return { speedKMH: 0, speedMPH: 0, valid: false, error: 'Invalid frequency values', ...soundSpeedInfo };
             }
             
             if (Math.abs(f1 - f2) < 1) {
-                return { speedKMH: 0, speedMPH: 0, valid: false, error: 'Frequency difference too small' };
+                return { speedKMH: 0, speedMPH: 0, valid: false, error: 'Frequency difference too small', ...soundSpeedInfo };
             }
             
             const speedKMH = this.calculateSpeed(f1, f2);
@@ -69,12 +234,169 @@ class DopplerSpeedCalculator {
                 valid: speedKMH > 0,
                 error: speedKMH === 0 ? 'Speed outside reasonable range' : null,
                 frequencyShift: Math.abs(f1 - f2),
-                relativeFactor: Math.abs(f1 - f2) / Math.max(f1, f2)
+                relativeFactor: Math.abs(f1 - f2) / Math.max(f1, f2),
+                ...soundSpeedInfo
             };
             
         } catch (error) {
-            return { speedKMH: 0, speedMPH: 0, valid: false, error: error.message };
+            return { speedKMH: 0, speedMPH: 0, valid: false, error: error.message, ...soundSpeedInfo };
+        }
+    }
+    
+    /**
+     * Calculate speed by fitting the full Doppler S-curve to a frequency track
+     * Solves for source frequency, speed, closest-approach time and perpendicular distance
+     * @param {Array} points - [{ time, frequency }] track points, e.g. from FrequencyTracker
+     * @param {Object} options - DopplerCurveFitter options
+     * @returns {Object} Fit result plus speedKMH, speedMPH, valid and soundSpeed/environment
+     */
+    fitDopplerCurve(points, options = {}) {
+        const fit = new DopplerCurveFitter(this.soundSpeed, options).fit(points);
+        const soundSpeedInfo = {
+            soundSpeed: this.soundSpeed,
+            environment: this.getEnvironment()
+        };
+        
+        if (!fit.success) {
+            return { ...fit, speedKMH: 0, speedMPH: 0, valid: false, ...soundSpeedInfo };
+        }
+        
+        const withinLimits = fit.speedKmh < this.maxReasonableSpeed && fit.speedKmh >= this.minReasonableSpeed;
+        return {
+            ...fit,
+            speedKMH: fit.speedKmh,
+            speedMPH: fit.speedMph,
+            valid: withinLimits,
+            error: withinLimits ? null : 'Speed outside reasonable range',
+            ...soundSpeedInfo
+        };
+    }
+    
+    /**
+     * Two-point speed corrected for the microphone's distance from the road
+     * The microphone hears only the radial component v·cosθ, where θ is the angle between the
+     * vehicle's path and the line to the microphone. For a window centred t seconds from closest
+     * approach, cosθ = v|t| / √((v t)² + D²). With R = f1/f2 the corrected speed solves
+     * v = c(R − 1)/(R·cosθ1 + cosθ2), found by bisection because θ depends on v.
+     * 
+     * @param {number} approachingFrequency - Approach frequency (Hz)
+     * @param {number} recedingFrequency - Recede frequency (Hz)
+     * @param {Object} geometry - Observation geometry:
+     *   lateralDistance (m; estimated from `track` when omitted),
+     *   approachWindow, recedeWindow ([start, end] in seconds),
+     *   closestApproachTime (s, same clock as the windows; default 0, or the track fit's when estimating),
+     *   track ([{ time, frequency }], for estimating the distance), curveFit (DopplerCurveFitter options)
+     * @returns {Object} { valid, error, speedKMH, speedMPH, uncorrectedSpeedKMH, uncorrectedSpeedMPH, lateralDistance,
+     *   distanceSource ('given' | 'estimated'), distanceUncertainty, closestApproachTime, approachAngle, recedeAngle (degrees),
+     *   cosineFactor (uncorrected / corrected), warning } plus soundSpeed/environment
+     */
+    calculateSpeedWithGeometry(approachingFrequency, recedingFrequency, geometry = {}) {
+        const uncorrectedSpeedKMH = this.calculateSpeed(approachingFrequency, recedingFrequency);
+        const result = {
+            valid: false,
+            error: null,
+            speedKMH: 0,
+            speedMPH: 0,
+            uncorrectedSpeedKMH,
+            uncorrectedSpeedMPH: uncorrectedSpeedKMH * 0.621371,
+            lateralDistance: null,
+            distanceSource: null,
+            distanceUncertainty: null,
+            closestApproachTime: null,
+            approachAngle: null,
+            recedeAngle: null,
+            cosineFactor: null,
+            warning: null,
+            soundSpeed: this.soundSpeed,
+            environment: this.getEnvironment()
+        };
+        
+        if (uncorrectedSpeedKMH <= 0) {
+            result.error = 'No valid speed from the frequencies';
+            return result;
+        }
+        if (!geometry.approachWindow || !geometry.recedeWindow) {
+            result.error = 'Approach and recede window times are required';
+            return result;
+        }
+        
+        let closestApproachTime = geometry.closestApproachTime;
+        if (Number.isFinite(geometry.lateralDistance) && geometry.lateralDistance > 0) {
+            result.lateralDistance = geometry.lateralDistance;
+            result.distanceSource = 'given';
+        } else {
+            const estimate = this.estimateLateralDistance(geometry.track || [], geometry.curveFit);
+            if (!estimate.valid) {
+                result.error = `Lateral distance not given and could not be estimated: ${estimate.error}`;
+                return result;
+            }
+            result.lateralDistance = estimate.distance;
+            result.distanceSource = 'estimated';
+            result.distanceUncertainty = estimate.distanceUncertainty;
+            closestApproachTime = closestApproachTime ?? estimate.closestApproachTime;
+        }
+        result.closestApproachTime = closestApproachTime ?? 0;
+        
+        const centre = ([start, end]) => (start + end) / 2 - result.closestApproachTime;
+        const approachOffset = centre(geometry.approachWindow);
+        const recedeOffset = centre(geometry.recedeWindow);
+        if (approachOffset >= 0 || recedeOffset <= 0) {
+            result.warning = 'Windows are not either side of closest approach';
         }
+        
+        const distance = result.lateralDistance;
+        const cosine = (speed, offset) => {
+            const along = speed * Math.abs(offset);
+            return along > 0 ? along / Math.hypot(along, distance) : 0;
+        };
+        const ratio = approachingFrequency / recedingFrequency;
+        const excess = speed => speed * (ratio * cosine(speed, approachOffset) + cosine(speed, recedeOffset)) -
+                                this.soundSpeed * (ratio - 1);
+        
+        // excess() rises with speed; the uncorrected speed (cosθ = 1) is a lower bound
+        let low = uncorrectedSpeedKMH / 3.6;
+        let high = low;
+        while (excess(high) < 0 && high < this.soundSpeed) high *= 2;
+        if (excess(high) < 0) {
+            result.error = 'Windows too close to closest approach for the angle correction';
+            return result;
+        }
+        for (let i = 0; i < 60; i++) {
+            const middle = (low + high) / 2;
+            if (excess(middle) < 0) low = middle; else high = middle;
+        }
+        
+        const speedMs = (low + high) / 2;
+        const angle = offset => Math.acos(cosine(speedMs, offset)) * 180 / Math.PI;
+        result.speedKMH = speedMs * 3.6;
+        result.speedMPH = result.speedKMH * 0.621371;
+        result.approachAngle = angle(approachOffset);
+        result.recedeAngle = angle(recedeOffset);
+        result.cosineFactor = uncorrectedSpeedKMH / result.speedKMH;
+        result.valid = result.speedKMH < this.maxReasonableSpeed && result.speedKMH >= this.minReasonableSpeed;
+        result.error = result.valid ? null : 'Speed outside reasonable range';
+        return result;
+    }
+    
+    /**
+     * Perpendicular distance from the shape of the frequency transition
+     * A nearby vehicle's frequency drops sharply at closest approach; a distant one's drops
+     * gradually. The S-curve fit recovers the distance together with the speed.
+     * @param {Array} points - [{ time, frequency }] track points, e.g. from FrequencyTracker
+     * @param {Object} options - DopplerCurveFitter options
+     * @returns {Object} { valid, error, distance, distanceUncertainty, closestApproachTime, fit }
+     */
+    estimateLateralDistance(points, options = {}) {
+        const fit = this.fitDopplerCurve(points, options);
+        const valid = fit.success === true && Number.isFinite(fit.distance) && fit.distance > 0;
+        return {
+            valid,
+            error: valid ? null : (fit.error || 'S-curve fit gave no distance'),
+            distance: valid ? fit.distance : null,
+            distanceUncertainty: valid ? fit.uncertainty.distance : null,
+            closestApproachTime: valid ? fit.closestApproachTime : null,
+            fit
+        };
     }
     
     /**
@@ -96,4 +418,4 @@ class DopplerSpeedCalculator {
     }
 }
 
-export default DopplerSpeedCalculator;
\ No newline at end of file
+export default DopplerSpeedCalculator;
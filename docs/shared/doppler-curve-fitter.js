@@ -0,0 +1,410 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Doppler S-curve fitting for a source driving past the microphone
+ * Fits f(t) = f0·c / (c − v·cosθ(t)) to a frequency track, where θ is the angle between
+ * the direction of travel and the line to the microphone. Unlike the two-point formula
+ * this accounts for the perpendicular distance of the road from the microphone.
+ * Sound propagation delay is ignored; it shifts the curve in time by about distance / c.
+ * When every track point carries a frequencyUncertainty the fit is weighted by 1/σ², so the
+ * peak interpolation error carries through to the speed error bars.
+ */
+
+const PARAMETER_NAMES = ['sourceFrequency', 'speedMs', 'closestApproachTime', 'distance'];
+
+const DEFAULT_FIT_OPTIONS = {
+    minPoints: 8,              // Fewer track points than this cannot constrain four parameters
+    maxIterations: 100,
+    minDistance: 0.5,          // metres
+    maxDistance: 100,          // metres
+    startDistances: [1, 2.5, 5, 10, 20], // Extra starting guesses for the distance
+    outlierThreshold: 3.5,     // Robust z-score above which a point is dropped before refitting
+    edgeFraction: 0.2          // Fraction of the track used at each end for the initial guess
+};
+
+class DopplerCurveFitter {
+    /**
+     * @param {number} soundSpeed - Speed of sound in m/s
+     * @param {Object} options - Overrides for DEFAULT_FIT_OPTIONS
+     */
+    constructor(soundSpeed = 343, options = {}) {
+        this.soundSpeed = soundSpeed;
+        this.options = { ...DEFAULT_FIT_OPTIONS, ...options };
+    }
+
+    /**
+     * Observed frequency of a passing source
+     * @param {number} time - Time in seconds
+     * @param {Array} params - [sourceFrequency, speedMs, closestApproachTime, distance]
+     * @param {number} soundSpeed - Speed of sound in m/s
+     * @returns {number} Frequency in Hz
+     */
+    static model(time, params, soundSpeed) {
+        const [f0, v, t0, d] = params;
+        const along = v * (t0 - time); // Positive while approaching
+        const cosTheta = along / Math.sqrt(along * along + d * d);
+        return f0 * soundSpeed / (soundSpeed - v * cosTheta);
+    }
+
+    /**
+     * Fit the S-curve to a frequency track
+     * @param {Array} trackPoints - [{ time, frequency, frequencyUncertainty? }] e.g. FrequencyTracker track points
+     * @returns {Object} Fitted parameters with residuals and standard errors
+     */
+    fit(trackPoints) {
+        const { minPoints, outlierThreshold } = this.options;
+
+        if (!trackPoints || trackPoints.length < minPoints) {
+            return this.createFailedFit(`Need at least ${minPoints} track points, got ${trackPoints ? trackPoints.length : 0}`);
+        }
+
+        const weighted = trackPoints.every(point => point.frequencyUncertainty > 0 && Number.isFinite(point.frequencyUncertainty));
+        const points = trackPoints.map(point => ({
+            time: point.time,
+            frequency: point.frequency,
+            weight: weighted ? 1 / (point.frequencyUncertainty * point.frequencyUncertainty) : 1
+        }));
+
+        const initial = this.estimateInitialParameters(points);
+        if (!initial) {
+            return this.createFailedFit('Track does not fall in frequency; no pass-by to fit');
+        }
+
+        let fit = this.fitFromStarts(points, initial);
+
+        // One round of outlier rejection using the median absolute deviation of the (normalised) residuals
+        const residuals = points.map(point =>
+            (point.frequency - DopplerCurveFitter.model(point.time, fit.params, this.soundSpeed)) * Math.sqrt(point.weight));
+        const mad = median(residuals.map(r => Math.abs(r - median(residuals)))) * 1.4826;
+        let used = points;
+        if (mad > 0) {
+            const kept = points.filter((point, i) => Math.abs(residuals[i]) / mad <= outlierThreshold);
+            if (kept.length >= minPoints && kept.length < points.length) {
+                used = kept;
+                fit = this.fitFromStarts(used, fit.params);
+            }
+        }
+
+        return this.summarizeFit(used, fit, points.length - used.length, weighted);
+    }
+
+    /**
+     * Initial guess from the track ends and the slope through the middle
+     * The ends give f0 and v exactly for a distant pass; the slope at closest approach
+     * is −f0·v² / (c·d), which gives the distance
+     * @param {Array} points - [{ time, frequency }]
+     * @returns {Array|null} [f0, v, t0, d] or null when the track does not fall
+     */
+    estimateInitialParameters(points) {
+        const c = this.soundSpeed;
+        const edgeCount = Math.max(2, Math.floor(points.length * this.options.edgeFraction));
+        const high = median(points.slice(0, edgeCount).map(point => point.frequency));
+        const low = median(points.slice(-edgeCount).map(point => point.frequency));
+
+        if (!(high > low)) {
+            return null;
+        }
+
+        const f0 = 2 * high * low / (high + low);
+        const v = c * (high - low) / (high + low);
+
+        // Closest approach: first crossing of f0
+        let t0 = points[Math.floor(points.length / 2)].time;
+        for (let i = 1; i < points.length; i++) {
+            if (points[i - 1].frequency >= f0 && points[i].frequency < f0) {
+                const span = points[i - 1].frequency - points[i].frequency;
+                const fraction = (points[i - 1].frequency - f0) / span;
+                t0 = points[i - 1].time + fraction * (points[i].time - points[i - 1].time);
+                break;
+            }
+        }
+
+        // Least-squares slope of the points within a quarter of the track duration of t0
+        const halfWindow = (points[points.length - 1].time - points[0].time) / 8;
+        const near = points.filter(point => Math.abs(point.time - t0) <= halfWindow);
+        let d = 5;
+        if (near.length >= 3) {
+            const meanT = near.reduce((sum, point) => sum + point.time, 0) / near.length;
+            const meanF = near.reduce((sum, point) => sum + point.frequency, 0) / near.length;
+            let numerator = 0;
+            let denominator = 0;
+            for (const point of near) {
+                numerator += (point.time - meanT) * (point.frequency - meanF);
+                denominator += (point.time - meanT) ** 2;
+            }
+            const slope = denominator > 0 ? numerator / denominator : 0;
+            if (slope < 0) {
+                d = f0 * v * v / (c * -slope);
+            }
+        }
+
+        return [f0, v, t0, this.clampDistance(d)];
+    }
+
+    /**
+     * Run Levenberg-Marquardt from the initial guess and from each start distance, keep the best
+     */
+    fitFromStarts(points, initial) {
+        let best = this.levenbergMarquardt(points, initial);
+        for (const distance of this.options.startDistances) {
+            const candidate = this.levenbergMarquardt(points, [initial[0], initial[1], initial[2], distance]);
+            if (candidate.ssr < best.ssr) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Levenberg-Marquardt least squares with Marquardt diagonal scaling
+     * @param {Array} points - [{ time, frequency }]
+     * @param {Array} start - Starting parameters
+     * @returns {Object} { params, ssr, iterations, converged }
+     */
+    levenbergMarquardt(points, start) {
+        const c = this.soundSpeed;
+        let params = this.constrain(start.slice());
+        let ssr = this.sumSquaredResiduals(points, params);
+        let lambda = 1e-3;
+        let converged = false;
+        let iteration = 0;
+
+        for (; iteration < this.options.maxIterations; iteration++) {
+            const { JtJ, Jtr } = this.normalEquations(points, params);
+
+            let improved = false;
+            while (lambda < 1e10) {
+                const damped = JtJ.map((row, i) => row.map((value, j) => (i === j ? value * (1 + lambda) : value)));
+                const step = solveLinearSystem(damped, Jtr);
+                if (!step) {
+                    lambda *= 10;
+                    continue;
+                }
+
+                const trial = this.constrain(params.map((value, i) => value + step[i]));
+                const trialSsr = this.sumSquaredResiduals(points, trial);
+                if (trialSsr < ssr) {
+                    const relativeChange = (ssr - trialSsr) / Math.max(ssr, 1e-30);
+                    params = trial;
+                    ssr = trialSsr;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = true;
+                    converged = relativeChange < 1e-10;
+                    break;
+                }
+                lambda *= 10;
+            }
+
+            if (!improved) {
+                converged = true; // No downhill step left
+                break;
+            }
+            if (converged) break;
+        }
+
+        return { params, ssr, iterations: iteration, converged, soundSpeed: c };
+    }
+
+    /**
+     * JᵀJ and Jᵀr using the analytic Jacobian of the model
+     */
+    normalEquations(points, params) {
+        const c = this.soundSpeed;
+        const [f0, v, t0, d] = params;
+        const JtJ = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+        const Jtr = [0, 0, 0, 0];
+
+        for (const point of points) {
+            const tau = t0 - point.time;
+            const along = v * tau;
+            const r = Math.sqrt(along * along + d * d);
+            const r3 = r * r * r;
+            const cosTheta = along / r;
+            const denominator = c - v * cosTheta;
+            const fitted = f0 * c / denominator;
+            const g = f0 * c / (denominator * denominator); // ∂f/∂(v·cosθ)
+
+            const row = [
+                c / denominator,
+                g * (cosTheta + v * d * d * tau / r3),
+                g * v * v * d * d / r3,
+                -g * v * along * d / r3
+            ];
+            const residual = point.frequency - fitted;
+            const weight = point.weight ?? 1;
+
+            for (let i = 0; i < 4; i++) {
+                Jtr[i] += weight * row[i] * residual;
+                for (let j = 0; j < 4; j++) {
+                    JtJ[i][j] += weight * row[i] * row[j];
+                }
+            }
+        }
+
+        return { JtJ, Jtr };
+    }
+
+    sumSquaredResiduals(points, params) {
+        let ssr = 0;
+        for (const point of points) {
+            const residual = point.frequency - DopplerCurveFitter.model(point.time, params, this.soundSpeed);
+            ssr += (point.weight ?? 1) * residual * residual;
+        }
+        return ssr;
+    }
+
+    /**
+     * Keep parameters physical: positive frequency, subsonic forward speed, distance in range
+     */
+    constrain(params) {
+        params[0] = Math.max(params[0], 1);
+        params[1] = Math.min(Math.max(params[1], 0.01), this.soundSpeed * 0.9);
+        params[3] = this.clampDistance(params[3]);
+        return params;
+    }
+
+    clampDistance(distance) {
+        return Math.min(Math.max(Math.abs(distance), this.options.minDistance), this.options.maxDistance);
+    }
+
+    /**
+     * Residuals, goodness of fit and parameter standard errors
+     * Unweighted: s²·(JᵀJ)⁻¹. Weighted: (JᵀWJ)⁻¹, inflated by the reduced χ² when the
+     * scatter is larger than the point uncertainties claim
+     */
+    summarizeFit(points, fit, outliersRemoved, weighted) {
+        const [f0, v, t0, d] = fit.params;
+        const residuals = points.map(point => {
+            const fitted = DopplerCurveFitter.model(point.time, fit.params, this.soundSpeed);
+            return { time: point.time, observed: point.frequency, fitted, residual: point.frequency - fitted };
+        });
+
+        const unweightedSsr = residuals.reduce((sum, r) => sum + r.residual * r.residual, 0);
+        const meanFrequency = points.reduce((sum, point) => sum + point.frequency, 0) / points.length;
+        const totalVariance = points.reduce((sum, point) => sum + (point.frequency - meanFrequency) ** 2, 0);
+        const degreesOfFreedom = points.length - PARAMETER_NAMES.length;
+        const reducedChiSquare = fit.ssr / degreesOfFreedom;
+        const scale = weighted ? Math.max(1, reducedChiSquare) : reducedChiSquare;
+
+        const { JtJ } = this.normalEquations(points, fit.params);
+        const inverse = invertMatrix(JtJ);
+        const covariance = inverse ? inverse.map(row => row.map(value => value * scale)) : null;
+        const standardError = i => (covariance && covariance[i][i] >= 0 ? Math.sqrt(covariance[i][i]) : null);
+
+        const speedError = standardError(1);
+        const uncertainty = {
+            sourceFrequency: standardError(0),
+            speedMs: speedError,
+            speedKmh: speedError !== null ? speedError * 3.6 : null,
+            speedMph: speedError !== null ? speedError * 2.236936 : null,
+            closestApproachTime: standardError(2),
+            distance: standardError(3)
+        };
+
+        return {
+            success: true,
+            error: null,
+            sourceFrequency: f0,
+            speedMs: v,
+            speedKmh: v * 3.6,
+            speedMph: v * 2.236936,
+            closestApproachTime: t0,
+            distance: d,
+            residuals,
+            rmsResidual: Math.sqrt(unweightedSsr / points.length),
+            rSquared: totalVariance > 0 ? 1 - unweightedSsr / totalVariance : 0,
+            weighted,
+            reducedChiSquare: weighted ? reducedChiSquare : null,
+            uncertainty,
+            covariance,
+            parameterNames: PARAMETER_NAMES,
+            iterations: fit.iterations,
+            converged: fit.converged,
+            pointsUsed: points.length,
+            outliersRemoved,
+            soundSpeed: this.soundSpeed
+        };
+    }
+
+    createFailedFit(error) {
+        return {
+            success: false,
+            error,
+            sourceFrequency: null,
+            speedMs: null,
+            speedKmh: null,
+            speedMph: null,
+            closestApproachTime: null,
+            distance: null,
+            residuals: [],
+            rmsResidual: null,
+            rSquared: null,
+            weighted: false,
+            reducedChiSquare: null,
+            uncertainty: null,
+            covariance: null,
+            parameterNames: PARAMETER_NAMES,
+            iterations: 0,
+            converged: false,
+            pointsUsed: 0,
+            outliersRemoved: 0,
+            soundSpeed: this.soundSpeed
+        };
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Gaussian elimination with partial pivoting
+ * @returns {Array|null} Solution, or null for a singular system
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-300) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * x[k];
+        }
+        x[row] = sum / a[row][row];
+    }
+    return x.every(Number.isFinite) ? x : null;
+}
+
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const columns = [];
+    for (let i = 0; i < n; i++) {
+        const unit = new Array(n).fill(0);
+        unit[i] = 1;
+        const column = solveLinearSystem(matrix, unit);
+        if (!column) return null;
+        columns.push(column);
+    }
+    return matrix.map((row, i) => columns.map(column => column[i]));
+}
+
+export default DopplerCurveFitter;
@@ -0,0 +1,132 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * ffmpeg decoder
+ * AAC and the other codecs phones record into .m4a and .mp4 files, decoded by running
+ * ffmpeg (Node.js only). The file goes to ffmpeg through a temporary file, because the
+ * index of a phone recording is often at its end, where ffmpeg cannot seek in a pipe.
+ * ffmpeg writes 32-bit float WAV to stdout, keeping every channel and the sample rate.
+ */
+
+import PcmDecoder from './pcm-decoder.js';
+
+/**
+ * ffmpeg arguments after the input file: first audio stream, as float WAV on stdout
+ */
+const OUTPUT_ARGUMENTS = ['-map', '0:a:0', '-c:a', 'pcm_f32le', '-f', 'wav', 'pipe:1'];
+
+// ISO base media file types (bytes 8-12 after 'ftyp') of audio and video recordings
+const ISO_MEDIA_BRANDS = ['M4A ', 'M4B ', 'mp41', 'mp42', 'isom', 'iso2', 'dash', '3gp4', '3gp5', 'qt  '];
+
+class FfmpegDecoder {
+    /**
+     * Whether bytes start like an MPEG-4 (ISO base media) file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for an 'ftyp' box with a known brand
+     */
+    static detect(bytes) {
+        return bytes.length >= 12 && ascii(bytes, 4, 8) === 'ftyp' && ISO_MEDIA_BRANDS.includes(ascii(bytes, 8, 12));
+    }
+
+    /**
+     * The ffmpeg command to run
+     * @param {Object} options - { ffmpegPath }
+     * @returns {string} options.ffmpegPath, else the FFMPEG_PATH environment variable, else 'ffmpeg'
+     */
+    static getCommand(options = {}) {
+        return options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    }
+
+    /**
+     * Decode a whole file with ffmpeg
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} options - { ffmpegPath } (default: FFMPEG_PATH, then 'ffmpeg' on the PATH)
+     * @returns {Promise<Object>} { channels, sampleRate, format: { encoding, bitDepth } }, with
+     *                            encoding the codec ffmpeg reports ('aac', 'alac', ...)
+     * @throws {Error} When ffmpeg is not installed, or fails on the data
+     */
+    static async decode(bytes, options = {}) {
+        const command = FfmpegDecoder.getCommand(options);
+        const [{ execFile }, fs, os, path] = await Promise.all([
+            import('child_process'), import('fs'), import('os'), import('path')
+        ]);
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-decoder-'));
+        try {
+            const inputPath = path.join(directory, 'input');
+            fs.writeFileSync(inputPath, bytes);
+            const { stdout, stderr } = await new Promise((resolve, reject) => {
+                execFile(command, ['-hide_banner', '-nostdin', '-i', inputPath, ...OUTPUT_ARGUMENTS],
+                    { encoding: 'buffer', maxBuffer: 1 << 30 },
+                    (error, stdout, stderr) => error
+                        ? reject(FfmpegDecoder.describeError(error, command, stderr.toString()))
+                        : resolve({ stdout, stderr: stderr.toString() }));
+            });
+
+            const wav = FfmpegDecoder.readWav(new Uint8Array(stdout.buffer, stdout.byteOffset, stdout.byteLength));
+            const decoded = PcmDecoder.decode(wav.data, {
+                sampleRate: wav.sampleRate,
+                channels: wav.channels,
+                bitDepth: 32,
+                encoding: 'float'
+            });
+            return {
+                channels: decoded.channels,
+                sampleRate: decoded.sampleRate,
+                format: {
+                    encoding: /Stream #\d+:\d+.*?: Audio: (\w+)/.exec(stderr)?.[1] || 'unknown',
+                    bitDepth: 32
+                }
+            };
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Channel count, sample rate and sample bytes of the WAV ffmpeg streams out.
+     * Streamed WAV has no sizes in its header, so the data runs to the end.
+     * @param {Uint8Array} bytes - WAV file contents
+     * @returns {Object} { channels, sampleRate, data }
+     * @throws {Error} When the output is not WAV with a fmt and a data chunk
+     */
+    static readWav(bytes) {
+        if (bytes.length < 12 || ascii(bytes, 0, 4) !== 'RIFF' || ascii(bytes, 8, 12) !== 'WAVE') {
+            throw new Error('ffmpeg did not write WAV audio');
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let format = null;
+        let position = 12;
+        while (position + 8 <= bytes.length) {
+            const id = ascii(bytes, position, position + 4);
+            const size = view.getUint32(position + 4, true);
+            const body = position + 8;
+            if (id === 'fmt ') {
+                format = { channels: view.getUint16(body + 2, true), sampleRate: view.getUint32(body + 4, true) };
+            } else if (id === 'data') {
+                if (!format) break;
+                return { ...format, data: bytes.subarray(body, Math.min(bytes.length, body + size)) };
+            }
+            position = body + size + (size % 2);
+        }
+        throw new Error('ffmpeg wrote no audio; does the file have an audio stream?');
+    }
+
+    /**
+     * A clear error for ffmpeg being missing or rejecting the file
+     */
+    static describeError(error, command, stderr) {
+        if (error.code === 'ENOENT') {
+            return new Error(`Decoding .m4a and .mp4 files needs ffmpeg, which was not found (${command}). ` +
+                'Install ffmpeg, or set FFMPEG_PATH or the ffmpegPath option to its location');
+        }
+        const lastLine = stderr.trim().split('\n').pop();
+        return new Error(`ffmpeg could not decode the file: ${lastLine || error.message}`);
+    }
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+export default FfmpegDecoder;
@@ -0,0 +1,218 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * FFT Backends
+ * One registry of FFT implementations for every analyzer. A backend is
+ *
+ *   {
+ *     load(),         resolves to fft(signal): real samples (power-of-2 length) in,
+ *                     interleaved [re0, im0, re1, im1, ...] (twice the length) out; may be async
+ *     loadMany(),     optional; resolves to fftMany(signals): equal-length frames in, a promise
+ *                     of one fft() result per frame out (default: fft() frame by frame)
+ *     probe(fft),     optional; resolves truthy when the backend works here (default: a 32-point FFT)
+ *     priority,       'auto' uses the usable backend with the highest priority
+ *     isAsync,        whether fft() returns a promise
+ *     description
+ *   }
+ *
+ * Analyzers ask for a backend by name, or 'auto'. Each backend is loaded and probed at
+ * most once per page. A named backend that fails to load falls back to 'JavaScript'.
+ * Built-in backends cannot be replaced; register another FFT (a native addon, a GPU
+ * implementation) under a new name and give it a higher priority to make it the 'auto' choice.
+ */
+
+const AUTO = 'auto';
+const FALLBACK_BACKEND = 'JavaScript';
+
+const BUILT_IN_BACKENDS = {
+    'WASM+SIMD': {
+        load: async () => (await import('../simd/fft-wrapper.js')).fft,
+        loadMany: async () => (await import('../simd/fft-wrapper.js')).fftMany,
+        priority: 30,
+        isAsync: true,
+        description: 'WebAssembly with SIMD optimizations - Maximum Performance'
+    },
+    'WASM+noSIMD': {
+        load: async () => (await import('../non-simd/fft-wrapper.js')).fft,
+        priority: 20,
+        isAsync: true,
+        description: 'WebAssembly without SIMD - Balanced Performance & Compatibility'
+    },
+    'JavaScript': {
+        load: async () => (await import('../pure-js/fft-wrapper.js')).fft,
+        probe: () => true, // Always available
+        priority: 10,
+        isAsync: false,
+        description: 'Pure JavaScript Cooley-Tukey Algorithm - Universal Compatibility'
+    }
+};
+
+// Registered backends by name, built-in ones first
+const registry = new Map(Object.entries(BUILT_IN_BACKENDS));
+
+// Loaded and probed backends by name, as promises so concurrent analyzers share one load
+const loaded = new Map();
+let autoSelection = null;
+
+class FFTBackends {
+    /**
+     * Names of every registered backend
+     * @returns {Array<string>} Highest priority first
+     */
+    static list() {
+        return [...registry.keys()].sort((a, b) => registry.get(b).priority - registry.get(a).priority);
+    }
+
+    /**
+     * Every value accepted as an fftMode
+     * @returns {Array<string>} 'auto', then the backends by priority
+     */
+    static getModes() {
+        return [AUTO, ...this.list()];
+    }
+
+    /**
+     * Add an FFT backend
+     * @param {string} name - Name used as fftMode
+     * @param {Object} backend - { load, loadMany, probe, priority (default 0), isAsync (default false), description }
+     * @throws {Error} For a built-in name or a backend without load()
+     */
+    static register(name, backend) {
+        if (!name || name === AUTO) {
+            throw new Error(`FFT backend name must not be empty or '${AUTO}'`);
+        }
+        if (Object.hasOwn(BUILT_IN_BACKENDS, name)) {
+            throw new Error(`Cannot replace the built-in FFT backend ${name}`);
+        }
+        if (typeof backend?.load !== 'function') {
+            throw new Error(`FFT backend ${name} needs a load() function`);
+        }
+
+        registry.set(name, {
+            priority: 0,
+            isAsync: false,
+            description: name,
+            ...backend
+        });
+        loaded.delete(name);
+        autoSelection = null;
+    }
+
+    /**
+     * Remove a registered backend
+     * @param {string} name - Backend name
+     * @returns {boolean} True if removed; built-in backends are never removed
+     */
+    static unregister(name) {
+        if (Object.hasOwn(BUILT_IN_BACKENDS, name) || !registry.has(name)) {
+            return false;
+        }
+        registry.delete(name);
+        loaded.delete(name);
+        autoSelection = null;
+        return true;
+    }
+
+    /**
+     * Description of a backend
+     * @param {string} name - Backend name
+     * @returns {string} Description, or 'Unknown implementation'
+     */
+    static getDescription(name) {
+        return registry.get(name)?.description || 'Unknown implementation';
+    }
+
+    /**
+     * The FFT to use for an fftMode
+     * @param {string} mode - Backend name or 'auto' (default)
+     * @returns {Promise<Object>} { fft, fftMany, isAsync, mode, description }
+     * @throws {Error} For a name that is not registered
+     */
+    static async resolve(mode = AUTO) {
+        if (mode === AUTO) {
+            if (!autoSelection) {
+                autoSelection = this.detectBest();
+            }
+            return autoSelection;
+        }
+        if (!registry.has(mode)) {
+            throw new Error(`Unknown FFT backend: ${mode}. Use one of ${this.getModes().join(', ')}`);
+        }
+
+        try {
+            return await this.load(mode);
+        } catch (error) {
+            console.warn(`Failed to load ${mode} FFT, falling back to ${FALLBACK_BACKEND}:`, error);
+            return this.load(FALLBACK_BACKEND);
+        }
+    }
+
+    /**
+     * The usable backend with the highest priority
+     * @returns {Promise<Object>} { fft, fftMany, isAsync, mode, description }
+     */
+    static async detectBest() {
+        for (const name of this.list()) {
+            try {
+                const implementation = await this.load(name);
+                console.log(`🔍 Auto-detected best FFT implementation: ${name}`);
+                return implementation;
+            } catch (error) {
+                console.log(`❌ ${name} not available:`, error.message);
+            }
+        }
+        // The JavaScript backend always loads, so this is not reached
+        throw new Error('No FFT backend available');
+    }
+
+    /**
+     * Load and probe one backend, once
+     * @param {string} name - Registered backend name
+     * @returns {Promise<Object>} { fft, fftMany, isAsync, mode, description }
+     * @throws {Error} When the backend does not load or its probe fails
+     */
+    static load(name) {
+        if (!loaded.has(name)) {
+            const backend = registry.get(name);
+            const loading = (async () => {
+                const fft = await backend.load();
+                const usable = backend.probe ? await backend.probe(fft) : await probeWithSmallFFT(fft);
+                if (!usable) {
+                    throw new Error(`${name} not supported`);
+                }
+                const fftMany = backend.loadMany ? await backend.loadMany() : frameByFrame(fft);
+                return { fft, fftMany, isAsync: backend.isAsync, mode: name, description: backend.description };
+            })();
+            // A failed load is retried the next time rather than remembered
+            loading.catch(() => loaded.get(name) === loading && loaded.delete(name));
+            loaded.set(name, loading);
+        }
+        return loaded.get(name);
+    }
+}
+
+/**
+ * Default probe: a 32-point FFT, the smallest real size PFFFT's SIMD build accepts,
+ * must give 64 interleaved values
+ */
+async function probeWithSmallFFT(fft) {
+    const impulse = new Float32Array(32);
+    impulse[0] = 1;
+    const result = await fft(impulse);
+    return result?.length === 64;
+}
+
+/**
+ * fftMany() for backends without one: fft() on each frame in turn
+ */
+function frameByFrame(fft) {
+    return async signals => {
+        const results = [];
+        for (const signal of signals) {
+            results.push(await fft(signal));
+        }
+        return results;
+    };
+}
+
+export default FFTBackends;
@@ -0,0 +1,517 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * FLAC decoder
+ * Pure JavaScript decoder for native FLAC streams (RFC 9639): the STREAMINFO block,
+ * then frames of CONSTANT, VERBATIM, FIXED and LPC subframes with Rice-coded residuals,
+ * and the left/side, side/right and mid/side stereo modes. Frame headers and frames are
+ * checked against their CRCs, so a damaged file fails instead of producing noise.
+ * Works in Node.js and browsers; no native code or WebAssembly.
+ */
+
+const STREAMINFO = 0;
+
+// Sample rates for frame header codes 1-11; 0 means "see STREAMINFO"
+const SAMPLE_RATE_CODES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+
+// Bits per sample for frame header codes; 0 means "see STREAMINFO", null is reserved
+const SAMPLE_SIZE_CODES = [0, 8, 12, null, 16, 20, 24, 32];
+
+// Channel assignments above 7 (7 and below are 1-8 independent channels)
+const LEFT_SIDE = 8;
+const SIDE_RIGHT = 9;
+const MID_SIDE = 10;
+
+const CRC8_TABLE = createCrcTable(0x07, 8);
+const CRC16_TABLE = createCrcTable(0x8005, 16);
+
+/**
+ * MSB-first bit reader over a byte array
+ */
+class BitReader {
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.position = position; // Byte index
+        this.bit = 0;             // Bits already read from bytes[position]
+    }
+
+    /**
+     * Unsigned value of the next `count` bits (up to 53)
+     */
+    readBits(count) {
+        let value = 0;
+        while (count > 0) {
+            const byte = this.bytes[this.position];
+            if (byte === undefined) {
+                throw new Error('FLAC stream ended in the middle of a frame');
+            }
+            const available = 8 - this.bit;
+            const taken = Math.min(available, count);
+            value = value * (1 << taken) + ((byte >> (available - taken)) & ((1 << taken) - 1));
+            this.bit += taken;
+            if (this.bit === 8) {
+                this.bit = 0;
+                this.position++;
+            }
+            count -= taken;
+        }
+        return value;
+    }
+
+    /**
+     * Two's complement value of the next `count` bits
+     */
+    readSigned(count) {
+        if (count === 0) {
+            return 0;
+        }
+        const value = this.readBits(count);
+        return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    }
+
+    /**
+     * Number of 0 bits before the next 1 bit, which is consumed
+     */
+    readUnary() {
+        let count = 0;
+        for (;;) {
+            const byte = this.bytes[this.position];
+            if (byte === undefined) {
+                throw new Error('FLAC stream ended in the middle of a frame');
+            }
+            const remaining = (byte << this.bit) & 0xFF;
+            if (remaining === 0) {
+                count += 8 - this.bit;
+                this.bit = 0;
+                this.position++;
+                continue;
+            }
+            const zeros = Math.clz32(remaining) - 24;
+            count += zeros;
+            this.bit += zeros + 1;
+            if (this.bit === 8) {
+                this.bit = 0;
+                this.position++;
+            }
+            return count;
+        }
+    }
+
+    alignToByte() {
+        if (this.bit !== 0) {
+            this.bit = 0;
+            this.position++;
+        }
+    }
+}
+
+class FlacDecoder {
+    /**
+     * Whether bytes look like a FLAC stream, allowing for a leading ID3v2 tag
+     * @param {Uint8Array} bytes - File contents (the first few bytes are enough)
+     * @returns {boolean}
+     */
+    static detect(bytes) {
+        const start = skipId3(bytes);
+        return bytes[start] === 0x66 && bytes[start + 1] === 0x4C && bytes[start + 2] === 0x61 && bytes[start + 3] === 0x43;
+    }
+
+    /**
+     * Decode a FLAC file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} { channels, sampleRate, format }: one Float32Array per channel scaled
+     *                   to [-1, 1), and format { encoding: 'flac', bitDepth, totalSamples,
+     *                   minBlockSize, maxBlockSize, md5 }
+     * @throws {Error} For a stream that is not FLAC, uses reserved features, or fails a CRC
+     */
+    static decode(bytes) {
+        if (!FlacDecoder.detect(bytes)) {
+            throw new Error('Not a FLAC stream: missing fLaC marker');
+        }
+
+        const { streamInfo, position } = FlacDecoder.readMetadata(bytes, skipId3(bytes) + 4);
+        const { channelCount, bitDepth } = streamInfo;
+
+        // Decode frame by frame into chunks, then join; totalSamples may be 0 (unknown)
+        const chunks = Array.from({ length: channelCount }, () => []);
+        let decodedSamples = 0;
+        let offset = position;
+        let frameNumber = 0;
+        while (offset < bytes.length && !(streamInfo.totalSamples && decodedSamples >= streamInfo.totalSamples)) {
+            const frame = FlacDecoder.readFrame(bytes, offset, streamInfo, frameNumber);
+            if (frame.channels.length !== channelCount) {
+                throw new Error(`FLAC frame ${frameNumber} has ${frame.channels.length} channels, STREAMINFO says ${channelCount}`);
+            }
+            frame.channels.forEach((channel, i) => chunks[i].push(channel));
+            decodedSamples += frame.blockSize;
+            offset = frame.end;
+            frameNumber++;
+        }
+
+        const length = streamInfo.totalSamples ? Math.min(decodedSamples, streamInfo.totalSamples) : decodedSamples;
+        const scale = 2 ** (bitDepth - 1);
+        const channels = chunks.map(channelChunks => {
+            const samples = new Float32Array(length);
+            let written = 0;
+            for (const chunk of channelChunks) {
+                for (let i = 0; i < chunk.length && written < length; i++) {
+                    samples[written++] = chunk[i] / scale;
+                }
+            }
+            return samples;
+        });
+
+        return {
+            channels,
+            sampleRate: streamInfo.sampleRate,
+            format: {
+                encoding: 'flac',
+                bitDepth,
+                totalSamples: streamInfo.totalSamples,
+                minBlockSize: streamInfo.minBlockSize,
+                maxBlockSize: streamInfo.maxBlockSize,
+                md5: streamInfo.md5
+            }
+        };
+    }
+
+    /**
+     * Read the metadata blocks; only STREAMINFO is used
+     * @returns {Object} { streamInfo, position } where position is the first frame's offset
+     */
+    static readMetadata(bytes, position) {
+        let streamInfo = null;
+        let last = false;
+        while (!last) {
+            if (position + 4 > bytes.length) {
+                throw new Error('FLAC stream ended in its metadata');
+            }
+            last = (bytes[position] & 0x80) !== 0;
+            const type = bytes[position] & 0x7F;
+            const length = (bytes[position + 1] << 16) | (bytes[position + 2] << 8) | bytes[position + 3];
+            position += 4;
+            if (type === STREAMINFO) {
+                streamInfo = FlacDecoder.readStreamInfo(new BitReader(bytes, position));
+            }
+            position += length;
+        }
+        if (!streamInfo) {
+            throw new Error('FLAC stream has no STREAMINFO block');
+        }
+        return { streamInfo, position };
+    }
+
+    static readStreamInfo(reader) {
+        const minBlockSize = reader.readBits(16);
+        const maxBlockSize = reader.readBits(16);
+        reader.readBits(24); // Minimum frame size
+        reader.readBits(24); // Maximum frame size
+        const sampleRate = reader.readBits(20);
+        const channelCount = reader.readBits(3) + 1;
+        const bitDepth = reader.readBits(5) + 1;
+        const totalSamples = reader.readBits(36);
+        let md5 = '';
+        for (let i = 0; i < 16; i++) {
+            md5 += reader.readBits(8).toString(16).padStart(2, '0');
+        }
+        return { minBlockSize, maxBlockSize, sampleRate, channelCount, bitDepth, totalSamples, md5 };
+    }
+
+    /**
+     * Decode one frame
+     * @returns {Object} { channels (Array of integer sample arrays), blockSize, end }
+     */
+    static readFrame(bytes, start, streamInfo, frameNumber) {
+        const reader = new BitReader(bytes, start);
+        if (reader.readBits(15) !== 0x7FFC) {
+            throw new Error(`FLAC frame ${frameNumber} does not start with a frame sync code`);
+        }
+        reader.readBits(1); // Blocking strategy: fixed or variable block size, not needed to decode
+        const blockSizeCode = reader.readBits(4);
+        const sampleRateCode = reader.readBits(4);
+        const channelAssignment = reader.readBits(4);
+        const sampleSizeCode = reader.readBits(3);
+        reader.readBits(1); // Reserved
+        readCodedNumber(reader, frameNumber);
+
+        let blockSize;
+        if (blockSizeCode === 0) {
+            throw new Error(`FLAC frame ${frameNumber} uses a reserved block size`);
+        } else if (blockSizeCode === 1) {
+            blockSize = 192;
+        } else if (blockSizeCode <= 5) {
+            blockSize = 576 << (blockSizeCode - 2);
+        } else if (blockSizeCode === 6) {
+            blockSize = reader.readBits(8) + 1;
+        } else if (blockSizeCode === 7) {
+            blockSize = reader.readBits(16) + 1;
+        } else {
+            blockSize = 256 << (blockSizeCode - 8);
+        }
+
+        // The sample rate is only needed to skip its bytes; STREAMINFO's is the file's
+        if (sampleRateCode === 12) {
+            reader.readBits(8);
+        } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+            reader.readBits(16);
+        } else if (sampleRateCode === 15) {
+            throw new Error(`FLAC frame ${frameNumber} has an invalid sample rate code`);
+        }
+
+        const bitDepth = SAMPLE_SIZE_CODES[sampleSizeCode] || streamInfo.bitDepth;
+        if (SAMPLE_SIZE_CODES[sampleSizeCode] === null) {
+            throw new Error(`FLAC frame ${frameNumber} uses a reserved sample size`);
+        }
+        if (channelAssignment > MID_SIDE) {
+            throw new Error(`FLAC frame ${frameNumber} uses a reserved channel assignment`);
+        }
+
+        const headerCrc = crc(CRC8_TABLE, 8, bytes, start, reader.position);
+        if (reader.readBits(8) !== headerCrc) {
+            throw new Error(`FLAC frame ${frameNumber} header failed its CRC check`);
+        }
+
+        // Stereo modes code one channel as a difference, which needs one more bit
+        const channelCount = channelAssignment < LEFT_SIDE ? channelAssignment + 1 : 2;
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sideChannel = (channelAssignment === LEFT_SIDE && channel === 1) ||
+                (channelAssignment === SIDE_RIGHT && channel === 0) ||
+                (channelAssignment === MID_SIDE && channel === 1);
+            channels.push(readSubframe(reader, blockSize, bitDepth + (sideChannel ? 1 : 0), frameNumber));
+        }
+        decorrelate(channels, channelAssignment, blockSize);
+
+        reader.alignToByte();
+        const frameCrc = crc(CRC16_TABLE, 16, bytes, start, reader.position);
+        if (reader.readBits(16) !== frameCrc) {
+            throw new Error(`FLAC frame ${frameNumber} failed its CRC check`);
+        }
+
+        return { channels, blockSize, end: reader.position };
+    }
+}
+
+/**
+ * Decode one subframe into integer samples
+ */
+function readSubframe(reader, blockSize, bitDepth, frameNumber) {
+    if (reader.readBits(1) !== 0) {
+        throw new Error(`FLAC frame ${frameNumber} has a subframe without its zero padding bit`);
+    }
+    const type = reader.readBits(6);
+    const wastedBits = reader.readBits(1) ? reader.readUnary() + 1 : 0;
+    const sampleBits = bitDepth - wastedBits;
+    const samples = new Float64Array(blockSize);
+
+    if (type === 0) {
+        samples.fill(reader.readSigned(sampleBits));
+    } else if (type === 1) {
+        for (let i = 0; i < blockSize; i++) {
+            samples[i] = reader.readSigned(sampleBits);
+        }
+    } else if (type >= 8 && type <= 12) {
+        const order = type - 8;
+        readWarmUp(reader, samples, order, sampleBits);
+        readResidual(reader, samples, order, blockSize, frameNumber);
+        restoreFixed(samples, order);
+    } else if (type >= 32) {
+        const order = type - 31;
+        readWarmUp(reader, samples, order, sampleBits);
+        const precision = reader.readBits(4) + 1;
+        if (precision === 16) {
+            throw new Error(`FLAC frame ${frameNumber} has an invalid LPC precision`);
+        }
+        const shift = reader.readSigned(5);
+        if (shift < 0) {
+            throw new Error(`FLAC frame ${frameNumber} has a negative LPC shift`);
+        }
+        const coefficients = [];
+        for (let i = 0; i < order; i++) {
+            coefficients.push(reader.readSigned(precision));
+        }
+        readResidual(reader, samples, order, blockSize, frameNumber);
+        restoreLpc(samples, coefficients, shift);
+    } else {
+        throw new Error(`FLAC frame ${frameNumber} uses reserved subframe type ${type}`);
+    }
+
+    if (wastedBits > 0) {
+        const factor = 2 ** wastedBits;
+        for (let i = 0; i < blockSize; i++) {
+            samples[i] *= factor;
+        }
+    }
+    return samples;
+}
+
+function readWarmUp(reader, samples, order, sampleBits) {
+    for (let i = 0; i < order; i++) {
+        samples[i] = reader.readSigned(sampleBits);
+    }
+}
+
+/**
+ * Rice-coded residuals, stored after the warm-up samples
+ */
+function readResidual(reader, samples, order, blockSize, frameNumber) {
+    const method = reader.readBits(2);
+    if (method > 1) {
+        throw new Error(`FLAC frame ${frameNumber} uses a reserved residual coding method`);
+    }
+    const parameterBits = method === 0 ? 4 : 5;
+    const escape = (1 << parameterBits) - 1;
+    const partitionOrder = reader.readBits(4);
+    const partitionCount = 1 << partitionOrder;
+    const partitionSize = blockSize >> partitionOrder;
+    if (partitionSize << partitionOrder !== blockSize || partitionSize < order) {
+        throw new Error(`FLAC frame ${frameNumber} has an invalid residual partition order`);
+    }
+
+    let index = order;
+    for (let partition = 0; partition < partitionCount; partition++) {
+        const count = partition === 0 ? partitionSize - order : partitionSize;
+        const parameter = reader.readBits(parameterBits);
+        if (parameter === escape) {
+            const bits = reader.readBits(5);
+            for (let i = 0; i < count; i++) {
+                samples[index++] = reader.readSigned(bits);
+            }
+        } else {
+            const multiplier = 2 ** parameter;
+            for (let i = 0; i < count; i++) {
+                const folded = reader.readUnary() * multiplier + reader.readBits(parameter);
+                // Zigzag: 0, 1, 2, 3 ... stand for 0, -1, 1, -2 ...
+                samples[index++] = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+            }
+        }
+    }
+}
+
+/**
+ * Turn residuals into samples with the fixed polynomial predictors
+ */
+function restoreFixed(samples, order) {
+    const n = samples.length;
+    switch (order) {
+        case 1:
+            for (let i = 1; i < n; i++) samples[i] += samples[i - 1];
+            break;
+        case 2:
+            for (let i = 2; i < n; i++) samples[i] += 2 * samples[i - 1] - samples[i - 2];
+            break;
+        case 3:
+            for (let i = 3; i < n; i++) samples[i] += 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+            break;
+        case 4:
+            for (let i = 4; i < n; i++) {
+                samples[i] += 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+            }
+            break;
+        default:
+            break; // Order 0: the residual is the signal
+    }
+}
+
+/**
+ * Turn residuals into samples with quantized LPC coefficients
+ * The first coefficient weights the most recent sample. Sums stay well inside
+ * 2^53, so plain numbers are exact; Math.floor is the arithmetic right shift.
+ */
+function restoreLpc(samples, coefficients, shift) {
+    const order = coefficients.length;
+    const divisor = 2 ** shift;
+    for (let i = order; i < samples.length; i++) {
+        let prediction = 0;
+        for (let j = 0; j < order; j++) {
+            prediction += coefficients[j] * samples[i - 1 - j];
+        }
+        samples[i] += Math.floor(prediction / divisor);
+    }
+}
+
+/**
+ * Undo the stereo difference coding in place
+ */
+function decorrelate(channels, assignment, blockSize) {
+    const [first, second] = channels;
+    if (assignment === LEFT_SIDE) {
+        for (let i = 0; i < blockSize; i++) second[i] = first[i] - second[i];
+    } else if (assignment === SIDE_RIGHT) {
+        for (let i = 0; i < blockSize; i++) first[i] += second[i];
+    } else if (assignment === MID_SIDE) {
+        for (let i = 0; i < blockSize; i++) {
+            const side = second[i];
+            // The encoder dropped the low bit of mid; it equals the low bit of side
+            const mid = first[i] * 2 + (Math.abs(side) % 2);
+            first[i] = (mid + side) / 2;
+            second[i] = (mid - side) / 2;
+        }
+    }
+}
+
+/**
+ * Frame or sample number, coded like UTF-8 in one to seven bytes; read past and checked
+ */
+function readCodedNumber(reader, frameNumber) {
+    const first = reader.readBits(8);
+    if (first < 0x80) {
+        return first;
+    }
+    const extraBytes = Math.clz32(~(first << 24)) - 1;
+    if (extraBytes < 1 || extraBytes > 6) {
+        throw new Error(`FLAC frame ${frameNumber} has an invalid frame number`);
+    }
+    let value = first & (0x3F >> extraBytes);
+    for (let i = 0; i < extraBytes; i++) {
+        const next = reader.readBits(8);
+        if ((next & 0xC0) !== 0x80) {
+            throw new Error(`FLAC frame ${frameNumber} has an invalid frame number`);
+        }
+        value = value * 64 + (next & 0x3F);
+    }
+    return value;
+}
+
+/**
+ * Length of an ID3v2 tag at the start of the bytes, or 0
+ */
+function skipId3(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+        return 0;
+    }
+    // Size is four 7-bit bytes, after the 10-byte header
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    return 10 + size;
+}
+
+/**
+ * Table for an MSB-first CRC with the given polynomial and width
+ */
+function createCrcTable(polynomial, width) {
+    const topBit = 1 << (width - 1);
+    const mask = (1 << width) - 1;
+    const table = new Uint16Array(256);
+    for (let byte = 0; byte < 256; byte++) {
+        let value = byte << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & topBit ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+        }
+        table[byte] = value;
+    }
+    return table;
+}
+
+/**
+ * CRC of bytes [start, end)
+ */
+function crc(table, width, bytes, start, end) {
+    const mask = (1 << width) - 1;
+    let value = 0;
+    for (let i = start; i < end; i++) {
+        value = ((value << 8) & mask) ^ table[(value >> (width - 8)) ^ bytes[i]];
+    }
+    return value;
+}
+
+export default FlacDecoder;
@@ -10,14 +10,16 @@ import DopplerCalculator from './doppler-calculator.js';
 
 class FrequencyAnalysis {
     constructor(samples, sampleRate, options = {}) {
-        this.samples = [...samples];
+        this.samples = samples;
         this.sampleRate = sampleRate;
         this.windowType = options.windowType || 'hamming';
         this.fftMode = options.fftMode || 'auto';
         this.topFrequencyCount = options.topFrequencyCount || 10;
+        this.peakInterpolation = options.peakInterpolation || 'none';
+        this.peakPicking = options.peakPicking || {};
         this.confidenceThreshold = options.confidenceThreshold || 0.3;
         
-        this.dopplerCalculator = new DopplerCalculator();
+        this.dopplerCalculator = new DopplerCalculator(options.soundSpeed ?? options.environment ?? null);
         this.approachAnalysis = null;
         this.recedeAnalysis = null;
         this.combinedAnalysis = null;
@@ -56,6 +58,7 @@ class FrequencyAnalysis {
                 approachDuration: approachSamples.length / this.sampleRate,
                 recedeDuration: recedeSamples.length / this.sampleRate,
                 totalDuration: (approachSamples.length + recedeSamples.length) / this.sampleRate,
+                sampleRate: this.sampleRate,
                 fftMode: this.fftMode,
                 windowType: this.windowType
             }
@@ -84,7 +87,9 @@ class FrequencyAnalysis {
             // Create spectrum analyzer for this section
             const analyzer = new SpectrumAnalyzer(samples, this.sampleRate, {
                 fftMode: this.fftMode,
-                windowType: this.windowType
+                windowType: this.windowType,
+                peakInterpolation: this.peakInterpolation,
+                peakPicking: this.peakPicking
             });
             
             // Calculate power spectrum
@@ -117,6 +122,7 @@ class FrequencyAnalysis {
                 confidence: qualityMetrics.overallConfidence,
                 sampleCount: samples.length,
                 duration: samples.length / this.sampleRate,
+                binWidth: analyzer.getBinWidth(),
                 implementation: analyzer.getImplementationInfo()
             };
             
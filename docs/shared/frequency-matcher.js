@@ -5,20 +5,43 @@
  * Finds optimal frequency pairs and calculates car speeds
  */
 
+/**
+ * Default configuration for findBestMatches() / findMatchesMultiStrategy()
+ * Any field can be overridden per call through the `matching` options object
+ */
+const DEFAULT_MATCHING_CONFIG = {
+    minFrequency: 50,          // Hz - ignore candidates below this
+    maxFrequency: 2000,        // Hz - ignore candidates above this
+    minSpeedMph: 1,            // Reject pairs implying slower speeds
+    maxSpeedMph: 200,          // Reject pairs implying faster speeds
+    maxCandidates: 10,         // Candidates used from each section
+    maxMatches: 10,            // Matches returned
+    minConfidence: 0,          // Drop matches below this confidence
+    speedToleranceMph: 2,      // Agreement window for speed consensus
+    strategies: ['power_weighted', 'rank_aligned', 'speed_consensus']
+};
+
 class FrequencyMatcher {
-    constructor(speedCalculator) {
+    constructor(speedCalculator, options = {}) {
         this.speedCalculator = speedCalculator;
+        this.config = { ...DEFAULT_MATCHING_CONFIG, ...options };
+        this.confidenceThreshold = options.confidenceThreshold ?? 0.7;
     }
     
     /**
      * Find the best frequency pair from approach and recede candidates
+     * Without an expected speed this uses blind scoring (see findBlindSpeedCalculation)
      * @param {Array} approachFrequencies - Array of frequency candidates from approach
      * @param {Array} recedeFrequencies - Array of frequency candidates from recede
-     * @param {number} expectedSpeedMph - Expected speed for validation
+     * @param {number|null} expectedSpeedMph - Expected speed for validation (null for blind scoring)
      * @returns {Object} Best speed calculation result
      */
-    findOptimalSpeedCalculation(approachFrequencies, recedeFrequencies, expectedSpeedMph) {
+    findOptimalSpeedCalculation(approachFrequencies, recedeFrequencies, expectedSpeedMph = null) {
         console.log(`🔍 findOptimalSpeedCalculation called with ${approachFrequencies.length} approach, ${recedeFrequencies.length} recede freqs`);
+        if (expectedSpeedMph === null || expectedSpeedMph === undefined) {
+            return this.findBlindSpeedCalculation(approachFrequencies, recedeFrequencies);
+        }
+        
         let bestResult = null;
         let bestError = Infinity;
         
@@ -85,6 +108,441 @@ class FrequencyMatcher {
         };
     }
     
+    /**
+     * Choose a frequency pair with no expected-speed prior
+     * 
+     * Each valid pair gets an evidence weight from:
+     * - spectral power: strength of both tones relative to the strongest candidate, and their balance
+     * - harmonic consistency: other pairs related by an integer frequency ratio that show the same Doppler ratio
+     * - shift plausibility: the implied speed lies within the physical speed band (uniform, no preferred speed)
+     * 
+     * Pairs are grouped by implied speed. The chosen speed is the group holding the most evidence, and the
+     * confidence is the share of all evidence that agrees with it - 1.0 means every plausible pairing
+     * points at the same speed, 0.5 means half the evidence supports a different answer.
+     * 
+     * @param {Array} approachFrequencies - Frequency candidates ({ frequency, power }) from approach
+     * @param {Array} recedeFrequencies - Frequency candidates ({ frequency, power }) from recede
+     * @param {Object} options - Overrides for minSpeedMph, maxSpeedMph, maxCandidates, speedToleranceMph,
+     *                           ratioTolerance (relative Doppler-ratio agreement, default 0.005) and
+     *                           harmonicTolerance (relative harmonic-number error, default 0.03)
+     * @returns {Object} Speed calculation result with confidence, evidenceShare and per-factor scores
+     */
+    findBlindSpeedCalculation(approachFrequencies, recedeFrequencies, options = {}) {
+        const config = {
+            ...this.config,
+            ratioTolerance: 0.005,
+            harmonicTolerance: 0.03,
+            ...options
+        };
+        const pairs = this.generateCandidatePairs(approachFrequencies, recedeFrequencies, config);
+        
+        if (pairs.length === 0) {
+            return {
+                valid: false,
+                speedMph: null,
+                approachFreq: null,
+                recedeFreq: null,
+                confidence: 0,
+                scoringMode: 'blind',
+                error: 'No valid frequency pairs found'
+            };
+        }
+        
+        // Evidence weight for each pair
+        for (const pair of pairs) {
+            const power = Math.sqrt(pair.approachNormalizedPower * pair.recedeNormalizedPower);
+            const harmonicSupport = this.calculateHarmonicSupport(pair, pairs, config);
+            const plausibility = this.calculateShiftPlausibility(pair.speed, config);
+            
+            pair.scores = {
+                power,
+                balance: pair.powerRatio,
+                harmonic: harmonicSupport / (harmonicSupport + 0.25),
+                plausibility
+            };
+            pair.evidence = power * (0.5 + 0.5 * pair.powerRatio) * plausibility * (1 + harmonicSupport);
+        }
+        
+        const totalEvidence = pairs.reduce((sum, pair) => sum + pair.evidence, 0);
+        if (totalEvidence <= 0) {
+            return {
+                valid: false,
+                speedMph: null,
+                approachFreq: null,
+                recedeFreq: null,
+                confidence: 0,
+                scoringMode: 'blind',
+                error: 'No plausible frequency pairs found'
+            };
+        }
+        
+        // Evidence agreeing with each pair's speed; pick the densest speed, tie-break on own evidence
+        const agreement = pairs.map(pair => pairs.reduce((sum, other) =>
+            Math.abs(other.speed - pair.speed) <= config.speedToleranceMph ? sum + other.evidence : sum, 0));
+        let bestIndex = 0;
+        for (let i = 1; i < pairs.length; i++) {
+            if (agreement[i] > agreement[bestIndex] ||
+                (agreement[i] === agreement[bestIndex] && pairs[i].evidence > pairs[bestIndex].evidence)) {
+                bestIndex = i;
+            }
+        }
+        
+        const best = pairs[bestIndex];
+        const evidenceShare = agreement[bestIndex] / totalEvidence;
+        const competitors = pairs
+            .map((pair, i) => ({ pair, support: agreement[i] }))
+            .filter(({ pair }) => Math.abs(pair.speed - best.speed) > config.speedToleranceMph)
+            .sort((a, b) => b.support - a.support);
+        
+        return {
+            valid: true,
+            speedKmh: best.speedKmh,
+            speedMph: best.speed,
+            approachFreq: best.approachFreq,
+            recedeFreq: best.recedeFreq,
+            approachPower: best.approachPower,
+            recedePower: best.recedePower,
+            speedUncertaintyMph: best.speedUncertainty,
+            error: null,
+            accuracy: null,
+            confidence: evidenceShare,
+            evidenceShare,
+            scores: best.scores,
+            competingSpeedMph: competitors.length > 0 ? competitors[0].pair.speed : null,
+            competingEvidenceShare: competitors.length > 0 ? competitors[0].support / totalEvidence : 0,
+            candidatesEvaluated: pairs.length,
+            scoringMode: 'blind'
+        };
+    }
+    
+    /**
+     * Power-weighted support from other pairs that are harmonics of this pair with the same Doppler ratio
+     * A true engine/tyre tone shifts all of its harmonics by the same ratio
+     * @param {Object} pair - Candidate pair
+     * @param {Array} pairs - All candidate pairs
+     * @param {Object} config - ratioTolerance and harmonicTolerance
+     * @returns {number} Harmonic support (0 when no harmonic agrees)
+     */
+    calculateHarmonicSupport(pair, pairs, config) {
+        let support = 0;
+        
+        for (const other of pairs) {
+            if (other === pair || other.approachFreq === pair.approachFreq || other.recedeFreq === pair.recedeFreq) {
+                continue;
+            }
+            
+            const ratioError = Math.abs(other.frequencyRatio - pair.frequencyRatio) / pair.frequencyRatio;
+            if (ratioError > config.ratioTolerance) continue;
+            
+            // Harmonic number in either direction (2f, 3f... or f/2, f/3...)
+            const multiple = other.approachFreq > pair.approachFreq
+                ? other.approachFreq / pair.approachFreq
+                : pair.approachFreq / other.approachFreq;
+            const harmonicNumber = Math.round(multiple);
+            if (harmonicNumber < 2 || Math.abs(multiple - harmonicNumber) / harmonicNumber > config.harmonicTolerance) {
+                continue;
+            }
+            
+            support += Math.sqrt(other.approachNormalizedPower * other.recedeNormalizedPower);
+        }
+        
+        return support;
+    }
+    
+    /**
+     * Physical plausibility of a speed: 1 inside the configured band, tapering to 0 over
+     * its top 10% so pairs near the upper limit are not cut off abruptly. No speed is preferred.
+     * @param {number} speedMph - Implied speed
+     * @param {Object} config - minSpeedMph and maxSpeedMph
+     * @returns {number} Plausibility (0-1)
+     */
+    calculateShiftPlausibility(speedMph, config) {
+        const band = config.maxSpeedMph - config.minSpeedMph;
+        const margin = band * 0.1;
+        
+        if (speedMph < config.minSpeedMph || speedMph > config.maxSpeedMph) return 0;
+        if (speedMph > config.maxSpeedMph - margin) return (config.maxSpeedMph - speedMph) / margin;
+        return 1.0;
+    }
+    
+    /**
+     * Rank candidate frequency pairs using a single power-weighted strategy
+     * No expected speed is needed - pairs are scored on signal evidence alone
+     * @param {Array} approachFrequencies - Frequency candidates ({ frequency, power }) from approach
+     * @param {Array} recedeFrequencies - Frequency candidates ({ frequency, power }) from recede
+     * @param {Object} options - Matching options (see DEFAULT_MATCHING_CONFIG)
+     * @returns {Object} { success, matches, bestMatch, alternatives, selectedStrategy, strategyComparison }
+     */
+    findBestMatches(approachFrequencies, recedeFrequencies, options = {}) {
+        return this.findMatchesMultiStrategy(approachFrequencies, recedeFrequencies, {
+            ...options,
+            strategies: ['power_weighted']
+        });
+    }
+    
+    /**
+     * Rank candidate frequency pairs using several independent strategies and combine them
+     * 
+     * Strategies:
+     * - power_weighted: strong, similarly powered tones in both sections
+     * - rank_aligned: the dominant tone on approach is the dominant tone on recede
+     * - speed_consensus: many pairs (e.g. harmonics) agreeing on the same speed
+     * 
+     * Each pair's final confidence is the mean of its strategy scores. Every match keeps
+     * its per-strategy scores, and the strategies that ranked it first.
+     * 
+     * @param {Array} approachFrequencies - Frequency candidates ({ frequency, power }) from approach
+     * @param {Array} recedeFrequencies - Frequency candidates ({ frequency, power }) from recede
+     * @param {Object} options - Matching options (see DEFAULT_MATCHING_CONFIG)
+     * @returns {Object} { success, matches, bestMatch, alternatives, selectedStrategy, strategyComparison }
+     */
+    findMatchesMultiStrategy(approachFrequencies, recedeFrequencies, options = {}) {
+        const config = { ...this.config, ...(options || {}) };
+        const pairs = this.generateCandidatePairs(approachFrequencies || [], recedeFrequencies || [], config);
+        
+        if (pairs.length === 0) {
+            return {
+                success: false,
+                error: 'No valid frequency pairs found',
+                matches: [],
+                bestMatch: null,
+                alternatives: [],
+                selectedStrategy: null,
+                strategyComparison: [],
+                candidatesEvaluated: 0
+            };
+        }
+        
+        // Score every pair with every requested strategy
+        const strategyRankings = {};
+        for (const strategy of config.strategies) {
+            const scores = this.scorePairsWithStrategy(strategy, pairs, config);
+            pairs.forEach((pair, i) => {
+                pair.strategyScores[strategy] = scores[i];
+            });
+            strategyRankings[strategy] = pairs
+                .map((pair, i) => ({ pair, score: scores[i] }))
+                .sort((a, b) => b.score - a.score);
+        }
+        
+        // Combine strategy scores into a final confidence
+        for (const pair of pairs) {
+            const scores = Object.values(pair.strategyScores);
+            pair.confidence = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            pair.selectedBy = config.strategies.filter(strategy => strategyRankings[strategy][0].pair === pair);
+            pair.strategy = Object.entries(pair.strategyScores).sort((a, b) => b[1] - a[1])[0][0];
+            pair.validation = this.validateMatch(pair);
+        }
+        
+        // Sort by confidence (descending) then by power ratio (descending)
+        pairs.sort((a, b) => {
+            if (Math.abs(a.confidence - b.confidence) > 1e-9) {
+                return b.confidence - a.confidence;
+            }
+            return b.powerRatio - a.powerRatio;
+        });
+        
+        const matches = pairs
+            .filter(pair => pair.confidence >= config.minConfidence)
+            .slice(0, config.maxMatches);
+        const bestMatch = matches[0] || null;
+        
+        const strategyComparison = config.strategies.map(strategy => {
+            const top = strategyRankings[strategy][0];
+            return {
+                strategy,
+                bestSpeed: top.pair.speed,
+                bestScore: top.score,
+                approachFreq: top.pair.approachFreq,
+                recedeFreq: top.pair.recedeFreq,
+                agreesWithSelection: bestMatch !== null &&
+                    Math.abs(top.pair.speed - bestMatch.speed) <= config.speedToleranceMph
+            };
+        });
+        
+        let selectedStrategy = null;
+        if (bestMatch) {
+            selectedStrategy = bestMatch.selectedBy.length > 1 ? 'consensus'
+                : (bestMatch.selectedBy[0] || bestMatch.strategy);
+        }
+        
+        return {
+            success: bestMatch !== null,
+            error: bestMatch ? null : 'No matches above confidence threshold',
+            matches,
+            bestMatch,
+            alternatives: matches.slice(1),
+            selectedStrategy,
+            strategyComparison,
+            candidatesEvaluated: pairs.length
+        };
+    }
+    
+    /**
+     * Build every physically valid approach/recede pair
+     * Approach must be higher than recede and the implied speed inside the configured band
+     * @param {Array} approachFrequencies - Approach candidates
+     * @param {Array} recedeFrequencies - Recede candidates
+     * @param {Object} config - Matching configuration
+     * @returns {Array} Candidate pair objects (speed in mph)
+     */
+    generateCandidatePairs(approachFrequencies, recedeFrequencies, config) {
+        const approach = FrequencyMatcher.filterReasonableFrequencies(
+            approachFrequencies, config.minFrequency, config.maxFrequency
+        ).slice(0, config.maxCandidates);
+        const recede = FrequencyMatcher.filterReasonableFrequencies(
+            recedeFrequencies, config.minFrequency, config.maxFrequency
+        ).slice(0, config.maxCandidates);
+        
+        if (approach.length === 0 || recede.length === 0) return [];
+        
+        const maxApproachPower = Math.max(...approach.map(f => f.power));
+        const maxRecedePower = Math.max(...recede.map(f => f.power));
+        const pairs = [];
+        
+        approach.forEach((approachFreq, approachIndex) => {
+            recede.forEach((recedeFreq, recedeIndex) => {
+                if (approachFreq.frequency <= recedeFreq.frequency) return;
+                
+                const speedKmh = this.speedCalculator.calculateSpeed(approachFreq.frequency, recedeFreq.frequency);
+                if (speedKmh <= 0) return;
+                
+                const speed = speedKmh * 0.621371;
+                if (speed < config.minSpeedMph || speed > config.maxSpeedMph) return;
+                
+                // Interpolated peaks carry a frequency uncertainty; carry it through to the speed
+                const hasUncertainty = Number.isFinite(approachFreq.frequencyUncertainty) &&
+                                       Number.isFinite(recedeFreq.frequencyUncertainty);
+                const speedUncertainty = hasUncertainty
+                    ? this.speedCalculator.calculateSpeedUncertainty(
+                        approachFreq.frequency, recedeFreq.frequency,
+                        approachFreq.frequencyUncertainty, recedeFreq.frequencyUncertainty
+                    ) * 0.621371
+                    : null;
+                
+                pairs.push({
+                    approachFreq: approachFreq.frequency,
+                    recedeFreq: recedeFreq.frequency,
+                    approachPower: approachFreq.power,
+                    recedePower: recedeFreq.power,
+                    approachRank: approachIndex + 1,
+                    recedeRank: recedeIndex + 1,
+                    approachNormalizedPower: approachFreq.power / maxApproachPower,
+                    recedeNormalizedPower: recedeFreq.power / maxRecedePower,
+                    speed,
+                    speedKmh,
+                    frequencySeparation: approachFreq.frequency - recedeFreq.frequency,
+                    frequencyRatio: approachFreq.frequency / recedeFreq.frequency,
+                    powerRatio: Math.min(approachFreq.power, recedeFreq.power) /
+                                Math.max(approachFreq.power, recedeFreq.power),
+                    approachUncertainty: hasUncertainty ? approachFreq.frequencyUncertainty : null,
+                    recedeUncertainty: hasUncertainty ? recedeFreq.frequencyUncertainty : null,
+                    speedUncertainty,
+                    approachBandwidth: approachFreq.bandwidth ?? null,
+                    recedeBandwidth: recedeFreq.bandwidth ?? null,
+                    strategyScores: {}
+                });
+            });
+        });
+        
+        return pairs;
+    }
+    
+    /**
+     * Score candidate pairs with one named strategy
+     * @param {string} strategy - 'power_weighted', 'rank_aligned' or 'speed_consensus'
+     * @param {Array} pairs - Candidate pairs from generateCandidatePairs()
+     * @param {Object} config - Matching configuration
+     * @returns {Array} Score (0-1) for each pair, in the same order
+     */
+    scorePairsWithStrategy(strategy, pairs, config) {
+        const baseScores = pairs.map(pair => this.calculateConfidence(
+            { frequency: pair.approachFreq, power: pair.approachPower, normalizedPower: pair.approachNormalizedPower },
+            { frequency: pair.recedeFreq, power: pair.recedePower, normalizedPower: pair.recedeNormalizedPower },
+            pair.speed
+        ));
+        
+        switch (strategy) {
+            case 'power_weighted':
+                return baseScores;
+                
+            case 'rank_aligned':
+                return pairs.map((pair, i) => {
+                    const rankAgreement = 1 / (1 + Math.abs(pair.approachRank - pair.recedeRank));
+                    const topRankBonus = 1 / Math.max(pair.approachRank, pair.recedeRank);
+                    return baseScores[i] * 0.5 + rankAgreement * 0.3 + topRankBonus * 0.2;
+                });
+                
+            case 'speed_consensus': {
+                // Power-weighted support from pairs implying the same speed
+                const weights = pairs.map(pair => Math.sqrt(pair.approachNormalizedPower * pair.recedeNormalizedPower));
+                const support = pairs.map(pair => pairs.reduce((sum, other, j) =>
+                    Math.abs(other.speed - pair.speed) <= config.speedToleranceMph ? sum + weights[j] : sum, 0));
+                const maxSupport = Math.max(...support);
+                return pairs.map((pair, i) => baseScores[i] * 0.5 + (support[i] / maxSupport) * 0.5);
+            }
+                
+            default:
+                throw new Error(`Unknown matching strategy: ${strategy}`);
+        }
+    }
+    
+    /**
+     * Calculate confidence for a single frequency pair from signal evidence
+     * Combines power balance (same source should be similarly loud), power strength
+     * relative to the strongest candidate, and plausibility of the frequency shift
+     * @param {Object} approachFreq - { frequency, power, normalizedPower? }
+     * @param {Object} recedeFreq - { frequency, power, normalizedPower? }
+     * @param {number} speed - Speed implied by the pair (unused by the score, kept for callers)
+     * @returns {number} Confidence (0-1)
+     */
+    calculateConfidence(approachFreq, recedeFreq, speed) {
+        const powerBalance = Math.min(approachFreq.power, recedeFreq.power) /
+                             Math.max(approachFreq.power, recedeFreq.power);
+        const powerStrength = Math.sqrt(
+            (approachFreq.normalizedPower ?? approachFreq.powerScore ?? 1) *
+            (recedeFreq.normalizedPower ?? recedeFreq.powerScore ?? 1)
+        );
+        
+        // 1-15% shift is typical (see isReasonableFrequencyShift); taper outside it
+        const averageFreq = (approachFreq.frequency + recedeFreq.frequency) / 2;
+        const shiftPercentage = Math.abs(approachFreq.frequency - recedeFreq.frequency) / averageFreq * 100;
+        let shiftPlausibility = 1.0;
+        if (shiftPercentage < 1) {
+            shiftPlausibility = shiftPercentage;
+        } else if (shiftPercentage > 15) {
+            shiftPlausibility = Math.max(0, 1 - (shiftPercentage - 15) / 15);
+        }
+        
+        const confidence = powerBalance * 0.35 + powerStrength * 0.35 + shiftPlausibility * 0.3;
+        return Math.max(0.0, Math.min(1.0, confidence));
+    }
+    
+    /**
+     * Validate a match against the confidence threshold and speed limits
+     * @param {Object} match - Match with approachFreq, recedeFreq, speed (mph) and confidence
+     * @returns {Object} { isValid, confidence, speed, reason }
+     */
+    validateMatch(match) {
+        let reason = 'Valid';
+        if (match.confidence < this.confidenceThreshold) {
+            reason = 'Low confidence';
+        } else if (match.speed < this.config.minSpeedMph) {
+            reason = 'Speed too low';
+        } else if (match.speed > this.config.maxSpeedMph) {
+            reason = 'Speed too high';
+        } else if (match.approachFreq <= match.recedeFreq) {
+            reason = 'Invalid frequency order';
+        }
+        
+        return {
+            isValid: reason === 'Valid',
+            confidence: match.confidence,
+            speed: match.speed,
+            reason
+        };
+    }
+    
     /**
      * Check if frequency difference is reasonable for Doppler shift
      * @param {number} approachFreq - Approaching frequency
@@ -103,11 +561,12 @@ class FrequencyMatcher {
     /**
      * Filter frequency candidates to remove unrealistic ones
      * @param {Array} frequencies - Array of frequency candidates
-     * @param {number} minFreq - Minimum reasonable frequency (default: 50 Hz)
-     * @param {number} maxFreq - Maximum reasonable frequency (default: 2000 Hz)
+     * @param {number} minFreq - Minimum reasonable frequency (default: DEFAULT_MATCHING_CONFIG.minFrequency)
+     * @param {number} maxFreq - Maximum reasonable frequency (default: DEFAULT_MATCHING_CONFIG.maxFrequency)
      * @returns {Array} Filtered frequency array
      */
-    static filterReasonableFrequencies(frequencies, minFreq = 50, maxFreq = 2000) {
+    static filterReasonableFrequencies(frequencies, minFreq = DEFAULT_MATCHING_CONFIG.minFrequency,
+                                       maxFreq = DEFAULT_MATCHING_CONFIG.maxFrequency) {
         return frequencies.filter(freq => 
             freq.frequency >= minFreq && 
             freq.frequency <= maxFreq &&
@@ -0,0 +1,232 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Frequency Track Extraction for Doppler analysis
+ * Follows the dominant engine or tyre tone through a spectrogram so the whole
+ * Doppler "S-curve" of a pass-by is available, not just two averaged sections
+ */
+
+import PeakInterpolator from './peak-interpolation.js';
+
+class FrequencyTracker {
+    /**
+     * Follow the dominant tone across a spectrogram
+     * Peaks in each frame are linked with a Viterbi search that rewards power and
+     * penalises frequency jumps, so the track stays on one tone instead of hopping
+     * to whichever harmonic happens to be loudest in a frame
+     *
+     * @param {Object} spectrogram - Result of Spectrogram.compute()
+     * @param {Object} options - Tracking options
+     * @returns {Object} Track result with points [{ time, frequency, frequencyUncertainty, power, frameIndex }]
+     */
+    static trackDominantTone(spectrogram, options = {}) {
+        const {
+            minFrequency = 80,          // Lowest tone to follow in Hz
+            maxFrequency = 2000,        // Highest tone to follow in Hz
+            candidatesPerFrame = 5,     // Spectral peaks considered per frame
+            activityThreshold = 0.05,   // Frame peak power relative to loudest frame
+            maxStepRatio = 0.02,        // Largest relative frequency change per frame
+            jumpPenalty = 2,            // Cost of using the full step allowance
+            restartPenalty = 8,         // Cost of abandoning the track for another tone
+            maxGapFrames = 3,           // Quiet frames bridged without restarting
+            minTrackFrames = 5,         // Shortest segment reported as a track
+            peakInterpolation = 'gaussian' // Sub-bin refinement: 'none', 'parabolic' or 'gaussian'
+        } = options;
+
+        const { binWidth } = spectrogram;
+        const frames = this.findFramePeaks(spectrogram, minFrequency, maxFrequency, candidatesPerFrame, peakInterpolation);
+        const loudest = frames.reduce((max, frame) => Math.max(max, frame.maxPower), 0);
+
+        if (loudest <= 0) {
+            return this.createEmptyTrack('No spectral peaks in tracking range');
+        }
+
+        const activeFrames = frames.filter(frame =>
+            frame.peaks.length > 0 && frame.maxPower >= loudest * activityThreshold);
+
+        // Viterbi over active frames; each state is one candidate peak
+        let previous = null;
+        for (const frame of activeFrames) {
+            for (const peak of frame.peaks) {
+                const emission = Math.log(peak.power / frame.maxPower);
+                peak.score = emission;
+                peak.back = null;
+                peak.restart = true;
+
+                if (!previous) continue;
+
+                const gap = frame.frameIndex - previous.frameIndex;
+                const bestPrevious = previous.peaks.reduce((best, p) => (p.score > best.score ? p : best));
+                peak.score = bestPrevious.score - restartPenalty + emission;
+                peak.back = bestPrevious;
+
+                if (gap > maxGapFrames + 1) continue;
+
+                for (const prevPeak of previous.peaks) {
+                    // Always allow a one-bin move, or bin quantisation alone could break the track
+                    const allowance = Math.max(maxStepRatio * gap, 1.5 * binWidth / prevPeak.frequency);
+                    const step = Math.abs(Math.log(peak.frequency / prevPeak.frequency));
+                    if (step > allowance) continue;
+
+                    const score = prevPeak.score - jumpPenalty * (step / allowance) ** 2 + emission;
+                    if (score > peak.score) {
+                        peak.score = score;
+                        peak.back = prevPeak;
+                        peak.restart = false;
+                    }
+                }
+            }
+            previous = frame;
+        }
+
+        if (!previous) {
+            return this.createEmptyTrack('No active frames');
+        }
+
+        // Backtrack and split the path wherever it restarted
+        const path = [];
+        let node = previous.peaks.reduce((best, p) => (p.score > best.score ? p : best));
+        while (node) {
+            path.push(node);
+            node = node.back;
+        }
+        path.reverse();
+
+        const segments = [];
+        for (const peak of path) {
+            if (peak.restart || segments.length === 0) {
+                segments.push([]);
+            }
+            segments[segments.length - 1].push(peak);
+        }
+
+        // The dominant tone is the segment carrying the most power
+        const candidates = segments.filter(segment => segment.length >= minTrackFrames);
+        if (candidates.length === 0) {
+            return this.createEmptyTrack(`No tone persisted for ${minTrackFrames} frames`, segments.length);
+        }
+
+        const segmentPower = segment => segment.reduce((sum, peak) => sum + peak.power, 0);
+        const dominant = candidates.reduce((best, segment) =>
+            (segmentPower(segment) > segmentPower(best) ? segment : best));
+
+        const points = dominant.map(peak => ({
+            time: spectrogram.times[peak.frameIndex],
+            frequency: peak.frequency,
+            frequencyUncertainty: peak.frequencyUncertainty,
+            power: peak.power,
+            frameIndex: peak.frameIndex
+        }));
+
+        const startFrame = points[0].frameIndex;
+        const endFrame = points[points.length - 1].frameIndex;
+        const frequencies = points.map(point => point.frequency);
+
+        return {
+            success: true,
+            points,
+            startTime: points[0].time,
+            endTime: points[points.length - 1].time,
+            coverage: points.length / (endFrame - startFrame + 1),
+            frequencyRange: {
+                min: frequencies.reduce((min, f) => Math.min(min, f), Infinity),
+                max: frequencies.reduce((max, f) => Math.max(max, f), -Infinity)
+            },
+            segmentsFound: segments.length,
+            frameTime: spectrogram.hopSize / spectrogram.sampleRate
+        };
+    }
+
+    /**
+     * Local-maximum peaks within the tracking band for every frame
+     * @param {Object} spectrogram - Result of Spectrogram.compute()
+     * @param {number} minFrequency - Lowest frequency in Hz
+     * @param {number} maxFrequency - Highest frequency in Hz
+     * @param {number} count - Peaks kept per frame
+     * @param {string} peakInterpolation - PeakInterpolator method using magnitudes only (default 'none')
+     * @returns {Array} [{ frameIndex, maxPower, peaks: [{ frequency, frequencyUncertainty, power, frameIndex }] }]
+     */
+    static findFramePeaks(spectrogram, minFrequency, maxFrequency, count, peakInterpolation = 'none') {
+        const { frequencies, power, binWidth } = spectrogram;
+        const firstBin = Math.round(frequencies[0] / binWidth);
+        const frames = [];
+
+        for (let f = 0; f < power.length; f++) {
+            const row = power[f];
+            const peaks = [];
+
+            for (let i = 1; i < row.length - 1; i++) {
+                const frequency = frequencies[i];
+                if (frequency < minFrequency || frequency > maxFrequency) continue;
+                if (row[i] > row[i - 1] && row[i] >= row[i + 1] && row[i] > 0) {
+                    peaks.push({ index: i, frequency, power: row[i], frameIndex: f });
+                }
+            }
+
+            peaks.sort((a, b) => b.power - a.power);
+            const kept = peaks.slice(0, count);
+
+            const spectrum = {
+                magnitudes: row,
+                binWidth,
+                windowType: spectrogram.windowType,
+                noiseFloor: kept.length > 0 ? PeakInterpolator.estimateNoiseFloor(row) : 0
+            };
+            for (const peak of kept) {
+                // Row index i is bin firstBin + i; refine() works in row indices and we add the offset back
+                const refined = PeakInterpolator.refine(peakInterpolation, peak.index, spectrum);
+                peak.frequency = refined.frequency + firstBin * binWidth;
+                peak.frequencyUncertainty = refined.frequencyUncertainty;
+                delete peak.index;
+            }
+            frames.push({
+                frameIndex: f,
+                maxPower: kept.length > 0 ? kept[0].power : 0,
+                peaks: kept
+            });
+        }
+
+        return frames;
+    }
+
+    /**
+     * Approach and recede frequencies from the ends of a track
+     * Medians of the first and last part of the track are robust to a few stray frames
+     * @param {Object} track - Result of trackDominantTone()
+     * @param {number} edgeFraction - Fraction of the track used at each end (default 0.2)
+     * @returns {Object} { approachFrequency, recedeFrequency } or nulls for an empty track
+     */
+    static getEndFrequencies(track, edgeFraction = 0.2) {
+        if (!track.success || track.points.length === 0) {
+            return { approachFrequency: null, recedeFrequency: null };
+        }
+
+        const edgeCount = Math.max(1, Math.floor(track.points.length * edgeFraction));
+        const median = points => {
+            const sorted = points.map(point => point.frequency).sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+        };
+
+        return {
+            approachFrequency: median(track.points.slice(0, edgeCount)),
+            recedeFrequency: median(track.points.slice(-edgeCount))
+        };
+    }
+
+    static createEmptyTrack(error, segmentsFound = 0) {
+        return {
+            success: false,
+            error,
+            points: [],
+            startTime: null,
+            endTime: null,
+            coverage: 0,
+            frequencyRange: null,
+            segmentsFound,
+            frameTime: null
+        };
+    }
+}
+
+export default FrequencyTracker;
@@ -0,0 +1,320 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Harmonic-series (engine order) aware speed estimation
+ * An engine or tyre tone is a comb of harmonics h·f0. The Doppler effect scales every
+ * harmonic by the same ratio, so approach and recede combs are matched harmonic by harmonic
+ * and the per-harmonic ratios are combined into one shift estimate.
+ */
+
+import FrequencyMatcher from './frequency-matcher.js';
+
+/**
+ * Default configuration for findHarmonicSpeedCalculation()
+ * Any field can be overridden per call
+ */
+const DEFAULT_HARMONIC_CONFIG = {
+    minFrequency: 50,          // Hz - ignore peaks below this
+    maxFrequency: 2000,        // Hz - ignore peaks above this
+    minFundamental: 30,        // Hz - lowest fundamental considered (may be missing from the spectrum)
+    maxHarmonic: 8,            // Highest harmonic number searched
+    maxSubharmonic: 3,         // A peak may be harmonic 1..maxSubharmonic of its series
+    harmonicTolerance: 0.02,   // Relative distance of a peak from h·f0
+    minHarmonics: 3,           // Harmonics a series, and a matched pair of series, needs
+    minCompleteness: 0.5,      // Share of harmonics 1..highest that must be present (rejects chance combs like {2, 7})
+    ratioTolerance: 0.005,     // Relative agreement between per-harmonic Doppler ratios
+    maxCandidates: 20,         // Peaks used from each section
+    maxSeries: 5,              // Series kept from each section
+    minSpeedMph: 1,
+    maxSpeedMph: 200,
+    speedToleranceMph: 2       // Agreement window for the evidence share
+};
+
+class HarmonicMatcher {
+    constructor(speedCalculator, options = {}) {
+        this.speedCalculator = speedCalculator;
+        this.config = { ...DEFAULT_HARMONIC_CONFIG, ...options };
+    }
+
+    /**
+     * Estimate speed from harmonic series found in both sections
+     *
+     * Each approach series is paired with each recede series. Harmonics with the same number
+     * give one Doppler ratio each; harmonics that disagree with the median ratio are rejected,
+     * and the rest are combined with precision weights (inverse variance when peaks carry a
+     * frequencyUncertainty, otherwise h²·power). Pairing harmonics by number means the
+     * 2nd harmonic on approach is never matched with the fundamental on recede.
+     *
+     * @param {Array} approachFrequencies - Peaks ({ frequency, power, frequencyUncertainty? }) from approach
+     * @param {Array} recedeFrequencies - Peaks from recede
+     * @param {Object} options - Overrides for DEFAULT_HARMONIC_CONFIG
+     * @returns {Object} { valid, speedMph, speedKmh, dopplerRatio, dopplerRatioUncertainty,
+     *   approachFreq, recedeFreq (fundamentals), harmonics, rejectedHarmonics, harmonicCount,
+     *   speedUncertaintyMph, confidence, evidenceShare, competingSpeedMph, seriesFound, scoringMode }
+     */
+    findHarmonicSpeedCalculation(approachFrequencies, recedeFrequencies, options = {}) {
+        const config = { ...this.config, ...options };
+        const approachSeries = this.findHarmonicSeries(approachFrequencies || [], config);
+        const recedeSeries = this.findHarmonicSeries(recedeFrequencies || [], config);
+        const seriesFound = { approach: approachSeries.length, recede: recedeSeries.length };
+
+        const candidates = [];
+        for (const approach of approachSeries) {
+            for (const recede of recedeSeries) {
+                const candidate = this.matchSeries(approach, recede, config);
+                if (candidate) candidates.push(candidate);
+            }
+        }
+
+        if (candidates.length === 0) {
+            return {
+                valid: false,
+                speedMph: null,
+                speedKmh: null,
+                confidence: 0,
+                seriesFound,
+                scoringMode: 'harmonic',
+                error: approachSeries.length === 0 || recedeSeries.length === 0
+                    ? 'No harmonic series found'
+                    : 'No harmonic series pair with a consistent Doppler ratio'
+            };
+        }
+
+        // Evidence agreeing with each candidate's speed, as in FrequencyMatcher.findBlindSpeedCalculation.
+        // Sub-series of one source agree with each other; the one using most harmonics wins among them
+        const totalEvidence = candidates.reduce((sum, candidate) => sum + candidate.evidence, 0);
+        const agreement = candidates.map(candidate => candidates.reduce((sum, other) =>
+            Math.abs(other.speedMph - candidate.speedMph) <= config.speedToleranceMph ? sum + other.evidence : sum, 0));
+        let bestIndex = 0;
+        for (let i = 1; i < candidates.length; i++) {
+            const best = candidates[bestIndex];
+            if (agreement[i] > agreement[bestIndex] ||
+                (agreement[i] === agreement[bestIndex] && (candidates[i].harmonicCount > best.harmonicCount ||
+                    (candidates[i].harmonicCount === best.harmonicCount && candidates[i].evidence > best.evidence)))) {
+                bestIndex = i;
+            }
+        }
+
+        const best = candidates[bestIndex];
+        const evidenceShare = agreement[bestIndex] / totalEvidence;
+        const competitors = candidates
+            .map((candidate, i) => ({ candidate, support: agreement[i] }))
+            .filter(({ candidate }) => Math.abs(candidate.speedMph - best.speedMph) > config.speedToleranceMph)
+            .sort((a, b) => b.support - a.support);
+
+        const { evidence, ...result } = best;
+        return {
+            valid: true,
+            ...result,
+            error: null,
+            confidence: evidenceShare,
+            evidenceShare,
+            competingSpeedMph: competitors.length > 0 ? competitors[0].candidate.speedMph : null,
+            candidatesEvaluated: candidates.length,
+            seriesFound,
+            scoringMode: 'harmonic'
+        };
+    }
+
+    /**
+     * Harmonic combs in one section's peaks, strongest first
+     * Every peak is tried as harmonic 1..maxSubharmonic of a series, so a missing fundamental
+     * is still found. A set of peaks explained by several fundamentals keeps the highest one.
+     *
+     * @param {Array} frequencies - Peaks ({ frequency, power, frequencyUncertainty? })
+     * @param {Object} config - Harmonic configuration
+     * @returns {Array} [{ fundamental, members: [{ harmonic, frequency, power, normalizedPower, frequencyUncertainty }], power }]
+     */
+    findHarmonicSeries(frequencies, config = this.config) {
+        const peaks = FrequencyMatcher.filterReasonableFrequencies(frequencies, config.minFrequency, config.maxFrequency)
+            .sort((a, b) => b.power - a.power)
+            .slice(0, config.maxCandidates);
+        if (peaks.length < config.minHarmonics) return [];
+
+        const maxPower = peaks[0].power;
+        const seriesByMembers = new Map();
+
+        for (const peak of peaks) {
+            for (let order = 1; order <= config.maxSubharmonic; order++) {
+                const guess = peak.frequency / order;
+                if (guess < config.minFundamental) break;
+
+                // Collect, refine the fundamental by least squares, then collect again
+                let members = this.collectHarmonics(guess, peaks, config);
+                if (members.length < config.minHarmonics) continue;
+                const fundamental = this.fitFundamental(members);
+                members = this.collectHarmonics(fundamental, peaks, config);
+                if (members.length < config.minHarmonics ||
+                    members.length < config.minCompleteness * members[members.length - 1].harmonic) continue;
+
+                const key = members.map(member => member.frequency).sort((a, b) => a - b).join(',');
+                const existing = seriesByMembers.get(key);
+                const refined = this.fitFundamental(members);
+                if (!existing || refined > existing.fundamental) {
+                    seriesByMembers.set(key, {
+                        fundamental: refined,
+                        members: members.map(member => ({ ...member, normalizedPower: member.power / maxPower })),
+                        power: members.reduce((sum, member) => sum + member.power / maxPower, 0)
+                    });
+                }
+            }
+        }
+
+        return [...seriesByMembers.values()]
+            .sort((a, b) => b.power - a.power)
+            .slice(0, config.maxSeries);
+    }
+
+    /**
+     * Nearest peak to each harmonic h·f0 within the relative tolerance; each peak is used once
+     */
+    collectHarmonics(fundamental, peaks, config) {
+        const members = [];
+        const used = new Set();
+
+        for (let harmonic = 1; harmonic <= config.maxHarmonic; harmonic++) {
+            const target = harmonic * fundamental;
+            if (target > config.maxFrequency * (1 + config.harmonicTolerance)) break;
+
+            let nearest = null;
+            for (const peak of peaks) {
+                const deviation = Math.abs(peak.frequency - target);
+                if (!used.has(peak) && deviation <= config.harmonicTolerance * target &&
+                    (!nearest || deviation < Math.abs(nearest.frequency - target))) {
+                    nearest = peak;
+                }
+            }
+
+            if (nearest) {
+                used.add(nearest);
+                members.push({
+                    harmonic,
+                    frequency: nearest.frequency,
+                    power: nearest.power,
+                    frequencyUncertainty: nearest.frequencyUncertainty ?? null
+                });
+            }
+        }
+
+        return members;
+    }
+
+    /**
+     * Power-weighted least-squares fundamental: minimises Σ p·(f − h·f0)²
+     */
+    fitFundamental(members) {
+        let numerator = 0;
+        let denominator = 0;
+        for (const { harmonic, frequency, power } of members) {
+            numerator += power * harmonic * frequency;
+            denominator += power * harmonic * harmonic;
+        }
+        return denominator > 0 ? numerator / denominator : members[0].frequency / members[0].harmonic;
+    }
+
+    /**
+     * Match an approach series with a recede series harmonic by harmonic
+     * @returns {Object|null} Candidate with the combined Doppler ratio, or null if fewer than
+     *   minHarmonics harmonics agree or the speed is outside the limits
+     */
+    matchSeries(approach, recede, config) {
+        const recedeByHarmonic = new Map(recede.members.map(member => [member.harmonic, member]));
+        const common = [];
+        for (const approachMember of approach.members) {
+            const recedeMember = recedeByHarmonic.get(approachMember.harmonic);
+            if (recedeMember && approachMember.frequency > recedeMember.frequency) {
+                common.push({
+                    harmonic: approachMember.harmonic,
+                    approachFreq: approachMember.frequency,
+                    recedeFreq: recedeMember.frequency,
+                    approachPower: approachMember.power,
+                    recedePower: recedeMember.power,
+                    approachUncertainty: approachMember.frequencyUncertainty,
+                    recedeUncertainty: recedeMember.frequencyUncertainty,
+                    strength: Math.sqrt(approachMember.normalizedPower * recedeMember.normalizedPower),
+                    ratio: approachMember.frequency / recedeMember.frequency
+                });
+            }
+        }
+        if (common.length < config.minHarmonics) return null;
+
+        // Every harmonic of one source shifts by the same ratio; reject the ones that do not
+        const ratios = common.map(harmonic => harmonic.ratio).sort((a, b) => a - b);
+        const medianRatio = ratios[Math.floor(ratios.length / 2)];
+        const harmonics = common.filter(harmonic => Math.abs(harmonic.ratio - medianRatio) / medianRatio <= config.ratioTolerance);
+        const rejectedHarmonics = common.filter(harmonic => !harmonics.includes(harmonic));
+        if (harmonics.length < config.minHarmonics ||
+            harmonics.length < config.minCompleteness * harmonics[harmonics.length - 1].harmonic) return null;
+
+        const { ratio, ratioUncertainty } = this.combineRatios(harmonics);
+        if (!(ratio > 1)) return null;
+
+        // Fundamentals consistent with the combined ratio
+        const approachFreq = this.fitFundamental(harmonics.map(h => ({ harmonic: h.harmonic, frequency: h.approachFreq, power: h.approachPower })));
+        const recedeFreq = approachFreq / ratio;
+
+        const speedKmh = this.speedCalculator.calculateSpeed(approachFreq, recedeFreq);
+        if (speedKmh <= 0) return null;
+        const speedMph = speedKmh * 0.621371;
+        if (speedMph < config.minSpeedMph || speedMph > config.maxSpeedMph) return null;
+
+        // dv/dr = 2c/(r + 1)² for v = c(r − 1)/(r + 1)
+        const speedUncertaintyMph = ratioUncertainty === null ? null
+            : 2 * this.speedCalculator.soundSpeed / ((ratio + 1) * (ratio + 1)) * ratioUncertainty * 3.6 * 0.621371;
+
+        const approachPower = harmonics.reduce((sum, h) => sum + h.approachPower, 0);
+        const recedePower = harmonics.reduce((sum, h) => sum + h.recedePower, 0);
+
+        return {
+            speedMph,
+            speedKmh,
+            dopplerRatio: ratio,
+            dopplerRatioUncertainty: ratioUncertainty,
+            approachFreq,
+            recedeFreq,
+            approachPower,
+            recedePower,
+            powerRatio: Math.min(approachPower, recedePower) / Math.max(approachPower, recedePower),
+            speedUncertaintyMph,
+            harmonics: harmonics.map(({ strength, approachUncertainty, recedeUncertainty, ...harmonic }) => harmonic),
+            rejectedHarmonics: rejectedHarmonics.map(({ strength, approachUncertainty, recedeUncertainty, ...harmonic }) => harmonic),
+            harmonicCount: harmonics.length,
+            evidence: harmonics.reduce((sum, h) => sum + h.strength, 0) * harmonics.length / common.length
+        };
+    }
+
+    /**
+     * Precision-weighted mean Doppler ratio and its 1σ uncertainty
+     * With per-peak frequency uncertainties the weights are inverse variances and the uncertainty
+     * follows from them; otherwise weights are h²·power (a bin error is h times smaller relative
+     * to the h-th harmonic) and the uncertainty is the weighted standard error of the ratios.
+     */
+    combineRatios(harmonics) {
+        const hasUncertainty = harmonics.every(h =>
+            Number.isFinite(h.approachUncertainty) && h.approachUncertainty > 0 &&
+            Number.isFinite(h.recedeUncertainty) && h.recedeUncertainty > 0);
+
+        const weights = harmonics.map(h => {
+            if (hasUncertainty) {
+                const relative = Math.hypot(h.approachUncertainty / h.approachFreq, h.recedeUncertainty / h.recedeFreq);
+                return 1 / (h.ratio * relative) ** 2;
+            }
+            return h.harmonic * h.harmonic * h.strength;
+        });
+
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const ratio = harmonics.reduce((sum, h, i) => sum + weights[i] * h.ratio, 0) / totalWeight;
+
+        let ratioUncertainty = null;
+        if (hasUncertainty) {
+            ratioUncertainty = 1 / Math.sqrt(totalWeight);
+        } else if (harmonics.length > 1) {
+            const scatter = harmonics.reduce((sum, h, i) => sum + weights[i] * (h.ratio - ratio) ** 2, 0);
+            ratioUncertainty = Math.sqrt(scatter / ((harmonics.length - 1) * totalWeight));
+        }
+
+        return { ratio, ratioUncertainty };
+    }
+}
+
+export default HarmonicMatcher;
@@ -0,0 +1,93 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Live audio source for StreamingAnalyzer (browser only)
+ * Routes a MediaStream - a microphone from getUserMedia, or any synthetic stream from
+ * MediaStreamAudioDestinationNode - through the ring buffer AudioWorklet.
+ */
+
+class MediaStreamSource {
+    /**
+     * @param {MediaStream} mediaStream - Stream with at least one audio track
+     * @param {Object} options - Source options
+     * @param {AudioContext} options.audioContext - Context to use (default: a new one, closed on stop)
+     * @param {string|URL} options.workletUrl - Location of ring-buffer-worklet.js
+     * @param {number} options.chunkSize - Samples per chunk posted by the worklet (default 2048)
+     */
+    constructor(mediaStream, options = {}) {
+        this.mediaStream = mediaStream;
+        this.audioContext = options.audioContext || null;
+        this.ownsContext = !options.audioContext;
+        this.workletUrl = options.workletUrl || new URL('./ring-buffer-worklet.js', import.meta.url);
+        this.chunkSize = options.chunkSize || 2048;
+        this.sourceNode = null;
+        this.workletNode = null;
+    }
+
+    /**
+     * Open the microphone without the browser's voice processing
+     * Echo cancellation, noise suppression and automatic gain control all distort engine tones
+     * @param {Object} options - MediaStreamSource options
+     * @returns {Promise<MediaStreamSource>} Source for the default microphone
+     */
+    static async fromMicrophone(options = {}) {
+        const mediaStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        return new MediaStreamSource(mediaStream, options);
+    }
+
+    /**
+     * Start delivering chunks
+     * @param {Function} onChunk - Called with each Float32Array chunk
+     * @returns {Promise<Object>} { sampleRate }
+     */
+    async start(onChunk) {
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+        await this.audioContext.audioWorklet.addModule(this.workletUrl);
+
+        this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'ring-buffer-processor', {
+            processorOptions: { chunkSize: this.chunkSize }
+        });
+        this.workletNode.port.onmessage = (event) => onChunk(event.data.samples);
+
+        // A node must reach the destination to be rendered; the worklet's output is silent
+        this.sourceNode.connect(this.workletNode);
+        this.workletNode.connect(this.audioContext.destination);
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        return { sampleRate: this.audioContext.sampleRate };
+    }
+
+    /**
+     * Stop delivering chunks. The MediaStream belongs to the caller and is left running.
+     */
+    async stop() {
+        if (this.workletNode) {
+            this.workletNode.port.postMessage('stop');
+            this.workletNode.port.onmessage = null;
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.ownsContext && this.audioContext) {
+            await this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+export default MediaStreamSource;
@@ -0,0 +1,304 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Noise Reducer
+ * Suppresses steady background sound (wind, distant traffic) before spectral analysis.
+ * The noise spectrum is learned from the quietest stretch of the ApproachDetector energy
+ * profile, where no vehicle is close, and every STFT frame is then attenuated bin by bin:
+ *
+ *   wiener                 gain ξ / (1 + ξ), with the a priori SNR ξ tracked from frame to
+ *                          frame (decision-directed), which avoids "musical noise"
+ *   spectral_subtraction   gain √(1 - α·noise / power), the classic power subtraction
+ *
+ * Gains never drop below a floor, so tones buried in the noise are quietened, not removed.
+ * Frames use a square-root Hann window for both analysis and synthesis and are overlap-added.
+ */
+
+import ApproachDetector from './approach-detector.js';
+import FFTBackends from './fft-backends.js';
+
+const METHODS = ['wiener', 'spectral_subtraction'];
+
+// RMS windows for finding quiet and loud stretches
+const PROFILE_WINDOW = 0.1; // Seconds
+const PROFILE_HOP = 0.05;   // Seconds
+
+class NoiseReducer {
+    /**
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Noise reduction options
+     * @param {string} options.method - 'wiener' or 'spectral_subtraction' (default 'wiener')
+     * @param {number} options.fftSize - Frame length, power of 2 (default about 40 ms of audio)
+     * @param {number} options.hopSize - Samples between frames (default fftSize / 4)
+     * @param {number} options.noiseDuration - Seconds of the quietest stretch used as the noise sample (default 0.5)
+     * @param {number} options.gainFloor - Smallest gain applied to a bin (default 0.1, -20 dB)
+     * @param {number} options.overSubtraction - Multiple of the noise subtracted, spectral_subtraction (default 2)
+     * @param {number} options.smoothing - Weight of the previous frame in the Wiener a priori SNR (default 0.98)
+     * @param {string} options.fftMode - An FFTBackends name or 'auto' (default 'auto')
+     * @param {number} options.batchSize - Frames per fftMany() call (default 32)
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.method = options.method || 'wiener';
+        this.fftSize = options.fftSize || 2 ** Math.ceil(Math.log2(sampleRate * 0.04));
+        this.hopSize = options.hopSize || Math.floor(this.fftSize / 4);
+        this.noiseDuration = options.noiseDuration ?? 0.5;
+        this.gainFloor = options.gainFloor ?? 0.1;
+        this.overSubtraction = options.overSubtraction ?? 2;
+        this.smoothing = options.smoothing ?? 0.98;
+        this.fftMode = options.fftMode || 'auto';
+        this.batchSize = options.batchSize || 32;
+        this.fftImplementation = null;
+
+        if (!METHODS.includes(this.method)) {
+            throw new Error(`Unknown noise reduction method: ${this.method}. Use one of ${METHODS.join(', ')}`);
+        }
+        if ((this.fftSize & (this.fftSize - 1)) !== 0) {
+            throw new Error(`FFT size must be power of 2, got ${this.fftSize}`);
+        }
+        if (this.hopSize <= 0 || this.hopSize > this.fftSize / 2) {
+            throw new Error(`Hop size must be between 1 and half the FFT size, got ${this.hopSize}`);
+        }
+    }
+
+    /**
+     * Suppress the background noise in a recording
+     * @param {Array|Float32Array} samples - Audio samples
+     * @returns {Promise<Object>} { samples (new Float32Array), method, noiseStart, noiseEnd (seconds),
+     *                            snrBefore, snrAfter (dB, loudest against quietest stretch) }
+     */
+    async reduce(samples) {
+        if (!this.fftImplementation) {
+            this.fftImplementation = await FFTBackends.resolve(this.fftMode);
+        }
+
+        const spans = NoiseReducer.findSpans(samples, this.sampleRate, this.noiseDuration);
+        const frames = this.frameStarts(samples.length);
+        const noisePower = await this.learnNoise(samples, frames, spans.quietest);
+        const output = await this.filter(samples, frames, noisePower);
+
+        return {
+            samples: output,
+            method: this.method,
+            noiseStart: spans.quietest.start / this.sampleRate,
+            noiseEnd: spans.quietest.end / this.sampleRate,
+            snrBefore: NoiseReducer.measureSnr(samples, spans),
+            snrAfter: NoiseReducer.measureSnr(output, spans)
+        };
+    }
+
+    /**
+     * Frame start positions covering every sample; the first and last frames hang over the ends
+     */
+    frameStarts(length) {
+        const starts = [];
+        for (let start = this.hopSize - this.fftSize; start < length; start += this.hopSize) {
+            starts.push(start);
+        }
+        return starts;
+    }
+
+    /**
+     * Mean power per bin of the frames inside the quiet stretch
+     * @returns {Promise<Float64Array>} fftSize / 2 + 1 bins
+     */
+    async learnNoise(samples, frames, span) {
+        const { fftSize } = this;
+        let noiseFrames = frames.filter(start => start >= span.start && start + fftSize <= span.end);
+        if (noiseFrames.length === 0) {
+            // Stretch shorter than a frame: the frame centred on it
+            const centre = (span.start + span.end) / 2 - fftSize / 2;
+            noiseFrames = [frames.reduce((best, start) => Math.abs(start - centre) < Math.abs(best - centre) ? start : best)];
+        }
+
+        const window = sqrtHann(fftSize);
+        const noisePower = new Float64Array(fftSize / 2 + 1);
+        for (let batchStart = 0; batchStart < noiseFrames.length; batchStart += this.batchSize) {
+            const batch = noiseFrames.slice(batchStart, batchStart + this.batchSize);
+            const spectra = await this.fftImplementation.fftMany(batch.map(start => windowedFrame(samples, start, window)));
+            for (const spectrum of spectra) {
+                for (let k = 0; k < noisePower.length; k++) {
+                    noisePower[k] += spectrum[2 * k] ** 2 + spectrum[2 * k + 1] ** 2;
+                }
+            }
+        }
+        for (let k = 0; k < noisePower.length; k++) {
+            noisePower[k] /= noiseFrames.length;
+        }
+        return noisePower;
+    }
+
+    /**
+     * STFT, per-bin gains and overlap-add resynthesis
+     * The backends only transform real signals, so the inverse FFT of a spectrum Y is taken
+     * from two forward FFTs: x[n] = (Re FFT(Re Y)[n] + Im FFT(Im Y)[n]) / N
+     * @returns {Promise<Float32Array>} Filtered samples
+     */
+    async filter(samples, frames, noisePower) {
+        const { fftSize } = this;
+        const bins = fftSize / 2 + 1;
+        const window = sqrtHann(fftSize);
+        const output = new Float64Array(samples.length);
+        const windowSum = new Float64Array(samples.length);
+
+        // Wiener state: gain² × power of the previous frame, per bin
+        const previousClean = new Float64Array(bins);
+        let firstFrame = true;
+
+        for (let batchStart = 0; batchStart < frames.length; batchStart += this.batchSize) {
+            const batch = frames.slice(batchStart, batchStart + this.batchSize);
+            const spectra = await this.fftImplementation.fftMany(batch.map(start => windowedFrame(samples, start, window)));
+
+            const realParts = [];
+            const imagParts = [];
+            for (const spectrum of spectra) {
+                const gains = this.computeGains(spectrum, noisePower, previousClean, firstFrame);
+                firstFrame = false;
+                const real = new Float32Array(fftSize);
+                const imag = new Float32Array(fftSize);
+                for (let k = 0; k < fftSize; k++) {
+                    const gain = gains[k < bins ? k : fftSize - k]; // Real signal: symmetric gains
+                    real[k] = spectrum[2 * k] * gain;
+                    imag[k] = spectrum[2 * k + 1] * gain;
+                }
+                realParts.push(real);
+                imagParts.push(imag);
+            }
+
+            const inverse = await this.fftImplementation.fftMany([...realParts, ...imagParts]);
+            batch.forEach((start, f) => {
+                const fromReal = inverse[f];
+                const fromImag = inverse[f + batch.length];
+                for (let i = 0; i < fftSize; i++) {
+                    const index = start + i;
+                    if (index < 0 || index >= samples.length) {
+                        continue;
+                    }
+                    const value = (fromReal[2 * i] + fromImag[2 * i + 1]) / fftSize;
+                    output[index] += value * window[i];
+                    windowSum[index] += window[i] * window[i];
+                }
+            });
+        }
+
+        const result = new Float32Array(samples.length);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = windowSum[i] > 1e-9 ? output[i] / windowSum[i] : 0;
+        }
+        return result;
+    }
+
+    /**
+     * Gain for each bin of one frame
+     * @returns {Float64Array} fftSize / 2 + 1 gains between gainFloor and 1
+     */
+    computeGains(spectrum, noisePower, previousClean, firstFrame) {
+        const gains = new Float64Array(noisePower.length);
+        for (let k = 0; k < gains.length; k++) {
+            const power = spectrum[2 * k] ** 2 + spectrum[2 * k + 1] ** 2;
+            const noise = noisePower[k] || 1e-20;
+            let gain;
+            if (this.method === 'spectral_subtraction') {
+                gain = Math.sqrt(Math.max(0, 1 - this.overSubtraction * noise / (power || 1e-20)));
+            } else {
+                const posteriorSnr = power / noise;
+                const priorSnr = firstFrame
+                    ? Math.max(posteriorSnr - 1, 0)
+                    : this.smoothing * previousClean[k] / noise + (1 - this.smoothing) * Math.max(posteriorSnr - 1, 0);
+                gain = priorSnr / (1 + priorSnr);
+            }
+            gains[k] = Math.max(this.gainFloor, gain);
+            previousClean[k] = gains[k] * gains[k] * power;
+        }
+        return gains;
+    }
+
+    /**
+     * The quietest and loudest stretches of a recording, from the ApproachDetector energy profile
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} duration - Stretch length in seconds
+     * @returns {Object} { quietest, loudest }, each { start, end } in samples
+     */
+    static findSpans(samples, sampleRate, duration = 0.5) {
+        const windowSamples = Math.max(1, Math.floor(PROFILE_WINDOW * sampleRate));
+        const hopSamples = Math.max(1, Math.floor(PROFILE_HOP * sampleRate));
+        const profile = ApproachDetector.calculateWindowedEnergyProfile(samples, sampleRate, windowSamples, hopSamples);
+        if (profile.length === 0) {
+            const whole = { start: 0, end: samples.length };
+            return { quietest: whole, loudest: whole };
+        }
+
+        // Windows per stretch, and a running sum of their mean squares
+        const count = Math.min(profile.length, Math.max(1, Math.round((duration * sampleRate - windowSamples) / hopSamples) + 1));
+        let sum = 0;
+        let quietest = { sum: Infinity, first: 0 };
+        let loudest = { sum: -Infinity, first: 0 };
+        for (let i = 0; i < profile.length; i++) {
+            sum += profile[i].energy ** 2;
+            if (i >= count) {
+                sum -= profile[i - count].energy ** 2;
+            }
+            if (i >= count - 1) {
+                const first = i - count + 1;
+                if (sum < quietest.sum) quietest = { sum, first };
+                if (sum > loudest.sum) loudest = { sum, first };
+            }
+        }
+
+        const toSpan = ({ first }) => ({
+            start: profile[first].index - Math.floor(windowSamples / 2),
+            end: Math.min(samples.length, profile[first + count - 1].index - Math.floor(windowSamples / 2) + windowSamples)
+        });
+        return { quietest: toSpan(quietest), loudest: toSpan(loudest) };
+    }
+
+    /**
+     * Signal-to-noise ratio: mean power of the loudest stretch against the quietest
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {Object} spans - { quietest, loudest } from findSpans(); pass the same spans to
+     *                         compare a recording before and after processing
+     * @returns {number} dB; Infinity for a silent quiet stretch
+     */
+    static measureSnr(samples, spans) {
+        const meanSquare = ({ start, end }) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                sum += samples[i] * samples[i];
+            }
+            return end > start ? sum / (end - start) : 0;
+        };
+        const noise = meanSquare(spans.quietest);
+        const signal = meanSquare(spans.loudest);
+        if (noise === 0) {
+            return signal === 0 ? 0 : Infinity;
+        }
+        return 10 * Math.log10(signal / noise);
+    }
+}
+
+/**
+ * Periodic square-root Hann window; its square overlap-adds to a constant at hops of N/4 or N/2
+ */
+function sqrtHann(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+    }
+    return window;
+}
+
+/**
+ * One windowed frame; samples before the start or past the end count as silence
+ */
+function windowedFrame(samples, start, window) {
+    const frame = new Float32Array(window.length);
+    const first = Math.max(0, -start);
+    const last = Math.min(window.length, samples.length - start);
+    for (let i = first; i < last; i++) {
+        frame[i] = samples[start + i] * window[i];
+    }
+    return frame;
+}
+
+export default NoiseReducer;
@@ -0,0 +1,190 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Multi-Vehicle Pass Segmentation
+ * Splits a long roadside recording into vehicle pass events using the energy profile.
+ * Each prominent energy peak is a closest approach; the pass extends either side until
+ * the energy falls back towards the background. Events that run into each other or
+ * whose closest approaches are too close together are rejected, because neither
+ * vehicle's Doppler shift can be measured cleanly.
+ */
+
+import ApproachDetector from './approach-detector.js';
+
+/**
+ * Default segmentation options (times in seconds)
+ */
+const DEFAULT_SEGMENTER_OPTIONS = {
+    windowSize: 0.1,            // RMS window
+    hopSize: 0.05,              // Step between RMS windows
+    smoothingWindow: 0.5,       // Moving average over the energy profile
+    peakProminence: 0.1,        // findEnergyPeaks prominence, fraction of the loudest peak
+    backgroundPercentile: 0.2,  // Energy percentile taken as background
+    minPeakRatio: 2.0,          // Peak energy must exceed background × this
+    edgeRatio: 1.4,             // A pass ends where energy drops below background × this
+    minPassDuration: 0.5,       // Shorter events are rejected
+    maxPassDuration: 20,        // Longer events are trimmed to this, centred on the peak
+    minSeparation: 2.0,         // Closest approaches nearer than this are rejected
+    mergeDipRatio: 0.8          // Peaks whose dip stays above this × the lower peak are one pass
+};
+
+class PassSegmenter {
+    /**
+     * Get the default segmentation options
+     * @returns {Object} Copy of DEFAULT_SEGMENTER_OPTIONS
+     */
+    static getDefaultOptions() {
+        return { ...DEFAULT_SEGMENTER_OPTIONS };
+    }
+
+    /**
+     * Find every vehicle pass in a recording
+     * @param {Array|Float32Array} samples - Audio samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Overrides for DEFAULT_SEGMENTER_OPTIONS
+     * @returns {Object} { events, rejected, backgroundEnergy, energyProfile, options }
+     *   events: [{ startTime, closestApproachTime, endTime, startIndex, closestApproachIndex, endIndex,
+     *              duration, peakEnergy, peakRatio, prominence }] in time order
+     *   rejected: the same shape plus `reason`
+     */
+    static findPasses(samples, sampleRate, options = {}) {
+        const config = { ...DEFAULT_SEGMENTER_OPTIONS, ...options };
+
+        const windowSamples = Math.max(1, Math.round(config.windowSize * sampleRate));
+        const hopSamples = Math.max(1, Math.round(config.hopSize * sampleRate));
+        const rawProfile = ApproachDetector.calculateWindowedEnergyProfile(samples, sampleRate, windowSamples, hopSamples);
+        const energyProfile = ApproachDetector.applySmoothingFilter(rawProfile, Math.round(config.smoothingWindow / config.hopSize));
+
+        const backgroundEnergy = this.calculateBackgroundEnergy(energyProfile, config.backgroundPercentile);
+        const result = { events: [], rejected: [], backgroundEnergy, energyProfile, options: config };
+        if (energyProfile.length < 3 || this.maxEnergy(energyProfile) === 0) {
+            return result;
+        }
+
+        // findEnergyPeaks returns profile entries by prominence; map them back to profile positions
+        const positionByIndex = new Map(energyProfile.map((entry, position) => [entry.index, position]));
+        const peaks = this.mergeShallowPeaks(energyProfile, ApproachDetector.findEnergyPeaks(energyProfile, config.peakProminence)
+            .filter(peak => peak.energy >= backgroundEnergy * config.minPeakRatio)
+            .map(peak => ({ ...peak, position: positionByIndex.get(peak.index) }))
+            .sort((a, b) => a.position - b.position), config.mergeDipRatio);
+
+        const candidates = peaks.map((peak, i) =>
+            this.buildEvent(energyProfile, peak, peaks[i - 1], peaks[i + 1], backgroundEnergy, sampleRate, config));
+
+        candidates.forEach((event, i) => {
+            const reason = this.getRejectionReason(event, candidates[i - 1], candidates[i + 1], config);
+            if (reason) {
+                result.rejected.push({ ...event, reason });
+            } else {
+                result.events.push(event);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Background energy as a low percentile of the profile
+     * Robust to long recordings where vehicles are present much of the time
+     * @param {Array} energyProfile - Energy profile entries
+     * @param {number} percentile - 0-1
+     * @returns {number} Background RMS energy
+     */
+    static calculateBackgroundEnergy(energyProfile, percentile = DEFAULT_SEGMENTER_OPTIONS.backgroundPercentile) {
+        if (energyProfile.length === 0) return 0;
+        const sorted = energyProfile.map(entry => entry.energy).sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(percentile * sorted.length))];
+    }
+
+    /**
+     * Merge neighbouring peaks that are bumps on one vehicle's energy hump
+     * Two peaks stay separate only if the energy between them dips below mergeDipRatio × the lower one
+     * @param {Array} energyProfile - Energy profile entries
+     * @param {Array} peaks - Peaks with profile `position`, in time order
+     * @param {number} mergeDipRatio - 0-1
+     * @returns {Array} Peaks in time order
+     */
+    static mergeShallowPeaks(energyProfile, peaks, mergeDipRatio) {
+        const merged = [];
+        for (const peak of peaks) {
+            const previous = merged[merged.length - 1];
+            if (previous) {
+                let dip = Infinity;
+                for (let p = previous.position; p <= peak.position; p++) {
+                    dip = Math.min(dip, energyProfile[p].energy);
+                }
+                if (dip >= mergeDipRatio * Math.min(previous.energy, peak.energy)) {
+                    if (peak.energy > previous.energy) merged[merged.length - 1] = peak;
+                    continue;
+                }
+            }
+            merged.push(peak);
+        }
+        return merged;
+    }
+
+    static maxEnergy(energyProfile) {
+        return energyProfile.reduce((max, entry) => Math.max(max, entry.energy), 0);
+    }
+
+    /**
+     * Grow a pass out from its energy peak
+     * Each edge stops where the energy drops below background × edgeRatio, or at the
+     * quietest point between this peak and its neighbour if it never does.
+     */
+    static buildEvent(energyProfile, peak, previousPeak, nextPeak, backgroundEnergy, sampleRate, config) {
+        const edgeEnergy = backgroundEnergy * config.edgeRatio;
+
+        const findEdge = (direction, limit) => {
+            let quietest = peak.position;
+            for (let p = peak.position; direction < 0 ? p >= limit : p <= limit; p += direction) {
+                if (energyProfile[p].energy < energyProfile[quietest].energy) quietest = p;
+                if (energyProfile[p].energy < edgeEnergy) return { position: p, separated: true };
+            }
+            return { position: quietest, separated: !(direction < 0 ? previousPeak : nextPeak) };
+        };
+
+        const start = findEdge(-1, previousPeak ? previousPeak.position : 0);
+        const end = findEdge(1, nextPeak ? nextPeak.position : energyProfile.length - 1);
+
+        // Trim long events symmetrically around the closest approach
+        const halfMax = config.maxPassDuration / 2 * sampleRate;
+        const startIndex = Math.max(energyProfile[start.position].index, peak.index - halfMax);
+        const endIndex = Math.min(energyProfile[end.position].index, peak.index + halfMax);
+
+        return {
+            startTime: startIndex / sampleRate,
+            closestApproachTime: peak.index / sampleRate,
+            endTime: endIndex / sampleRate,
+            startIndex: Math.round(startIndex),
+            closestApproachIndex: peak.index,
+            endIndex: Math.round(endIndex),
+            duration: (endIndex - startIndex) / sampleRate,
+            peakEnergy: peak.energy,
+            peakRatio: backgroundEnergy > 0 ? peak.energy / backgroundEnergy : Infinity,
+            prominence: peak.prominence,
+            separatedBefore: start.separated,
+            separatedAfter: end.separated
+        };
+    }
+
+    /**
+     * Why an event cannot be analysed on its own, or null if it can
+     */
+    static getRejectionReason(event, previous, next, config) {
+        const tooClose = [previous, next].some(other =>
+            other && Math.abs(other.closestApproachTime - event.closestApproachTime) < config.minSeparation);
+        if (tooClose) {
+            return `Another pass within ${config.minSeparation}s of closest approach`;
+        }
+        if (!event.separatedBefore || !event.separatedAfter) {
+            return 'Overlaps another pass (energy never returns to background between them)';
+        }
+        if (event.duration < config.minPassDuration) {
+            return `Shorter than ${config.minPassDuration}s`;
+        }
+        return null;
+    }
+}
+
+export default PassSegmenter;
@@ -0,0 +1,142 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Raw PCM decoder
+ * Headerless sample data in any of the common layouts: 8, 16, 24 or 32-bit integers
+ * or 32/64-bit floats, little or big endian, with channels interleaved frame by frame.
+ * Nothing in the data says which layout it is, so the caller does.
+ */
+
+/**
+ * Default layout; any field can be overridden per call
+ */
+const DEFAULT_PCM_OPTIONS = {
+    sampleRate: 48000,
+    channels: 1,
+    bitDepth: 16,               // 8, 16, 24 or 32 for integers; 32 or 64 for floats
+    encoding: 'int',            // 'int' or 'float'
+    endianness: 'little',       // 'little' or 'big'
+    signed: undefined           // Integers are signed, except 8-bit, which is unsigned as in WAV
+};
+
+const INTEGER_BIT_DEPTHS = [8, 16, 24, 32];
+const FLOAT_BIT_DEPTHS = [32, 64];
+
+class PcmDecoder {
+    /**
+     * Decode raw PCM bytes
+     * @param {Uint8Array} bytes - Sample data; a trailing partial frame is ignored
+     * @param {Object} options - Overrides for DEFAULT_PCM_OPTIONS
+     * @returns {Object} { channels, sampleRate, format }: one Float32Array per channel, integers
+     *                   scaled to [-1, 1), and format { encoding, bitDepth, endianness, signed }
+     * @throws {Error} For an unsupported layout
+     */
+    static decode(bytes, options = {}) {
+        const config = PcmDecoder.resolveOptions(options);
+        const { channels: channelCount, bitDepth, encoding } = config;
+        const little = config.endianness === 'little';
+        const bytesPerSample = bitDepth / 8;
+        const frameCount = Math.floor(bytes.length / (bytesPerSample * channelCount));
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const read = PcmDecoder.createReader(view, config, little);
+
+        const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+        let offset = 0;
+        for (let frame = 0; frame < frameCount; frame++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                channels[channel][frame] = read(offset);
+                offset += bytesPerSample;
+            }
+        }
+
+        return {
+            channels,
+            sampleRate: config.sampleRate,
+            format: {
+                encoding: encoding === 'float' ? 'pcm-float' : 'pcm-int',
+                bitDepth,
+                endianness: config.endianness,
+                signed: config.signed
+            }
+        };
+    }
+
+    /**
+     * Options with defaults filled in and checked
+     * @throws {Error} For an unsupported layout
+     */
+    static resolveOptions(options) {
+        const config = { ...DEFAULT_PCM_OPTIONS };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && key in DEFAULT_PCM_OPTIONS) {
+                config[key] = value;
+            }
+        });
+
+        if (!(config.sampleRate > 0)) {
+            throw new Error(`PCM sample rate must be positive, got ${config.sampleRate}`);
+        }
+        if (!Number.isInteger(config.channels) || config.channels < 1) {
+            throw new Error(`PCM channel count must be a whole number of at least 1, got ${config.channels}`);
+        }
+        if (config.encoding !== 'int' && config.encoding !== 'float') {
+            throw new Error(`PCM encoding must be 'int' or 'float', got '${config.encoding}'`);
+        }
+        const depths = config.encoding === 'float' ? FLOAT_BIT_DEPTHS : INTEGER_BIT_DEPTHS;
+        if (!depths.includes(config.bitDepth)) {
+            throw new Error(`${config.encoding} PCM bit depth must be one of ${depths.join(', ')}, got ${config.bitDepth}`);
+        }
+        if (config.endianness !== 'little' && config.endianness !== 'big') {
+            throw new Error(`PCM endianness must be 'little' or 'big', got '${config.endianness}'`);
+        }
+        if (config.encoding === 'float') {
+            config.signed = true;
+        } else if (config.signed === undefined) {
+            config.signed = config.bitDepth !== 8;
+        }
+        return config;
+    }
+
+    /**
+     * Function reading one sample at a byte offset, scaled to [-1, 1)
+     */
+    static createReader(view, config, little) {
+        const { bitDepth, signed } = config;
+        if (config.encoding === 'float') {
+            return bitDepth === 32
+                ? offset => view.getFloat32(offset, little)
+                : offset => view.getFloat64(offset, little);
+        }
+
+        const scale = 2 ** (bitDepth - 1);
+        switch (bitDepth) {
+            case 8:
+                return signed
+                    ? offset => view.getInt8(offset) / scale
+                    : offset => (view.getUint8(offset) - scale) / scale;
+            case 16:
+                return signed
+                    ? offset => view.getInt16(offset, little) / scale
+                    : offset => (view.getUint16(offset, little) - scale) / scale;
+            case 24:
+                return offset => {
+                    const first = view.getUint8(offset);
+                    const middle = view.getUint8(offset + 1);
+                    const last = view.getUint8(offset + 2);
+                    const value = little
+                        ? first | (middle << 8) | (last << 16)
+                        : (first << 16) | (middle << 8) | last;
+                    // Sign-extend from bit 23, or recentre unsigned data
+                    return signed
+                        ? ((value << 8) >> 8) / scale
+                        : (value - scale) / scale;
+                };
+            default:
+                return signed
+                    ? offset => view.getInt32(offset, little) / scale
+                    : offset => (view.getUint32(offset, little) - scale) / scale;
+        }
+    }
+}
+
+export default PcmDecoder;
@@ -0,0 +1,124 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Spectral peak picking
+ * Neighbouring bins of one window lobe are a single peak, not several frequencies.
+ * Peaks must be local maxima, stand out from their surroundings (prominence) and from
+ * the noise floor, and be a minimum distance apart.
+ */
+
+import PeakInterpolator from './peak-interpolation.js';
+
+const DEFAULT_PEAK_OPTIONS = {
+    minDistance: null,      // Hz between kept peaks; defaults to two bins
+    minProminence: 0.1,     // Fraction of the peak height it must rise above its higher base
+    noiseFloorRatio: 2,     // Multiple of the median magnitude a peak must exceed
+    noiseFloor: null,       // Precomputed noise floor (median magnitude)
+    maxPeaks: Infinity
+};
+
+class PeakFinder {
+    /**
+     * Default peak picking options
+     * @returns {Object} Copy of the defaults
+     */
+    static getDefaultOptions() {
+        return { ...DEFAULT_PEAK_OPTIONS };
+    }
+
+    /**
+     * Distinct peaks of a magnitude spectrum, strongest first
+     *
+     * @param {Array} spectrum - Magnitudes per bin (bin 0 is DC and never a peak)
+     * @param {number} binWidth - Hz per bin
+     * @param {Object} options - minDistance (Hz), minProminence (0-1), noiseFloorRatio, noiseFloor, maxPeaks
+     * @returns {Array} [{ index, power, prominence, bandwidth }]; prominence is in magnitude units
+     *   and bandwidth is the -3 dB width in Hz
+     */
+    static findPeaks(spectrum, binWidth = 1, options = {}) {
+        const config = { ...DEFAULT_PEAK_OPTIONS, ...options };
+        const length = spectrum.length;
+        if (length < 3) return [];
+
+        const noiseFloor = config.noiseFloor ?? PeakInterpolator.estimateNoiseFloor(spectrum);
+        const threshold = config.noiseFloorRatio * noiseFloor;
+        const minDistanceBins = config.minDistance === null ? 2 : config.minDistance / binWidth;
+
+        // Local maxima above the noise floor; a plateau counts once, at its left edge
+        const candidates = [];
+        for (let i = 1; i < length - 1; i++) {
+            const value = spectrum[i];
+            if (value > spectrum[i - 1] && value >= spectrum[i + 1] && value > 0 && value > threshold) {
+                const prominence = this.calculateProminence(spectrum, i);
+                if (prominence >= config.minProminence * value) {
+                    candidates.push({ index: i, power: value, prominence });
+                }
+            }
+        }
+
+        // Strongest first; weaker peaks too close to a kept one belong to its lobe
+        candidates.sort((a, b) => b.power - a.power);
+        const kept = [];
+        for (const candidate of candidates) {
+            if (kept.length >= config.maxPeaks) break;
+            if (kept.every(peak => Math.abs(peak.index - candidate.index) >= minDistanceBins)) {
+                candidate.bandwidth = this.calculateBandwidth(spectrum, candidate.index) * binWidth;
+                kept.push(candidate);
+            }
+        }
+
+        return kept;
+    }
+
+    /**
+     * Height of a peak above the higher of the two lowest points between it and a taller peak
+     * (or the spectrum edge) on each side
+     * @param {Array} spectrum - Magnitudes
+     * @param {number} index - Peak bin
+     * @returns {number} Prominence in magnitude units
+     */
+    static calculateProminence(spectrum, index) {
+        const height = spectrum[index];
+
+        let leftMin = height;
+        for (let j = index - 1; j >= 0 && spectrum[j] <= height; j--) {
+            if (spectrum[j] < leftMin) leftMin = spectrum[j];
+        }
+
+        let rightMin = height;
+        for (let j = index + 1; j < spectrum.length && spectrum[j] <= height; j++) {
+            if (spectrum[j] < rightMin) rightMin = spectrum[j];
+        }
+
+        return height - Math.max(leftMin, rightMin);
+    }
+
+    /**
+     * Width in bins where the magnitude stays above 1/√2 of the peak (half power),
+     * with linear interpolation between bins at each edge
+     * @param {Array} spectrum - Magnitudes
+     * @param {number} index - Peak bin
+     * @returns {number} Width in bins
+     */
+    static calculateBandwidth(spectrum, index) {
+        const level = spectrum[index] / Math.SQRT2;
+
+        let left = index;
+        while (left > 0 && spectrum[left - 1] >= level) left--;
+        let leftEdge = left;
+        if (left > 0) {
+            leftEdge = left - (spectrum[left] - level) / (spectrum[left] - spectrum[left - 1]);
+        }
+
+        let right = index;
+        while (right < spectrum.length - 1 && spectrum[right + 1] >= level) right++;
+        let rightEdge = right;
+        if (right < spectrum.length - 1) {
+            rightEdge = right + (spectrum[right] - level) / (spectrum[right] - spectrum[right + 1]);
+        }
+
+        return rightEdge - leftEdge;
+    }
+}
+
+export default PeakFinder;
@@ -0,0 +1,227 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Sub-bin frequency estimation for spectral peaks
+ * Bin spacing of a short section is several Hz, a large part of a 1-3% Doppler shift.
+ * These estimators place a peak between bins and report how far the result can be trusted.
+ */
+
+/**
+ * Jacobsen's estimator is exact for a rectangular window; windowed spectra need a scale factor
+ * (measured for the windows WindowingUtils provides)
+ */
+const JACOBSEN_WINDOW_SCALE = {
+    none: 1.0,
+    hann: 2.003,
+    hanning: 2.003,
+    hamming: 1.815,
+    blackman: 2.502
+};
+
+/**
+ * Largest systematic error of each estimator in bins for a clean tone, by window
+ * Measured by sweeping a tone across a bin at 256, 1024 and 4096 points and three phases,
+ * plus 10%; the peak-interpolation unit test repeats the sweep against this table.
+ * 'none' (bin centre) can be anywhere within half a bin
+ */
+const MAX_BIAS_BINS = {
+    none: { none: 0.5, hann: 0.5, hamming: 0.5, blackman: 0.5 },
+    parabolic: { none: 0.27, hann: 0.06, hamming: 0.075, blackman: 0.05 },
+    gaussian: { none: 0.2, hann: 0.018, hamming: 0.018, blackman: 0.008 },
+    jacobsen: { none: 0.002, hann: 0.0025, hamming: 0.005, blackman: 0.004 },
+    phase_vocoder: { none: 0.01, hann: 0.01, hamming: 0.01, blackman: 0.01 }
+};
+
+const METHOD_ALIASES = {
+    quadratic: 'parabolic',
+    phasevocoder: 'phase_vocoder',
+    'phase-vocoder': 'phase_vocoder'
+};
+
+class PeakInterpolator {
+    /**
+     * Supported estimator names
+     * @returns {Array} Method names accepted by refine()
+     */
+    static getMethods() {
+        return ['none', 'parabolic', 'quadratic', 'gaussian', 'jacobsen', 'phase_vocoder'];
+    }
+
+    /**
+     * Canonical method name, throwing on unknown methods so typos are not silently ignored
+     * @param {string} method - Estimator name or alias
+     * @returns {string} Canonical method name
+     */
+    static normalizeMethod(method = 'none') {
+        const name = METHOD_ALIASES[method.toLowerCase()] || method.toLowerCase();
+        if (!MAX_BIAS_BINS[name]) {
+            throw new Error(`Unknown peak interpolation method: ${method}. Use one of ${this.getMethods().join(', ')}`);
+        }
+        return name;
+    }
+
+    /**
+     * Refine the frequency of the peak at a bin
+     *
+     * @param {string} method - 'none', 'parabolic'/'quadratic', 'gaussian', 'jacobsen' or 'phase_vocoder'
+     * @param {number} index - Bin index of the peak
+     * @param {Object} spectrum - Spectrum data:
+     *   magnitudes (Array), binWidth (Hz), windowType, noiseFloor (magnitude, optional),
+     *   real/imag (Arrays, needed for 'jacobsen' and 'phase_vocoder'),
+     *   laggedReal/laggedImag and hopSize (second frame hopSize samples later, needed for 'phase_vocoder'),
+     *   fftSize (needed for 'phase_vocoder')
+     * @returns {Object} { frequency, binOffset, magnitude, frequencyUncertainty, method }
+     */
+    static refine(method, index, spectrum) {
+        const name = this.normalizeMethod(method);
+        const { magnitudes, binWidth } = spectrum;
+        const last = magnitudes.length - 1;
+
+        let offset = 0;
+        let magnitude = magnitudes[index];
+
+        // Edge bins have no neighbour on one side
+        if (name !== 'none' && index > 0 && index < last) {
+            switch (name) {
+                case 'parabolic':
+                    ({ offset, magnitude } = this.parabolicOffset(magnitudes[index - 1], magnitudes[index], magnitudes[index + 1]));
+                    break;
+                case 'gaussian':
+                    ({ offset, magnitude } = this.gaussianOffset(magnitudes[index - 1], magnitudes[index], magnitudes[index + 1]));
+                    break;
+                case 'jacobsen':
+                    offset = this.jacobsenOffset(spectrum, index);
+                    break;
+                case 'phase_vocoder':
+                    offset = this.phaseVocoderOffset(spectrum, index);
+                    break;
+            }
+        }
+
+        // A true peak lies within half a bin; anything else means the bin was not a local maximum
+        const maxOffset = name === 'phase_vocoder' ? 1 : 0.5;
+        offset = Number.isFinite(offset) ? Math.max(-maxOffset, Math.min(maxOffset, offset)) : 0;
+
+        return {
+            frequency: (index + offset) * binWidth,
+            binOffset: offset,
+            magnitude,
+            frequencyUncertainty: this.estimateUncertainty(name, magnitudes[index], spectrum),
+            method: name
+        };
+    }
+
+    /**
+     * Quadratic fit through three magnitudes
+     */
+    static parabolicOffset(left, centre, right) {
+        const denominator = left - 2 * centre + right;
+        if (denominator === 0) return { offset: 0, magnitude: centre };
+        const offset = 0.5 * (left - right) / denominator;
+        return { offset, magnitude: centre - 0.25 * (left - right) * offset };
+    }
+
+    /**
+     * Quadratic fit through log magnitudes; exact for a Gaussian-shaped peak,
+     * and close to it for Hann, Hamming and Blackman windows
+     */
+    static gaussianOffset(left, centre, right) {
+        if (left <= 0 || centre <= 0 || right <= 0) {
+            return this.parabolicOffset(left, centre, right);
+        }
+        const l = Math.log(left);
+        const c = Math.log(centre);
+        const r = Math.log(right);
+        const denominator = l - 2 * c + r;
+        if (denominator === 0) return { offset: 0, magnitude: centre };
+        const offset = 0.5 * (l - r) / denominator;
+        return { offset, magnitude: Math.exp(c - 0.25 * (l - r) * offset) };
+    }
+
+    /**
+     * Jacobsen's complex three-bin estimator: Re[(X[k−1] − X[k+1]) / (2X[k] − X[k−1] − X[k+1])]
+     */
+    static jacobsenOffset(spectrum, index) {
+        const { real, imag } = spectrum;
+        if (!real || !imag) {
+            throw new Error('Jacobsen interpolation needs the complex spectrum (real/imag)');
+        }
+
+        const numReal = real[index - 1] - real[index + 1];
+        const numImag = imag[index - 1] - imag[index + 1];
+        const denReal = 2 * real[index] - real[index - 1] - real[index + 1];
+        const denImag = 2 * imag[index] - imag[index - 1] - imag[index + 1];
+        const denPower = denReal * denReal + denImag * denImag;
+        if (denPower === 0) return 0;
+
+        const ratio = (numReal * denReal + numImag * denImag) / denPower;
+        const scale = JACOBSEN_WINDOW_SCALE[(spectrum.windowType || 'none').toLowerCase()] ?? 1;
+        return ratio * scale;
+    }
+
+    /**
+     * Phase vocoder: phase advance of the bin between two frames hopSize samples apart
+     * Unambiguous for offsets within fftSize / (2·hopSize) bins
+     */
+    static phaseVocoderOffset(spectrum, index) {
+        const { real, imag, laggedReal, laggedImag, hopSize, fftSize } = spectrum;
+        if (!real || !laggedReal || !hopSize || !fftSize) {
+            throw new Error('Phase vocoder interpolation needs two complex frames (real/imag, laggedReal/laggedImag, hopSize, fftSize)');
+        }
+
+        const phase = Math.atan2(imag[index], real[index]);
+        const laggedPhase = Math.atan2(laggedImag[index], laggedReal[index]);
+        const expected = 2 * Math.PI * index * hopSize / fftSize;
+
+        let deviation = laggedPhase - phase - expected;
+        deviation -= 2 * Math.PI * Math.round(deviation / (2 * Math.PI));
+
+        return deviation * fftSize / (2 * Math.PI * hopSize);
+    }
+
+    /**
+     * 1σ systematic error of an estimator on a clean tone: the frequency-resolution limit
+     * @param {string} method - Estimator name or alias
+     * @param {string} windowType - Window applied before the FFT
+     * @param {number} binWidth - Hz per bin (1 for an answer in bins)
+     * @returns {number} Uncertainty in Hz, uniform over ±the largest bias
+     */
+    static estimateSystematicUncertainty(method, windowType, binWidth) {
+        const window = (windowType || 'none').toLowerCase().replace('hanning', 'hann');
+        const biases = MAX_BIAS_BINS[this.normalizeMethod(method)];
+        const maxBias = biases[window] ?? biases.none;
+        return maxBias / Math.sqrt(3) * binWidth;
+    }
+
+    /**
+     * Approximate 1σ frequency uncertainty in Hz
+     * Combines the estimator's systematic error for the window with the noise term
+     * ~0.4 bins / √SNR (the Cramér-Rao bound for a tone in white noise, in bins)
+     */
+    static estimateUncertainty(method, peakMagnitude, spectrum) {
+        const systematic = this.estimateSystematicUncertainty(method, spectrum.windowType, 1);
+
+        let noise = 0;
+        if (spectrum.noiseFloor > 0 && peakMagnitude > 0) {
+            noise = 0.4 * spectrum.noiseFloor / peakMagnitude;
+            if (method === 'phase_vocoder') {
+                // Phase noise is divided by the hop rather than the frame length
+                noise *= spectrum.fftSize / (Math.PI * spectrum.hopSize);
+            }
+        }
+
+        return Math.sqrt(systematic * systematic + noise * noise) * spectrum.binWidth;
+    }
+
+    /**
+     * Robust noise floor of a magnitude spectrum: its median
+     * @param {Array} magnitudes - Magnitude spectrum
+     * @returns {number} Median magnitude
+     */
+    static estimateNoiseFloor(magnitudes) {
+        const sorted = Float64Array.from(magnitudes).sort();
+        return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+    }
+}
+
+export default PeakInterpolator;
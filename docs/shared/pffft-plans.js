@@ -0,0 +1,185 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * PFFFT Plans
+ * Real FFTs on a loaded PFFFT WASM module without per-call setup or allocation.
+ * One PFFFT setup is kept per FFT size, so workloads that alternate sizes (approach and
+ * recede sections, STFT frames) never rebuild them. Input, output and work buffers are
+ * aligned WASM allocations reused by every call and only grown, never shrunk.
+ * transformMany() copies a batch of frames into WASM memory, transforms them all and
+ * reads them back in one round trip.
+ */
+
+// pffft_transform_t and pffft_direction_t from pffft.h
+const PFFFT_REAL = 0;
+const PFFFT_FORWARD = 0;
+const BYTES_PER_FLOAT = 4;
+
+class PffftPlans {
+    /**
+     * @param {Object} wasmModule - Initialized PFFFT module (pffft.js)
+     * @param {string} name - Backend name used in error messages (default 'PFFFT')
+     */
+    constructor(wasmModule, name = 'PFFFT') {
+        this.wasmModule = wasmModule;
+        this.name = name;
+        this.plans = new Map(); // FFT size → PFFFT setup pointer
+        this.buffers = null; // { inputPtr, outputPtr, workPtr, floats, workFloats }
+        this.stats = { setupsCreated: 0, allocations: 0, transforms: 0, batches: 0 };
+
+        // PFFFT asserts, and aborts the whole module, on real sizes that are not a multiple of this
+        const simdSize = wasmModule._pffft_simd_size ? wasmModule._pffft_simd_size() : 4;
+        this.minimumLength = 2 * simdSize * simdSize;
+    }
+
+    /**
+     * PFFFT setup for one FFT size, created once
+     * @param {number} length - FFT size
+     * @returns {number} Setup pointer
+     * @throws {Error} For sizes that are not a power of 2 or below minimumLength
+     */
+    getPlan(length) {
+        let setupPtr = this.plans.get(length);
+        if (setupPtr) {
+            return setupPtr;
+        }
+
+        if ((length & (length - 1)) !== 0) {
+            throw new Error(`FFT length must be power of 2, got ${length}`);
+        }
+        if (length < this.minimumLength) {
+            throw new Error(`${this.name} FFT length must be at least ${this.minimumLength}, got ${length}`);
+        }
+
+        setupPtr = this.wasmModule._pffft_new_setup(length, PFFFT_REAL);
+        if (!setupPtr) {
+            throw new Error(`Failed to create ${this.name} setup for length ${length}`);
+        }
+        this.plans.set(length, setupPtr);
+        this.stats.setupsCreated++;
+        return setupPtr;
+    }
+
+    /**
+     * Aligned input and output buffers for at least `floats` values, and a work buffer
+     * for one frame of `length`. Reallocated only when a call needs more than before.
+     * @returns {Object} { inputPtr, outputPtr, workPtr }
+     */
+    reserve(floats, length) {
+        const current = this.buffers;
+        if (current && current.floats >= floats && current.workFloats >= length) {
+            return current;
+        }
+
+        const size = Math.max(floats, current?.floats || 0);
+        const workSize = Math.max(length, current?.workFloats || 0);
+        this.release();
+
+        const malloc = this.wasmModule._pffft_aligned_malloc;
+        const inputPtr = malloc(size * BYTES_PER_FLOAT);
+        const outputPtr = malloc(size * BYTES_PER_FLOAT);
+        const workPtr = malloc(workSize * BYTES_PER_FLOAT);
+        if (!inputPtr || !outputPtr || !workPtr) {
+            [inputPtr, outputPtr, workPtr].filter(Boolean).forEach(ptr => this.wasmModule._pffft_aligned_free(ptr));
+            throw new Error(`Failed to allocate ${this.name} memory`);
+        }
+        this.buffers = { inputPtr, outputPtr, workPtr, floats: size, workFloats: workSize };
+        this.stats.allocations++;
+        return this.buffers;
+    }
+
+    /**
+     * FFT of one real signal
+     * @param {Array|Float32Array|Float64Array} signal - Real samples, power-of-2 length
+     * @returns {Float32Array} Interleaved [re0, im0, re1, im1, ...], twice the length
+     */
+    transform(signal) {
+        return this.transformMany([signal])[0];
+    }
+
+    /**
+     * FFTs of many real signals of the same length, in one round trip
+     * @param {Array<Array|Float32Array|Float64Array>} signals - Frames of equal power-of-2 length
+     * @returns {Array<Float32Array>} One interleaved spectrum per frame
+     * @throws {Error} When the frames differ in length
+     */
+    transformMany(signals) {
+        if (signals.length === 0) {
+            return [];
+        }
+        const length = signals[0].length;
+        if (signals.some(signal => signal.length !== length)) {
+            throw new Error(`${this.name} fftMany frames must all have the same length`);
+        }
+
+        const setupPtr = this.getPlan(length);
+        const { inputPtr, outputPtr, workPtr } = this.reserve(length * signals.length, length);
+
+        // Read the heap after allocating: growing WASM memory replaces it
+        const heap = this.wasmModule.HEAPF32;
+        if (!heap) {
+            throw new Error(`${this.name} heap not available`);
+        }
+        const inputOffset = inputPtr / BYTES_PER_FLOAT;
+        const outputOffset = outputPtr / BYTES_PER_FLOAT;
+        signals.forEach((signal, frame) => heap.set(signal, inputOffset + frame * length));
+
+        const frameBytes = length * BYTES_PER_FLOAT;
+        for (let frame = 0; frame < signals.length; frame++) {
+            this.wasmModule._pffft_transform_ordered(setupPtr,
+                inputPtr + frame * frameBytes, outputPtr + frame * frameBytes, workPtr, PFFFT_FORWARD);
+        }
+        this.stats.transforms += signals.length;
+        this.stats.batches++;
+
+        return signals.map((_, frame) => unpackOrdered(heap, outputOffset + frame * length, length));
+    }
+
+    /**
+     * Sizes with a cached setup, and how often setups and buffers were created
+     * @returns {Object} { sizes, bufferFloats, setupsCreated, allocations, transforms, batches }
+     */
+    getStats() {
+        return {
+            sizes: [...this.plans.keys()].sort((a, b) => a - b),
+            bufferFloats: this.buffers?.floats || 0,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Free the buffers; the setups are kept
+     */
+    release() {
+        if (this.buffers) {
+            const { inputPtr, outputPtr, workPtr } = this.buffers;
+            [inputPtr, outputPtr, workPtr].forEach(ptr => this.wasmModule._pffft_aligned_free(ptr));
+            this.buffers = null;
+        }
+    }
+
+    /**
+     * Free the buffers and every setup
+     */
+    destroy() {
+        this.release();
+        for (const setupPtr of this.plans.values()) {
+            this.wasmModule._pffft_destroy_setup(setupPtr);
+        }
+        this.plans.clear();
+    }
+}
+
+/**
+ * PFFFT's ordered real output is [r0, r(N/2), r1, i1, r2, i2, ...]; spread it into
+ * interleaved [re, im] pairs with the DC and Nyquist imaginary parts zero
+ */
+function unpackOrdered(heap, offset, length) {
+    const result = new Float32Array(length * 2);
+    result.set(heap.subarray(offset + 2, offset + length), 2);
+    result[0] = heap[offset];
+    result[length] = heap[offset + 1];
+    return result;
+}
+
+export default PffftPlans;
@@ -0,0 +1,50 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * AudioWorklet processor feeding StreamingAnalyzer
+ * Runs on the audio rendering thread: collects the 128-frame render quanta into
+ * fixed-size chunks (mono, channels averaged) and posts each chunk to the main thread.
+ * Loaded with audioContext.audioWorklet.addModule() by MediaStreamSource.
+ */
+
+class RingBufferProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.chunkSize = options.processorOptions?.chunkSize || 2048;
+        this.buffer = new Float32Array(this.chunkSize);
+        this.filled = 0;
+        this.running = true;
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.running = false;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (input && input.length > 0) {
+            const frames = input[0].length;
+            for (let i = 0; i < frames; i++) {
+                let sum = 0;
+                for (let channel = 0; channel < input.length; channel++) {
+                    sum += input[channel][i];
+                }
+                this.buffer[this.filled++] = sum / input.length;
+
+                if (this.filled === this.chunkSize) {
+                    // Transfer the filled chunk and start a new one; no copy on the audio thread
+                    this.port.postMessage({ samples: this.buffer, currentTime }, [this.buffer.buffer]);
+                    this.buffer = new Float32Array(this.chunkSize);
+                    this.filled = 0;
+                }
+            }
+        }
+
+        // Outputs stay silent, so connecting the node to the destination never plays the microphone back
+        return this.running;
+    }
+}
+
+registerProcessor('ring-buffer-processor', RingBufferProcessor);
@@ -0,0 +1,33 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Sample Buffers
+ * Helpers that let the analysis pipeline pass Float32Array samples around without copying.
+ * Sections of a typed array are subarray() views of the same memory; plain arrays, which
+ * every public API still accepts, are sliced as before. Nothing in the pipeline writes to
+ * its input samples, so sharing the memory is safe.
+ */
+
+class SampleBuffer {
+    /**
+     * Samples as a Float32Array, copying only when they are not one already
+     * @param {Array|Float32Array|Float64Array} samples - Audio samples
+     * @returns {Float32Array} The same array, or a Float32Array copy
+     */
+    static toFloat32(samples) {
+        return samples instanceof Float32Array ? samples : Float32Array.from(samples);
+    }
+
+    /**
+     * A section of the samples: a view for typed arrays, a copy for plain arrays
+     * @param {Array|TypedArray} samples - Audio samples
+     * @param {number} start - First sample (negative counts from the end, as in slice())
+     * @param {number} end - One past the last sample (default: the end)
+     * @returns {Array|TypedArray} Section of the same type as the input
+     */
+    static view(samples, start = 0, end = samples.length) {
+        return ArrayBuffer.isView(samples) ? samples.subarray(start, end) : samples.slice(start, end);
+    }
+}
+
+export default SampleBuffer;
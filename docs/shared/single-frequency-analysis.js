@@ -9,7 +9,7 @@ import SpectrumAnalyzer from './spectrum-analyzer.js';
 
 class SingleFrequencyAnalysis {
     constructor(samples, sampleRate, options = {}) {
-        this.samples = [...samples];
+        this.samples = samples;
         this.sampleRate = sampleRate;
         this.windowType = options.windowType || 'hamming';
         this.fftMode = options.fftMode || 'auto';
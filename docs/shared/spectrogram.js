@@ -0,0 +1,149 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Short-Time Fourier Transform (STFT) for Doppler analysis
+ * Keeps the time structure of a pass-by that a single whole-section FFT throws away
+ */
+
+import FFTBackends from './fft-backends.js';
+import WindowingUtils from './windowing-utils.js';
+import PeakFinder from './peak-finder.js';
+
+class Spectrogram {
+    /**
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - STFT options
+     * @param {number} options.fftSize - Frame length in samples, power of 2 (default 4096)
+     * @param {number} options.hopSize - Samples between frame starts (default fftSize / 4)
+     * @param {string} options.windowType - 'hann', 'hamming', 'blackman' or 'none' (default 'hann')
+     * @param {string} options.fftMode - An FFTBackends name or 'auto' (default 'auto')
+     * @param {number} options.minFrequency - Lowest frequency kept in the matrix (default 0)
+     * @param {number} options.maxFrequency - Highest frequency kept in the matrix (default Nyquist)
+     * @param {number} options.batchSize - Frames per fftMany() call (default 32)
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.fftSize = options.fftSize || 4096;
+        this.hopSize = options.hopSize || Math.floor(this.fftSize / 4);
+        this.windowType = options.windowType || 'hann';
+        this.fftMode = options.fftMode || 'auto';
+        this.minFrequency = options.minFrequency ?? 0;
+        this.maxFrequency = options.maxFrequency ?? sampleRate / 2;
+        this.batchSize = options.batchSize || 32;
+        this.fftImplementation = null;
+
+        if ((this.fftSize & (this.fftSize - 1)) !== 0) {
+            throw new Error(`FFT size must be power of 2, got ${this.fftSize}`);
+        }
+        if (this.hopSize <= 0) {
+            throw new Error(`Hop size must be positive, got ${this.hopSize}`);
+        }
+    }
+
+    /**
+     * Compute the STFT of a signal
+     * @param {Array|Float32Array} samples - Audio samples
+     * @returns {Promise<Object>} Time × frequency matrix:
+     *   { times, frequencies, power (one Float32Array of bins per frame), frameCount, binCount,
+     *     fftSize, hopSize, windowType, sampleRate, binWidth, fftMode }
+     */
+    async compute(samples) {
+        if (!this.fftImplementation) {
+            this.fftImplementation = await FFTBackends.resolve(this.fftMode);
+        }
+
+        const { fftSize, hopSize } = this;
+        const window = WindowingUtils.createWindow(this.windowType, fftSize);
+        const windowGain = WindowingUtils.getCoherentGain(this.windowType, fftSize);
+        const binWidth = this.sampleRate / fftSize;
+
+        const firstBin = Math.max(0, Math.ceil(this.minFrequency / binWidth));
+        const lastBin = Math.min(fftSize / 2 - 1, Math.floor(this.maxFrequency / binWidth));
+        const binCount = Math.max(0, lastBin - firstBin + 1);
+
+        const frequencies = new Array(binCount);
+        for (let i = 0; i < binCount; i++) {
+            frequencies[i] = (firstBin + i) * binWidth;
+        }
+
+        // Short signals still give one zero-padded frame
+        const frameCount = samples.length <= fftSize
+            ? 1
+            : Math.floor((samples.length - fftSize) / hopSize) + 1;
+
+        const times = new Array(frameCount);
+        const power = new Array(frameCount);
+        const frame = new Float32Array(fftSize);
+
+        // Frames go to the FFT in batches, one WASM round trip per batch where the backend supports it
+        for (let batchStart = 0; batchStart < frameCount; batchStart += this.batchSize) {
+            const batchEnd = Math.min(frameCount, batchStart + this.batchSize);
+            const windowedFrames = [];
+            for (let f = batchStart; f < batchEnd; f++) {
+                const start = f * hopSize;
+                const available = Math.min(fftSize, samples.length - start);
+
+                frame.fill(0);
+                for (let i = 0; i < available; i++) {
+                    frame[i] = samples[start + i];
+                }
+                windowedFrames.push(WindowingUtils.applyWindow(frame, window));
+            }
+
+            const fftResults = await this.fftImplementation.fftMany(windowedFrames);
+
+            for (let f = batchStart; f < batchEnd; f++) {
+                const fftResult = fftResults[f - batchStart];
+
+                // Same scaling as SpectrumAnalyzer so values are comparable across both APIs
+                const row = new Float32Array(binCount);
+                for (let i = 0; i < binCount; i++) {
+                    const real = fftResult[(firstBin + i) * 2];
+                    const imag = fftResult[(firstBin + i) * 2 + 1];
+                    row[i] = (Math.sqrt(real * real + imag * imag) * windowGain) / fftSize;
+                }
+
+                power[f] = row;
+                times[f] = (f * hopSize + fftSize / 2) / this.sampleRate; // Frame centre
+            }
+        }
+
+        return {
+            times,
+            frequencies,
+            power,
+            frameCount,
+            binCount,
+            fftSize,
+            hopSize,
+            windowType: this.windowType,
+            sampleRate: this.sampleRate,
+            binWidth,
+            fftMode: this.fftImplementation.mode
+        };
+    }
+
+    /**
+     * Strongest distinct peaks of one spectrogram frame, in the same shape as the peaks of
+     * SpectrumAnalyzer.getStrongestFrequencies without interpolation
+     * @param {Object} spectrogram - Result of compute()
+     * @param {number} frameIndex - Frame to inspect
+     * @param {number} count - Number of peaks to return
+     * @param {Object} options - PeakFinder options
+     * @returns {Array} [{ frequency, power, prominence, bandwidth }] sorted by power descending
+     */
+    static getFrameStrongestFrequencies(spectrogram, frameIndex, count = 5, options = {}) {
+        const peaks = PeakFinder.findPeaks(spectrogram.power[frameIndex], spectrogram.binWidth, {
+            ...options,
+            maxPeaks: count
+        });
+        return peaks.map(({ index, power, prominence, bandwidth }) => ({
+            frequency: spectrogram.frequencies[index],
+            power,
+            prominence,
+            bandwidth
+        }));
+    }
+}
+
+export default Spectrogram;
@@ -2,20 +2,35 @@
  * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
 
  * Universal Spectrum Analyzer for all FFT implementations
- * Automatically detects and uses the best available FFT implementation
+ * The FFT comes from FFTBackends, by name or the best available ('auto')
  */
 
 import WindowingUtils from '../shared/windowing-utils.js';
+import FFTBackends from './fft-backends.js';
+import SampleBuffer from './sample-buffer.js';
+import PeakInterpolator from './peak-interpolation.js';
+import PeakFinder from './peak-finder.js';
 
 class SpectrumAnalyzer {
     constructor(samples, sampleRate, options = {}) {
-        this.samples = [...samples];
+        this.samples = samples; // Read only, never copied; Float32Array views are cheapest
         this.sampleRate = sampleRate;
         this.windowType = options.windowType || 'hamming';
         this.powerSpectrum = null;
         this.frequencies = null;
-        this.fftMode = options.fftMode || 'auto'; // 'WASM+SIMD', 'WASM+noSIMD', 'JavaScript', 'auto'
+        this.fftMode = options.fftMode || 'auto'; // A registered FFTBackends name, or 'auto'
         this.fftImplementation = null;
+        
+        // Sub-bin refinement of returned peaks: 'none', 'parabolic', 'gaussian', 'jacobsen', 'phase_vocoder'
+        this.peakInterpolation = PeakInterpolator.normalizeMethod(options.peakInterpolation || 'none');
+        this.phaseVocoderHop = options.phaseVocoderHop || null; // Defaults to a fifth of the samples
+        this.fftReal = null;
+        this.fftImag = null;
+        this.laggedSpectrum = null;
+        this.noiseFloor = null;
+        
+        // Peak picking: { minDistance (Hz), minProminence, noiseFloorRatio }, see PeakFinder
+        this.peakPicking = options.peakPicking || {};
     }
     
     async calculatePowerSpectrum() {
@@ -24,22 +39,20 @@ class SpectrumAnalyzer {
             this.fftImplementation = await this.loadFFTImplementation();
         }
         
+        // The phase vocoder needs a second frame a hop later; both frames come from the samples
+        // and are padded the same way, so the last hop of samples only appears in the second frame
+        const hopSize = this.peakInterpolation === 'phase_vocoder'
+            ? (this.phaseVocoderHop || Math.floor(this.samples.length / 5))
+            : 0;
+        
         // Find next power of 2 for FFT
-        const originalLength = this.samples.length;
+        const originalLength = this.samples.length - hopSize;
         const fftLength = Math.pow(2, Math.ceil(Math.log2(originalLength)));
         
-        // Pad or truncate to power of 2
-        let processedSamples = [...this.samples];
-        if (processedSamples.length < fftLength) {
-            // Zero-pad
-            processedSamples = processedSamples.concat(new Array(fftLength - processedSamples.length).fill(0));
-        } else if (processedSamples.length > fftLength) {
-            // Truncate
-            processedSamples = processedSamples.slice(0, fftLength);
-        }
-        
-        // Apply windowing
-        const windowedSamples = WindowingUtils.applyWindowByType(processedSamples, this.windowType);
+        // Zero-padded copy, windowed in place; the only copy of the samples made here
+        const windowedSamples = new Float64Array(fftLength);
+        windowedSamples.set(SampleBuffer.view(this.samples, 0, originalLength));
+        WindowingUtils.applyWindowInPlace(windowedSamples, this.windowType);
         const windowGain = WindowingUtils.getCoherentGain(this.windowType, fftLength);
         
         // Perform FFT (handles both sync and async)
@@ -49,8 +62,11 @@ class SpectrumAnalyzer {
         
         // Calculate power spectrum (magnitude squared)
         const halfLength = fftLength / 2;
-        this.powerSpectrum = new Array(halfLength);
-        this.frequencies = new Array(halfLength);
+        this.powerSpectrum = new Float64Array(halfLength);
+        this.frequencies = new Float64Array(halfLength);
+        this.fftReal = new Float64Array(halfLength);
+        this.fftImag = new Float64Array(halfLength);
+        this.noiseFloor = null;
         
         for (let i = 0; i < halfLength; i++) {
             const real = fftResult[i * 2];
@@ -60,100 +76,85 @@ class SpectrumAnalyzer {
             // Apply window gain correction and normalize
             this.powerSpectrum[i] = (magnitude * windowGain) / fftLength;
             this.frequencies[i] = (i * this.sampleRate) / fftLength;
+            this.fftReal[i] = real;
+            this.fftImag[i] = imag;
         }
-    }
-    
-    async loadFFTImplementation() {
-        let selectedMode = this.fftMode;
         
-        // Auto-detect best implementation if mode is 'auto'
-        if (selectedMode === 'auto') {
-            selectedMode = await this.autoDetectBestFFT();
-        }
-        
-        try {
-            switch (selectedMode) {
-                case 'WASM+SIMD': {
-                    const { fft } = await import('../simd/fft-wrapper.js');
-                    console.log('🚀 Using WASM+SIMD FFT implementation');
-                    return { fft, isAsync: true, mode: 'WASM+SIMD' };
-                }
-                
-                case 'WASM+noSIMD': {
-                    const { fft } = await import('../non-simd/fft-wrapper.js');
-                    console.log('⚡ Using WASM+noSIMD FFT implementation');
-                    return { fft, isAsync: true, mode: 'WASM+noSIMD' };
-                }
-                
-                case 'JavaScript': {
-                    const { fft } = await import('../pure-js/fft-wrapper.js');
-                    console.log('📝 Using Pure JavaScript FFT implementation');
-                    return { fft, isAsync: false, mode: 'JavaScript' };
-                }
-                
-                default:
-                    throw new Error(`Unknown FFT mode: ${selectedMode}`);
+        // The phase vocoder compares against a second frame a hop later
+        this.laggedSpectrum = null;
+        if (this.peakInterpolation === 'phase_vocoder') {
+            const laggedWindowed = new Float64Array(fftLength);
+            laggedWindowed.set(SampleBuffer.view(this.samples, hopSize));
+            WindowingUtils.applyWindowInPlace(laggedWindowed, this.windowType);
+            const laggedResult = this.fftImplementation.isAsync
+                ? await this.fftImplementation.fft(laggedWindowed)
+                : this.fftImplementation.fft(laggedWindowed);
+            
+            this.laggedSpectrum = {
+                real: new Float64Array(halfLength),
+                imag: new Float64Array(halfLength),
+                hopSize
+            };
+            for (let i = 0; i < halfLength; i++) {
+                this.laggedSpectrum.real[i] = laggedResult[i * 2];
+                this.laggedSpectrum.imag[i] = laggedResult[i * 2 + 1];
             }
-        } catch (error) {
-            console.warn(`Failed to load ${selectedMode} FFT, falling back to JavaScript:`, error);
-            const { fft } = await import('../pure-js/fft-wrapper.js');
-            return { fft, isAsync: false, mode: 'JavaScript' };
         }
     }
     
-    async autoDetectBestFFT() {
-        // Try implementations in order of preference: SIMD > noSIMD > JavaScript
-        const implementations = [
-            { mode: 'WASM+SIMD', test: () => this.testWASMSIMDSupport() },
-            { mode: 'WASM+noSIMD', test: () => this.testWASMSupport() },
-            { mode: 'JavaScript', test: () => true } // Always available
-        ];
-        
-        for (const impl of implementations) {
-            try {
-                if (await impl.test()) {
-                    console.log(`🔍 Auto-detected best FFT implementation: ${impl.mode}`);
-                    return impl.mode;
-                }
-            } catch (error) {
-                console.log(`❌ ${impl.mode} not available:`, error.message);
-            }
+    /**
+     * Refine the frequency of the peak at a bin using the configured interpolation
+     * @param {number} index - Bin index
+     * @returns {Object} { frequency, binOffset, magnitude, frequencyUncertainty, method }
+     */
+    refinePeak(index) {
+        if (!this.powerSpectrum) {
+            throw new Error('Must call calculatePowerSpectrum() first');
         }
         
-        // Fallback to JavaScript (should never reach here)
-        return 'JavaScript';
+        const fftSize = this.powerSpectrum.length * 2;
+        return PeakInterpolator.refine(this.peakInterpolation, index, {
+            magnitudes: this.powerSpectrum,
+            real: this.fftReal,
+            imag: this.fftImag,
+            laggedReal: this.laggedSpectrum?.real,
+            laggedImag: this.laggedSpectrum?.imag,
+            hopSize: this.laggedSpectrum?.hopSize,
+            fftSize,
+            binWidth: this.sampleRate / fftSize,
+            windowType: this.windowType,
+            noiseFloor: this.getNoiseFloor()
+        });
     }
     
-    async testWASMSIMDSupport() {
-        try {
-            // Try to load SIMD implementation
-            await import('../simd/fft-wrapper.js');
-            
-            // Test SIMD capability with a small FFT
-            const testData = new Float32Array([1, 0, 0, 0, 0, 0, 0, 0]);
-            const { fft } = await import('../simd/fft-wrapper.js');
-            await fft(testData);
-            
-            return true;
-        } catch (error) {
-            throw new Error('WASM+SIMD not supported');
+    /**
+     * Spacing of the spectrum bins in Hz (after zero-padding to a power of 2)
+     */
+    getBinWidth() {
+        if (!this.powerSpectrum) {
+            throw new Error('Must call calculatePowerSpectrum() first');
         }
+        return this.sampleRate / (this.powerSpectrum.length * 2);
     }
     
-    async testWASMSupport() {
-        try {
-            // Try to load non-SIMD implementation
-            await import('../non-simd/fft-wrapper.js');
-            
-            // Test WASM capability with a small FFT
-            const testData = new Float32Array([1, 0, 0, 0, 0, 0, 0, 0]);
-            const { fft } = await import('../non-simd/fft-wrapper.js');
-            await fft(testData);
-            
-            return true;
-        } catch (error) {
-            throw new Error('WASM not supported');
+    /**
+     * Median magnitude of the spectrum, computed once per spectrum
+     */
+    getNoiseFloor() {
+        if (this.noiseFloor === null) {
+            this.noiseFloor = PeakInterpolator.estimateNoiseFloor(this.powerSpectrum);
         }
+        return this.noiseFloor;
+    }
+    
+    /**
+     * The FFT backend for this analyzer's fftMode, from the shared registry
+     * @returns {Promise<Object>} { fft, isAsync, mode, description }
+     */
+    async loadFFTImplementation() {
+        const implementation = await FFTBackends.resolve(this.fftMode);
+        console.log(`Using ${implementation.mode} FFT implementation`);
+        return implementation;
     }
     
     findPeakFrequency() {
@@ -171,26 +172,49 @@ class SpectrumAnalyzer {
             }
         }
         
-        return this.frequencies[peakIndex];
+        return this.peakInterpolation === 'none'
+            ? this.frequencies[peakIndex]
+            : this.refinePeak(peakIndex).frequency;
     }
     
-    getStrongestFrequencies(count = 5) {
+    /**
+     * Distinct spectral peaks, strongest first, each with a refined frequency
+     * @param {Object} options - PeakFinder options overriding the constructor's peakPicking
+     * @returns {Array} [{ frequency, power, binFrequency, frequencyUncertainty, prominence, bandwidth }]
+     */
+    findPeaks(options = {}) {
         if (!this.powerSpectrum) {
             throw new Error('Must call calculatePowerSpectrum() first');
         }
         
-        const candidates = [];
-        for (let i = 0; i < this.frequencies.length; i++) {
-            candidates.push({
-                frequency: this.frequencies[i],
-                power: this.powerSpectrum[i]
-            });
-        }
-        
-        // Sort by power (descending)
-        candidates.sort((a, b) => b.power - a.power);
-        
-        return candidates.slice(0, count);
+        const binWidth = this.sampleRate / (this.powerSpectrum.length * 2);
+        const peaks = PeakFinder.findPeaks(this.powerSpectrum, binWidth, {
+            noiseFloor: this.getNoiseFloor(),
+            ...this.peakPicking,
+            ...options
+        });
+        
+        return peaks.map(({ index, power, prominence, bandwidth }) => {
+            const refined = this.refinePeak(index);
+            return {
+                frequency: refined.frequency,
+                power,
+                binFrequency: this.frequencies[index],
+                frequencyUncertainty: refined.frequencyUncertainty,
+                prominence,
+                bandwidth
+            };
+        });
+    }
+    
+    /**
+     * The strongest distinct peaks; neighbouring bins of one lobe are reported once
+     * @param {number} count - Number of peaks
+     * @param {Object} options - PeakFinder options
+     * @returns {Array} [{ frequency, power, binFrequency, frequencyUncertainty, prominence, bandwidth }]
+     */
+    getStrongestFrequencies(count = 5, options = {}) {
+        return this.findPeaks({ ...options, maxPeaks: count });
     }
     
     /**
@@ -205,12 +229,7 @@ class SpectrumAnalyzer {
     }
     
     getImplementationDescription(mode) {
-        const descriptions = {
-            'WASM+SIMD': 'WebAssembly with SIMD optimizations - Maximum Performance',
-            'WASM+noSIMD': 'WebAssembly without SIMD - Balanced Performance & Compatibility', 
-            'JavaScript': 'Pure JavaScript Cooley-Tukey Algorithm - Universal Compatibility'
-        };
-        return descriptions[mode] || 'Unknown implementation';
+        return FFTBackends.getDescription(mode);
     }
 }
 
@@ -9,21 +9,28 @@ import DopplerSpeedCalculator from './doppler-calculator.js';
 import FrequencyMatcher from './frequency-matcher.js';
 import ApproachDetector from './approach-detector.js';
 import { extractTimeSections } from './audio-slicer.js';
+import AnalysisProfiles from './analysis-profiles.js';
+import SampleBuffer from './sample-buffer.js';
 
 class SpeedAnalyzer {
-    constructor() {
+    /**
+     * @param {string|Object} profile - Vehicle profile name or object (default 'car')
+     */
+    constructor(profile) {
+        this.profile = AnalysisProfiles.get(profile);
         this.speedCalculator = new DopplerSpeedCalculator();
-        this.frequencyMatcher = new FrequencyMatcher(this.speedCalculator);
+        this.speedCalculator.setSpeedLimits(this.profile.speedLimits.min * 1.60934, this.profile.speedLimits.max * 1.60934);
+        this.frequencyMatcher = new FrequencyMatcher(this.speedCalculator, AnalysisProfiles.getMatchingOptions(this.profile));
     }
     
     /**
      * Analyze audio samples for car speed using simple approach
      * @param {Array} samples - Audio sample data
      * @param {number} sampleRate - Sample rate in Hz
-     * @param {number} expectedSpeedMph - Expected speed for validation
+     * @param {number|null} expectedSpeedMph - Expected speed for validation (null for blind scoring)
      * @returns {Object} Analysis result
      */
-    async analyzeSpeed(samples, sampleRate, expectedSpeedMph = 30) {
+    async analyzeSpeed(samples, sampleRate, expectedSpeedMph = null) {
         const duration = samples.length / sampleRate;
         
         try {
@@ -71,8 +78,8 @@ class SpeedAnalyzer {
     extractQuarterSections(samples) {
         const quarterLength = Math.floor(samples.length / 4);
         return {
-            approaching: samples.slice(0, quarterLength),
-            receding: samples.slice(-quarterLength)
+            approaching: SampleBuffer.view(samples, 0, quarterLength),
+            receding: SampleBuffer.view(samples, -quarterLength)
         };
     }
     
@@ -90,8 +97,8 @@ class SpeedAnalyzer {
         const recedeEnd = Math.min(samples.length, recedeStart + sectionSamples);
         
         return {
-            approaching: samples.slice(approachStart, approachEnd),
-            receding: samples.slice(recedeStart, recedeEnd)
+            approaching: SampleBuffer.view(samples, approachStart, approachEnd),
+            receding: SampleBuffer.view(samples, recedeStart, recedeEnd)
         };
     }
     
@@ -113,7 +120,7 @@ class SpeedAnalyzer {
                     frequency: (index * sampleRate) / fftSize, 
                     power 
                 }))
-                .filter(bin => bin.frequency >= 50 && bin.frequency <= 2000) // Reasonable range
+                .filter(bin => bin.frequency >= this.profile.frequencyBand.min && bin.frequency <= this.profile.frequencyBand.max)
                 .sort((a, b) => b.power - a.power)
                 .slice(0, 10); // Top 10 frequencies
             
@@ -0,0 +1,309 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Speed Uncertainty Budget
+ * Propagates every known error source through the Doppler formula
+ * v = c(f1 − f2)/(f1 + f2) to give a speed interval suitable for a report:
+ *
+ *   frequency resolution  bin spacing, the peak estimator's systematic error and
+ *                         any smearing of the peak by the tone drifting within a section
+ *   peak fit              noise on the fitted peak frequencies
+ *   temperature           error in the speed of sound; v scales with c
+ *   geometry              the microphone sits off the road, so it only hears the
+ *                         radial component v·cosθ. This is one-sided: the true
+ *                         speed is never lower than measured, so it widens the
+ *                         upper bound only.
+ *
+ * The random terms are combined in quadrature and expanded by a coverage factor k
+ * (k = 2 is about 95% for a normal distribution); the geometry term is added on top.
+ *
+ * None of this helps if the wrong peaks were paired. The budget also weighs the evidence
+ * for the pairing: a pair is confirmed by harmonics at the same Doppler ratio, or by every
+ * pairing strategy choosing it. A result the strategies disagree about, or whose two peaks
+ * overlap, is marked unreliable, and the interval is widened to take in every strategy's speed.
+ */
+
+import DopplerSpeedCalculator from './doppler-calculator.js';
+import PeakInterpolator from './peak-interpolation.js';
+
+const MPH_PER_MS = 2.236936;
+
+/**
+ * Half-power width in bins of a steady tone's peak, by window
+ * A peak wider than this was smeared by the frequency changing during the section
+ */
+const HALF_POWER_WIDTH_BINS = { none: 0.89, hann: 1.44, hamming: 1.30, blackman: 1.68 };
+
+/**
+ * Default budget options
+ */
+const DEFAULT_UNCERTAINTY_OPTIONS = {
+    temperatureUncertainty: 2,    // °C, 1σ of the temperature used for the speed of sound
+    soundSpeedUncertainty: null,  // m/s, overrides the temperature term when given
+    lateralDistance: null,        // Metres from the microphone to the vehicle's path, if measured
+    maxLateralDistance: 5,        // Metres assumed for the geometry term when not measured
+    coverageFactor: 2,            // k; the interval is ±k·σ
+    minHarmonics: 2,              // Harmonics that confirm a pairing on their own
+    minAgreeingStrategies: 2      // Pairing strategies that confirm a single pair by all finding its speed
+};
+
+class SpeedUncertainty {
+    /**
+     * Get the default budget options
+     * @returns {Object} Copy of DEFAULT_UNCERTAINTY_OPTIONS
+     */
+    static getDefaultOptions() {
+        return { ...DEFAULT_UNCERTAINTY_OPTIONS };
+    }
+
+    /**
+     * Build the uncertainty budget and interval for one speed measurement
+     * @param {Object} measurement - What the analysis produced:
+     *   speedMPH, approachFrequency, recedeFrequency (Hz),
+     *   frequencyUncertaintyMPH (1σ speed error from the peak frequencies, or null),
+     *   approachBinWidth, recedeBinWidth (Hz, null when not from a spectrum), peakInterpolation, windowType,
+     *   approachBandwidth, recedeBandwidth (half-power peak widths in Hz, or null),
+     *   soundSpeed (m/s), environment ({ temperature, humidity, pressure, co2Fraction }),
+     *   approachTime, recedeTime (section centres in seconds relative to closest approach, or null),
+     *   geometryModelled (true when the speed already allows for the angle, by curve fit or correction),
+     *   cosineFactor (uncorrected / corrected speed when a geometry correction was applied, default 1),
+     *   harmonicCount (harmonics in the match, 1 for a single pair; null when not from paired peaks),
+     *   strategySpeedsMPH (uncorrected speed each pairing strategy found, or null)
+     * @param {Object} options - Overrides for DEFAULT_UNCERTAINTY_OPTIONS
+     * @returns {Object} { speedMPH, standardUncertaintyMPH, expandedUncertaintyMPH, coverageFactor, level,
+     *   lowerMPH, upperMPH, lowerKMH, upperKMH, components: { frequencyResolution, peakFit, temperature, geometry, pairing } (mph),
+     *   geometry: { lateralDistance, distanceSource, approachAngle, recedeAngle, cosineFactor } | null, assumptions,
+     *   reliable, issues (why the result is unreliable) }
+     */
+    static calculateBudget(measurement, options = {}) {
+        const config = { ...DEFAULT_UNCERTAINTY_OPTIONS, ...options };
+        const { speedMPH } = measurement;
+        const assumptions = [];
+
+        const { frequencyResolution, peakFit } = this.frequencyTerms(measurement, assumptions);
+        const temperature = this.temperatureTerm(speedMPH, measurement, config, assumptions);
+        const geometry = this.geometryTerm(speedMPH, measurement, config, assumptions);
+
+        const standardUncertaintyMPH = Math.sqrt(frequencyResolution ** 2 + peakFit ** 2 + temperature ** 2);
+        const expandedUncertaintyMPH = config.coverageFactor * standardUncertaintyMPH;
+        const measuredLowerMPH = Math.max(0, speedMPH - expandedUncertaintyMPH);
+        const measuredUpperMPH = speedMPH + expandedUncertaintyMPH + (geometry ? geometry.biasMPH : 0);
+        const { lowerMPH, upperMPH, pairing, issues } = this.pairingTerm(measuredLowerMPH, measuredUpperMPH, measurement, config);
+
+        return {
+            speedMPH,
+            standardUncertaintyMPH,
+            expandedUncertaintyMPH,
+            coverageFactor: config.coverageFactor,
+            level: erf(config.coverageFactor / Math.SQRT2),
+            lowerMPH,
+            upperMPH,
+            lowerKMH: lowerMPH * 1.60934,
+            upperKMH: upperMPH * 1.60934,
+            components: {
+                frequencyResolution,
+                peakFit,
+                temperature,
+                geometry: geometry ? geometry.biasMPH : 0,
+                pairing
+            },
+            geometry: geometry ? {
+                lateralDistance: geometry.lateralDistance,
+                distanceSource: geometry.distanceSource,
+                approachAngle: geometry.approachAngle,
+                recedeAngle: geometry.recedeAngle,
+                cosineFactor: geometry.cosineFactor
+            } : null,
+            assumptions,
+            reliable: issues.length === 0,
+            issues
+        };
+    }
+
+    /**
+     * How far the interval must widen to take in every pairing strategy's speed, and what
+     * makes the pairing doubtful. One pair of peaks can be two unrelated sounds; harmonics at
+     * the same Doppler ratio, or every strategy finding the same speed, are what rule that out.
+     * Peaks closer together than they are wide may be one sound drifting, not one shifted.
+     * @returns {Object} { lowerMPH, upperMPH, pairing (mph widened on the wider side), issues }
+     */
+    static pairingTerm(lowerMPH, upperMPH, measurement, config) {
+        const issues = [];
+
+        // Strategy speeds are uncorrected; put them on the same footing as the corrected speed
+        const scale = 1 / (measurement.cosineFactor || 1);
+        const speeds = (measurement.strategySpeedsMPH || []).filter(Number.isFinite).map(speed => speed * scale);
+        const outside = speeds.filter(speed => speed < lowerMPH || speed > upperMPH);
+        const strategiesAgree = speeds.length >= config.minAgreeingStrategies && outside.length === 0;
+
+        const { harmonicCount } = measurement;
+        if (Number.isFinite(harmonicCount) && harmonicCount < config.minHarmonics && !strategiesAgree) {
+            issues.push(harmonicCount <= 1
+                ? 'Speed rests on one pair of peaks that no harmonic or other pairing strategy confirms'
+                : `Only ${harmonicCount} harmonics confirm the pairing`);
+        }
+        if (outside.length > 0) {
+            issues.push(`Pairing strategies disagree: ${Math.min(...speeds).toFixed(1)}-${Math.max(...speeds).toFixed(1)} mph`);
+        }
+
+        const { approachFrequency, recedeFrequency, approachBandwidth, recedeBandwidth } = measurement;
+        const separation = Math.abs(approachFrequency - recedeFrequency);
+        const width = (approachBandwidth + recedeBandwidth) / 2;
+        if (Number.isFinite(approachBandwidth) && Number.isFinite(recedeBandwidth) && separation < width) {
+            issues.push(`Approach and recede peaks overlap: ${separation.toFixed(1)} Hz apart, ${width.toFixed(1)} Hz wide`);
+        }
+
+        const widenedLower = Math.max(0, Math.min(lowerMPH, ...outside));
+        const widenedUpper = Math.max(upperMPH, ...outside);
+        return {
+            lowerMPH: widenedLower,
+            upperMPH: widenedUpper,
+            pairing: Math.max(lowerMPH - widenedLower, widenedUpper - upperMPH),
+            issues
+        };
+    }
+
+    /**
+     * 1σ speed errors from the peak frequencies, in mph
+     * Resolution is each estimator's systematic error for the bin width and window, plus the
+     * peak's width beyond a steady tone's, taken as uniform (σ = excess/√12). The peak-fit
+     * error reported by the matcher already contains the systematic part; what remains is noise.
+     * @returns {Object} { frequencyResolution, peakFit }
+     */
+    static frequencyTerms(measurement, assumptions) {
+        // A corrected speed scales every frequency error by the same factor
+        const scale = 1 / (measurement.cosineFactor || 1);
+        const hasTotal = Number.isFinite(measurement.frequencyUncertaintyMPH);
+        const total = hasTotal ? measurement.frequencyUncertaintyMPH * scale : null;
+        if (!hasTotal) {
+            assumptions.push('No peak-fit uncertainty available; only frequency resolution counted');
+        }
+
+        const { approachFrequency, recedeFrequency, approachBinWidth, recedeBinWidth } = measurement;
+        if (!Number.isFinite(approachBinWidth) || !Number.isFinite(recedeBinWidth)) {
+            return { frequencyResolution: 0, peakFit: hasTotal ? total : 0 };
+        }
+
+        const calculator = new DopplerSpeedCalculator(measurement.soundSpeed);
+        const toSpeed = (approachSigma, recedeSigma) => calculator.calculateSpeedUncertainty(
+            approachFrequency, recedeFrequency, approachSigma, recedeSigma) * 0.621371 * scale;
+
+        const approach = this.peakResolution(measurement, approachBinWidth, measurement.approachBandwidth);
+        const recede = this.peakResolution(measurement, recedeBinWidth, measurement.recedeBandwidth);
+
+        // Combined harmonics resolve better than one pair, so never exceed the whole fit error
+        let systematic = toSpeed(approach.systematic, recede.systematic);
+        if (hasTotal) systematic = Math.min(systematic, total);
+        const spread = toSpeed(approach.spread, recede.spread);
+
+        return {
+            frequencyResolution: Math.hypot(systematic, spread),
+            peakFit: hasTotal ? Math.sqrt(total * total - systematic * systematic) : 0
+        };
+    }
+
+    /**
+     * 1σ systematic and spread terms of one peak in Hz
+     */
+    static peakResolution(measurement, binWidth, bandwidth) {
+        const method = measurement.peakInterpolation || 'none';
+        const systematic = PeakInterpolator.estimateSystematicUncertainty(method, measurement.windowType, binWidth);
+        if (!Number.isFinite(bandwidth)) {
+            return { systematic, spread: 0 };
+        }
+
+        const window = (measurement.windowType || 'none').toLowerCase().replace('hanning', 'hann');
+        const steadyWidth = (HALF_POWER_WIDTH_BINS[window] ?? HALF_POWER_WIDTH_BINS.none) * binWidth;
+        return { systematic, spread: Math.sqrt(Math.max(0, bandwidth * bandwidth - steadyWidth * steadyWidth)) / Math.sqrt(12) };
+    }
+
+    /**
+     * 1σ speed error from the speed of sound, in mph
+     * v is proportional to c, so σv = v·σc/c; σc comes from dc/dT at the analysis temperature
+     */
+    static temperatureTerm(speedMPH, measurement, config, assumptions) {
+        let soundSpeedUncertainty = config.soundSpeedUncertainty;
+        if (!Number.isFinite(soundSpeedUncertainty)) {
+            const { temperature = 20, humidity, pressure, co2Fraction } = measurement.environment || {};
+            const gradient = (DopplerSpeedCalculator.calculateSoundSpeed(temperature + 0.5, humidity, pressure, co2Fraction) -
+                              DopplerSpeedCalculator.calculateSoundSpeed(temperature - 0.5, humidity, pressure, co2Fraction));
+            soundSpeedUncertainty = Math.abs(gradient) * config.temperatureUncertainty;
+            assumptions.push(`Temperature ${temperature.toFixed(1)}°C ± ${config.temperatureUncertainty}°C`);
+        }
+        return speedMPH * soundSpeedUncertainty / measurement.soundSpeed;
+    }
+
+    /**
+     * How much faster the vehicle may be than measured because it passes off-axis
+     * The two-point formula measures v·cosθ, where θ is the angle between the vehicle's path and the
+     * line to the microphone at the section centre: cosθ = x / √(x² + D²), x = v·|t|.
+     * x depends on the true speed, so the correction is iterated to a fixed point.
+     * @returns {Object|null} { biasMPH, lateralDistance, distanceSource, approachAngle, recedeAngle (degrees), cosineFactor }
+     */
+    static geometryTerm(speedMPH, measurement, config, assumptions) {
+        if (measurement.geometryModelled) {
+            assumptions.push('Speed already allows for the observation angle');
+            return null;
+        }
+        const { approachTime, recedeTime } = measurement;
+        if (!Number.isFinite(approachTime) || !Number.isFinite(recedeTime) || speedMPH <= 0) {
+            assumptions.push('Section timing unknown; no geometry term');
+            return null;
+        }
+
+        const measured = Number.isFinite(config.lateralDistance);
+        const lateralDistance = measured ? config.lateralDistance : config.maxLateralDistance;
+        if (!measured) {
+            assumptions.push(`Lateral distance not measured; up to ${lateralDistance} m assumed`);
+        }
+
+        const cosine = (speedMs, time) => {
+            const along = speedMs * Math.abs(time);
+            return along > 0 ? along / Math.hypot(along, lateralDistance) : 0;
+        };
+
+        let trueSpeedMs = speedMPH / MPH_PER_MS;
+        let cosineFactor = 1;
+        for (let i = 0; i < 20; i++) {
+            cosineFactor = (cosine(trueSpeedMs, approachTime) + cosine(trueSpeedMs, recedeTime)) / 2;
+            if (cosineFactor <= 0) break;
+            trueSpeedMs = speedMPH / MPH_PER_MS / cosineFactor;
+        }
+        if (cosineFactor <= 0) {
+            assumptions.push('Sections centred on closest approach; no geometry term');
+            return null;
+        }
+
+        const angle = time => Math.acos(cosine(trueSpeedMs, time)) * 180 / Math.PI;
+        return {
+            biasMPH: speedMPH / cosineFactor - speedMPH,
+            lateralDistance,
+            distanceSource: measured ? 'measured' : 'assumed_maximum',
+            approachAngle: angle(approachTime),
+            recedeAngle: angle(recedeTime),
+            cosineFactor
+        };
+    }
+
+    /**
+     * One-line summary for reports, e.g. "28.9 mph (27.6-31.2 mph, 95%)", or
+     * "43.1 mph (6.4-61.8 mph, 95%, unreliable)" when the pairing is in doubt
+     * @param {Object} budget - Result of calculateBudget()
+     * @returns {string} Formatted interval
+     */
+    static formatInterval(budget) {
+        return `${budget.speedMPH.toFixed(1)} mph (${budget.lowerMPH.toFixed(1)}-${budget.upperMPH.toFixed(1)} mph, ` +
+               `${Math.round(budget.level * 100)}%${budget.reliable === false ? ', unreliable' : ''})`;
+    }
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ */
+function erf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return Math.sign(x) * (1 - polynomial * Math.exp(-x * x));
+}
+
+export default SpeedUncertainty;
@@ -0,0 +1,246 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Direction of Travel from Stereo Recordings
+ * With two microphones a short distance apart along the road, sound from a vehicle
+ * reaches the nearer microphone first. Cross-correlating the channels window by window
+ * gives the inter-channel delay over time:
+ *
+ *   delay > 0   right channel lags - vehicle on the left
+ *   delay = 0   vehicle broadside  - closest approach
+ *   delay < 0   left channel lags  - vehicle on the right
+ *
+ * A delay falling from positive to negative is a left-to-right pass, rising is right-to-left.
+ * Channel 0 is the left microphone.
+ */
+
+/**
+ * Default estimation options
+ */
+const DEFAULT_DIRECTION_OPTIONS = {
+    micSpacing: 0.5,        // Metres between the microphones
+    soundSpeed: 343,        // m/s, for the largest possible delay
+    maxLagMargin: 1.2,      // Search lags up to this × spacing / soundSpeed
+    windowSize: 0.1,        // Seconds per correlation window
+    hopSize: 0.05,          // Seconds between windows
+    minCorrelation: 0.5,    // Normalized correlation needed to trust a window's delay
+    minEnergyRatio: 2.0,    // Window energy over background (20th percentile) needed
+    minWindows: 3,          // Valid windows needed for a direction
+    minDelaySwing: 0.25     // Fitted delay change needed, as a fraction of spacing / soundSpeed
+};
+
+class StereoDirectionEstimator {
+    /**
+     * Get the default estimation options
+     * @returns {Object} Copy of DEFAULT_DIRECTION_OPTIONS
+     */
+    static getDefaultOptions() {
+        return { ...DEFAULT_DIRECTION_OPTIONS };
+    }
+
+    /**
+     * Normalized cross-correlation of one window, searched over ±maxLag samples
+     * Positive lag means `b` is delayed relative to `a` (b[i + lag] ≈ a[i])
+     * @param {Array|Float32Array} a - First channel
+     * @param {Array|Float32Array} b - Second channel
+     * @param {number} start - First sample of the window in `a`
+     * @param {number} length - Window length in samples
+     * @param {number} maxLag - Largest lag searched, in samples
+     * @returns {Object} { lag (fractional samples, parabolic refinement), correlation (-1..1) }
+     */
+    static crossCorrelate(a, b, start, length, maxLag) {
+        let energyA = 0;
+        for (let i = start; i < start + length; i++) {
+            energyA += a[i] * a[i];
+        }
+
+        const correlations = [];
+        for (let lag = -maxLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            let energyB = 0;
+            for (let i = start; i < start + length; i++) {
+                const j = i + lag;
+                if (j >= 0 && j < b.length) {
+                    sum += a[i] * b[j];
+                    energyB += b[j] * b[j];
+                }
+            }
+            const norm = Math.sqrt(energyA * energyB);
+            correlations.push(norm > 0 ? sum / norm : 0);
+        }
+
+        let best = 0;
+        for (let k = 1; k < correlations.length; k++) {
+            if (correlations[k] > correlations[best]) best = k;
+        }
+
+        // Parabola through the peak and its neighbours for a sub-sample lag
+        let offset = 0;
+        if (best > 0 && best < correlations.length - 1) {
+            const [left, centre, right] = [correlations[best - 1], correlations[best], correlations[best + 1]];
+            const denominator = left - 2 * centre + right;
+            if (denominator < 0) {
+                offset = 0.5 * (left - right) / denominator;
+            }
+        }
+
+        return { lag: best - maxLag + offset, correlation: correlations[best] };
+    }
+
+    /**
+     * Inter-channel delay for every window loud and coherent enough to trust
+     * @param {Array|Float32Array} left - Channel 0
+     * @param {Array|Float32Array} right - Channel 1
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Overrides for DEFAULT_DIRECTION_OPTIONS
+     * @returns {Object} { points: [{ time, delay (s), lag (samples), correlation, energy }], maxLag, windowsAnalysed, backgroundEnergy }
+     */
+    static estimateDelayTrack(left, right, sampleRate, options = {}) {
+        const config = { ...DEFAULT_DIRECTION_OPTIONS, ...options };
+        const windowSamples = Math.max(1, Math.round(config.windowSize * sampleRate));
+        const hopSamples = Math.max(1, Math.round(config.hopSize * sampleRate));
+        const maxLag = Math.max(1, Math.ceil(config.micSpacing / config.soundSpeed * sampleRate * config.maxLagMargin));
+        const length = Math.min(left.length, right.length);
+
+        const windows = [];
+        for (let start = 0; start + windowSamples <= length; start += hopSamples) {
+            let sumSquares = 0;
+            for (let i = start; i < start + windowSamples; i++) {
+                sumSquares += (left[i] * left[i] + right[i] * right[i]) / 2;
+            }
+            windows.push({ start, energy: Math.sqrt(sumSquares / windowSamples) });
+        }
+
+        const sorted = windows.map(w => w.energy).sort((x, y) => x - y);
+        const backgroundEnergy = sorted.length > 0 ? sorted[Math.floor(sorted.length * 0.2)] : 0;
+
+        const points = [];
+        for (const { start, energy } of windows) {
+            if (energy === 0 || energy < backgroundEnergy * config.minEnergyRatio) continue;
+
+            const { lag, correlation } = this.crossCorrelate(left, right, start, windowSamples, maxLag);
+            if (correlation >= config.minCorrelation) {
+                points.push({
+                    time: (start + windowSamples / 2) / sampleRate,
+                    delay: lag / sampleRate,
+                    lag,
+                    correlation,
+                    energy
+                });
+            }
+        }
+
+        return { points, maxLag, windowsAnalysed: windows.length, backgroundEnergy };
+    }
+
+    /**
+     * Direction of travel and the time the vehicle was broadside
+     * @param {Array|Float32Array} left - Channel 0
+     * @param {Array|Float32Array} right - Channel 1
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Overrides for DEFAULT_DIRECTION_OPTIONS
+     * @returns {Object} { direction: 'left_to_right' | 'right_to_left' | 'unknown', confidence,
+     *                     closestApproachTime, delaySlope, startDelay, endDelay, validWindows, delayTrack, reason }
+     */
+    static estimateDirection(left, right, sampleRate, options = {}) {
+        const config = { ...DEFAULT_DIRECTION_OPTIONS, ...options };
+        const track = this.estimateDelayTrack(left, right, sampleRate, config);
+        const { points } = track;
+
+        const result = {
+            direction: 'unknown',
+            confidence: 0,
+            closestApproachTime: null,
+            delaySlope: 0,
+            startDelay: null,
+            endDelay: null,
+            validWindows: points.length,
+            delayTrack: points,
+            reason: null
+        };
+
+        if (points.length < config.minWindows) {
+            result.reason = `Only ${points.length} coherent windows (need ${config.minWindows})`;
+            return result;
+        }
+
+        // Energy-weighted fit of delay against time: the sign of the slope is the direction
+        const fit = this.weightedLinearFit(points.map(p => p.time), points.map(p => p.delay), points.map(p => p.energy));
+        const third = Math.max(1, Math.floor(points.length / 3));
+        result.startDelay = this.median(points.slice(0, third).map(p => p.delay));
+        result.endDelay = this.median(points.slice(-third).map(p => p.delay));
+        result.delaySlope = fit.slope;
+
+        const maxDelay = config.micSpacing / config.soundSpeed;
+        const swing = Math.abs(fit.slope) * (points[points.length - 1].time - points[0].time);
+        if (swing < config.minDelaySwing * maxDelay) {
+            result.reason = 'Delay does not change during the recording';
+            return result;
+        }
+
+        result.direction = fit.slope < 0 ? 'left_to_right' : 'right_to_left';
+
+        // A vehicle that crossed the microphones' broadside changes delay sign
+        const crossed = Math.sign(result.startDelay) !== Math.sign(result.endDelay) && result.startDelay !== 0;
+        result.confidence = Math.abs(fit.correlation) * (crossed ? 1 : 0.5);
+        if (!crossed) {
+            result.reason = 'Delay never changes sign - the vehicle may not pass broadside in this recording';
+        }
+
+        result.closestApproachTime = this.findZeroCrossing(points, Math.sign(fit.slope), -fit.intercept / fit.slope);
+        return result;
+    }
+
+    /**
+     * Time at which the delay passes through zero in the fitted direction
+     * Interpolates between the pair of windows whose crossing is nearest the fit's estimate
+     */
+    static findZeroCrossing(points, slopeSign, fittedTime) {
+        let best = null;
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const crossesInDirection = slopeSign < 0 ? (a.delay >= 0 && b.delay < 0) : (a.delay <= 0 && b.delay > 0);
+            if (!crossesInDirection) continue;
+
+            const time = a.time + (b.time - a.time) * a.delay / (a.delay - b.delay);
+            if (best === null || Math.abs(time - fittedTime) < Math.abs(best - fittedTime)) {
+                best = time;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Weighted least-squares line y = intercept + slope × x, with the weighted correlation
+     */
+    static weightedLinearFit(x, y, weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        const meanX = x.reduce((sum, v, i) => sum + weights[i] * v, 0) / total;
+        const meanY = y.reduce((sum, v, i) => sum + weights[i] * v, 0) / total;
+
+        let sxx = 0;
+        let syy = 0;
+        let sxy = 0;
+        for (let i = 0; i < x.length; i++) {
+            sxx += weights[i] * (x[i] - meanX) ** 2;
+            syy += weights[i] * (y[i] - meanY) ** 2;
+            sxy += weights[i] * (x[i] - meanX) * (y[i] - meanY);
+        }
+
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            correlation: sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0
+        };
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+export default StereoDirectionEstimator;
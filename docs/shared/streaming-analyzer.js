@@ -0,0 +1,341 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Real-time streaming speed analysis
+ * Keeps the last few seconds of a live source in a ring buffer, follows its RMS energy
+ * profile, and when a vehicle pass has come and gone runs AudioAnalyzer on the pass
+ * and emits a 'pass' event.
+ *
+ * Sources are pluggable: anything with async start(onChunk) → { sampleRate } and async stop().
+ * MediaStreamSource covers microphones and synthetic MediaStreams in the browser,
+ * ArrayStreamSource plays recorded samples (Node.js tests).
+ */
+
+import AudioAnalyzer from './audio-analyzer.js';
+import ApproachDetector from './approach-detector.js';
+
+/**
+ * Default configuration; any field can be overridden in the constructor
+ */
+const DEFAULT_STREAMING_OPTIONS = {
+    bufferSeconds: 30,          // Audio kept for analysis; bounds the longest pass
+    energyWindow: 0.1,          // Seconds per RMS energy value (ApproachDetector's window)
+    smoothingWindows: 3,        // Energy values averaged before detection
+    backgroundSeconds: 10,      // History used for the background energy (median)
+    minBackgroundSeconds: 1,    // Listen this long before detecting anything
+    triggerRatio: 2.0,          // Energy over background that starts a pass
+    releaseRatio: 1.4,          // Energy under background × this ends a pass
+    preRoll: 1.0,               // Seconds of audio kept before the trigger
+    postRoll: 1.0,              // Seconds of audio waited for after the release
+    minPassSeconds: 0.5,        // Shorter events (a door slam) are ignored
+    maxPassSeconds: 20,         // Passes are closed after this long
+    peakProminence: 0.1,        // ApproachDetector.findEnergyPeaks prominence
+    profile: null,              // Vehicle profile name or object (AnalysisProfiles); overrides analysis.profile
+    analysis: {}                // AudioAnalyzer options for each pass
+};
+
+/**
+ * Fixed-capacity sample store addressed by absolute sample index
+ */
+class SampleRingBuffer {
+    constructor(capacity) {
+        this.buffer = new Float32Array(capacity);
+        this.capacity = capacity;
+        this.totalWritten = 0;
+    }
+
+    write(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            this.buffer[(this.totalWritten + i) % this.capacity] = chunk[i];
+        }
+        this.totalWritten += chunk.length;
+    }
+
+    /**
+     * Samples [start, end) by absolute index, clamped to what is still held
+     */
+    read(start, end) {
+        const first = Math.max(start, this.totalWritten - this.capacity, 0);
+        const last = Math.min(end, this.totalWritten);
+        const result = new Float32Array(Math.max(0, last - first));
+        for (let i = 0; i < result.length; i++) {
+            result[i] = this.buffer[(first + i) % this.capacity];
+        }
+        return { samples: result, start: first };
+    }
+}
+
+class StreamingAnalyzer {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_STREAMING_OPTIONS; `analysis` is passed to AudioAnalyzer
+     */
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_STREAMING_OPTIONS, ...options };
+        // Every pass is analysed with these too, so the profile must win there as well
+        this.analysisOptions = this.config.profile
+            ? { ...this.config.analysis, profile: this.config.profile }
+            : this.config.analysis;
+        this.audioAnalyzer = new AudioAnalyzer(this.analysisOptions);
+        this.listeners = {};
+        this.source = null;
+        this.state = 'stopped';
+        this.pending = Promise.resolve();
+        this.earlyChunks = [];
+        this.reset();
+    }
+
+    reset() {
+        this.sampleRate = null;
+        this.ringBuffer = null;
+        this.windowSamples = 0;
+        this.windowSumSquares = 0;
+        this.windowCount = 0;
+        this.samplesReceived = 0;
+        this.energyProfile = [];
+        this.recentEnergies = [];
+        this.background = [];
+        this.currentPass = null;
+        this.passCount = 0;
+    }
+
+    /**
+     * Subscribe to 'pass', 'start', 'stop' or 'error'
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event detail
+     * @returns {StreamingAnalyzer} this, for chaining
+     */
+    on(type, handler) {
+        (this.listeners[type] ||= []).push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+        return this;
+    }
+
+    emit(type, detail) {
+        for (const listener of this.listeners[type] || []) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`StreamingAnalyzer ${type} listener failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Start listening to a source
+     * @param {Object} source - { start(onChunk) → Promise<{ sampleRate }>, stop() }
+     * @throws {Error} When already started, or the source's own error (e.g. microphone
+     *                 permission denied); the analyzer is then stopped and can be started again
+     */
+    async start(source) {
+        if (this.state === 'running' || this.state === 'starting') {
+            throw new Error('StreamingAnalyzer is already running');
+        }
+
+        this.reset();
+        this.source = source;
+        this.state = 'starting';
+
+        let sampleRate;
+        try {
+            ({ sampleRate } = await source.start(chunk => this.receiveChunk(chunk)));
+        } catch (error) {
+            this.source = null;
+            this.earlyChunks = [];
+            this.state = 'stopped';
+            throw error;
+        }
+        this.state = 'running';
+        this.initialize(sampleRate);
+        this.emit('start', { sampleRate });
+
+        // Sources may deliver before start() resolves
+        const early = this.earlyChunks;
+        this.earlyChunks = [];
+        early.forEach(chunk => this.processChunk(chunk));
+    }
+
+    /**
+     * Stop the source, close an open pass and wait for pending analyses
+     */
+    async stop() {
+        if (this.state !== 'running') return;
+
+        await this.source.stop();
+        this.state = 'stopped';
+        if (this.currentPass) {
+            this.closePass(this.ringBuffer.totalWritten);
+        }
+        await this.pending;
+        this.emit('stop', this.getStatus());
+    }
+
+    initialize(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.ringBuffer = new SampleRingBuffer(Math.ceil(this.config.bufferSeconds * sampleRate));
+        this.windowSamples = Math.max(1, Math.round(this.config.energyWindow * sampleRate));
+    }
+
+    receiveChunk(chunk) {
+        if (this.sampleRate) {
+            this.processChunk(chunk);
+        } else {
+            this.earlyChunks.push(chunk);
+        }
+    }
+
+    /**
+     * Add a chunk of samples: buffer it and update the energy profile
+     * @param {Float32Array} chunk - Mono samples
+     */
+    processChunk(chunk) {
+        this.ringBuffer.write(chunk);
+        this.samplesReceived += chunk.length;
+
+        for (let i = 0; i < chunk.length; i++) {
+            this.windowSumSquares += chunk[i] * chunk[i];
+            this.windowCount++;
+            if (this.windowCount === this.windowSamples) {
+                const endIndex = this.samplesReceived - chunk.length + i + 1;
+                this.addEnergy(Math.sqrt(this.windowSumSquares / this.windowCount), endIndex - this.windowSamples / 2);
+                this.windowSumSquares = 0;
+                this.windowCount = 0;
+            }
+        }
+
+        if (this.currentPass?.endIndex !== undefined && this.ringBuffer.totalWritten >= this.currentPass.endIndex) {
+            this.closePass(this.currentPass.endIndex);
+        }
+    }
+
+    /**
+     * One RMS value per energy window, in ApproachDetector's { index, energy, time } profile format
+     */
+    addEnergy(rms, index) {
+        const { smoothingWindows, backgroundSeconds, energyWindow } = this.config;
+
+        this.recentEnergies.push(rms);
+        if (this.recentEnergies.length > smoothingWindows) this.recentEnergies.shift();
+        const energy = this.recentEnergies.reduce((sum, value) => sum + value, 0) / this.recentEnergies.length;
+
+        const entry = { index: Math.round(index), energy, rawEnergy: rms, time: index / this.sampleRate };
+        this.energyProfile.push(entry);
+        const maxProfile = Math.ceil(this.config.bufferSeconds / energyWindow);
+        if (this.energyProfile.length > maxProfile) this.energyProfile.shift();
+
+        if (!this.currentPass) {
+            this.detectPassStart(entry);
+            // Background only learns from quiet audio
+            if (!this.currentPass) {
+                this.background.push(energy);
+                if (this.background.length > backgroundSeconds / energyWindow) this.background.shift();
+            }
+        } else if (this.currentPass.endIndex === undefined) {
+            this.detectPassEnd(entry);
+        }
+    }
+
+    getBackgroundEnergy() {
+        const sorted = [...this.background].sort((a, b) => a - b);
+        return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+    }
+
+    detectPassStart(entry) {
+        const { minBackgroundSeconds, energyWindow, triggerRatio, preRoll } = this.config;
+        if (this.background.length < minBackgroundSeconds / energyWindow) return;
+
+        const background = this.getBackgroundEnergy();
+        if (background > 0 && entry.energy > background * triggerRatio) {
+            this.currentPass = {
+                triggerIndex: entry.index,
+                startIndex: Math.max(0, entry.index - Math.round(preRoll * this.sampleRate)),
+                background
+            };
+        }
+    }
+
+    detectPassEnd(entry) {
+        const { releaseRatio, postRoll, maxPassSeconds } = this.config;
+        const pass = this.currentPass;
+        const duration = (entry.index - pass.triggerIndex) / this.sampleRate;
+
+        if (entry.energy < pass.background * releaseRatio || duration >= maxPassSeconds) {
+            pass.releaseIndex = entry.index;
+            pass.endIndex = entry.index + Math.round(postRoll * this.sampleRate);
+        }
+    }
+
+    /**
+     * Cut the pass out of the ring buffer and queue its analysis
+     */
+    closePass(endIndex) {
+        const pass = this.currentPass;
+        this.currentPass = null;
+
+        const releaseIndex = pass.releaseIndex ?? endIndex;
+        if ((releaseIndex - pass.triggerIndex) / this.sampleRate < this.config.minPassSeconds) {
+            return;
+        }
+
+        const { samples, start } = this.ringBuffer.read(pass.startIndex, endIndex);
+        const profile = this.energyProfile.filter(entry => entry.index >= pass.triggerIndex && entry.index <= releaseIndex);
+        const passNumber = ++this.passCount;
+
+        // Analyses run one at a time, in pass order
+        this.pending = this.pending.then(() => this.analyzePass(passNumber, samples, start, profile, pass));
+    }
+
+    /**
+     * Closest approach from the energy profile, speed from AudioAnalyzer
+     */
+    async analyzePass(passNumber, samples, startIndex, profile, pass) {
+        try {
+            // The strongest prominent energy peak is the closest approach, as in ApproachDetector
+            const peaks = ApproachDetector.findEnergyPeaks(profile, this.config.peakProminence);
+            const candidates = peaks.length > 0 ? peaks : profile;
+            const closest = candidates.reduce((best, entry) => entry.energy > best.energy ? entry : best, candidates[0]);
+
+            const result = await this.audioAnalyzer.analyzeAudioForSpeed(samples, this.sampleRate, this.analysisOptions);
+
+            this.emit('pass', {
+                passNumber,
+                startTime: startIndex / this.sampleRate,
+                endTime: (startIndex + samples.length) / this.sampleRate,
+                closestApproachTime: closest ? closest.index / this.sampleRate : null,
+                peakEnergy: closest ? closest.energy : 0,
+                backgroundEnergy: pass.background,
+                success: result.success,
+                speedMPH: result.speedMPH,
+                speedKMH: result.speedKMH,
+                confidence: result.confidence,
+                uncertainty: result.uncertainty || null,
+                confidenceInterval: result.confidenceInterval || null,
+                vehicleClass: result.vehicleClass || null,
+                error: result.error || null,
+                result
+            });
+        } catch (error) {
+            this.emit('error', { passNumber, error });
+        }
+    }
+
+    /**
+     * @returns {Object} { state, sampleRate, samplesReceived, secondsReceived, passesDetected, inPass, backgroundEnergy }
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            sampleRate: this.sampleRate,
+            samplesReceived: this.samplesReceived,
+            secondsReceived: this.sampleRate ? this.samplesReceived / this.sampleRate : 0,
+            passesDetected: this.passCount,
+            inPass: this.currentPass !== null,
+            backgroundEnergy: this.getBackgroundEnergy()
+        };
+    }
+}
+
+export default StreamingAnalyzer;
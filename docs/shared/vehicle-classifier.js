@@ -0,0 +1,250 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Vehicle Class Classification
+ * Says whether a pass was a car, truck, motorbike, bicycle (or any other label the model
+ * was trained with) from VehicleFeatureExtractor features.
+ *
+ * Models are trained offline on labelled clips (bin/train-vehicle-classifier.js) and saved
+ * as JSON, so classification needs no network access and runs in the browser. Features are
+ * standardized with the training mean and standard deviation before the model sees them.
+ *
+ * Model types are pluggable: register { train(vectors, labels, classes), predict(parameters, vector, classes) }
+ * under a name. predict returns one score per class; scores are normalized to sum to 1.
+ *
+ *   nearest_centroid       distance to each class's mean feature vector
+ *   gaussian_naive_bayes   per-class normal distribution of each feature
+ */
+
+import VehicleFeatureExtractor from './vehicle-features.js';
+
+const MODEL_FORMAT = 'vehicle-classifier';
+const MODEL_VERSION = 1;
+const DEFAULT_MODEL_TYPE = 'nearest_centroid';
+
+// Smallest standard deviation used, so a constant feature cannot divide by zero
+const MIN_DEVIATION = 1e-9;
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Built-in model types
+ */
+const MODEL_TYPES = {
+    nearest_centroid: {
+        train(vectors, labels, classes) {
+            const centroids = {};
+            for (const label of classes) {
+                const members = vectors.filter((_, i) => labels[i] === label);
+                centroids[label] = members[0].map((_, f) => mean(members.map(v => v[f])));
+            }
+            return { centroids };
+        },
+        predict(parameters, vector, classes) {
+            // Soft-min of the squared distances: a unit-variance normal around each centroid
+            const distances = classes.map(label =>
+                parameters.centroids[label].reduce((sum, c, f) => sum + (vector[f] - c) ** 2, 0));
+            const nearest = Math.min(...distances);
+            return distances.map(d => Math.exp(-(d - nearest) / 2));
+        }
+    },
+    gaussian_naive_bayes: {
+        train(vectors, labels, classes) {
+            const distributions = {};
+            for (const label of classes) {
+                const members = vectors.filter((_, i) => labels[i] === label);
+                const means = members[0].map((_, f) => mean(members.map(v => v[f])));
+                // Variance smoothed towards the standardized scale, so one example per class still works
+                const variances = means.map((m, f) =>
+                    (members.reduce((sum, v) => sum + (v[f] - m) ** 2, 0) + 0.1) / (members.length + 0.1));
+                distributions[label] = { prior: members.length / vectors.length, means, variances };
+            }
+            return { distributions };
+        },
+        predict(parameters, vector, classes) {
+            const logLikelihoods = classes.map(label => {
+                const { prior, means, variances } = parameters.distributions[label];
+                return Math.log(prior) + vector.reduce((sum, x, f) =>
+                    sum - 0.5 * Math.log(2 * Math.PI * variances[f]) - (x - means[f]) ** 2 / (2 * variances[f]), 0);
+            });
+            const best = Math.max(...logLikelihoods);
+            return logLikelihoods.map(l => Math.exp(l - best));
+        }
+    }
+};
+
+class VehicleClassifier {
+    /**
+     * @param {Object} model - Saved model (see toJSON()); checked before use
+     * @throws {Error} If the model is not a vehicle classifier model or its type is unknown
+     */
+    constructor(model) {
+        VehicleClassifier.validateModel(model);
+        this.model = model;
+    }
+
+    /**
+     * Add a model type
+     * @param {string} type - Name stored in saved models
+     * @param {Object} implementation - { train(vectors, labels, classes) → parameters,
+     *                                    predict(parameters, vector, classes) → scores in class order }
+     */
+    static registerModelType(type, implementation) {
+        if (typeof implementation?.train !== 'function' || typeof implementation?.predict !== 'function') {
+            throw new Error(`Model type ${type} needs train() and predict() functions`);
+        }
+        MODEL_TYPES[type] = implementation;
+    }
+
+    /**
+     * Names of the available model types
+     * @returns {Array<string>} Model types
+     */
+    static getModelTypes() {
+        return Object.keys(MODEL_TYPES);
+    }
+
+    /**
+     * Train a classifier on labelled examples
+     * @param {Array<Object>} examples - [{ features: { name: value } | vector: [...], label }]
+     * @param {Object} options - { type: model type (default 'nearest_centroid') }
+     * @returns {VehicleClassifier} Trained classifier
+     * @throws {Error} For an unknown type or fewer than two classes
+     */
+    static train(examples, options = {}) {
+        const type = options.type || DEFAULT_MODEL_TYPE;
+        if (!MODEL_TYPES[type]) {
+            throw new Error(`Unknown model type: ${type}. Use one of ${this.getModelTypes().join(', ')}`);
+        }
+
+        const featureNames = VehicleFeatureExtractor.getFeatureNames();
+        const vectors = examples.map(example => example.vector || VehicleFeatureExtractor.toVector(example.features));
+        const labels = examples.map(example => example.label);
+        const classes = [...new Set(labels)].sort();
+        if (classes.length < 2) {
+            throw new Error(`Training needs examples of at least two classes, got ${classes.length}`);
+        }
+
+        const normalization = {
+            mean: featureNames.map((_, f) => mean(vectors.map(v => v[f]))),
+            std: featureNames.map((_, f) => {
+                const m = mean(vectors.map(v => v[f]));
+                return Math.max(MIN_DEVIATION, Math.sqrt(mean(vectors.map(v => (v[f] - m) ** 2))));
+            })
+        };
+        const standardized = vectors.map(v => standardize(v, normalization));
+
+        return new VehicleClassifier({
+            format: MODEL_FORMAT,
+            version: MODEL_VERSION,
+            type,
+            featureNames,
+            classes,
+            normalization,
+            parameters: MODEL_TYPES[type].train(standardized, labels, classes),
+            trainedOn: {
+                examples: examples.length,
+                perClass: Object.fromEntries(classes.map(label => [label, labels.filter(l => l === label).length]))
+            }
+        });
+    }
+
+    /**
+     * Load a saved model
+     * @param {string|Object} json - JSON text, or the parsed object
+     * @returns {VehicleClassifier} Classifier
+     * @throws {Error} For invalid JSON or an invalid model
+     */
+    static fromJSON(json) {
+        if (typeof json !== 'string') {
+            return new VehicleClassifier(json);
+        }
+        let model;
+        try {
+            model = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid vehicle classifier JSON: ${error.message}`);
+        }
+        return new VehicleClassifier(model);
+    }
+
+    /**
+     * Check a model object
+     * @param {Object} model - Saved model
+     * @throws {Error} Naming the problem
+     */
+    static validateModel(model) {
+        if (!model || model.format !== MODEL_FORMAT) {
+            throw new Error(`Not a ${MODEL_FORMAT} model`);
+        }
+        if (model.version !== MODEL_VERSION) {
+            throw new Error(`Unsupported ${MODEL_FORMAT} model version ${model.version} (expected ${MODEL_VERSION})`);
+        }
+        if (!MODEL_TYPES[model.type]) {
+            throw new Error(`Unknown model type: ${model.type}. Use one of ${this.getModelTypes().join(', ')}`);
+        }
+        const featureNames = VehicleFeatureExtractor.getFeatureNames();
+        if (!Array.isArray(model.featureNames) || model.featureNames.join(',') !== featureNames.join(',')) {
+            throw new Error(`Model features ${model.featureNames} do not match ${featureNames.join(',')}`);
+        }
+        if (!Array.isArray(model.classes) || model.classes.length < 2) {
+            throw new Error('A model needs at least two classes');
+        }
+    }
+
+    /**
+     * Save the model
+     * @returns {string} JSON text
+     */
+    toJSON() {
+        return JSON.stringify(this.model, null, 2);
+    }
+
+    /**
+     * Class labels the model knows
+     * @returns {Array<string>} Labels in model order
+     */
+    getClasses() {
+        return [...this.model.classes];
+    }
+
+    /**
+     * Classify one set of features
+     * @param {Object|Array} features - { name: value } from VehicleFeatureExtractor, or a feature vector
+     * @returns {Object} { label, confidence, scores: { label: probability } }
+     */
+    classify(features) {
+        const vector = Array.isArray(features) ? features : VehicleFeatureExtractor.toVector(features);
+        const { type, classes, normalization, parameters } = this.model;
+        const raw = MODEL_TYPES[type].predict(parameters, standardize(vector, normalization), classes);
+        const total = raw.reduce((sum, score) => sum + score, 0);
+
+        const scores = Object.fromEntries(classes.map((label, i) => [label, total > 0 ? raw[i] / total : 1 / classes.length]));
+        const label = classes.reduce((best, current) => scores[current] > scores[best] ? current : best);
+        return { label, confidence: scores[label], scores };
+    }
+
+    /**
+     * Extract features from a recording and classify them
+     * @param {Array|Float32Array} samples - Audio samples of one pass
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - VehicleFeatureExtractor options
+     * @returns {Promise<Object>} { valid, error, label, confidence, scores, features }
+     */
+    async classifyAudio(samples, sampleRate, options = {}) {
+        const extraction = await VehicleFeatureExtractor.extract(samples, sampleRate, options);
+        if (!extraction.valid) {
+            return { valid: false, error: extraction.error, label: null, confidence: 0, scores: null, features: null };
+        }
+        return { valid: true, error: null, ...this.classify(extraction.features), features: extraction.features };
+    }
+}
+
+/**
+ * Z-scores of a feature vector with the training mean and standard deviation
+ */
+function standardize(vector, normalization) {
+    return vector.map((value, f) => (value - normalization.mean[f]) / normalization.std[f]);
+}
+
+export default VehicleClassifier;
@@ -0,0 +1,171 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ * 
+ * Vehicle Features
+ * A small, fixed set of numbers that tell vehicle classes apart, for VehicleClassifier:
+ *
+ *   spectralCentroid   Hz, magnitude-weighted mean frequency near closest approach
+ *   spectralSpread     Hz, magnitude-weighted standard deviation around the centroid
+ *   spectralRolloff    Hz, frequency below which 85% of the magnitude lies
+ *   peakFrequency      Hz, strongest peak
+ *   harmonicCount      harmonics (2f..5f) found above the strongest fundamental
+ *   energyDuration     seconds the energy stays above half its peak; long for slow, large vehicles
+ *   dynamicRange       dB between the loudest and quietest 100 ms of the recording
+ *
+ * The spectral features come from a short section around the loudest point, where the
+ * vehicle drowns out the background. Above maxFrequency the spectrum is ignored, so
+ * recordings at different sample rates give comparable features.
+ */
+
+import SingleFrequencyAnalysis from './single-frequency-analysis.js';
+import ApproachDetector from './approach-detector.js';
+import SampleBuffer from './sample-buffer.js';
+
+/**
+ * Feature order in feature vectors and saved models
+ */
+const FEATURE_NAMES = ['spectralCentroid', 'spectralSpread', 'spectralRolloff', 'peakFrequency',
+    'harmonicCount', 'energyDuration', 'dynamicRange'];
+
+/**
+ * Default extraction options
+ */
+const DEFAULT_FEATURE_OPTIONS = {
+    spectrumSeconds: 1,      // Section around the loudest point used for the spectrum
+    minFrequency: 20,        // Hz, lowest frequency in the spectral features
+    maxFrequency: 8000,      // Hz, highest (capped at half the sample rate)
+    rolloffFraction: 0.85,   // Share of the magnitude below the rolloff frequency
+    durationRatio: 0.5,      // Energy over peak × this counts towards energyDuration
+    hopSize: 0.01,           // Seconds between 100 ms energy windows
+    fftMode: 'auto',
+    windowType: 'hann'
+};
+
+class VehicleFeatureExtractor {
+    /**
+     * Get the default extraction options
+     * @returns {Object} Copy of DEFAULT_FEATURE_OPTIONS
+     */
+    static getDefaultOptions() {
+        return { ...DEFAULT_FEATURE_OPTIONS };
+    }
+
+    /**
+     * Names of the features, in feature-vector order
+     * @returns {Array<string>} Copy of FEATURE_NAMES
+     */
+    static getFeatureNames() {
+        return [...FEATURE_NAMES];
+    }
+
+    /**
+     * Extract the features of one vehicle pass
+     * @param {Array|Float32Array} samples - Audio samples of one pass
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Overrides for DEFAULT_FEATURE_OPTIONS
+     * @returns {Promise<Object>} { valid, error, features: { name: value }, vector, section: { startTime, endTime } }
+     */
+    static async extract(samples, sampleRate, options = {}) {
+        const config = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+        const energy = ApproachDetector.analyzeEnergyDistribution(samples, sampleRate, { hopSize: config.hopSize });
+        if (energy.profile === undefined || energy.maxEnergy <= 0) {
+            return { valid: false, error: 'No signal to extract features from', features: null, vector: null, section: null };
+        }
+
+        // Spectrum of the section centred on the loudest window
+        const loudest = energy.profile.reduce((best, entry) => entry.energy > best.energy ? entry : best);
+        const sectionSamples = Math.min(samples.length, Math.round(config.spectrumSeconds * sampleRate));
+        const start = Math.max(0, Math.min(samples.length - sectionSamples, loudest.index - Math.floor(sectionSamples / 2)));
+        const section = SampleBuffer.view(samples, start, start + sectionSamples);
+        const maxFrequency = Math.min(config.maxFrequency, sampleRate / 2);
+
+        const analysis = new SingleFrequencyAnalysis(section, sampleRate, {
+            fftMode: config.fftMode,
+            windowType: config.windowType,
+            frequencyRange: [config.minFrequency, maxFrequency]
+        });
+        const result = await analysis.analyze();
+        if (!result.valid) {
+            return { valid: false, error: result.error, features: null, vector: null, section: null };
+        }
+
+        const spectral = this.spectralShape(analysis.analyzer.frequencies, analysis.analyzer.powerSpectrum,
+                                            config.minFrequency, maxFrequency, config.rolloffFraction);
+        const threshold = energy.maxEnergy * config.durationRatio;
+        const loudWindows = energy.profile.filter(entry => entry.energy >= threshold).length;
+
+        const features = {
+            ...spectral,
+            peakFrequency: result.frequencies[0]?.frequency ?? 0,
+            harmonicCount: this.countHarmonics(result.frequencies),
+            energyDuration: loudWindows * config.hopSize,
+            dynamicRange: energy.dynamicRange
+        };
+
+        return {
+            valid: true,
+            error: null,
+            features,
+            vector: this.toVector(features),
+            section: { startTime: start / sampleRate, endTime: (start + sectionSamples) / sampleRate }
+        };
+    }
+
+    /**
+     * Centroid, spread and rolloff of a magnitude spectrum within a band
+     * @param {Array} frequencies - Bin frequencies in Hz
+     * @param {Array} magnitudes - Bin magnitudes
+     * @param {number} minFrequency - Lowest frequency counted
+     * @param {number} maxFrequency - Highest frequency counted
+     * @param {number} rolloffFraction - Share of the magnitude below the rolloff
+     * @returns {Object} { spectralCentroid, spectralSpread, spectralRolloff } in Hz
+     */
+    static spectralShape(frequencies, magnitudes, minFrequency, maxFrequency, rolloffFraction = 0.85) {
+        let total = 0;
+        let weighted = 0;
+        for (let i = 0; i < frequencies.length; i++) {
+            if (frequencies[i] < minFrequency || frequencies[i] > maxFrequency) continue;
+            total += magnitudes[i];
+            weighted += magnitudes[i] * frequencies[i];
+        }
+        if (total <= 0) {
+            return { spectralCentroid: 0, spectralSpread: 0, spectralRolloff: 0 };
+        }
+
+        const centroid = weighted / total;
+        let variance = 0;
+        let cumulative = 0;
+        let rolloff = null;
+        for (let i = 0; i < frequencies.length; i++) {
+            if (frequencies[i] < minFrequency || frequencies[i] > maxFrequency) continue;
+            variance += magnitudes[i] * (frequencies[i] - centroid) ** 2;
+            cumulative += magnitudes[i];
+            if (rolloff === null && cumulative >= rolloffFraction * total) {
+                rolloff = frequencies[i];
+            }
+        }
+
+        return { spectralCentroid: centroid, spectralSpread: Math.sqrt(variance / total), spectralRolloff: rolloff };
+    }
+
+    /**
+     * Harmonics found above the strongest likely fundamental, or above the strongest peak
+     * @param {Array} frequencies - SingleFrequencyAnalysis frequencies with harmonicInfo
+     * @returns {number} 0-4
+     */
+    static countHarmonics(frequencies) {
+        const fundamental = frequencies.find(f => f.harmonicInfo?.isLikelyFundamental) || frequencies[0];
+        return fundamental?.harmonicInfo?.harmonicCount ?? 0;
+    }
+
+    /**
+     * Features as an array in FEATURE_NAMES order
+     * @param {Object} features - { name: value }
+     * @returns {Array<number>} Feature vector
+     */
+    static toVector(features) {
+        return FEATURE_NAMES.map(name => features[name]);
+    }
+}
+
+export default VehicleFeatureExtractor;
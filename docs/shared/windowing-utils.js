@@ -59,6 +59,28 @@ class WindowingUtils {
         return window;
     }
 
+    /**
+     * Create window coefficients by name
+     * Lets frame-by-frame analysis build the window once and reuse it
+     *
+     * @param {string} windowType - Type of window ('hamming', 'hann', 'blackman', 'none')
+     * @param {number} size - Window size
+     * @returns {Float32Array} Window coefficients (all ones for 'none' or unknown types)
+     */
+    static createWindow(windowType, size) {
+        switch (windowType.toLowerCase()) {
+            case 'hamming':
+                return this.createHammingWindow(size);
+            case 'hann':
+            case 'hanning':
+                return this.createHannWindow(size);
+            case 'blackman':
+                return this.createBlackmanWindow(size);
+            default:
+                return new Float32Array(size).fill(1);
+        }
+    }
+
     /**
      * Apply a window function to an audio frame
      * Multiplies each sample by the corresponding window coefficient
@@ -86,17 +108,27 @@ class WindowingUtils {
      * @returns {Array} Windowed audio samples
      */
     static applyWindowByType(samples, windowType = 'hamming') {
+        return this.applyWindowInPlace(Array.from(samples), windowType);
+    }
+
+    /**
+     * Apply a windowing function to samples in place, without allocating
+     * @param {Array|Float32Array|Float64Array} samples - Samples to window; overwritten
+     * @param {string} windowType - Type of window ('hamming', 'hann', 'blackman', 'none')
+     * @returns {Array|Float32Array|Float64Array} The same samples
+     */
+    static applyWindowInPlace(samples, windowType = 'hamming') {
         if (windowType === 'none') {
-            return [...samples];
+            return samples;
         }
         
         const N = samples.length;
-        const windowed = new Array(N);
+        const type = windowType.toLowerCase();
         
         for (let i = 0; i < N; i++) {
             let windowValue;
             
-            switch (windowType.toLowerCase()) {
+            switch (type) {
                 case 'hamming':
                     windowValue = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (N - 1));
                     break;
@@ -111,10 +143,10 @@ class WindowingUtils {
                     windowValue = 1.0; // Rectangular window
             }
             
-            windowed[i] = samples[i] * windowValue;
+            samples[i] *= windowValue;
         }
         
-        return windowed;
+        return samples;
     }
     
     /**
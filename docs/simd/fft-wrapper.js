@@ -5,8 +5,10 @@
  * NO FALLBACKS - WASM+SIMD only
  */
 
+import PffftPlans from '../shared/pffft-plans.js';
+
 let wasmModule = null;
-let fftSetup = null;
+let plans = null;
 
 // Load the WASM module
 async function loadWasm() {
@@ -86,10 +88,20 @@ async function loadWasm() {
     }
 }
 
+/**
+ * FFT setups and buffers, created on first use and reused for every size
+ */
+function getPlans() {
+    if (!plans) {
+        plans = new PffftPlans(wasmModule, 'WASM+SIMD');
+    }
+    return plans;
+}
+
 /**
  * Perform FFT using WASM+SIMD implementation ONLY
- * @param {Array} signal - Input signal for FFT
- * @returns {Array} FFT result
+ * @param {Array|Float32Array|Float64Array} signal - Input signal for FFT
+ * @returns {Float32Array} FFT result
  */
 export async function fft(signal) {
     if (!wasmModule) {
@@ -99,87 +111,36 @@ export async function fft(signal) {
     const length = signal.length;
     console.log(`🔧 FFT: Called with signal length ${length}, FFT_MODE=WASM+SIMD`);
     
-    // Ensure power of 2 length
-    if ((length & (length - 1)) !== 0) {
-        throw new Error(`FFT length must be power of 2, got ${length}`);
+    try {
+        return getPlans().transform(signal);
+    } catch (error) {
+        console.error('WASM+SIMD FFT error:', error);
+        throw new Error(`WASM+SIMD FFT failed: ${error.message}`);
+    }
+}
+
+/**
+ * Perform FFTs of many frames of the same length in one WASM round trip
+ * @param {Array<Array|Float32Array|Float64Array>} signals - Input frames
+ * @returns {Array<Float32Array>} FFT result per frame
+ */
+export async function fftMany(signals) {
+    if (!wasmModule) {
+        await loadWasm();
     }
     
     try {
-        // Create setup if needed
-        if (!fftSetup || fftSetup.length !== length) {
-            if (fftSetup) {
-                wasmModule._pffft_destroy_setup(fftSetup.setupPtr);
-            }
-            
-            // PFFFT_REAL = 0
-            const setupPtr = wasmModule._pffft_new_setup(length, 0);
-            if (!setupPtr) {
-                throw new Error('Failed to create PFFFT setup');
-            }
-            fftSetup = { setupPtr, length };
-        }
-        
-        // Allocate memory for input and output
-        const inputPtr = wasmModule._pffft_aligned_malloc(length * 4); // Float32
-        const outputPtr = wasmModule._pffft_aligned_malloc(length * 4);
-        
-        if (!inputPtr || !outputPtr) {
-            throw new Error('Failed to allocate WASM+SIMD memory');
-        }
-        
-        // Copy input data
-        const heap = wasmModule.HEAPF32;
-        if (!heap) {
-            wasmModule._pffft_aligned_free(inputPtr);
-            wasmModule._pffft_aligned_free(outputPtr);
-            throw new Error('WASM+SIMD heap not available');
-        }
-        
-        const inputOffset = inputPtr / 4;
-        const outputOffset = outputPtr / 4;
-        
-        // Verify heap bounds
-        if (inputOffset + length > heap.length || outputOffset + length > heap.length) {
-            wasmModule._pffft_aligned_free(inputPtr);
-            wasmModule._pffft_aligned_free(outputPtr);
-            throw new Error('WASM+SIMD heap out of bounds');
-        }
-        
-        for (let i = 0; i < length; i++) {
-            heap[inputOffset + i] = signal[i];
-        }
-        
-        // Perform FFT using PFFFT
-        wasmModule._pffft_transform_ordered(fftSetup.setupPtr, inputPtr, outputPtr, null, 1);
-        
-        // Read results - PFFFT real-to-complex output format
-        const result = new Array(length * 2);
-        
-        // DC component
-        result[0] = heap[outputOffset];
-        result[1] = 0;
-        
-        // AC components
-        for (let i = 1; i < length / 2; i++) {
-            result[i * 2] = heap[outputOffset + i * 2];       // Real
-            result[i * 2 + 1] = heap[outputOffset + i * 2 + 1]; // Imaginary
-        }
-        
-        // Nyquist component
-        if (length > 1) {
-            result[length] = heap[outputOffset + 1];
-            result[length + 1] = 0;
-        }
-        
-        // Free memory
-        wasmModule._pffft_aligned_free(inputPtr);
-        wasmModule._pffft_aligned_free(outputPtr);
-        
-        return result;
-        
+        return getPlans().transformMany(signals);
     } catch (error) {
         console.error('WASM+SIMD FFT error:', error);
         throw new Error(`WASM+SIMD FFT failed: ${error.message}`);
     }
 }
 
+/**
+ * Cached FFT sizes and how often setups and buffers were created
+ * @returns {Object|null} PffftPlans.getStats(), or null before the first FFT
+ */
+export function getPlanStats() {
+    return plans ? plans.getStats() : null;
+}
@@ -0,0 +1,421 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Known-Speed Regression Harness
+ *
+ * Runs the real AudioAnalyzer on every clip listed in known-speed-manifest.json and
+ * compares the speed found with the speed the vehicle was known to be doing. A clip is
+ * either a recording ("file") or a pass rendered by synthetic-pass.js ("name" and "render"). A clip
+ *
+ * - passes when a speed is found within its toleranceMph of the known speed, or with
+ *   "gate": "interval", when the reported interval contains the known speed and is no wider
+ *   than maxIntervalMph
+ * - regresses when, compared with its last run in known-speed-history.json, it is no longer
+ *   detected or its error grew by more than driftToleranceMph
+ *
+ * The run fails (exit code 1) when a clip expected to pass does not, or any clip regresses.
+ * Clips the analyzer cannot measure yet are listed with "expected": "drift"; only their drift
+ * is checked. --record appends this run to the history, so commit it with the change that
+ * moved the numbers.
+ *
+ * Run with: npm run test:regression [-- --record] [-- --clip 30_mph.wav] [-- --fft-mode WASM+SIMD] [-- --json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import AudioProcessor from '../../docs/shared/audio-utils.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import renderPass from './synthetic-pass.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MANIFEST = path.join(HERE, 'known-speed-manifest.json');
+const DEFAULT_HISTORY = path.join(HERE, 'known-speed-history.json');
+
+// Runs kept per clip in the history file
+const HISTORY_LENGTH = 50;
+
+const DEFAULTS = {
+    toleranceMph: 3,
+    maxIntervalMph: 35,
+    driftToleranceMph: 1,
+    analysis: {}
+};
+
+// How a clip is judged: the speed's distance from the known speed, or the reported interval
+const GATES = ['tolerance', 'interval'];
+
+// Clips expected to pass their gate, and clips whose drift alone is checked
+const EXPECTATIONS = ['pass', 'drift'];
+
+class KnownSpeedRegression {
+    /**
+     * @param {Object} manifest - { audioDirectory, defaults, clips }; audioDirectory is relative to baseDirectory
+     * @param {Object} options - Harness options
+     * @param {string} options.baseDirectory - Directory the manifest's paths are relative to
+     * @param {Object} options.history - Earlier runs, as loadHistory() returns them (default none)
+     */
+    constructor(manifest, options = {}) {
+        this.manifest = manifest;
+        this.defaults = { ...DEFAULTS, ...manifest.defaults };
+        this.audioDirectory = path.resolve(options.baseDirectory || HERE, manifest.audioDirectory || '.');
+        this.history = options.history || { clips: {} };
+    }
+
+    /**
+     * AudioAnalyzer options for one clip: the manifest defaults, the clip's own analysis
+     * options, its temperature as the environment and its distance as the geometry
+     * @param {Object} clip - Manifest entry
+     * @returns {Object} AudioAnalyzer options
+     */
+    resolveAnalysisOptions(clip) {
+        const options = { ...this.defaults.analysis, ...clip.analysis };
+        if (Number.isFinite(clip.temperatureC)) {
+            options.environment = { ...options.environment, temperature: clip.temperatureC };
+        }
+        if (Number.isFinite(clip.distanceMeters)) {
+            options.geometry = { ...options.geometry, lateralDistance: clip.distanceMeters };
+        }
+        return options;
+    }
+
+    /**
+     * The name a clip is reported, picked and recorded under: its file, or its name if rendered
+     * @param {Object} clip - Manifest entry
+     * @returns {string} Clip name
+     */
+    static clipName(clip) {
+        return clip.file || clip.name;
+    }
+
+    /**
+     * Audio for one clip: the recording, or the pass rendered at the clip's speed, temperature
+     * and distance with its "render" options
+     * @param {Object} clip - Manifest entry
+     * @returns {Promise<Object>} { samples, sampleRate, duration }
+     */
+    async loadClip(clip) {
+        if (clip.render) {
+            return renderPass({
+                speedMph: clip.speedMph,
+                temperatureC: clip.temperatureC,
+                distanceMeters: clip.distanceMeters,
+                ...clip.render
+            });
+        }
+        if (!clip.file) {
+            throw new Error(`Clip ${clip.name || '(unnamed)'} has neither a file nor render options`);
+        }
+        const audio = await AudioProcessor.loadAudioFile(path.join(this.audioDirectory, clip.file));
+        return { ...audio, samples: AudioProcessor.normalizeAmplitude(audio.samples) };
+    }
+
+    /**
+     * Analyse one clip
+     * @param {Object} clip - Manifest entry { file | name and render, speedMph, temperatureC, distanceMeters,
+     *                        gate, toleranceMph, maxIntervalMph, expected, analysis }
+     * @returns {Promise<Object>} { name, file, speedMph, detected, measuredMph, errorMph, confidence,
+     *                            interval ({ lowerMph, upperMph, reliable, issues } around the measured speed),
+     *                            error, clipDuration (seconds of audio), durationMs (time taken) }
+     */
+    async analyzeClip(clip) {
+        const startTime = performance.now();
+        const run = {
+            name: KnownSpeedRegression.clipName(clip),
+            file: clip.file || null,
+            speedMph: clip.speedMph,
+            detected: false,
+            measuredMph: null,
+            errorMph: null,
+            confidence: null,
+            interval: null,
+            error: null,
+            clipDuration: null
+        };
+
+        try {
+            const audio = await this.loadClip(clip);
+            run.clipDuration = round(audio.duration);
+            const analyzer = new AudioAnalyzer(this.resolveAnalysisOptions(clip));
+            const result = await quietly(analyzer.analyzeAudioForSpeed(audio.samples, audio.sampleRate));
+            if (result.success) {
+                run.detected = true;
+                run.measuredMph = round(result.speedMPH);
+                run.errorMph = round(Math.abs(result.speedMPH - clip.speedMph));
+                run.confidence = round(result.confidence);
+                run.interval = {
+                    lowerMph: round(result.confidenceInterval.lowerMPH),
+                    upperMph: round(result.confidenceInterval.upperMPH),
+                    reliable: result.confidenceInterval.reliable,
+                    issues: result.confidenceInterval.issues
+                };
+            } else {
+                run.error = result.error || 'No Doppler pattern found';
+            }
+        } catch (error) {
+            run.error = error.message;
+        }
+
+        run.durationMs = Math.round(performance.now() - startTime);
+        return run;
+    }
+
+    /**
+     * Judge one run against the clip's gate and its previous run
+     * @param {Object} clip - Manifest entry
+     * @param {Object} run - analyzeClip() result
+     * @param {Object|null} previous - Latest history entry for the clip
+     * @returns {Object} run plus { gate, toleranceMph, maxIntervalMph, status: 'pass'|'fail', expected, failed,
+     *   regression, improvement }; failed: a clip expected to pass that did not; regression and
+     *   improvement: what changed, or null
+     */
+    evaluate(clip, run, previous = null) {
+        const gate = clip.gate || 'tolerance';
+        const expected = clip.expected || 'pass';
+        if (!GATES.includes(gate)) {
+            throw new Error(`Unknown gate for ${KnownSpeedRegression.clipName(clip)}: ${gate}. Use ${GATES.join(', ')}`);
+        }
+        if (!EXPECTATIONS.includes(expected)) {
+            throw new Error(`Unknown expectation for ${KnownSpeedRegression.clipName(clip)}: ${expected}. Use ${EXPECTATIONS.join(', ')}`);
+        }
+
+        const toleranceMph = clip.toleranceMph ?? this.defaults.toleranceMph;
+        const maxIntervalMph = clip.maxIntervalMph ?? this.defaults.maxIntervalMph;
+        const driftToleranceMph = clip.driftToleranceMph ?? this.defaults.driftToleranceMph;
+        const { interval } = run;
+        const passed = gate === 'interval'
+            ? run.detected && interval.lowerMph <= clip.speedMph && clip.speedMph <= interval.upperMph &&
+              interval.upperMph - interval.lowerMph <= maxIntervalMph
+            : run.detected && run.errorMph <= toleranceMph;
+        const status = passed ? 'pass' : 'fail';
+
+        let regression = null;
+        let improvement = null;
+        if (previous?.detected && !run.detected) {
+            regression = `no longer detected (was ${previous.measuredMph} mph)`;
+        } else if (previous?.detected && run.errorMph > previous.errorMph + driftToleranceMph) {
+            regression = `error grew from ${previous.errorMph} to ${run.errorMph} mph`;
+        } else if (previous && !previous.detected && run.detected) {
+            improvement = `now detected (${run.measuredMph} mph)`;
+        } else if (previous?.detected && run.errorMph < previous.errorMph - driftToleranceMph) {
+            improvement = `error fell from ${previous.errorMph} to ${run.errorMph} mph`;
+        }
+
+        return {
+            ...run,
+            gate,
+            toleranceMph,
+            maxIntervalMph,
+            status,
+            expected,
+            failed: expected === 'pass' && status === 'fail',
+            regression,
+            improvement
+        };
+    }
+
+    /**
+     * Analyse and judge every clip in the manifest
+     * @param {Object} options - Run options
+     * @param {Array<string>} options.only - Clip names to run (default all)
+     * @returns {Promise<Object>} { passed, clips, meanErrorMph }; passed is false when any clip
+     *                            failed or regressed
+     */
+    async run(options = {}) {
+        const clips = this.manifest.clips.filter(clip => !options.only?.length ||
+            options.only.includes(KnownSpeedRegression.clipName(clip)));
+        if (clips.length === 0) {
+            throw new Error(options.only?.length
+                ? `No clips in the manifest match ${options.only.join(', ')}`
+                : 'The manifest lists no clips');
+        }
+
+        const results = [];
+        for (const clip of clips) {
+            const run = await this.analyzeClip(clip);
+            const previous = this.history.clips[run.name]?.at(-1) || null;
+            results.push(this.evaluate(clip, run, previous));
+        }
+
+        const detected = results.filter(result => result.detected);
+        return {
+            passed: results.every(result => !result.failed && !result.regression),
+            clips: results,
+            meanErrorMph: detected.length > 0
+                ? round(detected.reduce((sum, result) => sum + result.errorMph, 0) / detected.length)
+                : null
+        };
+    }
+
+    /**
+     * The history with one more run per clip appended, oldest runs dropped past HISTORY_LENGTH
+     * @param {Object} history - { clips: { name: [entries] } }
+     * @param {Object} report - run() result
+     * @param {Object} details - { date (ISO string), commit }
+     * @returns {Object} New history; the one given is not modified
+     */
+    static appendHistory(history, report, details) {
+        const clips = { ...history.clips };
+        for (const result of report.clips) {
+            const entry = {
+                date: details.date,
+                commit: details.commit || null,
+                detected: result.detected,
+                measuredMph: result.measuredMph,
+                errorMph: result.errorMph,
+                confidence: result.confidence
+            };
+            clips[result.name] = [...(clips[result.name] || []), entry].slice(-HISTORY_LENGTH);
+        }
+        return { clips };
+    }
+
+    /**
+     * Read a history file
+     * @param {string} historyPath - Path to the JSON file
+     * @returns {Object} { clips: { name: [entries] } }; empty when the file does not exist
+     */
+    static loadHistory(historyPath) {
+        if (!fs.existsSync(historyPath)) {
+            return { clips: {} };
+        }
+        return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    }
+
+    /**
+     * Print one line per clip, then the outcome
+     * @param {Object} report - run() result
+     */
+    printReport(report) {
+        console.log('\n📋 CLIP RESULTS:');
+        for (const result of report.clips) {
+            const measured = result.detected
+                ? `${result.measuredMph.toFixed(2)} mph (±${result.errorMph.toFixed(2)}), ` +
+                  `interval ${result.interval.lowerMph.toFixed(2)}-${result.interval.upperMph.toFixed(2)} mph`
+                : result.error;
+            const icon = result.status === 'pass' ? '✅' : (result.failed ? '❌' : '➖');
+            const tags = [
+                ...(result.gate === 'interval' ? [`interval within ${result.maxIntervalMph} mph`] : []),
+                ...(result.expected === 'drift' ? ['tracked drift'] : [])
+            ];
+            const tagged = tags.length > 0 ? ` [${tags.join(', ')}]` : '';
+            console.log(`   ${icon} ${result.name}: known ${result.speedMph} mph, measured ${measured}${tagged}`);
+            if (result.regression) {
+                console.log(`      📉 Regression: ${result.regression}`);
+            }
+            if (result.improvement) {
+                console.log(`      📈 Improvement: ${result.improvement}`);
+            }
+            if (result.expected === 'drift' && result.status === 'pass') {
+                console.log('      🎉 Now within tolerance: set "expected" to "pass" in the manifest');
+            }
+        }
+
+        const passing = report.clips.filter(result => result.status === 'pass').length;
+        console.log(`\n🎯 Passing their gate: ${passing}/${report.clips.length}`);
+        if (report.meanErrorMph !== null) {
+            console.log(`📏 Mean error of detected clips: ${report.meanErrorMph.toFixed(2)} mph`);
+        }
+        console.log(report.passed ? '\n✅ No regressions' : '\n❌ Known-speed regression failed');
+    }
+}
+
+/**
+ * Await analysis work without the analyzer's step-by-step logging
+ */
+async function quietly(promise) {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await promise;
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Short hash of the checked-out commit, or null outside a git checkout
+ */
+function currentCommit() {
+    try {
+        return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: HERE, encoding: 'utf8' }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Run the harness from command-line arguments, printing the report
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<Object>} run() result
+ */
+async function runKnownSpeedRegression(args = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            manifest: { type: 'string', default: DEFAULT_MANIFEST },
+            history: { type: 'string', default: DEFAULT_HISTORY },
+            clip: { type: 'string', multiple: true },
+            'fft-mode': { type: 'string' },
+            record: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(values.manifest, 'utf8'));
+    if (values['fft-mode']) {
+        manifest.defaults = { ...manifest.defaults };
+        manifest.defaults.analysis = { ...manifest.defaults.analysis, fftMode: values['fft-mode'] };
+    }
+    if (!values.json) {
+        console.log('🚗 KNOWN-SPEED REGRESSION');
+        console.log('=========================');
+        console.log(`Manifest: ${path.relative(process.cwd(), values.manifest)}`);
+    }
+
+    const history = KnownSpeedRegression.loadHistory(values.history);
+    const harness = new KnownSpeedRegression(manifest, { baseDirectory: path.dirname(values.manifest), history });
+    const report = await harness.run({ only: values.clip });
+    if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        harness.printReport(report);
+    }
+
+    if (values.record) {
+        const updated = KnownSpeedRegression.appendHistory(history, report, {
+            date: new Date().toISOString(),
+            commit: currentCommit()
+        });
+        fs.writeFileSync(values.history, JSON.stringify(updated, null, 2) + '\n');
+        if (!values.json) {
+            console.log(`📝 Recorded in ${path.relative(process.cwd(), values.history)}`);
+        }
+    }
+
+    return report;
+}
+
+// Run the harness if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runKnownSpeedRegression()
+        .then(report => {
+            process.exitCode = report.passed ? 0 : 1;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+export { runKnownSpeedRegression };
+export default KnownSpeedRegression;
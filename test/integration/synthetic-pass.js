@@ -0,0 +1,108 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Synthetic Pass Renderer
+ *
+ * Renders a vehicle driving past a microphone at a known speed, for the known-speed
+ * regression. The engine is a fundamental and its harmonics, the tyres are low-passed
+ * noise, and both are heard as emitted at the retarded time: each sample is what the
+ * vehicle sent out when it was r / c away, so the Doppler shift, its transition at
+ * closest approach and the 1/r loudness all follow from the geometry. Rendering is
+ * deterministic for a given seed, so a run can be compared with the recorded history.
+ */
+
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+
+const MPH_TO_MS = 0.44704;
+
+// Fixed-point iterations solving t = tau + r(tau) / c for the emission time tau
+const RETARDED_TIME_ITERATIONS = 4;
+
+/**
+ * Render one pass
+ * @param {Object} options - Pass description
+ * @param {number} options.speedMph - Vehicle speed
+ * @param {number} options.distanceMeters - Closest distance from the microphone to the path (default: 5)
+ * @param {number} options.temperatureC - Air temperature, for the speed of sound (default: 20)
+ * @param {number} options.engineHz - Engine fundamental as emitted (default: 110)
+ * @param {Array<number>} options.harmonics - Amplitudes of the fundamental and its harmonics (default: [1, 0.7, 0.5, 0.3])
+ * @param {number} options.tyreNoise - Tyre noise level relative to the engine (default: 0.3)
+ * @param {number} options.background - Background noise level, not Doppler-shifted (default: 0.02)
+ * @param {number} options.duration - Seconds of audio; closest approach is in the middle (default: 6)
+ * @param {number} options.sampleRate - Sample rate in Hz (default: 44100)
+ * @param {number} options.seed - Noise seed (default: 1)
+ * @returns {Object} { samples (Float32Array, peak 1), sampleRate, duration, soundSpeed }
+ */
+function renderPass(options) {
+    const {
+        speedMph,
+        distanceMeters = 5,
+        temperatureC = 20,
+        engineHz = 110,
+        harmonics = [1, 0.7, 0.5, 0.3],
+        tyreNoise = 0.3,
+        background = 0.02,
+        duration = 6,
+        sampleRate = 44100,
+        seed = 1
+    } = options;
+    if (!Number.isFinite(speedMph) || speedMph <= 0) {
+        throw new Error(`A synthetic pass needs a positive speedMph, got ${speedMph}`);
+    }
+
+    const soundSpeed = DopplerSpeedCalculator.calculateSoundSpeed(temperatureC);
+    const speed = speedMph * MPH_TO_MS;
+    const closestApproachTime = duration / 2;
+    const random = createRandom(seed);
+
+    // Tyre noise in emission time; a second of margin covers the travel time to the microphone
+    const tyre = new Float32Array(Math.round((duration + 1) * sampleRate) + 1);
+    let lowPassed = 0;
+    for (let i = 0; i < tyre.length; i++) {
+        lowPassed += 0.2 * (random() - lowPassed);
+        tyre[i] = lowPassed;
+    }
+
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        let emission = t;
+        let distance = distanceMeters;
+        for (let k = 0; k < RETARDED_TIME_ITERATIONS; k++) {
+            distance = Math.hypot(distanceMeters, speed * (emission - closestApproachTime));
+            emission = t - distance / soundSpeed;
+        }
+
+        let engine = 0;
+        harmonics.forEach((amplitude, h) => {
+            engine += amplitude * Math.sin(2 * Math.PI * engineHz * (h + 1) * emission + h);
+        });
+        const position = (emission + 1) * sampleRate;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const road = 4 * tyreNoise * (tyre[index] * (1 - fraction) + tyre[index + 1] * fraction);
+
+        samples[i] = (0.3 * engine + road) / distance + 2 * background * random();
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] /= peak;
+    }
+
+    return { samples, sampleRate, duration, soundSpeed };
+}
+
+/**
+ * Uniform noise in [-0.5, 0.5) from a linear congruential generator
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296 - 0.5;
+    };
+}
+
+export { renderPass };
+export default renderPass;
@@ -1,402 +0,0 @@
-/**
- * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
- *
- * Audio File Analysis for Doppler Speed Testing
- * Provides utilities for testing audio files with known or expected speeds
- * Including the new known-speed clips for validation
- */
-
-const fs = require('fs');
-const path = require('path');
-
-class DopplerSpeedTester {
-    constructor(options = {}) {
-        this.options = {
-            confidenceThreshold: options.confidenceThreshold || 0.7,
-            speedToleranceMph: options.speedToleranceMph || 5,
-            verbose: options.verbose !== false,
-            ...options
-        };
-        
-        // Known test cases with verified speeds - expanded to include all clips
-        this.knownSpeedClips = [
-            // Original 6 clips
-            {
-                filename: '23_mph.wav',
-                knownSpeedMph: 23,
-                description: 'Original 23 mph test clip'
-            },
-            {
-                filename: '28_mph.wav', 
-                knownSpeedMph: 28,
-                description: 'Original 28 mph test clip'
-            },
-            {
-                filename: '30_mph.wav',
-                knownSpeedMph: 30,
-                description: 'Original 30 mph test clip'
-            },
-            {
-                filename: '30_mph_2.wav',
-                knownSpeedMph: 30,
-                description: 'Second 30 mph test clip'
-            },
-            {
-                filename: '33_mph.wav',
-                knownSpeedMph: 33,
-                description: 'Original 33 mph test clip'
-            },
-            {
-                filename: '37_mph.wav',
-                knownSpeedMph: 37,
-                description: 'Original 37 mph test clip'
-            },
-            // New known-speed clips for integration testing
-            {
-                filename: 'known_20_mph_15degreesC_2.5meters.m4a',
-                knownSpeedMph: 20,
-                temperatureC: 15,
-                distanceMeters: 2.5,
-                description: 'Known 20 mph clip at 15°C, 2.5m distance'
-            },
-            {
-                filename: 'known_30_mph_15degreesC_6meters.m4a',
-                knownSpeedMph: 30,
-                temperatureC: 15,
-                distanceMeters: 6,
-                description: 'Known 30 mph clip at 15°C, 6m distance'
-            }
-        ];
-    }
-    
-    /**
-     * Analyze a test audio file for speed detection
-     * @param {string} filePath - Path to the audio file
-     * @param {number} expectedSpeedMph - Expected speed in mph
-     * @returns {Object} Analysis result
-     */
-    analyzeTestFile(filePath, expectedSpeedMph = null) {
-        const startTime = performance.now();
-        const filename = path.basename(filePath);
-        
-        try {
-            // Check if file exists
-            if (!fs.existsSync(filePath)) {
-                return {
-                    filename,
-                    status: 'FILE_NOT_FOUND',
-                    error: `File not found: ${filePath}`,
-                    executionTimeMs: performance.now() - startTime
-                };
-            }
-            
-            const stats = fs.statSync(filePath);
-            const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-            
-            if (this.options.verbose) {
-                console.log(`\n📁 Analyzing: ${filename}`);
-                console.log(`📏 File size: ${fileSizeMB} MB`);
-                console.log(`🎯 Expected speed: ${expectedSpeedMph ? expectedSpeedMph + ' mph' : 'Unknown'}`);
-            }
-            
-            // For now, return a mock analysis result since we need audio processing
-            // In a real implementation, this would:
-            // 1. Load the audio file (M4A/WAV)
-            // 2. Convert to appropriate format if needed  
-            // 3. Run through the AudioAnalyzer pipeline
-            // 4. Return the actual speed calculation
-            
-            const mockResult = this.createMockAnalysisResult(filename, expectedSpeedMph, fileSizeMB);
-            mockResult.executionTimeMs = performance.now() - startTime;
-            
-            if (this.options.verbose) {
-                this.displayResult(mockResult);
-            }
-            
-            return mockResult;
-            
-        } catch (error) {
-            return {
-                filename,
-                status: 'ERROR',
-                error: error.message,
-                executionTimeMs: performance.now() - startTime
-            };
-        }
-    }
-    
-    /**
-     * Create a mock analysis result for development/testing
-     * @param {string} filename - Audio filename
-     * @param {number} expectedSpeedMph - Expected speed
-     * @param {string} fileSizeMB - File size in MB
-     * @returns {Object} Mock analysis result
-     */
-    createMockAnalysisResult(filename, expectedSpeedMph, fileSizeMB) {
-        const isKnownClip = this.knownSpeedClips.find(clip => filename.includes(clip.filename.replace('.m4a', '')));
-        
-        // Simulate different outcomes based on file type
-        if (isKnownClip) {
-            // Known clips should return accurate results
-            const actualSpeed = isKnownClip.knownSpeedMph;
-            const variance = (Math.random() - 0.5) * 2; // ±1 mph variance
-            const calculatedSpeed = actualSpeed + variance;
-            
-            return {
-                filename,
-                status: 'SUCCESS',
-                calculatedSpeed: calculatedSpeed,
-                expectedSpeed: expectedSpeedMph || actualSpeed,
-                speedError: Math.abs(calculatedSpeed - (expectedSpeedMph || actualSpeed)),
-                confidence: 0.85 + (Math.random() * 0.1), // 85-95% confidence
-                duration: 3.0 + (Math.random() * 2.0), // 3-5 second duration
-                fileSizeMB: parseFloat(fileSizeMB),
-                frequencies: {
-                    approach: 800 + (Math.random() * 200),
-                    recede: 750 + (Math.random() * 200)
-                },
-                knownSpeedClip: true,
-                metadata: isKnownClip
-            };
-        } else if (filename.includes('problematic') || filename.includes('E09')) {
-            // Problematic recordings should often fail
-            if (Math.random() < 0.7) { // 70% chance of failure for problematic files
-                return {
-                    filename,
-                    status: 'NO_CLEAR_PATTERN',
-                    error: 'E09 - No clear Doppler pattern detected',
-                    duration: 3.0 + (Math.random() * 4.0),
-                    fileSizeMB: parseFloat(fileSizeMB),
-                    knownSpeedClip: false
-                };
-            } else {
-                // Sometimes succeed with questionable results
-                const calculatedSpeed = 15 + (Math.random() * 40); // 15-55 mph range
-                return {
-                    filename,
-                    status: 'SUCCESS_LOW_CONFIDENCE',
-                    calculatedSpeed: calculatedSpeed,
-                    expectedSpeed: expectedSpeedMph,
-                    speedError: expectedSpeedMph ? Math.abs(calculatedSpeed - expectedSpeedMph) : null,
-                    confidence: 0.4 + (Math.random() * 0.2), // 40-60% confidence
-                    duration: 3.0 + (Math.random() * 4.0),
-                    fileSizeMB: parseFloat(fileSizeMB),
-                    knownSpeedClip: false,
-                    warning: 'Low confidence result from problematic recording'
-                };
-            }
-        } else {
-            // Regular test files - generally successful
-            const baseSpeed = expectedSpeedMph || 30;
-            const variance = (Math.random() - 0.5) * 6; // ±3 mph variance
-            const calculatedSpeed = Math.max(5, baseSpeed + variance);
-            
-            return {
-                filename,
-                status: 'SUCCESS',
-                calculatedSpeed: calculatedSpeed,
-                expectedSpeed: expectedSpeedMph,
-                speedError: expectedSpeedMph ? Math.abs(calculatedSpeed - expectedSpeedMph) : null,
-                confidence: 0.7 + (Math.random() * 0.2), // 70-90% confidence
-                duration: 2.0 + (Math.random() * 6.0), // 2-8 second duration
-                fileSizeMB: parseFloat(fileSizeMB),
-                frequencies: {
-                    approach: 700 + (Math.random() * 400),
-                    recede: 650 + (Math.random() * 350)
-                },
-                knownSpeedClip: false
-            };
-        }
-    }
-    
-    /**
-     * Display analysis result
-     * @param {Object} result - Analysis result to display
-     */
-    displayResult(result) {
-        console.log(`\n📊 Analysis Result:`);
-        console.log(`   Status: ${result.status}`);
-        
-        if (result.calculatedSpeed) {
-            console.log(`   Calculated Speed: ${result.calculatedSpeed.toFixed(1)} mph`);
-            if (result.expectedSpeed) {
-                console.log(`   Expected Speed: ${result.expectedSpeed} mph`);
-                console.log(`   Error: ${result.speedError.toFixed(1)} mph`);
-            }
-            console.log(`   Confidence: ${(result.confidence * 100).toFixed(1)}%`);
-            
-            if (result.frequencies) {
-                console.log(`   Frequencies: ${result.frequencies.approach.toFixed(0)} Hz → ${result.frequencies.recede.toFixed(0)} Hz`);
-            }
-        } else if (result.error) {
-            console.log(`   Error: ${result.error}`);
-        }
-        
-        if (result.duration) {
-            console.log(`   Duration: ${result.duration.toFixed(1)}s`);
-        }
-        
-        if (result.warning) {
-            console.log(`   ⚠️  Warning: ${result.warning}`);
-        }
-        
-        if (result.knownSpeedClip) {
-            console.log(`   ✅ Known speed validation clip`);
-        }
-    }
-    
-    /**
-     * Test all known speed clips for validation
-     * @param {string} baseDirectory - Directory containing audio files
-     * @returns {Array} Results for all known speed clips
-     */
-    testKnownSpeedClips(baseDirectory = null) {
-        const audioDir = baseDirectory || path.join(__dirname, '..', '..', 'docs', 'shared');
-        
-        console.log('\n🧪 TESTING KNOWN SPEED CLIPS');
-        console.log('============================');
-        console.log('Validating algorithm accuracy with known-speed recordings\n');
-        
-        const results = [];
-        
-        this.knownSpeedClips.forEach((clip, index) => {
-            console.log(`\n${index + 1}. ${clip.description}`);
-            console.log('─'.repeat(50));
-            
-            const filePath = path.join(audioDir, clip.filename);
-            const result = this.analyzeTestFile(filePath, clip.knownSpeedMph);
-            
-            // Add metadata
-            result.knownSpeedMph = clip.knownSpeedMph;
-            result.temperatureC = clip.temperatureC;
-            result.distanceMeters = clip.distanceMeters;
-            result.testType = 'KNOWN_SPEED_VALIDATION';
-            
-            results.push(result);
-        });
-        
-        this.displayKnownSpeedSummary(results);
-        return results;
-    }
-    
-    /**
-     * Display summary of known speed clip testing
-     * @param {Array} results - Results from known speed clip testing
-     */
-    displayKnownSpeedSummary(results) {
-        console.log('\n\n📈 KNOWN SPEED CLIPS SUMMARY');
-        console.log('============================');
-        
-        const successful = results.filter(r => r.calculatedSpeed);
-        const failed = results.filter(r => !r.calculatedSpeed);
-        
-        console.log(`\n📊 SUCCESS RATE: ${successful.length}/${results.length} (${(successful.length/results.length*100).toFixed(1)}%)`);
-        
-        if (successful.length > 0) {
-            const avgError = successful.reduce((sum, r) => sum + r.speedError, 0) / successful.length;
-            const maxError = Math.max(...successful.map(r => r.speedError));
-            const avgConfidence = successful.reduce((sum, r) => sum + r.confidence, 0) / successful.length;
-            
-            console.log(`\n🎯 ACCURACY METRICS:`);
-            console.log(`   Average Error: ${avgError.toFixed(1)} mph`);
-            console.log(`   Maximum Error: ${maxError.toFixed(1)} mph`);
-            console.log(`   Average Confidence: ${(avgConfidence * 100).toFixed(1)}%`);
-            
-            console.log(`\n📋 INDIVIDUAL RESULTS:`);
-            successful.forEach((result, index) => {
-                const withinTolerance = result.speedError <= this.options.speedToleranceMph;
-                const status = withinTolerance ? '✅' : '⚠️';
-                console.log(`   ${status} ${result.knownSpeedMph} mph: ${result.calculatedSpeed.toFixed(1)} mph (±${result.speedError.toFixed(1)})`);
-            });
-        }
-        
-        if (failed.length > 0) {
-            console.log(`\n❌ FAILED ANALYSES:`);
-            failed.forEach(result => {
-                console.log(`   • ${result.knownSpeedMph} mph: ${result.error || result.status}`);
-            });
-        }
-        
-        console.log(`\n🎯 VALIDATION ASSESSMENT:`);
-        const highAccuracy = successful.filter(r => r.speedError <= 2).length;
-        const mediumAccuracy = successful.filter(r => r.speedError > 2 && r.speedError <= 5).length;
-        const lowAccuracy = successful.filter(r => r.speedError > 5).length;
-        
-        console.log(`   High Accuracy (±2 mph): ${highAccuracy}`);
-        console.log(`   Medium Accuracy (±2-5 mph): ${mediumAccuracy}`);
-        console.log(`   Low Accuracy (>5 mph): ${lowAccuracy}`);
-        
-        if (highAccuracy === successful.length && successful.length === results.length) {
-            console.log(`   🎉 EXCELLENT - All clips analyzed with high accuracy!`);
-        } else if (successful.length === results.length && mediumAccuracy + highAccuracy === successful.length) {
-            console.log(`   ✅ GOOD - All clips analyzed with acceptable accuracy`);
-        } else if (successful.length >= results.length * 0.8) {
-            console.log(`   ⚠️  FAIR - Most clips analyzed but some accuracy issues`);
-        } else {
-            console.log(`   ❌ POOR - Significant accuracy or analysis failures`);
-        }
-    }
-    
-    /**
-     * Batch test multiple audio files
-     * @param {Array} filePaths - Array of file paths to test
-     * @param {Array} expectedSpeeds - Array of expected speeds (optional)
-     * @returns {Array} Results for all files
-     */
-    batchTest(filePaths, expectedSpeeds = []) {
-        const results = [];
-        
-        console.log(`\n🔬 BATCH TESTING ${filePaths.length} FILES`);
-        console.log('═'.repeat(40));
-        
-        filePaths.forEach((filePath, index) => {
-            const expectedSpeed = expectedSpeeds[index] || null;
-            const result = this.analyzeTestFile(filePath, expectedSpeed);
-            results.push(result);
-        });
-        
-        this.displayBatchSummary(results);
-        return results;
-    }
-    
-    /**
-     * Display batch testing summary
-     * @param {Array} results - Batch testing results
-     */
-    displayBatchSummary(results) {
-        console.log(`\n\n📊 BATCH TESTING SUMMARY`);
-        console.log('========================');
-        
-        const successful = results.filter(r => r.calculatedSpeed);
-        const failed = results.filter(r => !r.calculatedSpeed);
-        const knownClips = results.filter(r => r.knownSpeedClip);
-        
-        console.log(`\n📈 OVERALL RESULTS:`);
-        console.log(`   Total Files: ${results.length}`);
-        console.log(`   Successful: ${successful.length} (${(successful.length/results.length*100).toFixed(1)}%)`);
-        console.log(`   Failed: ${failed.length} (${(failed.length/results.length*100).toFixed(1)}%)`);
-        console.log(`   Known Speed Clips: ${knownClips.length}`);
-        
-        if (successful.length > 0) {
-            const avgSpeed = successful.reduce((sum, r) => sum + r.calculatedSpeed, 0) / successful.length;
-            const avgConfidence = successful.reduce((sum, r) => sum + r.confidence, 0) / successful.length;
-            
-            console.log(`\n🎯 PERFORMANCE METRICS:`);
-            console.log(`   Average Speed: ${avgSpeed.toFixed(1)} mph`);
-            console.log(`   Average Confidence: ${(avgConfidence * 100).toFixed(1)}%`);
-            
-            if (successful.some(r => r.expectedSpeed)) {
-                const withExpected = successful.filter(r => r.expectedSpeed);
-                const avgError = withExpected.reduce((sum, r) => sum + r.speedError, 0) / withExpected.length;
-                console.log(`   Average Error: ${avgError.toFixed(1)} mph (${withExpected.length} files with expected speeds)`);
-            }
-        }
-        
-        console.log(`\n📋 FILE BREAKDOWN:`);
-        console.log(`   Known Speed Validation: ${knownClips.length}`);
-        console.log(`   Problematic/E09 Files: ${results.filter(r => r.filename.includes('problematic') || r.status === 'NO_CLEAR_PATTERN').length}`);
-        console.log(`   Regular Test Files: ${results.length - knownClips.length - results.filter(r => r.filename.includes('problematic')).length}`);
-    }
-}
-
-module.exports = { DopplerSpeedTester };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Pure JavaScript FFT Benchmark
+ *
+ * Time per FFT for the JavaScript fallback at the sizes the analyzers use:
+ *
+ * - recursive: the FFT as it was, re-implemented here for comparison. New even/odd
+ *   arrays at every level and Math.cos/Math.sin in every butterfly.
+ * - iterative: the current docs/pure-js/fft-wrapper.js
+ * - WASM+noSIMD: PffftPlans on the committed PFFFT build, for reference
+ *
+ * Live streaming needs one 4096-point FFT per 2048-sample hop, 42.7 ms at 48 kHz;
+ * 'share of hop' is how much of that budget one FFT takes. Phones are several times
+ * slower than a desktop, so the share should stay small.
+ *
+ * Run with: npm run bench:js-fft. Results are recorded in docs/PERFORMANCE.md.
+ */
+
+import { fft } from '../../docs/pure-js/fft-wrapper.js';
+import PffftPlans from '../../docs/shared/pffft-plans.js';
+import createPffftModule from '../../docs/non-simd/pffft.js';
+
+const SIZES = [1024, 4096, 16384, 65536];
+const SAMPLE_RATE = 48000;
+const STREAMING_SIZE = 4096;
+const STREAMING_HOP = 2048;
+const MIN_RUN_MS = 300;
+
+/**
+ * The recursive Cooley-Tukey FFT as it was
+ */
+function recursiveFft(signal) {
+    const length = signal.length;
+    const complex = new Array(length * 2);
+    for (let i = 0; i < length; i++) {
+        complex[i * 2] = signal[i];
+        complex[i * 2 + 1] = 0;
+    }
+    recurse(complex, length);
+    return new Float64Array(complex);
+}
+
+function recurse(x, N) {
+    if (N <= 1) return;
+    const even = new Array(N);
+    const odd = new Array(N);
+    for (let i = 0; i < N / 2; i++) {
+        even[i * 2] = x[i * 4];
+        even[i * 2 + 1] = x[i * 4 + 1];
+        odd[i * 2] = x[i * 4 + 2];
+        odd[i * 2 + 1] = x[i * 4 + 3];
+    }
+    recurse(even, N / 2);
+    recurse(odd, N / 2);
+    for (let k = 0; k < N / 2; k++) {
+        const angle = -2 * Math.PI * k / N;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const tReal = odd[k * 2] * cos - odd[k * 2 + 1] * sin;
+        const tImag = odd[k * 2] * sin + odd[k * 2 + 1] * cos;
+        x[k * 2] = even[k * 2] + tReal;
+        x[k * 2 + 1] = even[k * 2 + 1] + tImag;
+        x[(k + N / 2) * 2] = even[k * 2] - tReal;
+        x[(k + N / 2) * 2 + 1] = even[k * 2 + 1] - tImag;
+    }
+}
+
+/**
+ * Milliseconds per call, repeating until at least MIN_RUN_MS has passed
+ */
+function timePerCall(transform, signal) {
+    transform(signal); // Warm up and build any tables
+    let calls = 0;
+    const started = performance.now();
+    let elapsed = 0;
+    while (elapsed < MIN_RUN_MS) {
+        transform(signal);
+        calls++;
+        elapsed = performance.now() - started;
+    }
+    return elapsed / calls;
+}
+
+async function runBenchmark() {
+    console.log('⏱️  PURE JAVASCRIPT FFT BENCHMARK');
+    console.log('================================');
+
+    const plans = new PffftPlans(await createPffftModule(), 'WASM+noSIMD');
+    const implementations = {
+        recursive: recursiveFft,
+        iterative: fft,
+        'WASM+noSIMD': signal => plans.transform(signal)
+    };
+
+    console.log(`\n${'Size'.padStart(6)} ${Object.keys(implementations).map(name => name.padStart(13)).join('')}   speed-up`);
+    const results = {};
+    for (const size of SIZES) {
+        const signal = Float32Array.from({ length: size }, (_, i) => Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE));
+        results[size] = {};
+        for (const [name, transform] of Object.entries(implementations)) {
+            results[size][name] = timePerCall(transform, signal);
+        }
+        const row = Object.keys(implementations).map(name => `${results[size][name].toFixed(3)} ms`.padStart(13)).join('');
+        console.log(`${String(size).padStart(6)} ${row}   ${(results[size].recursive / results[size].iterative).toFixed(1)}x`);
+    }
+
+    const hopMs = STREAMING_HOP / SAMPLE_RATE * 1000;
+    console.log(`\nStreaming: one ${STREAMING_SIZE}-point FFT per ${hopMs.toFixed(1)} ms hop`);
+    for (const name of Object.keys(implementations)) {
+        const share = results[STREAMING_SIZE][name] / hopMs * 100;
+        console.log(`  ${name.padEnd(12)} ${share.toFixed(2)}% of the hop`);
+    }
+
+    plans.destroy();
+}
+
+// Run the benchmark if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runBenchmark();
+}
+
+export { runBenchmark };
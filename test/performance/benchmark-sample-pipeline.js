@@ -0,0 +1,196 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Sample Pipeline Benchmark
+ *
+ * Times how a 60 second, 48 kHz recording gets from decoded channel data to
+ * power spectra, frame by frame, the way the spectrogram and pass analysis do.
+ * 'Sample handling' stops at the windowed FFT input; 'spectra' includes the FFT.
+ *
+ * - copying: the pipeline as it was, re-implemented here for comparison. Channel data
+ *   is copied into a plain array, every frame is slice()d out, the analyzer spreads it,
+ *   pads it with concat() and the FFT returns a plain array.
+ * - views: the current pipeline. Float32Array channel data, subarray() frames and one
+ *   Float64Array per frame, windowed in place, through the current JavaScript FFT.
+ *
+ * Both produce the same spectra. Run with: npm run bench
+ * Results are recorded in docs/PERFORMANCE.md.
+ */
+
+import SampleBuffer from '../../docs/shared/sample-buffer.js';
+import WindowingUtils from '../../docs/shared/windowing-utils.js';
+import { fft } from '../../docs/pure-js/fft-wrapper.js';
+
+const SAMPLE_RATE = 48000;
+const DURATION_SECONDS = 60;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 2048;
+const ROUNDS = 3;
+
+/**
+ * A recording that looks like a passing car: a falling tone in noise
+ */
+function createRecording() {
+    const channel = new Float32Array(SAMPLE_RATE * DURATION_SECONDS);
+    let phase = 0;
+    for (let i = 0; i < channel.length; i++) {
+        const t = i / SAMPLE_RATE;
+        phase += 2 * Math.PI * (900 - 4 * t) / SAMPLE_RATE;
+        channel[i] = 0.5 * Math.sin(phase) + 0.05 * (Math.random() * 2 - 1);
+    }
+    return channel;
+}
+
+/**
+ * The recursive Cooley-Tukey FFT as it was, on plain arrays
+ */
+function copyingFft(signal) {
+    const length = signal.length;
+    const complex = new Array(length * 2);
+    for (let i = 0; i < length; i++) {
+        complex[i * 2] = signal[i];
+        complex[i * 2 + 1] = 0;
+    }
+    copyingFftRecursive(complex, length);
+    return complex;
+}
+
+function copyingFftRecursive(x, N) {
+    if (N <= 1) return;
+    const even = new Array(N);
+    const odd = new Array(N);
+    for (let i = 0; i < N / 2; i++) {
+        even[i * 2] = x[i * 4];
+        even[i * 2 + 1] = x[i * 4 + 1];
+        odd[i * 2] = x[i * 4 + 2];
+        odd[i * 2 + 1] = x[i * 4 + 3];
+    }
+    copyingFftRecursive(even, N / 2);
+    copyingFftRecursive(odd, N / 2);
+    for (let k = 0; k < N / 2; k++) {
+        const angle = -2 * Math.PI * k / N;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const tReal = odd[k * 2] * cos - odd[k * 2 + 1] * sin;
+        const tImag = odd[k * 2] * sin + odd[k * 2 + 1] * cos;
+        x[k * 2] = even[k * 2] + tReal;
+        x[k * 2 + 1] = even[k * 2 + 1] + tImag;
+        x[(k + N / 2) * 2] = even[k * 2] - tReal;
+        x[(k + N / 2) * 2 + 1] = even[k * 2 + 1] - tImag;
+    }
+}
+
+/**
+ * Power spectrum of interleaved FFT output
+ */
+function powerOf(result, halfLength, powerSpectrum) {
+    for (let i = 0; i < halfLength; i++) {
+        powerSpectrum[i] = result[i * 2] * result[i * 2] + result[i * 2 + 1] * result[i * 2 + 1];
+    }
+    return powerSpectrum;
+}
+
+/**
+ * The pipeline as it was: copies at every step
+ */
+function runCopying(channelData, withFft) {
+    const samples = Array.from(channelData);
+    const spectra = [];
+    for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+        const frame = samples.slice(start, start + FRAME_SIZE);
+        const analyzerSamples = [...frame];
+        let processed = analyzerSamples.slice(0, FRAME_SIZE);
+        if (processed.length < FRAME_SIZE) {
+            processed = processed.concat(new Array(FRAME_SIZE - processed.length).fill(0));
+        }
+        const windowed = WindowingUtils.applyWindowByType(processed, 'hann');
+        spectra.push(withFft ? powerOf(copyingFft(windowed), FRAME_SIZE / 2, new Array(FRAME_SIZE / 2)) : windowed);
+    }
+    return spectra;
+}
+
+/**
+ * The current pipeline: views, one buffer per frame
+ */
+function runViews(channelData, withFft) {
+    const samples = SampleBuffer.toFloat32(channelData);
+    const spectra = [];
+    for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+        const frame = SampleBuffer.view(samples, start, start + FRAME_SIZE);
+        const windowed = new Float64Array(FRAME_SIZE);
+        windowed.set(frame);
+        WindowingUtils.applyWindowInPlace(windowed, 'hann');
+        spectra.push(withFft ? powerOf(fft(windowed), FRAME_SIZE / 2, new Float64Array(FRAME_SIZE / 2)) : windowed);
+    }
+    return spectra;
+}
+
+/**
+ * Memory in use, counting typed array storage, which lives outside the JS heap
+ */
+function memoryInUse() {
+    const { heapUsed, arrayBuffers } = process.memoryUsage();
+    return heapUsed + arrayBuffers;
+}
+
+/**
+ * Time one pipeline and sample the memory while it holds its results
+ */
+function measure(name, pipeline, channelData, withFft) {
+    const times = [];
+    let peakMemory = 0;
+    let spectra = null;
+    for (let round = 0; round < ROUNDS; round++) {
+        spectra = null;
+        global.gc?.();
+        const memoryBefore = memoryInUse();
+        const started = performance.now();
+        spectra = pipeline(channelData, withFft);
+        times.push(performance.now() - started);
+        peakMemory = Math.max(peakMemory, memoryInUse() - memoryBefore);
+    }
+    times.sort((a, b) => a - b);
+    return { name, medianMs: times[Math.floor(times.length / 2)], memoryMB: peakMemory / (1024 * 1024), spectra };
+}
+
+function runBenchmark() {
+    console.log('⏱️  SAMPLE PIPELINE BENCHMARK');
+    console.log('============================');
+    console.log(`${DURATION_SECONDS} s at ${SAMPLE_RATE} Hz, ${FRAME_SIZE}-sample frames every ${HOP_SIZE} samples, median of ${ROUNDS} rounds`);
+    if (!global.gc) {
+        console.log('(run with node --expose-gc for steadier memory figures)');
+    }
+
+    const channelData = createRecording();
+    // The JavaScript FFT logs every call; keep the timings about the pipeline
+    const originalLog = console.log;
+    console.log = () => {};
+    const stages = [false, true].map(withFft => ({
+        name: withFft ? 'Spectra' : 'Sample handling',
+        copying: measure('copying', runCopying, channelData, withFft),
+        views: measure('views', runViews, channelData, withFft)
+    }));
+    console.log = originalLog;
+
+    for (const { name, copying, views } of stages) {
+        console.log(`\n${name} (${views.spectra.length} frames)`);
+        for (const result of [copying, views]) {
+            console.log(`  ${result.name.padEnd(8)} ${result.medianMs.toFixed(0).padStart(6)} ms   memory +${result.memoryMB.toFixed(1)} MB`);
+        }
+        console.log(`  ${(copying.medianMs / views.medianMs).toFixed(2)}x the speed, ` +
+            `${(copying.memoryMB / Math.max(views.memoryMB, 0.1)).toFixed(1)}x less memory`);
+    }
+
+    const { copying, views } = stages[1];
+    const frame = Math.floor(copying.spectra.length / 2);
+    const largestDifference = copying.spectra[frame].reduce((max, power, i) =>
+        Math.max(max, Math.abs(power - views.spectra[frame][i]) / Math.max(power, 1e-12)), 0);
+    console.log(`\nLargest relative spectrum difference: ${largestDifference.toExponential(1)}`);
+}
+
+// Run the benchmark if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runBenchmark();
+}
+
+export { runBenchmark };
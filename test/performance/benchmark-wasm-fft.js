@@ -0,0 +1,164 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * WASM FFT Benchmark
+ *
+ * Throughput of PFFFT with and without cached plans, on the two workloads that
+ * matter here:
+ *
+ * - alternating sizes: approach and recede sections (16384 and 32768 points)
+ *   interleaved with STFT frames (4096 points), as one analysis does
+ * - STFT: every 4096-point frame of 60 s at 48 kHz with 50% overlap
+ *
+ * 'rebuild' is the wrapper as it was, re-implemented here for comparison: one setup
+ * rebuilt whenever the size changes and buffers allocated and freed on every call. It also
+ * gets a work buffer per call: without one PFFFT uses the WASM stack, which overflows on
+ * the larger sections.
+ * 'plans' is PffftPlans.transform() and 'plans, fftMany' PffftPlans.transformMany()
+ * in batches of 32 frames.
+ *
+ * Uses each PFFFT build whose memory Node.js can read. Run with: npm run bench:wasm
+ * Results are recorded in docs/PERFORMANCE.md.
+ */
+
+import PffftPlans from '../../docs/shared/pffft-plans.js';
+
+const SAMPLE_RATE = 48000;
+const STFT_SECONDS = 60;
+const STFT_FRAME = 4096;
+const STFT_HOP = 2048;
+const BATCH_SIZE = 32;
+const ALTERNATING_SIZES = [STFT_FRAME, 16384, STFT_FRAME, 32768];
+const ALTERNATING_ROUNDS = 100;
+
+const BUILDS = [
+    { name: 'WASM+SIMD', path: '../../docs/simd/pffft.js' },
+    { name: 'WASM+noSIMD', path: '../../docs/non-simd/pffft.js' }
+];
+
+/**
+ * The wrapper as it was: one setup at a time, fresh buffers per call
+ */
+function createRebuildingFft(wasmModule) {
+    let setup = null;
+    return signal => {
+        const length = signal.length;
+        if (!setup || setup.length !== length) {
+            if (setup) {
+                wasmModule._pffft_destroy_setup(setup.setupPtr);
+            }
+            setup = { setupPtr: wasmModule._pffft_new_setup(length, 0), length };
+        }
+        const inputPtr = wasmModule._pffft_aligned_malloc(length * 4);
+        const outputPtr = wasmModule._pffft_aligned_malloc(length * 4);
+        const workPtr = wasmModule._pffft_aligned_malloc(length * 4);
+        const heap = wasmModule.HEAPF32;
+        heap.set(signal, inputPtr / 4);
+        wasmModule._pffft_transform_ordered(setup.setupPtr, inputPtr, outputPtr, workPtr, 0);
+        const result = new Float32Array(length * 2);
+        result.set(heap.subarray(outputPtr / 4 + 2, outputPtr / 4 + length), 2);
+        result[0] = heap[outputPtr / 4];
+        result[length] = heap[outputPtr / 4 + 1];
+        wasmModule._pffft_aligned_free(inputPtr);
+        wasmModule._pffft_aligned_free(outputPtr);
+        wasmModule._pffft_aligned_free(workPtr);
+        return result;
+    };
+}
+
+function createSignal(length) {
+    return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) + 0.1 * Math.random());
+}
+
+/**
+ * FFTs per second for one run of `work`, best of three
+ */
+function throughput(fftCount, work) {
+    let best = Infinity;
+    for (let round = 0; round < 3; round++) {
+        const started = performance.now();
+        work();
+        best = Math.min(best, performance.now() - started);
+    }
+    return { ms: best, perSecond: fftCount / (best / 1000) };
+}
+
+async function loadBuild(build) {
+    try {
+        const wasmModule = await (await import(build.path)).default();
+        return wasmModule.HEAPF32 ? wasmModule : null;
+    } catch {
+        return null;
+    }
+}
+
+function report(label, result, baseline) {
+    const ratio = baseline ? `  ${(result.perSecond / baseline.perSecond).toFixed(2)}x` : '';
+    console.log(`  ${label.padEnd(16)} ${result.ms.toFixed(0).padStart(6)} ms ${result.perSecond.toFixed(0).padStart(8)} FFT/s${ratio}`);
+}
+
+async function runBenchmark() {
+    console.log('⏱️  WASM FFT BENCHMARK');
+    console.log('=====================');
+
+    const alternating = ALTERNATING_SIZES.map(createSignal);
+    const frameCount = Math.floor((SAMPLE_RATE * STFT_SECONDS - STFT_FRAME) / STFT_HOP) + 1;
+    const frame = createSignal(STFT_FRAME);
+    const frames = Array.from({ length: BATCH_SIZE }, () => frame);
+
+    for (const build of BUILDS) {
+        const wasmModule = await loadBuild(build);
+        if (!wasmModule) {
+            console.log(`\n${build.name}: not usable in this Node.js, skipped`);
+            continue;
+        }
+        const rebuild = createRebuildingFft(wasmModule);
+        const plans = new PffftPlans(wasmModule, build.name);
+
+        console.log(`\n${build.name}, alternating sizes (${ALTERNATING_SIZES.join(', ')}) x ${ALTERNATING_ROUNDS}`);
+        const alternatingCount = ALTERNATING_SIZES.length * ALTERNATING_ROUNDS;
+        const alternatingRebuild = throughput(alternatingCount, () => {
+            for (let round = 0; round < ALTERNATING_ROUNDS; round++) {
+                alternating.forEach(signal => rebuild(signal));
+            }
+        });
+        const alternatingPlans = throughput(alternatingCount, () => {
+            for (let round = 0; round < ALTERNATING_ROUNDS; round++) {
+                alternating.forEach(signal => plans.transform(signal));
+            }
+        });
+        report('rebuild', alternatingRebuild);
+        report('plans', alternatingPlans, alternatingRebuild);
+
+        console.log(`\n${build.name}, STFT (${frameCount} frames of ${STFT_FRAME})`);
+        const stftRebuild = throughput(frameCount, () => {
+            for (let f = 0; f < frameCount; f++) {
+                rebuild(frame);
+            }
+        });
+        const stftPlans = throughput(frameCount, () => {
+            for (let f = 0; f < frameCount; f++) {
+                plans.transform(frame);
+            }
+        });
+        const stftBatched = throughput(frameCount, () => {
+            for (let f = 0; f < frameCount; f += BATCH_SIZE) {
+                plans.transformMany(frames.slice(0, Math.min(BATCH_SIZE, frameCount - f)));
+            }
+        });
+        report('rebuild', stftRebuild);
+        report('plans', stftPlans, stftRebuild);
+        report('plans, fftMany', stftBatched, stftRebuild);
+
+        const stats = plans.getStats();
+        console.log(`\n  Setups created: ${stats.setupsCreated}, buffer allocations: ${stats.allocations}`);
+        plans.destroy();
+    }
+}
+
+// Run the benchmark if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runBenchmark();
+}
+
+export { runBenchmark };
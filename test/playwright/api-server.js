@@ -23,12 +23,18 @@ app.use((req, res, next) => {
 // Serve static files from project root
 app.use(express.static(path.resolve(__dirname, '../..')));
 
-// Run doppler analysis with specific FFT mode
+// FFTBackends name for each mode the harness page offers
+const FFT_BACKENDS = {
+    'WASM+SIMD': 'WASM+SIMD',
+    'WASM+noSIMD': 'WASM+noSIMD',
+    'JavaScript FFT implementation': 'JavaScript'
+};
+
+// Run the known-speed regression harness with specific FFT mode
 async function runAnalysis(fftMode) {
     return new Promise((resolve, reject) => {
-        const env = { ...process.env, FFT_MODE: fftMode };
-        const child = spawn('node', ['test/integration/test-audio-file-analysis.js'], {
-            env,
+        const args = ['test/integration/known-speed-regression.js', '--json', '--fft-mode', FFT_BACKENDS[fftMode]];
+        const child = spawn('node', args, {
             cwd: path.resolve(__dirname, '../..'),
             stdio: 'pipe'
         });
@@ -44,72 +50,37 @@ async function runAnalysis(fftMode) {
             stderr += data.toString();
         });
 
+        // Exit code 1 is a regression, still with a full report
         child.on('close', (code) => {
-            if (code === 0) {
+            if (code === 0 || code === 1) {
                 resolve(stdout);
             } else {
                 reject(new Error(`Process failed with code ${code}: ${stderr}`));
             }
         });
 
-        // Timeout after 30 seconds
+        // Timeout after 3 minutes
         setTimeout(() => {
             child.kill();
             reject(new Error('Analysis timeout'));
-        }, 30000);
+        }, 180000);
     });
 }
 
-// Parse test output to extract results
+// Rows for the harness page from the regression report, one per clip with a speed
 function parseTestOutput(output) {
-    const lines = output.split('\n');
-    const results = [];
-    
-    // Look for the summary table in the output
-    let inSummaryTable = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        // Start of summary table
-        if (line.includes('| File | Expected Speed | Calculated Speed | Error | Strategy Used | Clip Duration | Processing Time |')) {
-            inSummaryTable = true;
-            continue;
-        }
-        
-        // Skip header separator
-        if (line.includes('|------|') && inSummaryTable) {
-            continue;
-        }
-        
-        // Parse table rows
-        if (inSummaryTable && line.includes('mph.wav')) {
-            const match = line.match(/\|\s*(\w+_mph\.wav)\s*\|\s*(\d+) mph \((\d+\.?\d*) km\/h\)\s*\|\s*(\d+\.?\d*) mph \((\d+\.?\d*) km\/h\)\s*\|\s*±?(\d+\.?\d*) mph\s*\|\s*(Primary|Secondary|Tertiary)\s*\|\s*(\d+\.?\d*)s\s*\|\s*(\d+)ms\s*\|/);
-            
-            if (match) {
-                const [, file, expectedMph, expectedKmh, calculatedMph, calculatedKmh, error, strategy, duration, processingTime] = match;
-                
-                results.push({
-                    file,
-                    expectedSpeedMph: parseInt(expectedMph),
-                    expectedSpeedKmh: parseFloat(expectedKmh),
-                    calculatedSpeedMph: parseFloat(calculatedMph),
-                    calculatedSpeedKmh: parseFloat(calculatedKmh),
-                    error: parseFloat(error),
-                    strategy,
-                    clipDuration: parseFloat(duration),
-                    processingTime: parseInt(processingTime)
-                });
-            }
-        }
-        
-        // End of summary table
-        if (inSummaryTable && line.trim() === '') {
-            break;
-        }
-    }
-    
-    return results;
+    const report = JSON.parse(output);
+    return report.clips.filter(clip => clip.detected).map(clip => ({
+        file: clip.file,
+        expectedSpeedMph: clip.speedMph,
+        expectedSpeedKmh: parseFloat((clip.speedMph * 1.60934).toFixed(1)),
+        calculatedSpeedMph: clip.measuredMph,
+        calculatedSpeedKmh: parseFloat((clip.measuredMph * 1.60934).toFixed(1)),
+        error: clip.errorMph,
+        strategy: clip.status,
+        clipDuration: clip.clipDuration,
+        processingTime: clip.durationMs
+    }));
 }
 
 // API endpoint to run analysis with specific FFT mode
@@ -0,0 +1,85 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('AnalysisService Browser Tests', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/test/playwright/harness/analysis-service-test.html');
+        // Wait for the test harness to load
+        await page.waitForFunction(() => window.testWorkerAnalysis !== undefined, { timeout: 10000 });
+    });
+
+    test('should analyze a synthetic pass in a Web Worker', async ({ page }) => {
+        test.setTimeout(60000);
+
+        const result = await page.evaluate(async () => {
+            return await window.testWorkerAnalysis(30, 'JavaScript');
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.valid).toBe(true);
+        expect(result.speedMph).toBeGreaterThan(27);
+        expect(result.speedMph).toBeLessThan(33);
+        expect(result.speedMph).toBe(result.mainThreadSpeedMph);
+        expect(result.implementation.mode).toBe('JavaScript');
+        expect(result.stages).toEqual(['sectioning', 'fft:approaching', 'fft:receding', 'matching', 'done']);
+        expect(result.samplesLeft).toBe(0); // Transferred to the worker
+        expect(result.pendingCount).toBe(0);
+    });
+
+    test('should load a WASM FFT inside the worker', async ({ page }) => {
+        test.setTimeout(60000);
+
+        const result = await page.evaluate(async () => {
+            return await window.testWorkerAnalysis(30, 'WASM+SIMD');
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.valid).toBe(true);
+        expect(result.speedMph).toBeGreaterThan(27);
+        expect(result.speedMph).toBeLessThan(33);
+        expect(result.implementation.mode).toBe('WASM+SIMD');
+    });
+
+    test('should cancel a job and keep the worker usable', async ({ page }) => {
+        test.setTimeout(60000);
+
+        const result = await page.evaluate(async () => {
+            return await window.testWorkerCancellation();
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.errorName).toBe('AbortError');
+        expect(result.stages).toEqual(['sectioning']);
+        expect(result.pendingCount).toBe(0);
+        expect(result.next.valid).toBe(true);
+        expect(result.next.speedMph).toBeGreaterThan(27);
+        expect(result.next.speedMph).toBeLessThan(33);
+    });
+
+    test('should analyze a recording decoded on the page', async ({ page }) => {
+        test.setTimeout(60000);
+
+        const result = await page.evaluate(async () => {
+            return await window.testRecordingInWorker('/docs/shared/30_mph.wav');
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.sampleRate).toBeGreaterThan(0);
+        expect(result.clipDuration).toBeGreaterThan(0);
+        expect(result.implementation.mode).toBe('JavaScript');
+    });
+
+    test('should reject jobs when the worker cannot be loaded', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            return await window.testMissingWorker();
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.message).toContain('Analysis worker failed');
+        expect(result.pendingCount).toBe(0);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ */
+
+import { test, expect } from '@playwright/test';
+
+// Audio must start without a click, and getUserMedia gets Chromium's fake microphone
+test.use({
+    launchOptions: {
+        args: [
+            '--autoplay-policy=no-user-gesture-required',
+            '--use-fake-ui-for-media-stream',
+            '--use-fake-device-for-media-stream'
+        ]
+    }
+});
+
+test.describe('StreamingAnalyzer Browser Tests', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/test/playwright/harness/streaming-analyzer-test.html');
+        // Wait for the test harness to load
+        await page.waitForFunction(() => window.testStreamingPass !== undefined, { timeout: 10000 });
+    });
+
+    test('should emit a pass event for a synthetic vehicle pass', async ({ page }) => {
+        test.setTimeout(30000);
+
+        const result = await page.evaluate(async () => {
+            return await window.testStreamingPass(300, 30);
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.status.passesDetected).toBe(1);
+        expect(result.passes).toHaveLength(1);
+
+        const [pass] = result.passes;
+        expect(pass.success).toBe(true);
+        expect(pass.closestApproachTime).toBeGreaterThan(pass.startTime);
+        expect(pass.closestApproachTime).toBeLessThan(pass.endTime);
+        expect(pass.speedMPH).toBeGreaterThan(25);
+        expect(pass.speedMPH).toBeLessThan(35);
+    });
+
+    test('should stream chunks from the microphone', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            return await window.testMicrophoneSource(1000);
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.status.state).toBe('stopped');
+        expect(result.status.sampleRate).toBeGreaterThan(0);
+        expect(result.status.samplesReceived).toBeGreaterThan(0);
+    });
+});
@@ -2,48 +2,41 @@
  * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
  *
  * Comprehensive Test Runner
- * Runs all integration and unit tests for the car-speed-via-doppler-analysis module
+ * Runs the unit tests, then the known-speed regression harness on the committed recordings
  */
 
-const { runSpeedDetectionTests } = require('./integration/test-audio-file-analysis');
-const { runProblematicRecordingTests } = require('./integration/test-problematic-recordings');
+import { runAllUnitTests } from './unit/run-all-unit-tests.js';
+import { runKnownSpeedRegression } from './integration/known-speed-regression.js';
 
 async function runAllTests() {
     console.log('🚗 CAR SPEED VIA DOPPLER - COMPREHENSIVE TEST SUITE');
     console.log('==================================================');
-    console.log('Running all integration and unit tests\n');
-    
-    try {
-        // Run main speed detection tests (WAV files)
-        console.log('1️⃣ MAIN SPEED DETECTION TESTS');
-        console.log('─'.repeat(50));
-        await runSpeedDetectionTests();
-        
-        console.log('\n\n');
-        
-        // Run problematic recordings analysis
-        console.log('2️⃣ PROBLEMATIC RECORDINGS ANALYSIS');
-        console.log('─'.repeat(50));
-        await runProblematicRecordingTests();
-        
-        console.log('\n\n');
-        
-        // Summary
-        console.log('✅ ALL TESTS COMPLETED');
-        console.log('======================');
-        console.log('• Main speed detection tests: Validates algorithm accuracy with known samples');
-        console.log('• Problematic recordings: Documents edge cases and algorithm limitations');
-        console.log('• Integration complete: E09 error cases are now part of the test suite');
-        
-    } catch (error) {
-        console.error('❌ Test execution failed:', error);
-        process.exit(1);
-    }
+    console.log('Running all unit and integration tests\n');
+
+    console.log('1️⃣ UNIT TESTS');
+    console.log('─'.repeat(50));
+    const unitPassed = await runAllUnitTests();
+
+    console.log('\n\n');
+
+    console.log('2️⃣ KNOWN-SPEED REGRESSION');
+    console.log('─'.repeat(50));
+    const regression = await runKnownSpeedRegression([]);
+
+    console.log('\n\n');
+
+    const allPassed = unitPassed && regression.passed;
+    console.log(allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED');
+    console.log('======================');
+    console.log('• Unit tests: Module behaviour on synthetic signals');
+    console.log('• Known-speed regression: Real analysis of recordings at known speeds, against their history');
+    return allPassed;
 }
 
 // Run all tests if this file is executed directly
-if (require.main === module) {
-    runAllTests();
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const success = await runAllTests();
+    process.exit(success ? 0 : 1);
 }
 
-module.exports = { runAllTests };
\ No newline at end of file
+export { runAllTests };
@@ -13,6 +13,28 @@
 // Import remaining unit test modules (others deleted due to lib/ cleanup)
 import { runAllTests as runAudioProcessorTests } from './test-audio-processor.js';
 import { runAllTests as runTestReporterTests } from './test-test-reporter.js';
+import { runAllTests as runKnownSpeedRegressionTests } from './test-known-speed-regression.js';
+import { runAllTests as runDopplerCalculatorTests } from './test-doppler-calculator.js';
+import { runAllTests as runFrequencyMatcherTests } from './test-frequency-matcher.js';
+import { runAllTests as runSpectrogramTests } from './test-spectrogram.js';
+import { runAllTests as runDopplerCurveFitterTests } from './test-doppler-curve-fitter.js';
+import { runAllTests as runPeakInterpolationTests } from './test-peak-interpolation.js';
+import { runAllTests as runPeakFinderTests } from './test-peak-finder.js';
+import { runAllTests as runHarmonicMatcherTests } from './test-harmonic-matcher.js';
+import { runAllTests as runStreamingAnalyzerTests } from './test-streaming-analyzer.js';
+import { runAllTests as runPassSegmenterTests } from './test-pass-segmenter.js';
+import { runAllTests as runStereoDirectionTests } from './test-stereo-direction.js';
+import { runAllTests as runSpeedUncertaintyTests } from './test-speed-uncertainty.js';
+import { runAllTests as runAnalysisProfilesTests } from './test-analysis-profiles.js';
+import { runAllTests as runFFTBackendsTests } from './test-fft-backends.js';
+import { runAllTests as runVehicleClassifierTests } from './test-vehicle-classifier.js';
+import { runAllTests as runPffftPlansTests } from './test-pffft-plans.js';
+import { runAllTests as runPureJsFFTTests } from './test-pure-js-fft.js';
+import { runAllTests as runAnalysisServiceTests } from './test-analysis-service.js';
+import { runAllTests as runAudioDecodersTests } from './test-audio-decoders.js';
+import { runAllTests as runAudioPreprocessorTests } from './test-audio-preprocessor.js';
+import { runAllTests as runNoiseReducerTests } from './test-noise-reducer.js';
+import { runAllTests as runDopplerAnalyzerCliTests } from './test-doppler-analyzer-cli.js';
 
 /**
  * Master test suite configuration
@@ -25,20 +47,153 @@ const TEST_SUITES = [
         runner: runAudioProcessorTests,
         category: 'Audio Processing'
     },
+    {
+        name: 'AudioDecoders',
+        description: 'Tests raw PCM layouts, pure JavaScript FLAC and the decoder registry',
+        runner: runAudioDecodersTests,
+        category: 'Audio Processing'
+    },
+    {
+        name: 'AudioPreprocessor',
+        description: 'Tests DC removal, Butterworth filters, polyphase resampling and preprocessing chains',
+        runner: runAudioPreprocessorTests,
+        category: 'Audio Processing'
+    },
+    {
+        name: 'NoiseReducer',
+        description: 'Tests noise learned from the quietest stretch, Wiener filtering, spectral subtraction and SNR',
+        runner: runNoiseReducerTests,
+        category: 'Audio Processing'
+    },
     {
         name: 'TestReporter',
         description: 'Tests result formatting and statistical calculations',
         runner: runTestReporterTests,
         category: 'Utilities'
+    },
+    {
+        name: 'KnownSpeedRegression',
+        description: 'Tests known-speed tolerances, drift against history and a real run from a manifest',
+        runner: runKnownSpeedRegressionTests,
+        category: 'Utilities'
+    },
+    {
+        name: 'DopplerSpeedCalculator',
+        description: 'Tests speed of sound derivation and Doppler speed results',
+        runner: runDopplerCalculatorTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'FrequencyMatcher',
+        description: 'Tests frequency pair ranking and multi-strategy matching',
+        runner: runFrequencyMatcherTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'Spectrogram',
+        description: 'Tests STFT frames and dominant tone tracking',
+        runner: runSpectrogramTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'DopplerCurveFitter',
+        description: 'Tests S-curve fitting for speed, distance and closest approach',
+        runner: runDopplerCurveFitterTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'PeakInterpolation',
+        description: 'Tests sub-bin peak frequency estimation and speed error bars',
+        runner: runPeakInterpolationTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'PeakFinder',
+        description: 'Tests distinct spectral peak picking with prominence and bandwidth',
+        runner: runPeakFinderTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'HarmonicMatcher',
+        description: 'Tests speed from harmonic series with one shared Doppler ratio',
+        runner: runHarmonicMatcherTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'StreamingAnalyzer',
+        description: 'Tests real-time pass detection on a streamed recording',
+        runner: runStreamingAnalyzerTests,
+        category: 'Streaming'
+    },
+    {
+        name: 'PassSegmenter',
+        description: 'Tests finding every vehicle pass in a long recording',
+        runner: runPassSegmenterTests,
+        category: 'Streaming'
+    },
+    {
+        name: 'StereoDirection',
+        description: 'Tests direction of travel and broadside time from stereo delay',
+        runner: runStereoDirectionTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'SpeedUncertainty',
+        description: 'Tests the speed interval from frequency, temperature and geometry errors',
+        runner: runSpeedUncertaintyTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'AnalysisProfiles',
+        description: 'Tests vehicle profiles: built-in, registered, serialized and used by the analyzer',
+        runner: runAnalysisProfilesTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'FFTBackends',
+        description: 'Tests the FFT backend registry, auto-detection, fallback and third-party backends',
+        runner: runFFTBackendsTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'VehicleClassifier',
+        description: 'Tests vehicle features, model training and JSON models, and the offline trainer',
+        runner: runVehicleClassifierTests,
+        category: 'Speed Calculation'
+    },
+    {
+        name: 'PffftPlans',
+        description: 'Tests cached PFFFT WASM setups, reused buffers and batched FFTs',
+        runner: runPffftPlansTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'PureJsFFT',
+        description: 'Tests the iterative JavaScript FFT against the DFT and the WASM FFT',
+        runner: runPureJsFFTTests,
+        category: 'Frequency Analysis'
+    },
+    {
+        name: 'AnalysisService',
+        description: 'Tests the section pipeline behind the Web Worker protocol: progress, transfer and cancellation',
+        runner: runAnalysisServiceTests,
+        category: 'Browser'
+    },
+    {
+        name: 'DopplerAnalyzerCLI',
+        description: 'Tests the doppler-analyzer command-line options, output and exit codes',
+        runner: runDopplerAnalyzerCliTests,
+        category: 'Command Line'
     }
 ];
 
 /**
  * Run a single test suite with error handling
+ * Runners may be synchronous or return a promise
  * @param {Object} testSuite - Test suite configuration
- * @returns {Object} Test result
+ * @returns {Promise<Object>} Test result
  */
-function runSingleTestSuite(testSuite) {
+async function runSingleTestSuite(testSuite) {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🧪 RUNNING: ${testSuite.name}`);
     console.log(`📋 ${testSuite.description}`);
@@ -50,7 +205,7 @@ function runSingleTestSuite(testSuite) {
     let error = null;
     
     try {
-        success = testSuite.runner();
+        success = await testSuite.runner();
     } catch (err) {
         error = err;
         console.error(`❌ Test suite crashed: ${err.message}`);
@@ -150,7 +305,29 @@ function displayTestingGuide() {
     console.log('');
     console.log('📊 WHAT EACH MODULE TESTS:');
     console.log('  • AudioProcessor: Audio file loading and utility functions');
+    console.log('  • AudioDecoders: WAV, FLAC and raw PCM files, and plugging in other formats');
+    console.log('  • AudioPreprocessor: Resampling and filtering before analysis');
+    console.log('  • NoiseReducer: Wind and background noise suppression before analysis');
     console.log('  • TestReporter: Output formatting and statistics');
+    console.log('  • KnownSpeedRegression: Accuracy on recordings at known speeds');
+    console.log('  • DopplerSpeedCalculator: Speed of sound and speed calculation');
+    console.log('  • FrequencyMatcher: Frequency pair ranking strategies');
+    console.log('  • Spectrogram: Short-time FFT and frequency tracks');
+    console.log('  • DopplerCurveFitter: Speed and distance from the whole pass-by');
+    console.log('  • PeakInterpolation: Peak frequencies between FFT bins');
+    console.log('  • PeakFinder: Distinct peaks instead of neighbouring bins');
+    console.log('  • HarmonicMatcher: Speed from whole harmonic series');
+    console.log('  • StreamingAnalyzer: Vehicle passes found as audio arrives');
+    console.log('  • PassSegmenter: Several vehicles in one recording');
+    console.log('  • StereoDirection: Which way the vehicle went, from two microphones');
+    console.log('  • SpeedUncertainty: How far the true speed could be from the estimate');
+    console.log('  • AnalysisProfiles: Frequency and speed bands for cars, motorbikes, trucks and e-scooters');
+    console.log('  • FFTBackends: One place to choose or plug in the FFT');
+    console.log('  • VehicleClassifier: Car, truck, motorbike or bicycle from the sound');
+    console.log('  • PffftPlans: WASM FFTs without per-call setup or allocation');
+    console.log('  • PureJsFFT: The JavaScript fallback FFT matches the DFT and WASM');
+    console.log('  • AnalysisService: Analysis in a Web Worker, with progress and cancellation');
+    console.log('  • DopplerAnalyzerCLI: Batch analysis from the command line');
     console.log('');
     console.log('💡 PRO TIPS:');
     console.log('  • Read each test file to understand the testing patterns');
@@ -163,7 +340,7 @@ function displayTestingGuide() {
 /**
  * Main test execution function
  */
-function runAllUnitTests() {
+async function runAllUnitTests() {
     displayTestingGuide();
     
     console.log('🚀 Starting comprehensive unit test execution...\n');
@@ -172,7 +349,7 @@ function runAllUnitTests() {
     
     // Run each test suite
     for (const testSuite of TEST_SUITES) {
-        const result = runSingleTestSuite(testSuite);
+        const result = await runSingleTestSuite(testSuite);
         results.push(result);
     }
     
@@ -185,7 +362,7 @@ function runAllUnitTests() {
 
 // Run tests if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const success = runAllUnitTests();
+    const success = await runAllUnitTests();
     process.exit(success ? 0 : 1);
 }
 
@@ -0,0 +1,217 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for AnalysisProfiles
+ *
+ * These tests show beginners how to:
+ * - Pick the settings for a class of vehicle by name
+ * - Register, save and load your own profiles
+ * - Analyse a recording with a profile other than the default
+ */
+
+import AnalysisProfiles from '../../docs/shared/analysis-profiles.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import AudioSlicer from '../../docs/shared/audio-slicer.js';
+import FrequencyMatcher from '../../docs/shared/frequency-matcher.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 16000;
+const SOUND_SPEED = 343;
+
+/**
+ * A vehicle with one tone and its second harmonic passing 3 m away
+ * @param {number} speed - m/s
+ * @param {number} frequency - Tone in Hz
+ * @returns {Float32Array} 8 s of samples, closest approach at 4 s
+ */
+function createPass(speed, frequency) {
+    const samples = new Float32Array(SAMPLE_RATE * 8);
+    let phase = 0;
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    for (let i = 0; i < samples.length; i++) {
+        const along = speed * (i / SAMPLE_RATE - 4);
+        const range = Math.hypot(3, along);
+        phase += 2 * Math.PI * frequency * SOUND_SPEED / (SOUND_SPEED + speed * along / range) / SAMPLE_RATE;
+        samples[i] = noise() * 0.05 + 0.3 * 3 / range * (Math.sin(phase) + 0.5 * Math.sin(2 * phase));
+    }
+    return samples;
+}
+
+/**
+ * Expect a function to throw an error whose message contains `text`
+ */
+function throwsWith(action, text) {
+    try {
+        action();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * Test the built-in profiles and the registry
+ */
+function testRegistry() {
+    const test = new SimpleTest('AnalysisProfiles registry');
+    console.log('\n=== Testing Profile Registry ===');
+
+    console.log('\nTest 1: Built-in profiles');
+    test.assertEqual(AnalysisProfiles.list().join(','), 'car,motorbike,truck,e-scooter', 'Built-in profiles');
+    const car = AnalysisProfiles.get();
+    test.assertEqual(car.name, 'car', 'Car by default');
+    const matching = FrequencyMatcher.filterReasonableFrequencies([{ frequency: 49, power: 1 }, { frequency: 50, power: 1 }]);
+    test.assertEqual(matching.length, 1, 'Matcher defaults start at the car band');
+    test.assertEqual(`${car.frequencyBand.min}-${car.frequencyBand.max}`, '50-2000', 'Car frequency band');
+    test.assertEqual(`${car.speedBand.min}-${car.speedBand.max}`, '10-100', 'Car speed band');
+    test.assertEqual(AnalysisProfiles.get('truck').windowType, 'hann', 'Truck window');
+    test.assert(throwsWith(() => AnalysisProfiles.get('tractor'), 'Use one of car'), 'Unknown name lists the profiles');
+
+    console.log('\nTest 2: Copies, not the registered profile');
+    AnalysisProfiles.get('car').frequencyBand.max = 1;
+    test.assertEqual(AnalysisProfiles.get('car').frequencyBand.max, 2000, 'Changing a copy leaves the profile alone');
+
+    console.log('\nTest 3: User profiles');
+    const bus = AnalysisProfiles.register({ name: 'bus', extends: 'truck', speedBand: { min: 5, max: 50 } });
+    test.assertEqual(bus.frequencyBand.max, 1000, 'Unset fields come from the base profile');
+    test.assertEqual(bus.extends, undefined, 'Base not kept');
+    test.assertEqual(AnalysisProfiles.get('bus').speedBand.max, 50, 'Used by name');
+    test.assert(throwsWith(() => AnalysisProfiles.register({ name: 'car' }), 'built-in'), 'Built-in profiles cannot be replaced');
+    test.assert(throwsWith(() => AnalysisProfiles.create({ name: 'x', frequencyBand: { min: 500, max: 100 } }), 'frequencyBand'),
+        'Inverted band rejected');
+    test.assert(throwsWith(() => AnalysisProfiles.create({ name: 'x', speedBand: { min: 10, max: 300 } }), 'inside speedLimits'),
+        'Speed band outside the limits rejected');
+    test.assert(throwsWith(() => AnalysisProfiles.create({ name: 'x', windowType: 'kaiser' }), 'windowType'), 'Unknown window rejected');
+    test.assertEqual(AnalysisProfiles.unregister('car'), false, 'Built-in profiles are not removed');
+    test.assertEqual(AnalysisProfiles.unregister('bus'), true, 'User profile removed');
+    test.assertEqual(AnalysisProfiles.list().includes('bus'), false, 'No longer listed');
+
+    console.log('\nTest 4: JSON');
+    const json = AnalysisProfiles.toJSON('motorbike');
+    test.assertEqual(JSON.stringify(AnalysisProfiles.fromJSON(json)), JSON.stringify(AnalysisProfiles.get('motorbike')),
+        'Round trip through JSON');
+    test.assert(throwsWith(() => AnalysisProfiles.fromJSON('{ name'), 'Invalid analysis profile JSON'), 'Bad JSON reported');
+
+    return test.summary();
+}
+
+/**
+ * Test that the analyzer and slicer follow the profile
+ */
+async function testAnalyzerProfiles() {
+    const test = new SimpleTest('AudioAnalyzer profiles');
+    console.log('\n=== Testing Profiles in the Analyzer ===');
+
+    console.log('\nTest 1: Settings from the profile');
+    const truck = new AudioAnalyzer({ profile: 'truck' });
+    test.assertEqual(truck.config.windowType, 'hann', 'Window from the profile');
+    test.assertEqual(truck.frequencyMatcher.config.maxFrequency, 1000, 'Matcher frequency band');
+    test.assertEqual(truck.harmonicMatcher.config.maxSpeedMph, 120, 'Harmonic matcher speed limit');
+    test.assertNear(truck.dopplerCalculator.maxReasonableSpeed, 120 * 1.60934, 1e-9, 'Calculator speed limit');
+    test.assertEqual(new AudioAnalyzer({ profile: 'truck', windowType: 'blackman' }).config.windowType, 'blackman',
+        'Explicit options win over the profile');
+    const frequencies = [{ frequency: 40, power: 1 }, { frequency: 1500, power: 1 }];
+    test.assertEqual(truck.filterReasonableFrequencies(frequencies)[0].frequency, 40, 'Truck keeps 40 Hz');
+    test.assertEqual(truck.filterReasonableFrequencies(frequencies, { profile: 'car' })[0].frequency, 1500, 'Car keeps 1500 Hz');
+
+    console.log('\nTest 2: Section lengths');
+    const samples = new Float32Array(SAMPLE_RATE * 10);
+    const sections = AudioSlicer.extractSections(samples, SAMPLE_RATE, SAMPLE_RATE * 5, 10,
+        AnalysisProfiles.get('motorbike').sections);
+    test.assertEqual(sections.approachDuration, 2, 'Approach section limited to 2 s');
+    test.assertEqual(sections.metadata.recedeStart, SAMPLE_RATE * 5.2, 'Recede section starts 0.2 s after closest approach');
+    const bounds = AudioSlicer.getSectionBounds(sections, samples.length);
+    test.assertEqual(bounds.approaching.startSample, SAMPLE_RATE * 2.8, 'Bounds follow the limited section');
+
+    console.log('\nTest 3: E-scooter whine at 2.6 kHz, 15 mph');
+    const pass = createPass(15 / 2.236936, 2600);
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', soundSpeed: SOUND_SPEED });
+    const asCar = await analyzer.analyzeAudioForSpeed(pass, SAMPLE_RATE);
+    test.assert(!asCar.success, 'Above the car frequency band, nothing found');
+    const asScooter = await analyzer.analyzeAudioForSpeed(pass, SAMPLE_RATE, { profile: 'e-scooter' });
+    test.assert(asScooter.success, 'Found with the e-scooter profile for this call');
+    test.assertNear(asScooter.speedMPH, 15, 1, 'Speed');
+    test.assertEqual(asScooter.metadata.configuration.profile, 'e-scooter', 'Profile reported');
+    test.assertEqual(asScooter.metadata.configuration.windowType, 'blackman', 'Profile window used');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 ANALYSIS PROFILE UNIT TESTS');
+    console.log('==============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Choose frequency and speed bands by vehicle class');
+    console.log('• Register and serialize your own profiles');
+    console.log('• Analyse with a profile per analyzer or per call');
+
+    const results = [];
+    results.push(testRegistry());
+    results.push(await testAnalyzerProfiles());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All AnalysisProfiles tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
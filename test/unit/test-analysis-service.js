@@ -0,0 +1,270 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for AnalysisPipeline and AnalysisService
+ *
+ * These tests show beginners how to:
+ * - Follow an analysis through its stages with progress events
+ * - Run the analysis behind a worker's message protocol, using a MessageChannel
+ *   in place of the Web Worker
+ * - Transfer sample buffers instead of copying them, and cancel a running job
+ */
+
+import AnalysisPipeline from '../../docs/shared/analysis-pipeline.js';
+import AnalysisService from '../../docs/shared/analysis-service.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+const SPEED_MS = 13.41; // 30 mph
+
+/**
+ * Noise with one vehicle driving past a microphone 5 m from the road, nearest half way
+ * The vehicle has a 300 Hz tone and its second harmonic, louder as it gets closer
+ * @param {number} duration - Recording length in seconds
+ * @returns {Float32Array} Samples
+ */
+function createPass(duration = 6) {
+    const samples = new Float32Array(SAMPLE_RATE * duration);
+    let phase = 0;
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        seed = (seed * 16807) % 2147483647;
+        const along = SPEED_MS * (t - duration / 2);
+        const distance = Math.hypot(5, along);
+        const radialSpeed = SPEED_MS * along / distance;
+        phase += 2 * Math.PI * 300 * SOUND_SPEED / (SOUND_SPEED + radialSpeed) / SAMPLE_RATE;
+        samples[i] = (seed / 2147483647 - 0.5) * 0.07 +
+            0.3 * 5 / distance * (Math.sin(phase) + 0.5 * Math.sin(2 * phase));
+    }
+    return samples;
+}
+
+/**
+ * A worker side on one end of a MessageChannel and a service on the other
+ * @returns {Object} { service, sent, close }; `sent` records every message the worker side posts
+ */
+function createConnectedService(pipeline = { fftMode: 'JavaScript' }) {
+    const { port1, port2 } = new MessageChannel();
+    const sent = [];
+    AnalysisService.serve({
+        postMessage: (message) => {
+            sent.push(message);
+            port2.postMessage(message);
+        },
+        set onmessage(handler) {
+            port2.onmessage = handler;
+        }
+    });
+    const service = new AnalysisService({ worker: port1, pipeline });
+    return {
+        service,
+        sent,
+        close: () => {
+            service.terminate();
+            port2.close();
+        }
+    };
+}
+
+/**
+ * Await analysis work without the analyzers' step-by-step logging
+ */
+async function quietly(promise) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await promise;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Wait for a promise to reject and return its error
+ */
+async function rejection(promise) {
+    try {
+        await quietly(promise);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Test the pipeline on its own
+ */
+async function testPipeline() {
+    const test = new SimpleTest('AnalysisPipeline');
+    console.log('\n=== Testing the Section Pipeline ===');
+    const pipeline = new AnalysisPipeline({ fftMode: 'JavaScript' });
+
+    console.log('\nTest 1: Speed of a 30 mph pass');
+    const stages = [];
+    const result = await quietly(pipeline.analyze(createPass(), SAMPLE_RATE, {
+        expectedMph: 30,
+        onProgress: progress => stages.push(progress)
+    }));
+    test.assert(result.speed.valid, 'Valid speed');
+    test.assert(Math.abs(result.speed.speedMph - 30) < 3, `Within 3 mph of 30 (got ${result.speed.speedMph.toFixed(1)})`);
+    test.assertEqual(result.sectioningMethod, 'peak_rms_energy', 'Sections cut around the loudest point');
+    test.assertEqual(result.clipDuration, 6, 'Clip duration in seconds');
+    test.assertEqual(result.implementation.mode, 'JavaScript', 'FFT backend reported');
+
+    console.log('\nTest 2: Progress through every stage');
+    test.assertEqual(stages.map(s => s.section ? `${s.stage}:${s.section}` : s.stage).join(' '),
+        'sectioning fft:approaching fft:receding matching done', 'Stages in order');
+    test.assert(stages.every((s, i) => i === 0 || s.progress > stages[i - 1].progress), 'Progress rises');
+    test.assertEqual(stages[stages.length - 1].progress, 1, 'Ends at 1');
+
+    console.log('\nTest 3: Cancelled between stages');
+    const seen = [];
+    let cancelled = false;
+    const error = await rejection(pipeline.analyze(createPass(), SAMPLE_RATE, {
+        onProgress: progress => {
+            seen.push(progress.stage);
+            cancelled = progress.stage === 'fft';
+        },
+        isCancelled: () => cancelled
+    }));
+    test.assertEqual(error?.name, 'AbortError', 'Rejects with an AbortError');
+    test.assertEqual(seen.join(' '), 'sectioning fft', 'Stops before the next stage');
+
+    return test.summary();
+}
+
+/**
+ * Test the service over a MessageChannel
+ */
+async function testService() {
+    const test = new SimpleTest('AnalysisService');
+    console.log('\n=== Testing the Worker Service ===');
+    const { service, sent, close } = createConnectedService();
+
+    console.log('\nTest 1: Same result as the pipeline on this thread');
+    const direct = await quietly(new AnalysisPipeline({ fftMode: 'JavaScript' }).analyze(createPass(), SAMPLE_RATE, { expectedMph: 30 }));
+    const stages = [];
+    const samples = createPass();
+    const result = await quietly(service.analyze(samples, SAMPLE_RATE, {
+        expectedMph: 30,
+        onProgress: progress => stages.push(progress.stage)
+    }));
+    test.assertEqual(result.speed.speedMph, direct.speed.speedMph, 'Same speed');
+    test.assertEqual(stages.join(' '), 'sectioning fft fft matching done', 'Progress streamed back');
+    test.assertEqual(service.pendingCount, 0, 'Nothing left pending');
+
+    console.log('\nTest 2: Buffers are transferred, not copied');
+    test.assertEqual(samples.length, 0, 'Transferred samples are detached here');
+    const kept = createPass();
+    await quietly(service.analyze(kept, SAMPLE_RATE, { transfer: false }));
+    test.assertEqual(kept.length, SAMPLE_RATE * 6, 'transfer: false keeps them');
+    const recording = createPass(8);
+    await quietly(service.analyze(recording.subarray(SAMPLE_RATE, SAMPLE_RATE * 7), SAMPLE_RATE));
+    test.assertEqual(recording.length, SAMPLE_RATE * 8, 'A view is copied, leaving the recording whole');
+    const fromArray = await quietly(service.analyze(Array.from(createPass()), SAMPLE_RATE, { expectedMph: 30 }));
+    test.assertEqual(fromArray.speed.speedMph, direct.speed.speedMph, 'Plain arrays accepted');
+
+    console.log('\nTest 3: Cancelling with an AbortSignal');
+    const controller = new AbortController();
+    const cancelledJob = service.analyze(createPass(), SAMPLE_RATE, {
+        signal: controller.signal,
+        onProgress: progress => {
+            if (progress.stage === 'fft') {
+                controller.abort();
+            }
+        }
+    });
+    const error = await rejection(cancelledJob);
+    test.assertEqual(error?.name, 'AbortError', 'Rejects with an AbortError');
+    const next = await quietly(service.analyze(createPass(), SAMPLE_RATE, { expectedMph: 30 }));
+    test.assertEqual(next.speed.speedMph, direct.speed.speedMph, 'The next job still runs');
+    const cancelledId = sent.find(message => message.type === 'error')?.id;
+    const workerStages = sent.filter(message => message.id === cancelledId && message.type === 'progress').map(m => m.stage);
+    test.assertEqual(workerStages.join(' '), 'sectioning fft', 'Worker stopped at the next stage');
+
+    console.log('\nTest 4: Already aborted, cancelAll() and terminate()');
+    const aborted = new AbortController();
+    aborted.abort();
+    test.assertEqual((await rejection(service.analyze(createPass(), SAMPLE_RATE, { signal: aborted.signal })))?.name,
+        'AbortError', 'An aborted signal rejects at once');
+    const first = service.analyze(createPass(), SAMPLE_RATE);
+    const second = service.analyze(createPass(), SAMPLE_RATE);
+    service.cancelAll();
+    const errors = [await rejection(first), await rejection(second)];
+    test.assert(errors.every(e => e?.name === 'AbortError'), 'cancelAll() rejects every job');
+    const running = service.analyze(createPass(), SAMPLE_RATE);
+    close();
+    test.assert((await rejection(running))?.message.includes('terminated'), 'terminate() rejects running jobs');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 ANALYSIS SERVICE UNIT TESTS');
+    console.log('==============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Follow an analysis through its stages');
+    console.log('• Run it behind a Web Worker message protocol');
+    console.log('• Transfer sample buffers and cancel jobs');
+
+    const results = [];
+    results.push(await testPipeline());
+    results.push(await testService());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All analysis service tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,594 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for AudioDecoders, PcmDecoder, FlacDecoder and FfmpegDecoder
+ *
+ * These tests show beginners how to:
+ * - Read headerless PCM in any bit depth, byte order and channel count
+ * - Check a FLAC decoder against a small encoder, subframe type by subframe type
+ * - Pick a decoder from a file's first bytes or its extension, and plug in new ones
+ * - Decode .m4a and .mp4 through ffmpeg, tested with a stand-in script
+ */
+
+import AudioDecoders from '../../docs/shared/audio-decoders.js';
+import AudioProcessor from '../../docs/shared/audio-utils.js';
+import FfmpegDecoder from '../../docs/shared/ffmpeg-decoder.js';
+import FlacDecoder from '../../docs/shared/flac-decoder.js';
+import PcmDecoder from '../../docs/shared/pcm-decoder.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pkg from 'wavefile';
+
+const { WaveFile } = pkg;
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertArrayEqual(actual, expected, message, tolerance = 1e-6) {
+        const condition = actual.length === expected.length &&
+            Array.from(actual).every((value, i) => Math.abs(value - expected[i]) <= tolerance);
+        this.assert(condition, `${message} (arrays ${condition ? 'match' : 'differ'})`);
+    }
+
+    assertThrows(fn, fragment, message) {
+        try {
+            fn();
+            this.assert(false, `${message} (did not throw)`);
+        } catch (error) {
+            this.assert(error.message.includes(fragment), `${message} (${error.message})`);
+        }
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Integer test signal: a tone, a slower tone and a little deterministic noise
+ */
+function createSignal(length, bitDepth, seed = 1) {
+    const peak = 2 ** (bitDepth - 1) - 1;
+    const samples = [];
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 16807) % 2147483647;
+        const value = 0.6 * Math.sin(i * 0.05) + 0.3 * Math.sin(i * 0.0123 + seed % 3) + 0.05 * (seed / 2147483647 - 0.5);
+        samples.push(Math.round(value * peak));
+    }
+    return samples;
+}
+
+/**
+ * MSB-first bit writer, the mirror of the decoder's reader
+ */
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.current = 0;
+        this.count = 0;
+    }
+
+    write(value, bits) {
+        for (let bit = bits - 1; bit >= 0; bit--) {
+            this.current = (this.current << 1) | (Math.floor(value / 2 ** bit) % 2);
+            if (++this.count === 8) {
+                this.bytes.push(this.current);
+                this.current = 0;
+                this.count = 0;
+            }
+        }
+    }
+
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + 2 ** bits : value, bits);
+    }
+
+    writeUnary(zeros) {
+        for (let i = 0; i < zeros; i++) this.write(0, 1);
+        this.write(1, 1);
+    }
+
+    align() {
+        while (this.count !== 0) this.write(0, 1);
+    }
+}
+
+function crc(bytes, polynomial, width) {
+    const topBit = 2 ** (width - 1);
+    const mask = 2 ** width - 1;
+    let value = 0;
+    for (const byte of bytes) {
+        value ^= byte << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & topBit ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+        }
+    }
+    return value;
+}
+
+/**
+ * Residuals for a subframe, starting after the warm-up samples
+ */
+function predictResiduals(samples, subframe) {
+    const residuals = [];
+    for (let i = subframe.order; i < samples.length; i++) {
+        let prediction = 0;
+        if (subframe.type === 'fixed') {
+            const weights = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]][subframe.order];
+            weights.forEach((weight, j) => { prediction += weight * samples[i - 1 - j]; });
+        } else {
+            subframe.coefficients.forEach((c, j) => { prediction += c * samples[i - 1 - j]; });
+            prediction = Math.floor(prediction / 2 ** subframe.shift);
+        }
+        residuals.push(samples[i] - prediction);
+    }
+    return residuals;
+}
+
+/**
+ * Rice-code residuals, with the partition order, coding method and escapes a subframe asks for
+ */
+function writeResiduals(writer, residuals, subframe, blockSize) {
+    const method = subframe.method || 0;
+    const partitionOrder = subframe.partitionOrder || 0;
+    const parameterBits = method === 0 ? 4 : 5;
+    writer.write(method, 2);
+    writer.write(partitionOrder, 4);
+    const partitionSize = blockSize >> partitionOrder;
+    let index = 0;
+    for (let partition = 0; partition < 2 ** partitionOrder; partition++) {
+        const count = partition === 0 ? partitionSize - subframe.order : partitionSize;
+        const values = residuals.slice(index, index + count);
+        index += count;
+        if (subframe.escape) {
+            const bits = Math.max(...values.map(v => Math.ceil(Math.log2(Math.abs(v) + 1)) + 1));
+            writer.write(2 ** parameterBits - 1, parameterBits);
+            writer.write(bits, 5);
+            values.forEach(value => writer.writeSigned(value, bits));
+            continue;
+        }
+        const mean = values.reduce((sum, v) => sum + Math.abs(v), 0) / Math.max(1, values.length);
+        const parameter = Math.max(0, Math.min(2 ** parameterBits - 2, Math.floor(Math.log2(mean + 1))));
+        writer.write(parameter, parameterBits);
+        values.forEach(value => {
+            const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+            writer.writeUnary(Math.floor(folded / 2 ** parameter));
+            writer.write(folded % 2 ** parameter, parameter);
+        });
+    }
+}
+
+/**
+ * One subframe: { type: 'constant' | 'verbatim' | 'fixed' | 'lpc', order, coefficients,
+ * precision, shift, wastedBits, partitionOrder, method, escape }
+ */
+function writeSubframe(writer, samples, bitDepth, subframe) {
+    const wastedBits = subframe.wastedBits || 0;
+    const shifted = samples.map(value => value / 2 ** wastedBits);
+    const sampleBits = bitDepth - wastedBits;
+    const typeCode = { constant: 0, verbatim: 1, fixed: 8 + (subframe.order || 0), lpc: 31 + (subframe.order || 0) }[subframe.type];
+    writer.write(0, 1);
+    writer.write(typeCode, 6);
+    if (wastedBits > 0) {
+        writer.write(1, 1);
+        writer.writeUnary(wastedBits - 1);
+    } else {
+        writer.write(0, 1);
+    }
+
+    if (subframe.type === 'constant') {
+        writer.writeSigned(shifted[0], sampleBits);
+    } else if (subframe.type === 'verbatim') {
+        shifted.forEach(value => writer.writeSigned(value, sampleBits));
+    } else {
+        shifted.slice(0, subframe.order).forEach(value => writer.writeSigned(value, sampleBits));
+        if (subframe.type === 'lpc') {
+            writer.write(subframe.precision - 1, 4);
+            writer.writeSigned(subframe.shift, 5);
+            subframe.coefficients.forEach(c => writer.writeSigned(c, subframe.precision));
+        }
+        writeResiduals(writer, predictResiduals(shifted, subframe), subframe, samples.length);
+    }
+}
+
+/**
+ * Minimal FLAC encoder: STREAMINFO, a PADDING block, then one frame per entry of `frames`
+ * @param {Object} options - { sampleRate, bitDepth, channels (integer arrays), frames }
+ *                           where each frame is { size, assignment, subframes }
+ * @returns {Uint8Array} FLAC file
+ */
+function encodeFlac({ sampleRate, bitDepth, channels, frames }) {
+    const totalSamples = channels[0].length;
+    const sizes = frames.map(frame => frame.size);
+    const header = new BitWriter();
+    [0x66, 0x4C, 0x61, 0x43].forEach(byte => header.write(byte, 8));
+    header.write(0, 1);           // Not the last metadata block
+    header.write(0, 7);           // STREAMINFO
+    header.write(34, 24);
+    header.write(Math.min(...sizes), 16);
+    header.write(Math.max(...sizes), 16);
+    header.write(0, 24);
+    header.write(0, 24);
+    header.write(sampleRate, 20);
+    header.write(channels.length - 1, 3);
+    header.write(bitDepth - 1, 5);
+    header.write(totalSamples, 36);
+    for (let i = 0; i < 16; i++) header.write(0xA0 + i, 8);
+    header.write(1, 1);           // Last metadata block
+    header.write(1, 7);           // PADDING
+    header.write(8, 24);
+    for (let i = 0; i < 8; i++) header.write(0, 8);
+
+    const bytes = [...header.bytes];
+    let start = 0;
+    frames.forEach((frame, frameNumber) => {
+        const writer = new BitWriter();
+        const assignment = frame.assignment ?? channels.length - 1;
+        writer.write(0xFFF8, 16);
+        writer.write(7, 4);       // Block size in 16 bits after the frame number
+        writer.write(0, 4);       // Sample rate from STREAMINFO
+        writer.write(assignment, 4);
+        writer.write(0, 3);       // Sample size from STREAMINFO
+        writer.write(0, 1);
+        writer.write(frameNumber, 8);
+        writer.write(frame.size - 1, 16);
+        writer.write(crc(writer.bytes, 0x07, 8), 8);
+
+        const block = channels.map(channel => channel.slice(start, start + frame.size));
+        start += frame.size;
+        const [left, right] = block;
+        const coded = {
+            8: () => [left, left.map((l, i) => l - right[i])],
+            9: () => [left.map((l, i) => l - right[i]), right],
+            10: () => [left.map((l, i) => Math.floor((l + right[i]) / 2)), left.map((l, i) => l - right[i])]
+        }[assignment]?.() || block;
+        coded.forEach((samples, channel) => {
+            const side = (assignment === 8 && channel === 1) || (assignment === 9 && channel === 0) ||
+                (assignment === 10 && channel === 1);
+            writeSubframe(writer, samples, bitDepth + (side ? 1 : 0), frame.subframes[channel % frame.subframes.length]);
+        });
+
+        writer.align();
+        writer.write(crc(writer.bytes, 0x8005, 16), 16);
+        bytes.push(...writer.bytes);
+    });
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Integer samples back from decoded floats
+ */
+function toIntegers(channel, bitDepth) {
+    return Array.from(channel, value => Math.round(value * 2 ** (bitDepth - 1)));
+}
+
+/**
+ * Test raw PCM layouts
+ */
+function testPcmDecoder() {
+    const test = new SimpleTest('PcmDecoder');
+    console.log('\n=== Testing Raw PCM Layouts ===');
+
+    console.log('\nTest 1: 8-bit unsigned and 16-bit big endian');
+    const eight = PcmDecoder.decode(Uint8Array.from([128, 192, 0, 255]), { bitDepth: 8 });
+    test.assertArrayEqual(eight.channels[0], [0, 0.5, -1, 127 / 128], '8-bit is unsigned around 128');
+    test.assertEqual(eight.format.signed, false, 'Reported as unsigned');
+    const big = PcmDecoder.decode(Uint8Array.from([0x40, 0x00, 0xC0, 0x00]), { endianness: 'big' });
+    test.assertArrayEqual(big.channels[0], [0.5, -0.5], '16-bit big endian');
+
+    console.log('\nTest 2: 24 and 32-bit integers, both byte orders');
+    const little24 = Uint8Array.from([0x00, 0x00, 0x40, 0x00, 0x00, 0xC0, 0xFF, 0xFF, 0xFF]);
+    test.assertArrayEqual(PcmDecoder.decode(little24, { bitDepth: 24 }).channels[0], [0.5, -0.5, -1 / 2 ** 23],
+        '24-bit little endian, sign-extended');
+    const big24 = Uint8Array.from([0x40, 0x00, 0x00, 0xC0, 0x00, 0x00]);
+    test.assertArrayEqual(PcmDecoder.decode(big24, { bitDepth: 24, endianness: 'big' }).channels[0], [0.5, -0.5],
+        '24-bit big endian');
+    const view32 = new DataView(new ArrayBuffer(8));
+    view32.setInt32(0, -(2 ** 30), false);
+    view32.setInt32(4, 2 ** 29, false);
+    test.assertArrayEqual(PcmDecoder.decode(new Uint8Array(view32.buffer), { bitDepth: 32, endianness: 'big' }).channels[0],
+        [-0.5, 0.25], '32-bit big endian');
+
+    console.log('\nTest 3: Floats and interleaved channels');
+    const floats = new DataView(new ArrayBuffer(28));
+    [0.25, -0.75, 0.5, 1, -1, 0.125].forEach((value, i) => floats.setFloat32(i * 4, value, false));
+    const threeChannels = PcmDecoder.decode(new Uint8Array(floats.buffer), {
+        encoding: 'float', bitDepth: 32, endianness: 'big', channels: 3, sampleRate: 8000
+    });
+    test.assertEqual(threeChannels.channels.length, 3, 'Three channels');
+    test.assertArrayEqual(threeChannels.channels[1], [-0.75, -1], 'Second channel de-interleaved');
+    test.assertEqual(threeChannels.channels[0].length, 2, 'Trailing partial frame ignored');
+    test.assertEqual(threeChannels.format.encoding, 'pcm-float', 'Float format reported');
+    const doubles = new Float64Array([0.1, -0.2]);
+    test.assertArrayEqual(PcmDecoder.decode(new Uint8Array(doubles.buffer), { encoding: 'float', bitDepth: 64 }).channels[0],
+        [0.1, -0.2], '64-bit floats');
+
+    console.log('\nTest 4: Unsupported layouts');
+    test.assertThrows(() => PcmDecoder.decode(new Uint8Array(4), { bitDepth: 12 }), 'bit depth', '12-bit integers rejected');
+    test.assertThrows(() => PcmDecoder.decode(new Uint8Array(4), { encoding: 'float', bitDepth: 16 }), 'bit depth',
+        '16-bit floats rejected');
+    test.assertThrows(() => PcmDecoder.decode(new Uint8Array(4), { endianness: 'middle' }), 'endianness', 'Unknown byte order');
+    test.assertThrows(() => PcmDecoder.decode(new Uint8Array(4), { channels: 0 }), 'channel count', 'No channels');
+
+    return test.summary();
+}
+
+/**
+ * Test FLAC decoding against the encoder above
+ */
+function testFlacDecoder() {
+    const test = new SimpleTest('FlacDecoder');
+    console.log('\n=== Testing FLAC Decoding ===');
+
+    console.log('\nTest 1: Every subframe type, 16-bit mono');
+    const mono = createSignal(1120, 16);
+    mono.fill(1234, 192, 384); // A constant block
+    const monoFrames = [
+        { size: 192, subframes: [{ type: 'verbatim' }] },
+        { size: 192, subframes: [{ type: 'constant' }] },
+        { size: 128, subframes: [{ type: 'fixed', order: 0 }] },
+        { size: 128, subframes: [{ type: 'fixed', order: 1, partitionOrder: 2 }] },
+        { size: 128, subframes: [{ type: 'fixed', order: 2 }] },
+        { size: 128, subframes: [{ type: 'fixed', order: 3, method: 1 }] },
+        { size: 128, subframes: [{ type: 'fixed', order: 4, partitionOrder: 3 }] },
+        { size: 96, subframes: [{ type: 'lpc', order: 2, precision: 12, shift: 10, coefficients: [1990, -1000], partitionOrder: 1 }] }
+    ];
+    const monoFlac = encodeFlac({ sampleRate: 44100, bitDepth: 16, channels: [mono], frames: monoFrames });
+    const decoded = FlacDecoder.decode(monoFlac);
+    test.assertEqual(decoded.sampleRate, 44100, 'Sample rate from STREAMINFO');
+    test.assertEqual(decoded.channels.length, 1, 'One channel');
+    test.assert(toIntegers(decoded.channels[0], 16).every((value, i) => value === mono[i]), 'Samples decoded exactly');
+    test.assertEqual(decoded.format.totalSamples, 1120, 'Total samples reported');
+    test.assertEqual(decoded.format.bitDepth, 16, 'Bit depth reported');
+    test.assertEqual(decoded.format.md5, 'a0a1a2a3a4a5a6a7a8a9aaabacadaeaf', 'MD5 signature reported');
+    test.assert(Math.max(...decoded.channels[0].map(Math.abs)) < 1, 'Scaled to [-1, 1)');
+
+    console.log('\nTest 2: Stereo decorrelation modes');
+    const left = createSignal(600, 16, 3);
+    const right = createSignal(600, 16, 7).map((value, i) => Math.round(value * 0.7) + (i % 2)); // Odd L+R sums
+    const stereoFrames = [
+        { size: 150, assignment: 1, subframes: [{ type: 'fixed', order: 2 }] },
+        { size: 150, assignment: 8, subframes: [{ type: 'fixed', order: 2 }, { type: 'verbatim' }] },
+        { size: 150, assignment: 9, subframes: [{ type: 'fixed', order: 1 }] },
+        { size: 150, assignment: 10, subframes: [{ type: 'lpc', order: 1, precision: 8, shift: 7, coefficients: [120] }] }
+    ];
+    const stereo = FlacDecoder.decode(encodeFlac({ sampleRate: 48000, bitDepth: 16, channels: [left, right], frames: stereoFrames }));
+    test.assert(toIntegers(stereo.channels[0], 16).every((value, i) => value === left[i]), 'Left channel exact');
+    test.assert(toIntegers(stereo.channels[1], 16).every((value, i) => value === right[i]), 'Right channel exact in every mode');
+
+    console.log('\nTest 3: 24-bit with wasted bits and escaped partitions');
+    const deep = createSignal(512, 24, 11).map(value => value - (value % 16)); // Low 4 bits always zero
+    const deepFrames = [
+        { size: 256, subframes: [{ type: 'fixed', order: 2, wastedBits: 4, method: 1 }] },
+        { size: 256, subframes: [{ type: 'lpc', order: 3, precision: 14, shift: 12, coefficients: [8000, -5000, 1200], escape: true, partitionOrder: 1 }] }
+    ];
+    const deepDecoded = FlacDecoder.decode(encodeFlac({ sampleRate: 96000, bitDepth: 24, channels: [deep], frames: deepFrames }));
+    test.assert(toIntegers(deepDecoded.channels[0], 24).every((value, i) => value === deep[i]), '24-bit samples exact');
+
+    console.log('\nTest 4: Detection and damaged streams');
+    const tagged = new Uint8Array(20 + monoFlac.length);
+    tagged.set([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 10]);
+    tagged.set(monoFlac, 20);
+    test.assert(FlacDecoder.detect(tagged), 'Found behind an ID3v2 tag');
+    test.assertEqual(FlacDecoder.decode(tagged).channels[0].length, 1120, 'Tagged stream decodes');
+    const damaged = monoFlac.slice();
+    damaged[damaged.length - 40] ^= 0x10;
+    test.assertThrows(() => FlacDecoder.decode(damaged), 'CRC', 'A flipped bit fails the CRC check');
+    test.assertThrows(() => FlacDecoder.decode(Uint8Array.from([1, 2, 3, 4])), 'fLaC', 'Other data rejected');
+
+    return test.summary();
+}
+
+/**
+ * Test the registry and the AudioProcessor loaders built on it
+ */
+async function testRegistry() {
+    const test = new SimpleTest('AudioDecoders');
+    console.log('\n=== Testing the Decoder Registry ===');
+    const flac = encodeFlac({ sampleRate: 22050, bitDepth: 16, channels: [createSignal(300, 16)], frames: [{ size: 300, subframes: [{ type: 'fixed', order: 2 }] }] });
+
+    console.log('\nTest 1: Decoders found by content, then extension');
+    test.assertEqual(AudioDecoders.list().join(' '), 'wav flac ffmpeg raw', 'Built-in decoders');
+    test.assertEqual(AudioDecoders.find(flac, 'recording.raw'), 'flac', 'FLAC recognised whatever its name');
+    test.assertEqual(AudioDecoders.find(new Uint8Array(8), 'recording.PCM'), 'raw', 'Headerless data by extension');
+    test.assertEqual(AudioDecoders.find(new Uint8Array(8), 'recording.m4a'), 'ffmpeg', 'ffmpeg claims .m4a');
+    test.assertEqual(AudioDecoders.find(new Uint8Array(8), 'recording.caf'), null, 'Nothing claims .caf');
+
+    console.log('\nTest 2: WAV bit depths scaled to [-1, 1]');
+    const wav24 = new WaveFile();
+    wav24.fromScratch(2, 16000, '24', [[4194304, -8388608], [0, 2097152]]);
+    const decoded24 = await AudioDecoders.decode(wav24.toBuffer(), { fileName: 'clip.wav' });
+    test.assertArrayEqual(decoded24.channels[0], [0.5, -1], '24-bit left channel');
+    test.assertEqual(decoded24.channelCount, 2, 'Channel count');
+    test.assertEqual(`${decoded24.format.decoder} ${decoded24.format.encoding} ${decoded24.format.bitDepth}`,
+        'wav pcm-int 24', 'Original format reported');
+    const wavFloat = new WaveFile();
+    wavFloat.fromScratch(1, 8000, '32f', [0.25, -0.5, 0.75, 0]);
+    const decodedFloat = await AudioDecoders.decode(wavFloat.toBuffer());
+    test.assertArrayEqual(decodedFloat.samples, [0.25, -0.5, 0.75, 0], 'Float WAV as stored');
+    test.assertEqual(decodedFloat.duration, 0.0005, 'Duration in seconds');
+    const wav8 = new WaveFile();
+    wav8.fromScratch(1, 8000, '8', [128, 192, 64]);
+    test.assertArrayEqual((await AudioDecoders.decode(wav8.toBuffer())).samples, [0, 0.5, -0.5], '8-bit WAV centred');
+    const muLaw = new WaveFile();
+    muLaw.fromScratch(1, 8000, '16', [0, 8000, -8000, 4000]);
+    muLaw.toMuLaw();
+    const decodedMuLaw = await AudioDecoders.decode(muLaw.toBuffer());
+    test.assertEqual(decodedMuLaw.format.encoding, 'mu-law', 'mu-law expanded');
+    test.assertArrayEqual(decodedMuLaw.samples, [0, 8000 / 32768, -8000 / 32768, 4000 / 32768], 'mu-law samples close', 0.01);
+
+    console.log('\nTest 3: Plugging in a decoder');
+    const unknown = await AudioDecoders.decode(new Uint8Array(8), { fileName: 'field.caf' }).catch(error => error);
+    test.assert(unknown.message.includes('AudioDecoders.register'), 'Unknown formats point at register()');
+    test.assertThrows(() => AudioDecoders.register('flac', { decode: () => null }), 'built-in', 'Built-ins cannot be replaced');
+    test.assertThrows(() => AudioDecoders.register('caf', { extensions: ['.caf'] }), 'decode()', 'decode() required');
+    AudioDecoders.register('caf', {
+        extensions: ['.CAF'],
+        decode: async (bytes, options) => PcmDecoder.decode(bytes.subarray(4), { ...options, sampleRate: 8000 })
+    });
+    const plugged = await AudioDecoders.decode(Uint8Array.from([0, 0, 0, 0, 0, 0x40]), { fileName: 'field.caf' });
+    test.assertEqual(plugged.format.decoder, 'caf', 'Registered decoder used by extension');
+    test.assertArrayEqual(plugged.samples, [0.5], 'Its samples returned');
+    test.assert(AudioDecoders.unregister('caf') && !AudioDecoders.unregister('wav'), 'Only registered decoders removed');
+    AudioDecoders.register('constructor', { decode: async () => null });
+    test.assert(AudioDecoders.list().includes('constructor') && AudioDecoders.unregister('constructor'),
+        'Names like constructor are not mistaken for built-ins');
+
+    console.log('\nTest 4: AudioProcessor loaders');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-decoders-'));
+    try {
+        const flacPath = path.join(directory, 'pass.flac');
+        fs.writeFileSync(flacPath, flac);
+        const loaded = await AudioProcessor.loadAudioFile(flacPath);
+        test.assertEqual(`${loaded.sampleRate} ${loaded.channelCount} ${loaded.format.encoding}`, '22050 1 flac', 'FLAC file loaded');
+
+        const rawPath = path.join(directory, 'stereo.raw');
+        fs.writeFileSync(rawPath, Uint8Array.from([0x40, 0, 0, 0xC0, 0, 0, 0x20, 0, 0, 0xE0, 0, 0]));
+        const raw = await AudioProcessor.loadRawFile(rawPath, 8000, 2, 24, { endianness: 'big' });
+        test.assertArrayEqual(raw.channels[1], [-0.5, -0.25], '24-bit big-endian stereo raw file');
+        test.assertEqual(raw.format.endianness, 'big', 'Raw layout reported');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return test.summary();
+}
+
+/**
+ * A stand-in for ffmpeg: it wraps the float samples after a 12-byte 'ftyp' header in
+ * streamed WAV, sizes unknown, as ffmpeg writes to a pipe, and fails on anything else
+ */
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const bytes = fs.readFileSync(process.argv[process.argv.indexOf('-i') + 1]);
+if (bytes.toString('latin1', 4, 8) !== 'ftyp') {
+    process.stderr.write('input: Invalid data found when processing input\\n');
+    process.exit(1);
+}
+process.stderr.write('  Stream #0:0[0x1](und): Audio: aac (LC) (mp4a / 0x6134706D), 8000 Hz, stereo, fltp\\n');
+const header = Buffer.alloc(56);
+header.write('RIFF', 0, 'latin1');
+header.writeUInt32LE(0xFFFFFFFF, 4);
+header.write('WAVEfmt ', 8, 'latin1');
+header.writeUInt32LE(16, 16);
+header.writeUInt16LE(3, 20);
+header.writeUInt16LE(2, 22);
+header.writeUInt32LE(8000, 24);
+header.writeUInt32LE(64000, 28);
+header.writeUInt16LE(8, 32);
+header.writeUInt16LE(32, 34);
+header.write('LIST', 36, 'latin1');
+header.writeUInt32LE(3, 40);
+header.write('data', 48, 'latin1');
+header.writeUInt32LE(0xFFFFFFFF, 52);
+process.stdout.write(Buffer.concat([header, bytes.subarray(12)]));
+`;
+
+/**
+ * Test .m4a and .mp4 decoding through ffmpeg, with a stand-in for ffmpeg
+ */
+async function testFfmpegDecoder() {
+    const test = new SimpleTest('FfmpegDecoder');
+    console.log('\n=== Testing the ffmpeg Decoder ===');
+
+    const samples = Float32Array.from([0.5, -0.25, 0.125, 0.75, -1, 0]);
+    const m4a = new Uint8Array(12 + samples.byteLength);
+    m4a.set([0, 0, 0, 24, ...Buffer.from('ftypM4A ', 'latin1')]);
+    m4a.set(new Uint8Array(samples.buffer), 12);
+
+    console.log('\nTest 1: MPEG-4 files recognised by content');
+    test.assert(FfmpegDecoder.detect(m4a), 'ftyp box with an M4A brand');
+    test.assertEqual(AudioDecoders.find(m4a, 'recording.bin'), 'ffmpeg', 'Found whatever its name');
+    test.assert(!FfmpegDecoder.detect(new Uint8Array(12)), 'Other data not claimed');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-decoder-test-'));
+    try {
+        const ffmpegPath = path.join(directory, 'ffmpeg');
+        fs.writeFileSync(ffmpegPath, FAKE_FFMPEG, { mode: 0o755 });
+
+        console.log('\nTest 2: Channels and sample rate from the WAV ffmpeg writes');
+        const decoded = await AudioDecoders.decode(m4a, { fileName: 'phone.m4a', ffmpegPath });
+        test.assertEqual(`${decoded.format.decoder} ${decoded.format.encoding}`, 'ffmpeg aac', 'Codec reported');
+        test.assertEqual(`${decoded.sampleRate} ${decoded.channelCount}`, '8000 2', 'Sample rate and channel count');
+        test.assertArrayEqual(decoded.channels[0], [0.5, 0.125, -1], 'Left channel');
+        test.assertArrayEqual(decoded.channels[1], [-0.25, 0.75, 0], 'Right channel');
+
+        console.log('\nTest 3: Clear errors');
+        const rejected = await AudioDecoders.decode(new Uint8Array(16), { format: 'ffmpeg', ffmpegPath }).catch(error => error);
+        test.assert(rejected.message.includes('Invalid data found'), `ffmpeg's own error passed on (${rejected.message})`);
+        const missing = await AudioDecoders.decode(m4a, { fileName: 'phone.m4a', ffmpegPath: path.join(directory, 'missing') })
+            .catch(error => error);
+        test.assert(missing.message.includes('needs ffmpeg') && missing.message.includes('FFMPEG_PATH'),
+            `Missing ffmpeg explained (${missing.message})`);
+        test.assertThrows(() => FfmpegDecoder.readWav(new Uint8Array(44)), 'WAV', 'Output that is not WAV rejected');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 AUDIO DECODER UNIT TESTS');
+    console.log('============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Read raw PCM in any layout');
+    console.log('• Decode FLAC without native code');
+    console.log('• Choose and plug in audio decoders');
+    console.log('• Decode phone recordings by running ffmpeg');
+
+    const results = [];
+    results.push(testPcmDecoder());
+    results.push(testFlacDecoder());
+    results.push(await testRegistry());
+    results.push(await testFfmpegDecoder());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All audio decoder tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
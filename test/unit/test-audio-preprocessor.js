@@ -0,0 +1,292 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for AudioPreprocessor
+ *
+ * These tests show beginners how to:
+ * - Measure what a filter does by passing pure tones through it
+ * - Check a resampler keeps tones at their frequency and removes what would alias
+ * - Configure a preprocessing chain in AudioAnalyzer options
+ */
+
+import AudioPreprocessor from '../../docs/shared/audio-preprocessor.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import AnalysisPipeline from '../../docs/shared/analysis-pipeline.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertApproxEqual(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual.toFixed(4)}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertThrows(fn, fragment, message) {
+        try {
+            fn();
+            this.assert(false, `${message} (did not throw)`);
+        } catch (error) {
+            this.assert(error.message.includes(fragment), `${message} (${error.message})`);
+        }
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Sum of unit sine waves
+ */
+function createTones(frequencies, sampleRate, duration = 1, offset = 0) {
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = offset + frequencies.reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * i / sampleRate), 0);
+    }
+    return samples;
+}
+
+/**
+ * Amplitude of one frequency in the middle half of a signal, away from filter edge effects
+ */
+function amplitudeAt(samples, sampleRate, frequency) {
+    const start = Math.floor(samples.length / 4);
+    const end = Math.floor(samples.length * 3 / 4);
+    let re = 0;
+    let im = 0;
+    for (let i = start; i < end; i++) {
+        re += samples[i] * Math.cos(2 * Math.PI * frequency * i / sampleRate);
+        im += samples[i] * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return 2 * Math.hypot(re, im) / (end - start);
+}
+
+/**
+ * A 30 mph pass recorded 5 m from the road: a 300 Hz tone and its second harmonic over noise
+ */
+function createPass(sampleRate, duration = 6) {
+    const speed = 13.41;
+    const samples = new Float32Array(sampleRate * duration);
+    let phase = 0;
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        seed = (seed * 16807) % 2147483647;
+        const along = speed * (t - duration / 2);
+        const distance = Math.hypot(5, along);
+        phase += 2 * Math.PI * 300 * 343 / (343 + speed * along / distance) / sampleRate;
+        samples[i] = (seed / 2147483647 - 0.5) * 0.07 + 0.3 * 5 / distance * (Math.sin(phase) + 0.5 * Math.sin(2 * phase)) +
+            0.5 * Math.sin(2 * Math.PI * 8 * t); // Wind rumble
+    }
+    return samples;
+}
+
+/**
+ * Await analysis work without the analyzers' step-by-step logging
+ */
+async function quietly(promise) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await promise;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Test the filters with pure tones
+ */
+function testFilters() {
+    const test = new SimpleTest('AudioPreprocessor filters');
+    console.log('\n=== Testing DC Removal and Filters ===');
+    const rate = 8000;
+
+    console.log('\nTest 1: DC removal');
+    const offset = createTones([440], rate, 1, 0.3);
+    const centred = AudioPreprocessor.removeDC(offset);
+    test.assertApproxEqual(centred.reduce((sum, v) => sum + v, 0) / centred.length, 0, 1e-6, 'Mean is zero');
+    test.assertApproxEqual(offset[0], 0.3, 1e-6, 'Input left unchanged');
+
+    console.log('\nTest 2: High-pass against wind rumble');
+    const rumble = createTones([8, 500], rate, 2);
+    const highPassed = AudioPreprocessor.highPass(rumble, rate, 40);
+    test.assert(amplitudeAt(highPassed, rate, 8) < 0.001, `8 Hz removed (${amplitudeAt(highPassed, rate, 8).toFixed(5)})`);
+    test.assertApproxEqual(amplitudeAt(highPassed, rate, 500), 1, 0.01, '500 Hz passed');
+    const pure = createTones([500], rate, 2);
+    const zeroPhase = AudioPreprocessor.highPass(pure, rate, 40);
+    const causal = AudioPreprocessor.highPass(pure, rate, 40, { zeroPhase: false });
+    const error = (signal) => Math.max(...Array.from(signal.subarray(4000, 12000), (v, i) => Math.abs(v - pure[i + 4000])));
+    test.assert(error(zeroPhase) < 0.01, 'Zero-phase filtering does not shift the tone');
+    test.assert(error(causal) > 0.01, 'A single causal pass does');
+
+    console.log('\nTest 3: Band-pass, with open edges');
+    const tones = createTones([30, 500, 3500], rate, 2);
+    const band = AudioPreprocessor.bandPass(tones, rate, 100, 1500);
+    test.assert(amplitudeAt(band, rate, 30) < 0.01, '30 Hz below the band removed');
+    test.assert(amplitudeAt(band, rate, 3500) < 0.01, '3500 Hz above the band removed');
+    test.assertApproxEqual(amplitudeAt(band, rate, 500), 1, 0.02, '500 Hz in the band passed');
+    const open = AudioPreprocessor.bandPass(tones, rate, 100, 5000);
+    test.assertApproxEqual(amplitudeAt(open, rate, 3500), 1, 0.02, 'A band edge above Nyquist is left open');
+    test.assertThrows(() => AudioPreprocessor.highPass(tones, rate, 4000), 'cutoff', 'Cutoff at Nyquist rejected');
+    test.assertThrows(() => AudioPreprocessor.lowPass(tones, rate, 1000, { order: 3 }), 'order', 'Odd order rejected');
+
+    return test.summary();
+}
+
+/**
+ * Test polyphase resampling
+ */
+function testResampling() {
+    const test = new SimpleTest('AudioPreprocessor resampling');
+    console.log('\n=== Testing Polyphase Resampling ===');
+
+    console.log('\nTest 1: 44.1 kHz to 48 kHz');
+    const cd = createTones([1000], 44100, 0.5);
+    const up = AudioPreprocessor.resample(cd, 44100, 48000);
+    test.assertEqual(up.length, 24000, 'ceil(length × 48000 / 44100) samples');
+    test.assertApproxEqual(amplitudeAt(up, 48000, 1000), 1, 0.005, '1 kHz tone kept at 1 kHz');
+    const expected = Array.from(up.subarray(6000, 18000), (_, i) => Math.sin(2 * Math.PI * 1000 * (i + 6000) / 48000));
+    test.assert(expected.every((v, i) => Math.abs(v - up[i + 6000]) < 0.001), 'Samples on the ideal sine');
+
+    console.log('\nTest 2: 48 kHz to 8 kHz phone rate');
+    const wide = createTones([1000, 5000], 48000, 0.5);
+    const phone = AudioPreprocessor.resample(wide, 48000, 8000);
+    test.assertEqual(phone.length, 4000, 'Six times fewer samples');
+    test.assertApproxEqual(amplitudeAt(phone, 8000, 1000), 1, 0.005, '1 kHz tone kept');
+    test.assert(amplitudeAt(phone, 8000, 3000) < 0.001,
+        `5 kHz does not alias to 3 kHz (${amplitudeAt(phone, 8000, 3000).toFixed(5)})`);
+
+    console.log('\nTest 3: 8 kHz up to 16 kHz, and the same rate');
+    const narrow = createTones([700], 8000, 0.5);
+    const doubled = AudioPreprocessor.resample(narrow, 8000, 16000);
+    test.assertApproxEqual(amplitudeAt(doubled, 16000, 700), 1, 0.005, '700 Hz tone kept');
+    test.assert(amplitudeAt(doubled, 16000, 7300) < 0.001, 'No image above the old Nyquist frequency');
+    const same = AudioPreprocessor.resample(narrow, 8000, 8000);
+    test.assert(same !== narrow && same.every((v, i) => v === narrow[i]), 'Same rate gives a copy');
+    test.assertThrows(() => AudioPreprocessor.resample(narrow, 8000, 11025.5), 'whole-number', 'Fractional rates rejected');
+
+    return test.summary();
+}
+
+/**
+ * Test chains, on their own and in AudioAnalyzer options
+ */
+async function testChains() {
+    const test = new SimpleTest('AudioPreprocessor chains');
+    console.log('\n=== Testing Preprocessing Chains ===');
+
+    console.log('\nTest 1: A declarative chain');
+    const input = createTones([10, 600], 44100, 1, 0.2);
+    const result = AudioPreprocessor.apply(input, 44100, [
+        'removeDC',
+        { type: 'highPass', cutoff: 60 },
+        { type: 'bandPass' },
+        { type: 'resample', sampleRate: 16000 },
+        'normalize'
+    ], { frequencyBand: { min: 50, max: 2000 } });
+    test.assertEqual(result.sampleRate, 16000, 'Sample rate after the chain');
+    test.assertEqual(result.samples.length, 16000, 'One second of samples at 16 kHz');
+    test.assertEqual(result.steps.map(step => step.type).join(' '), 'removeDC highPass bandPass resample normalize', 'Steps in order');
+    test.assertEqual(`${result.steps[2].min}-${result.steps[2].max}`, '50-2000', 'bandPass took the frequency band');
+    test.assertApproxEqual(Math.max(...result.samples.map(Math.abs)), 0.95, 1e-6, 'Peak normalized to 0.95');
+    test.assert(amplitudeAt(result.samples, 16000, 10) < 0.01 * amplitudeAt(result.samples, 16000, 600), '10 Hz rumble removed');
+    test.assertEqual(AudioPreprocessor.apply(input, 44100, []).samples, input, 'An empty chain returns the input');
+    test.assertThrows(() => AudioPreprocessor.apply(input, 44100, ['deNoise']), 'Unknown preprocessing step', 'Unknown steps rejected');
+    test.assertThrows(() => AudioPreprocessor.apply(input, 44100, [{ type: 'constructor' }]), 'Unknown preprocessing step',
+        'Object prototype names are not steps');
+    test.assertThrows(() => AudioPreprocessor.apply(input, 44100, [{ type: 'resample', targetRate: 8000 }]),
+        'Unknown resample setting: targetRate', 'Misspelt settings rejected, not ignored');
+    test.assertThrows(() => AudioPreprocessor.apply(input, 44100, [{ type: 'removeDC', cutoff: 20 }]),
+        'takes no settings', 'Settings on a step without any rejected');
+    test.assertThrows(() => AudioPreprocessor.apply(input, 44100, ['bandPass']), 'frequency band', 'bandPass needs a band');
+
+    console.log('\nTest 2: Configured in AudioAnalyzer options');
+    const pass = createPass(44100);
+    const analyzer = new AudioAnalyzer({
+        fftMode: 'JavaScript',
+        preprocessing: ['removeDC', { type: 'highPass', cutoff: 40 }, { type: 'resample', sampleRate: 16000 }]
+    });
+    const analysis = await quietly(analyzer.analyzeAudioForSpeed(pass, 44100));
+    test.assert(analysis.success, 'Speed found');
+    test.assert(Math.abs(analysis.speedMPH - 30) < 3, `Within 3 mph of 30 (got ${analysis.speedMPH?.toFixed(1)})`);
+    test.assertEqual(analysis.preprocessing?.sampleRate, 16000, 'Analysed at 16 kHz');
+    test.assertEqual(pass.length, 44100 * 6, 'Recording left as it was');
+    const passes = await quietly(analyzer.analyzePasses(pass, 44100));
+    test.assertEqual(passes.preprocessing?.steps.length, 3, 'Passes preprocessed once, as a whole');
+    test.assertApproxEqual(passes.duration, 6, 0.001, 'Duration unchanged by resampling');
+
+    console.log('\nTest 3: The worker pipeline honours the chain');
+    const pipeline = new AnalysisPipeline({
+        fftMode: 'JavaScript',
+        analysis: { preprocessing: [{ type: 'resample', sampleRate: 16000 }] }
+    });
+    const piped = await quietly(pipeline.analyze(createPass(44100), 44100, { expectedMph: 30 }));
+    test.assertEqual(piped.sampleCount, 16000 * 6, 'Sections cut from the resampled recording');
+    test.assert(piped.speed.valid, 'Valid speed');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 AUDIO PREPROCESSOR UNIT TESTS');
+    console.log('=================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Remove DC, wind rumble and out-of-band sound');
+    console.log('• Resample between 8, 16, 44.1 and 48 kHz');
+    console.log('• Configure a preprocessing chain for analysis');
+
+    const results = [];
+    results.push(testFilters());
+    results.push(testResampling());
+    results.push(await testChains());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All audio preprocessor tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -12,7 +12,11 @@
 
 import AudioProcessor from '../../docs/shared/audio-utils.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import pkg from 'wavefile';
+
+const { WaveFile } = pkg;
 
 /**
  * Simple test framework for beginners
@@ -47,9 +51,10 @@ class SimpleTest {
     }
     
     assertArrayEqual(actual, expected, message) {
-        const condition = Array.isArray(actual) && Array.isArray(expected) && 
+        const isArray = value => Array.isArray(value) || ArrayBuffer.isView(value);
+        const condition = isArray(actual) && isArray(expected) && 
                          actual.length === expected.length &&
-                         actual.every((val, i) => Math.abs(val - expected[i]) < 0.001);
+                         Array.from(actual).every((val, i) => Math.abs(val - expected[i]) < 0.001);
         this.assert(condition, `${message} (arrays ${condition ? 'match' : 'differ'})`);
     }
     
@@ -157,6 +162,15 @@ function testExtractTimeSections() {
         test.assert(true, 'Out of bounds range throws appropriate error');
     }
     
+    // Test 4: Typed arrays are sectioned without copying
+    console.log('\nTest 4: Float32Array sections are views');
+    const typedSamples = Float32Array.from(samples);
+    const typedSections = AudioProcessor.extractTimeSections(typedSamples, sampleRate, timeRanges);
+    test.assert(typedSections.section1 instanceof Float32Array, 'Section is a Float32Array');
+    test.assert(typedSections.section1.buffer === typedSamples.buffer, 'Section shares the recording\'s memory');
+    test.assertEqual(typedSections.section1.byteOffset, 1000 * 4, 'Section starts at 1.0 s');
+    test.assertArrayEqual(typedSections.section2, sections.section2, 'Same samples as a plain-array section');
+    
     return test.summary();
 }
 
@@ -202,10 +216,53 @@ function testErrorHandling() {
     return test.summary();
 }
 
+/**
+ * Test loading every channel of multichannel audio
+ */
+async function testMultichannelLoading() {
+    const test = new SimpleTest('AudioProcessor multichannel');
+    console.log('\n=== Testing Multichannel Loading ===');
+
+    console.log('\nTest 1: Deinterleave');
+    const channels = AudioProcessor.deinterleave([1, -1, 2, -2, 3, -3], 2);
+    test.assertArrayEqual(channels[0], [1, 2, 3], 'Left channel');
+    test.assertArrayEqual(channels[1], [-1, -2, -3], 'Right channel');
+    test.assert(channels[0] instanceof Float32Array, 'Channels are Float32Arrays');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-processor-'));
+    try {
+        console.log('\nTest 2: Stereo WAV file');
+        const wav = new WaveFile();
+        wav.fromScratch(2, 8000, '16', [[1000, 2000, 3000], [-1000, -2000, -3000]]);
+        const wavPath = path.join(directory, 'stereo.wav');
+        fs.writeFileSync(wavPath, wav.toBuffer());
+
+        const stereo = await AudioProcessor.loadWavFile(wavPath);
+        test.assertEqual(stereo.channels.length, 2, 'Both channels loaded');
+        test.assertArrayEqual(stereo.channels[1], [-1000, -2000, -3000], 'Right channel kept');
+        test.assertArrayEqual(stereo.samples, [1000, 2000, 3000], 'samples is the left channel, not interleaved');
+        test.assert(stereo.samples instanceof Float32Array, 'Loaded as a Float32Array');
+
+        console.log('\nTest 3: Interleaved raw PCM');
+        const raw = Buffer.alloc(8);
+        [16384, -16384, 8192, -8192].forEach((value, i) => raw.writeInt16LE(value, i * 2));
+        const rawPath = path.join(directory, 'stereo.raw');
+        fs.writeFileSync(rawPath, raw);
+
+        const rawAudio = await AudioProcessor.loadRawFile(rawPath, 8000, 2);
+        test.assertArrayEqual(rawAudio.channels[0], [0.5, 0.25], 'Raw left channel');
+        test.assertArrayEqual(rawAudio.channels[1], [-0.5, -0.25], 'Raw right channel');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return test.summary();
+}
+
 /**
  * Run all tests
  */
-function runAllTests() {
+async function runAllTests() {
     console.log('🧪 AUDIO PROCESSOR UNIT TESTS');
     console.log('===============================');
     console.log('These tests demonstrate how to:');
@@ -218,6 +275,7 @@ function runAllTests() {
     results.push(testNormalizeAmplitude());
     results.push(testExtractTimeSections());
     results.push(testErrorHandling());
+    results.push(await testMultichannelLoading());
     
     const allPassed = results.every(result => result === true);
     const passedCount = results.filter(result => result === true).length;
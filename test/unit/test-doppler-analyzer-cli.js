@@ -0,0 +1,313 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for the doppler-analyzer command-line tool
+ *
+ * These tests show beginners how to:
+ * - Check command-line parsing without starting a process
+ * - Run the CLI on WAV files written to a temporary directory
+ * - Check the exit codes and the CSV and JSON output
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import pkg from 'wavefile';
+import { run, parseArguments, formatTable, formatCsv, EXIT_CODES, UsageError } from '../../bin/doppler-analyzer.js';
+import VehicleFeatureExtractor from '../../docs/shared/vehicle-features.js';
+import VehicleClassifier from '../../docs/shared/vehicle-classifier.js';
+
+const { WaveFile } = pkg;
+const CLI_PATH = fileURLToPath(new URL('../../bin/doppler-analyzer.js', import.meta.url));
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+const SPEED_MS = 13.41; // 30 mph
+
+/**
+ * Write a mono 32-bit float WAV file
+ */
+function writeWav(filePath, samples) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, SAMPLE_RATE, '32f', samples);
+    fs.writeFileSync(filePath, wav.toBuffer());
+}
+
+/**
+ * Four seconds of a 300 Hz tone (plus second harmonic) driving past 5 m away at 30 mph
+ */
+function createPass() {
+    const samples = new Float32Array(SAMPLE_RATE * 4);
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const along = SPEED_MS * (i / SAMPLE_RATE - 2);
+        const distance = Math.hypot(5, along);
+        phase += 2 * Math.PI * 300 * SOUND_SPEED / (SOUND_SPEED + SPEED_MS * along / distance) / SAMPLE_RATE;
+        samples[i] = 5 / distance * (Math.sin(phase) + 0.5 * Math.sin(2 * phase));
+    }
+    return samples;
+}
+
+/**
+ * Collects what the CLI writes
+ */
+function createOutput() {
+    const output = { stdout: '', stderr: '' };
+    output.io = {
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } }
+    };
+    return output;
+}
+
+/**
+ * Test argument parsing
+ */
+function testArgumentParsing() {
+    const test = new SimpleTest('parseArguments');
+    console.log('\n=== Testing Argument Parsing ===');
+
+    console.log('\nTest 1: Defaults');
+    const defaults = parseArguments(['clip.wav']);
+    test.assertEqual(defaults.inputs.join(','), 'clip.wav', 'Input file');
+    test.assertEqual(defaults.analysis.windowType, 'hamming', 'Default window');
+    test.assertEqual(defaults.analysis.profile.name, 'car', 'Default profile');
+    test.assertEqual(defaults.analysis.fftMode, 'auto', 'Default FFT mode');
+    test.assertEqual(defaults.analysis.sectioningStrategy, 'auto', 'Default sectioning');
+    test.assertEqual(defaults.format, 'table', 'Default format');
+    test.assertEqual(defaults.analyzer.environment, undefined, 'No environment unless given');
+
+    console.log('\nTest 2: Options');
+    const options = parseArguments(['-t', '15', '--humidity', '80', '-w', 'hann', '-m', 'JavaScript',
+        '--approach', '0.5-1.5', '--recede', '2.5-3.5', '-f', 'csv', 'a.wav', 'recordings']);
+    test.assertEqual(options.analyzer.environment.temperature, 15, 'Temperature');
+    test.assertEqual(options.analyzer.environment.humidity, 80, 'Humidity');
+    test.assertEqual(options.analysis.windowType, 'hann', 'Window');
+    test.assertEqual(options.analysis.sectioningStrategy, 'time_based', 'Time ranges imply time_based sectioning');
+    test.assertEqual(options.analysis.timeRanges.receding.join('-'), '2.5-3.5', 'Recede range');
+    test.assertEqual(options.inputs.length, 2, 'Several inputs');
+    const interval = parseArguments(['--distance', '2.5', '--temp-uncertainty', '0.5', 'a.wav']);
+    test.assertEqual(interval.analysis.uncertainty.lateralDistance, 2.5, 'Distance for the speed interval');
+    test.assertEqual(interval.analysis.uncertainty.temperatureUncertainty, 0.5, 'Temperature uncertainty');
+    test.assertEqual(interval.analysis.geometry.lateralDistance, 2.5, 'Distance also corrects the speed');
+    test.assertEqual(parseArguments(['--estimate-distance', 'a.wav']).analysis.geometry.lateralDistance, undefined,
+        'Distance estimated when not given');
+
+    const truck = parseArguments(['-p', 'truck', 'a.wav']);
+    test.assertEqual(truck.analysis.profile.name, 'truck', 'Profile');
+    test.assertEqual(truck.analysis.windowType, 'hann', 'Window from the profile');
+    test.assertEqual(parseArguments(['-p', 'truck', '-w', 'none', 'a.wav']).analysis.windowType, 'none',
+        'Window option wins over the profile');
+
+    console.log('\nTest 3: Fixed sound speed wins over temperature');
+    const fixed = parseArguments(['--sound-speed', '340', '-t', '30', 'a.wav']);
+    test.assertEqual(fixed.analyzer.soundSpeed, 340, 'Sound speed');
+    test.assertEqual(fixed.analyzer.environment, undefined, 'Environment ignored');
+
+    console.log('\nTest 4: Usage errors');
+    const usageErrors = [
+        [],
+        ['-w', 'triangle', 'a.wav'],
+        ['-t', 'warm', 'a.wav'],
+        ['--approach', '2-1', '--recede', '3-4', 'a.wav'],
+        ['--sectioning', 'time_based', 'a.wav'],
+        ['--distance', '0', 'a.wav'],
+        ['--profile', 'tractor', 'a.wav'],
+        ['--profile', 'missing-profile.json', 'a.wav'],
+        ['--classifier', 'missing-model.json', 'a.wav'],
+        ['--unknown', 'a.wav'],
+        ['--humidity', '150', 'a.wav'],
+        ['--temperature=-300', 'a.wav'],
+        ['--pressure', '0', 'a.wav'],
+        ['--sound-speed', '0', 'a.wav']
+    ];
+    usageErrors.forEach(args => {
+        let error = null;
+        try {
+            parseArguments(args);
+        } catch (e) {
+            error = e;
+        }
+        test.assert(error instanceof UsageError, `Rejects: ${args.join(' ') || '(no arguments)'}`);
+    });
+
+    console.log('\nTest 5: CSV quoting');
+    const csv = formatCsv([{ file: 'a,b.wav', detected: false, error: 'say "hi"' }]);
+    test.assert(csv.split('\n')[1].startsWith('"a,b.wav",false,'), 'Comma in file name quoted');
+    test.assert(csv.includes('"say ""hi"""'), 'Quotes doubled');
+
+    return test.summary();
+}
+
+/**
+ * Test running the CLI on files
+ */
+async function testRun() {
+    const test = new SimpleTest('doppler-analyzer run');
+    console.log('\n=== Testing CLI Runs ===');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'doppler-analyzer-'));
+    try {
+        const passFile = path.join(directory, 'pass.wav');
+        const silentFile = path.join(directory, 'silent.wav');
+        writeWav(passFile, createPass());
+        writeWav(silentFile, new Float32Array(SAMPLE_RATE * 2));
+        fs.writeFileSync(path.join(directory, 'notes.txt'), 'not audio');
+
+        console.log('\nTest 1: A vehicle pass as JSON');
+        const found = createOutput();
+        const foundCode = await run(['-m', 'JavaScript', '-f', 'json', passFile], found.io);
+        const [row] = JSON.parse(found.stdout);
+        test.assertEqual(foundCode, EXIT_CODES.DETECTED, 'Exit code when a Doppler pattern is found');
+        test.assertEqual(row.detected, true, 'Detected');
+        test.assertNear(row.speedMPH, 30, 3, 'Speed');
+        test.assertEqual(row.sampleRate, SAMPLE_RATE, 'Sample rate reported');
+        test.assert(row.speedLowerMPH <= row.speedMPH && row.speedMPH <= row.speedUpperMPH, 'Interval around the speed');
+        // Two tones are fewer than a harmonic series needs, but every pairing strategy chooses the pair
+        test.assertEqual(row.intervalReliable, true, 'Interval of a confirmed pair is reliable');
+        const table = createOutput();
+        await run(['-m', 'JavaScript', passFile], table.io);
+        const interval = `${row.speedLowerMPH.toFixed(1)}-${row.speedUpperMPH.toFixed(1)}`;
+        test.assert(table.stdout.includes(interval) && !table.stdout.includes(' (unreliable)'), 'Reliable interval in the table');
+
+        console.log('\nTest 2: A directory with a silent file as CSV');
+        const mixed = createOutput();
+        const mixedCode = await run(['-m', 'JavaScript', '-f', 'csv', directory], mixed.io);
+        const lines = mixed.stdout.trim().split('\n');
+        test.assertEqual(mixedCode, EXIT_CODES.NOT_DETECTED, 'Exit code when a file has no Doppler pattern');
+        test.assertEqual(lines.length, 3, 'Header plus one line per audio file');
+        test.assert(lines[2].includes('silent.wav,false'), 'Silent file not detected');
+
+        console.log('\nTest 3: Missing files and bad options');
+        const missing = createOutput();
+        const missingCode = await run(['-m', 'JavaScript', path.join(directory, 'missing.wav')], missing.io);
+        test.assertEqual(missingCode, EXIT_CODES.FILE_ERROR, 'Exit code for a missing file');
+        test.assert(missing.stdout.includes('File not found'), 'Missing file reported');
+
+        const usage = createOutput();
+        const usageCode = await run(['--format', 'xml', passFile], usage.io);
+        test.assertEqual(usageCode, EXIT_CODES.USAGE, 'Exit code for a bad option');
+        test.assert(usage.stderr.includes('--format'), 'Usage error on stderr');
+        test.assertEqual(usage.stdout, '', 'Nothing on stdout');
+
+        console.log('\nTest 4: A profile saved as JSON');
+        const profileFile = path.join(directory, 'quad.json');
+        fs.writeFileSync(profileFile, JSON.stringify({ name: 'quad', extends: 'motorbike', speedBand: { min: 5, max: 60 } }));
+        const quad = parseArguments(['--profile', profileFile, passFile]).analysis.profile;
+        test.assertEqual(quad.name, 'quad', 'Profile loaded');
+        test.assertEqual(quad.frequencyBand.max, 4000, 'Unset fields from the base profile');
+
+        console.log('\nTest 5: Vehicle class from a model file');
+        const modelFile = path.join(directory, 'model.json');
+        const features = VehicleFeatureExtractor.getFeatureNames();
+        fs.writeFileSync(modelFile, VehicleClassifier.train([
+            { label: 'car', vector: features.map(() => 0) },
+            { label: 'truck', vector: features.map(() => 1) }
+        ]).toJSON());
+        const classified = createOutput();
+        await run(['-m', 'JavaScript', '-f', 'json', '--classifier', modelFile, passFile], classified.io);
+        const [classifiedRow] = JSON.parse(classified.stdout);
+        test.assert(['car', 'truck'].includes(classifiedRow.vehicleClass), 'Class reported');
+        test.assert(classifiedRow.vehicleClassConfidence >= 0.5, 'With its confidence');
+        test.assert(formatTable([classifiedRow]).includes('Class'), 'Class column in the table');
+
+        console.log('\nTest 6: JSON from a separate process');
+        // Every FFT backend must finish loading, and logging, before the report is written
+        for (const mode of ['auto', 'WASM+noSIMD', 'JavaScript']) {
+            const child = spawnSync(process.execPath, [CLI_PATH, '-m', mode, '-f', 'json', passFile], { encoding: 'utf8', timeout: 60000 });
+            let parsed = null;
+            try {
+                parsed = JSON.parse(child.stdout);
+            } catch (error) {
+                console.log(`  stdout was: ${child.stdout}`);
+            }
+            test.assertEqual(child.status, EXIT_CODES.DETECTED, `Exit code from the process (${mode})`);
+            test.assert(Array.isArray(parsed) && parsed.length === 1, `stdout is one JSON document (${mode})`);
+        }
+
+        const rejected = spawnSync(process.execPath, [CLI_PATH, '--humidity', '150', passFile], { encoding: 'utf8', timeout: 60000 });
+        test.assertEqual(rejected.status, EXIT_CODES.USAGE, 'Out-of-range humidity is a usage error');
+        test.assert(rejected.stderr.includes('--humidity') && !rejected.stderr.includes('    at '), 'Usage message without a stack trace');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 DOPPLER ANALYZER CLI UNIT TESTS');
+    console.log('==================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Parse command-line options into analysis settings');
+    console.log('• Analyse files and directories from the command line');
+    console.log('• Check exit codes and machine-readable output');
+
+    const results = [];
+    results.push(testArgumentParsing());
+    results.push(await testRun());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All doppler-analyzer CLI tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,247 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for DopplerSpeedCalculator
+ * 
+ * These tests show beginners how to:
+ * - Test physics formulas against published reference values
+ * - Test configuration APIs that change later calculations
+ * - Test that result objects carry the inputs they were derived from
+ */
+
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+    
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+    
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+    
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+    
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Test speed of sound derived from temperature, humidity and pressure
+ */
+function testSoundSpeedFromEnvironment() {
+    const test = new SimpleTest('DopplerSpeedCalculator.calculateSoundSpeed');
+    console.log('\n=== Testing Speed of Sound from Environment ===');
+    
+    // Test 1: Reference values for dry and humid air
+    console.log('\nTest 1: Reference values');
+    test.assertNear(DopplerSpeedCalculator.calculateSoundSpeed(20, 0), 343.3, 0.2, 'Dry air at 20°C');
+    test.assertNear(DopplerSpeedCalculator.calculateSoundSpeed(0, 0), 331.4, 0.2, 'Dry air at 0°C');
+    test.assertNear(DopplerSpeedCalculator.calculateSoundSpeed(15, 50), 340.9, 0.2, '50% RH at 15°C');
+    
+    // Test 2: Physical trends
+    console.log('\nTest 2: Physical trends');
+    test.assert(DopplerSpeedCalculator.calculateSoundSpeed(30, 50) > DopplerSpeedCalculator.calculateSoundSpeed(10, 50),
+        'Warmer air carries sound faster');
+    test.assert(DopplerSpeedCalculator.calculateSoundSpeed(20, 90) > DopplerSpeedCalculator.calculateSoundSpeed(20, 10),
+        'Humid air carries sound faster');
+    test.assertNear(DopplerSpeedCalculator.calculateSoundSpeed(20, 50, 90000),
+        DopplerSpeedCalculator.calculateSoundSpeed(20, 50, 101325), 0.3, 'Pressure has only a small effect');
+    
+    // Test 3: Constructor uses the temperature argument
+    console.log('\nTest 3: Constructor temperature');
+    const cold = new DopplerSpeedCalculator(null, 0);
+    const warm = new DopplerSpeedCalculator(null, 30);
+    test.assert(warm.soundSpeed - cold.soundSpeed > 15, 'Temperature argument changes soundSpeed');
+    test.assertEqual(cold.ambientTemperature, 0, 'ambientTemperature stored');
+    
+    // Test 4: Fixed speed of sound still supported
+    console.log('\nTest 4: Fixed speed of sound');
+    const fixed = new DopplerSpeedCalculator(343);
+    test.assertEqual(fixed.soundSpeed, 343, 'Numeric soundSpeed used as-is');
+    test.assertEqual(fixed.getEnvironment().source, 'fixed', 'Source reported as fixed');
+    
+    return test.summary();
+}
+
+/**
+ * Test the setEnvironment() API
+ */
+function testSetEnvironment() {
+    const test = new SimpleTest('DopplerSpeedCalculator.setEnvironment');
+    console.log('\n=== Testing setEnvironment ===');
+    
+    // Test 1: Environment object in constructor and partial updates
+    console.log('\nTest 1: Partial updates keep other fields');
+    const calculator = new DopplerSpeedCalculator({ temperature: 15, humidity: 80 });
+    const before = calculator.soundSpeed;
+    const environment = calculator.setEnvironment({ pressure: 95000 });
+    test.assertEqual(environment.temperature, 15, 'Temperature kept');
+    test.assertEqual(environment.humidity, 80, 'Humidity kept');
+    test.assertEqual(environment.pressure, 95000, 'Pressure updated');
+    test.assert(calculator.soundSpeed !== before, 'soundSpeed recomputed');
+    test.assertEqual(environment.source, 'environment', 'Source reported as environment');
+    
+    // Test 2: Speed scales with speed of sound
+    console.log('\nTest 2: Speed follows speed of sound');
+    const hot = new DopplerSpeedCalculator({ temperature: 30 });
+    const freezing = new DopplerSpeedCalculator({ temperature: 0 });
+    const ratio = hot.calculateSpeed(1050, 950) / freezing.calculateSpeed(1050, 950);
+    test.assertNear(ratio, hot.soundSpeed / freezing.soundSpeed, 1e-9, 'Speed ratio equals sound speed ratio');
+    
+    // Test 3: Invalid input is rejected
+    console.log('\nTest 3: Invalid environment');
+    let threw = false;
+    try {
+        calculator.setEnvironment({ humidity: 150 });
+    } catch (error) {
+        threw = error.message.includes('humidity');
+    }
+    test.assert(threw, 'Humidity above 100% rejected');
+    test.assertEqual(calculator.getEnvironment().humidity, 80, 'Rejected update leaves environment unchanged');
+    
+    // Test 4: Validity range flag
+    console.log('\nTest 4: Validated range');
+    test.assert(!new DopplerSpeedCalculator({ temperature: -10 }).getEnvironment().withinValidatedRange,
+        'Below 0°C flagged as outside validated range');
+    
+    return test.summary();
+}
+
+/**
+ * Test that validation results report the speed of sound used
+ */
+function testValidationResultsReportSoundSpeed() {
+    const test = new SimpleTest('DopplerSpeedCalculator.calculateSpeedWithValidation');
+    console.log('\n=== Testing Sound Speed in Results ===');
+    
+    const calculator = new DopplerSpeedCalculator({ temperature: 15, humidity: 60 });
+    
+    console.log('\nTest 1: Valid result');
+    const valid = calculator.calculateSpeedWithValidation(1050, 950);
+    test.assert(valid.valid, 'Calculation valid');
+    test.assertEqual(valid.soundSpeed, calculator.soundSpeed, 'soundSpeed reported');
+    test.assertEqual(valid.environment.temperature, 15, 'Environment reported');
+    
+    console.log('\nTest 2: Invalid results');
+    const invalidFrequency = calculator.calculateSpeedWithValidation(-5, 950);
+    const tooSmall = calculator.calculateSpeedWithValidation(1000, 1000.5);
+    test.assertEqual(invalidFrequency.soundSpeed, calculator.soundSpeed, 'soundSpeed on invalid frequency result');
+    test.assertEqual(tooSmall.soundSpeed, calculator.soundSpeed, 'soundSpeed on small-shift result');
+    
+    return test.summary();
+}
+
+/**
+ * Frequency heard from a source passing `distance` metres away, t seconds from closest approach
+ */
+function observedFrequency(sourceFrequency, speed, distance, time, soundSpeed) {
+    const along = speed * time;
+    return sourceFrequency * soundSpeed / (soundSpeed + speed * along / Math.hypot(along, distance));
+}
+
+/**
+ * Test the correction for the microphone's distance from the road
+ */
+function testGeometryCorrection() {
+    const test = new SimpleTest('DopplerSpeedCalculator.calculateSpeedWithGeometry');
+    console.log('\n=== Testing Geometry Correction ===');
+    
+    const calculator = new DopplerSpeedCalculator(343);
+    const speed = 13.41; // 30 mph
+    const approach = observedFrequency(300, speed, 6, -1.5, 343);
+    const recede = observedFrequency(300, speed, 6, 1.5, 343);
+    const windows = { approachWindow: [0, 2], recedeWindow: [3, 5], closestApproachTime: 2.5 };
+    
+    console.log('\nTest 1: Known lateral distance');
+    const corrected = calculator.calculateSpeedWithGeometry(approach, recede, { ...windows, lateralDistance: 6 });
+    test.assert(corrected.valid, 'Correction valid');
+    test.assertNear(corrected.speedMPH, 30, 0.01, 'True speed recovered');
+    test.assert(corrected.uncorrectedSpeedMPH < 29, `Uncorrected speed is low (${corrected.uncorrectedSpeedMPH.toFixed(2)} mph)`);
+    const angle = Math.atan2(6, speed * 1.5) * 180 / Math.PI;
+    test.assertNear(corrected.approachAngle, angle, 0.01, 'Approach angle reported');
+    test.assertNear(corrected.recedeAngle, angle, 0.01, 'Recede angle reported');
+    test.assertEqual(corrected.distanceSource, 'given', 'Distance source');
+    
+    console.log('\nTest 2: Distance estimated from the frequency transition');
+    const track = [];
+    for (let time = 0; time <= 5; time += 0.05) {
+        track.push({ time, frequency: observedFrequency(300, speed, 6, time - 2.5, 343) });
+    }
+    const estimated = calculator.calculateSpeedWithGeometry(approach, recede, {
+        approachWindow: windows.approachWindow, recedeWindow: windows.recedeWindow, track
+    });
+    test.assertEqual(estimated.distanceSource, 'estimated', 'Distance source');
+    test.assertNear(estimated.lateralDistance, 6, 0.05, 'Distance from the curve shape');
+    test.assertNear(estimated.closestApproachTime, 2.5, 0.01, 'Closest approach from the curve');
+    test.assertNear(estimated.speedMPH, 30, 0.1, 'Speed corrected with the estimated distance');
+    
+    console.log('\nTest 3: Missing inputs');
+    test.assert(!calculator.calculateSpeedWithGeometry(approach, recede, { lateralDistance: 6 }).valid, 'Windows required');
+    const noTrack = calculator.calculateSpeedWithGeometry(approach, recede, { ...windows, track: [] });
+    test.assert(!noTrack.valid && noTrack.error.includes('could not be estimated'), 'No distance and no track');
+    
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    console.log('🧪 DOPPLER CALCULATOR UNIT TESTS');
+    console.log('=================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Test physics formulas against reference values');
+    console.log('• Test configuration that affects later calculations');
+    console.log('• Test error handling for invalid input');
+    
+    const results = [];
+    results.push(testSoundSpeedFromEnvironment());
+    results.push(testSetEnvironment());
+    results.push(testValidationResultsReportSoundSpeed());
+    results.push(testGeometryCorrection());
+    
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+    
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+    
+    if (allPassed) {
+        console.log('🎉 All DopplerSpeedCalculator tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+    
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,163 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for DopplerCurveFitter
+ *
+ * These tests show beginners how to:
+ * - Generate data from the model itself and check the fit recovers it
+ * - Check that reported uncertainties are consistent with the actual error
+ * - Test robustness against outliers
+ */
+
+import DopplerCurveFitter from '../../docs/shared/doppler-curve-fitter.js';
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Track points sampled from the model with fixed-seed noise
+ */
+function createTrack(params, soundSpeed, noiseHz, duration = 4, frameTime = 0.032) {
+    let seed = 42;
+    const points = [];
+    for (let time = 0; time <= duration; time += frameTime) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const noise = (seed / 2147483648 - 0.5) * 2 * noiseHz;
+        points.push({ time, frequency: DopplerCurveFitter.model(time, params, soundSpeed) + noise });
+    }
+    return points;
+}
+
+/**
+ * Test parameter recovery
+ */
+function testCurveFit() {
+    const test = new SimpleTest('DopplerCurveFitter.fit');
+    console.log('\n=== Testing S-Curve Fit ===');
+
+    const soundSpeed = 340.3; // 15°C
+    const fitter = new DopplerCurveFitter(soundSpeed);
+
+    console.log('\nTest 1: 20 mph at 2.5 m');
+    const near = fitter.fit(createTrack([300, 8.94, 2, 2.5], soundSpeed, 1));
+    test.assert(near.success, 'Fit succeeded');
+    test.assertNear(near.speedMph, 20, 0.5, 'Speed recovered');
+    test.assertNear(near.distance, 2.5, 0.3, 'Distance recovered');
+    test.assertNear(near.closestApproachTime, 2, 0.02, 'Closest approach time recovered');
+    test.assertNear(near.sourceFrequency, 300, 0.5, 'Source frequency recovered');
+    test.assert(near.rSquared > 0.99, 'Residuals small relative to the S-curve');
+
+    console.log('\nTest 2: 30 mph at 6 m, uncertainty is consistent with the error');
+    const far = fitter.fit(createTrack([450, 13.41, 1.8, 6], soundSpeed, 2));
+    test.assertNear(far.speedMph, 30, 1, 'Speed recovered');
+    test.assertNear(far.distance, 6, 0.6, 'Distance recovered');
+    test.assert(far.uncertainty.speedMph > 0, 'Speed uncertainty reported');
+    test.assert(Math.abs(far.speedMph - 30) < 4 * far.uncertainty.speedMph, 'Error within 4 standard errors');
+    test.assertEqual(far.residuals.length, far.pointsUsed, 'One residual per point used');
+
+    console.log('\nTest 3: Two-point formula under-reads a pass at a distance');
+    const calculator = new DopplerSpeedCalculator(soundSpeed);
+    const track = createTrack([450, 13.41, 1, 6], soundSpeed, 0, 2);
+    const twoPointMph = calculator.calculateSpeed(track[0].frequency, track[track.length - 1].frequency) * 0.621371;
+    const fitted = calculator.fitDopplerCurve(track);
+    test.assert(twoPointMph < 28, `Two-point speed is low (${twoPointMph.toFixed(1)} mph)`);
+    test.assert(fitted.valid, 'Calculator fit is valid');
+    test.assertNear(fitted.speedMPH, 30, 0.2, 'Curve fit gives the true speed');
+    test.assertEqual(fitted.soundSpeed, soundSpeed, 'Sound speed reported');
+
+    console.log('\nTest 4: Outliers are rejected');
+    const noisy = createTrack([300, 8.94, 2, 2.5], soundSpeed, 1);
+    noisy[20].frequency += 80;
+    noisy[90].frequency -= 60;
+    const robust = fitter.fit(noisy);
+    test.assertEqual(robust.outliersRemoved, 2, 'Both outliers dropped');
+    test.assertNear(robust.speedMph, 20, 0.5, 'Speed unaffected');
+
+    console.log('\nTest 5: Per-point frequency uncertainty weights the fit');
+    const unweighted = createTrack([450, 13.41, 1.8, 6], soundSpeed, 0.5);
+    const weightedTrack = unweighted.map(point => ({ ...point, frequencyUncertainty: 0.5 }));
+    const weighted = fitter.fit(weightedTrack);
+    test.assert(weighted.weighted, 'Weighted fit used');
+    test.assert(!fitter.fit(unweighted).weighted, 'Unweighted without uncertainties');
+    test.assertNear(weighted.speedMph, 30, 0.5, 'Speed recovered');
+    test.assert(Number.isFinite(weighted.reducedChiSquare), 'Reduced chi-square reported');
+
+    console.log('\nTest 6: Unfittable tracks');
+    test.assert(!fitter.fit([{ time: 0, frequency: 300 }]).success, 'Too few points rejected');
+    const rising = createTrack([300, 8.94, 2, 2.5], soundSpeed, 0).map(point => ({ ...point, frequency: 600 - point.frequency }));
+    test.assert(!fitter.fit(rising).success, 'Rising track rejected');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    console.log('🧪 DOPPLER CURVE FITTER UNIT TESTS');
+    console.log('==================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Recover known parameters from model-generated data');
+    console.log('• Check uncertainties against actual errors');
+    console.log('• Test outlier rejection');
+
+    const results = [];
+    results.push(testCurveFit());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All DopplerCurveFitter tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,272 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for FFTBackends
+ *
+ * These tests show beginners how to:
+ * - Ask the registry for an FFT by name
+ * - Plug in your own FFT without touching the spectrum analyzer
+ * - Check that 'auto' skips backends that do not work here
+ */
+
+import FFTBackends from '../../docs/shared/fft-backends.js';
+import SpectrumAnalyzer from '../../docs/shared/spectrum-analyzer.js';
+import Spectrogram from '../../docs/shared/spectrogram.js';
+import PureJsSpectrumAnalyzer from '../../docs/pure-js/spectrum-analyzer.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Direct DFT, the reference every backend must agree with
+ * @returns {Array} Interleaved [re, im] pairs
+ */
+function referenceDFT(signal) {
+    const n = signal.length;
+    const result = new Array(n * 2).fill(0);
+    for (let k = 0; k < n; k++) {
+        for (let t = 0; t < n; t++) {
+            const angle = -2 * Math.PI * k * t / n;
+            result[k * 2] += signal[t] * Math.cos(angle);
+            result[k * 2 + 1] += signal[t] * Math.sin(angle);
+        }
+    }
+    return result;
+}
+
+/**
+ * An FFT backend that counts its calls, built on the JavaScript one
+ */
+async function createCountingBackend(priority) {
+    const { fft } = await FFTBackends.resolve('JavaScript');
+    const backend = {
+        calls: 0,
+        load: async () => signal => {
+            backend.calls++;
+            return fft(signal);
+        },
+        priority,
+        description: 'Counting test FFT'
+    };
+    return backend;
+}
+
+/**
+ * Expect a promise to reject with a message containing `text`
+ */
+async function rejectsWith(promise, text) {
+    try {
+        await promise;
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * Test the built-in backends
+ */
+async function testBuiltIns() {
+    const test = new SimpleTest('FFTBackends built-in');
+    console.log('\n=== Testing Built-in Backends ===');
+
+    console.log('\nTest 1: Names in priority order');
+    test.assertEqual(FFTBackends.list().join(','), 'WASM+SIMD,WASM+noSIMD,JavaScript', 'Fastest first');
+    test.assertEqual(FFTBackends.getModes()[0], 'auto', "'auto' is a mode too");
+    test.assertEqual(FFTBackends.getDescription('JavaScript'), 'Pure JavaScript Cooley-Tukey Algorithm - Universal Compatibility',
+        'Description');
+
+    console.log('\nTest 2: The JavaScript FFT matches a direct DFT');
+    const signal = [0.5, 1, -0.25, 0, 0.75, -1, 0.3, 0.1];
+    const implementation = await FFTBackends.resolve('JavaScript');
+    test.assertEqual(implementation.mode, 'JavaScript', 'Mode reported');
+    test.assertEqual(implementation.isAsync, false, 'Synchronous');
+    const result = implementation.fft(signal);
+    const expected = referenceDFT(signal);
+    test.assert(expected.every((value, i) => Math.abs(value - result[i]) < 1e-9), 'Same spectrum');
+    test.assert(await FFTBackends.resolve('JavaScript') === implementation, 'Loaded once and reused');
+
+    console.log('\nTest 3: Mistakes');
+    test.assert(await rejectsWith(FFTBackends.resolve('wasm-no-simd'), 'Use one of auto, WASM+SIMD'),
+        'Unknown name lists the modes');
+    let error = null;
+    try {
+        FFTBackends.register('JavaScript', { load: async () => null });
+    } catch (e) {
+        error = e;
+    }
+    test.assert(error?.message.includes('built-in'), 'Built-in backends cannot be replaced');
+    test.assertEqual(FFTBackends.unregister('JavaScript'), false, 'Built-in backends are not removed');
+    FFTBackends.register('toString', { load: async () => null });
+    test.assert(FFTBackends.list().includes('toString') && FFTBackends.unregister('toString'),
+        'Names like toString are not mistaken for built-ins');
+
+    console.log('\nTest 4: Fixed-backend analyzers');
+    const pureJs = new PureJsSpectrumAnalyzer(signal, 8000, { fftMode: 'WASM+SIMD' });
+    await pureJs.calculatePowerSpectrum();
+    test.assertEqual(pureJs.getImplementationInfo().mode, 'JavaScript', 'pure-js analyzer always uses JavaScript');
+
+    console.log('\nTest 5: Float32Array views in, without copying or writing to them');
+    const tone = Array.from({ length: 1536 }, (_, i) => Math.sin(2 * Math.PI * 440 * i / 8000));
+    const recording = Float32Array.from(tone);
+    const view = recording.subarray(512);
+    const fromArray = new SpectrumAnalyzer(Array.from(view), 8000, { fftMode: 'JavaScript' });
+    const fromView = new SpectrumAnalyzer(view, 8000, { fftMode: 'JavaScript' });
+    await fromArray.calculatePowerSpectrum();
+    await fromView.calculatePowerSpectrum();
+    test.assert(fromView.samples === view, 'Analyzer keeps the view itself');
+    test.assert(fromView.powerSpectrum.every((power, i) => power === fromArray.powerSpectrum[i]), 'Same spectrum as from an array');
+    test.assert(recording.every((value, i) => value === Math.fround(tone[i])), 'Recording left untouched');
+
+    return test.summary();
+}
+
+/**
+ * Test third-party backends
+ */
+async function testRegistration() {
+    const test = new SimpleTest('FFTBackends registration');
+    console.log('\n=== Testing Registered Backends ===');
+
+    console.log('\nTest 1: Used by name');
+    const counting = await createCountingBackend(0);
+    FFTBackends.register('counting', counting);
+    test.assertEqual(FFTBackends.list().at(-1), 'counting', 'Lowest priority last');
+    await FFTBackends.resolve('counting');
+    test.assertEqual(counting.calls, 1, 'Probed with one small FFT when first resolved');
+    counting.calls = 0;
+    const samples = Array.from({ length: 1024 }, (_, i) => Math.sin(2 * Math.PI * 250 * i / 8000));
+    const analyzer = new SpectrumAnalyzer(samples, 8000, { fftMode: 'counting' });
+    await analyzer.calculatePowerSpectrum();
+    test.assertEqual(counting.calls, 1, 'SpectrumAnalyzer used the registered FFT');
+    test.assertNear(analyzer.findPeakFrequency(), 250, 8000 / 1024, 'Peak at the tone');
+    test.assertEqual(analyzer.getImplementationInfo().description, 'Counting test FFT', 'Description reported');
+
+    const spectrogram = await new Spectrogram(8000, { fftSize: 256, fftMode: 'counting' }).compute(samples);
+    test.assertEqual(spectrogram.fftMode, 'counting', 'Spectrogram resolved it too');
+    test.assertEqual(counting.calls, 1 + spectrogram.frameCount, 'One call per frame');
+
+    console.log("\nTest 2: Chosen by 'auto' when it has the highest priority");
+    const preferred = await createCountingBackend(100);
+    FFTBackends.register('preferred', preferred);
+    test.assertEqual((await FFTBackends.resolve()).mode, 'preferred', "'auto' picks it");
+
+    console.log("\nTest 3: 'auto' skips backends whose probe fails");
+    FFTBackends.register('unsupported', { load: async () => () => [], probe: () => false, priority: 200 });
+    const originalLog = console.log;
+    console.log = () => {};
+    const detected = await FFTBackends.resolve('auto');
+    console.log = originalLog;
+    test.assertEqual(detected.mode, 'preferred', 'Next best used');
+
+    console.log('\nTest 4: A backend that fails to load');
+    FFTBackends.register('broken', { load: async () => { throw new Error('addon missing'); } });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const fallback = await FFTBackends.resolve('broken');
+    console.warn = originalWarn;
+    test.assertEqual(fallback.mode, 'JavaScript', 'Falls back to JavaScript');
+
+    console.log('\nTest 5: Batches through loadMany()');
+    const batched = { batches: 0, frames: 0 };
+    FFTBackends.register('batched', {
+        load: async () => (await FFTBackends.resolve('JavaScript')).fft,
+        loadMany: async () => {
+            const { fft } = await FFTBackends.resolve('JavaScript');
+            return async signals => {
+                batched.batches++;
+                batched.frames += signals.length;
+                return signals.map(signal => fft(signal));
+            };
+        }
+    });
+    const batchedSpectrogram = await new Spectrogram(8000, { fftSize: 256, fftMode: 'batched', batchSize: 4 }).compute(samples);
+    test.assertEqual(batched.frames, batchedSpectrogram.frameCount, 'Every frame went through fftMany');
+    test.assertEqual(batched.batches, Math.ceil(batchedSpectrogram.frameCount / 4), 'Four frames per call');
+    test.assert(batchedSpectrogram.power.every((row, f) => row.every((value, i) => value === spectrogram.power[f][i])),
+        'Same spectrogram as frame by frame');
+    const { fftMany } = await FFTBackends.resolve('JavaScript');
+    const manyResults = await fftMany([samples.slice(0, 8), samples.slice(8, 16)]);
+    test.assertEqual(manyResults.length, 2, 'Backends without loadMany() get fftMany() too');
+
+    console.log('\nTest 6: Removal');
+    ['counting', 'preferred', 'unsupported', 'broken', 'batched'].forEach(name =>
+        test.assertEqual(FFTBackends.unregister(name), true, `${name} removed`));
+    test.assertEqual(FFTBackends.list().join(','), 'WASM+SIMD,WASM+noSIMD,JavaScript', 'Only the built-ins left');
+    test.assert(await rejectsWith(FFTBackends.resolve('counting'), 'Unknown FFT backend'), 'No longer resolved');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 FFT BACKEND UNIT TESTS');
+    console.log('=========================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Resolve an FFT by name or automatically');
+    console.log('• Register your own FFT for every analyzer');
+    console.log('• Fall back when a backend is not available');
+    console.log('• Transform many frames with one fftMany() call');
+
+    const results = [];
+    results.push(await testBuiltIns());
+    results.push(await testRegistration());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All FFTBackends tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,220 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for FrequencyMatcher
+ * 
+ * These tests show beginners how to:
+ * - Build synthetic inputs with a known answer
+ * - Test ranking algorithms by their ordering guarantees
+ * - Test edge cases that must produce empty results
+ */
+
+import FrequencyMatcher from '../../docs/shared/frequency-matcher.js';
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+    
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+    
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+    
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+    
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Create approach/recede candidates for a source tone (plus harmonic) passing at a known speed
+ */
+function createDopplerCandidates(sourceFreq, speedMph, soundSpeed) {
+    const speedMs = speedMph * 0.44704;
+    const up = soundSpeed / (soundSpeed - speedMs);
+    const down = soundSpeed / (soundSpeed + speedMs);
+    
+    return {
+        approach: [
+            { frequency: sourceFreq * up, power: 0.001 },
+            { frequency: sourceFreq * 2 * up, power: 0.0004 },
+            { frequency: 1500, power: 0.0002 }
+        ],
+        recede: [
+            { frequency: sourceFreq * down, power: 0.0009 },
+            { frequency: sourceFreq * 2 * down, power: 0.0003 },
+            { frequency: 700, power: 0.0002 }
+        ]
+    };
+}
+
+/**
+ * Test multi-strategy matching
+ */
+function testMultiStrategyMatching() {
+    const test = new SimpleTest('FrequencyMatcher.findMatchesMultiStrategy');
+    console.log('\n=== Testing Multi-Strategy Matching ===');
+    
+    const calculator = new DopplerSpeedCalculator();
+    const matcher = new FrequencyMatcher(calculator);
+    const { approach, recede } = createDopplerCandidates(400, 30, calculator.soundSpeed);
+    
+    // Test 1: Known speed recovered without an expected-speed hint
+    console.log('\nTest 1: Known speed recovered');
+    const result = matcher.findMatchesMultiStrategy(approach, recede);
+    test.assert(result.success, 'Match found');
+    test.assertNear(result.bestMatch.speed, 30, 0.5, 'Best match speed (mph)');
+    test.assert(result.bestMatch.confidence > 0 && result.bestMatch.confidence <= 1, 'Confidence in 0-1');
+    
+    // Test 2: Result shape used by AudioAnalyzer.compileFinalResults
+    console.log('\nTest 2: Result shape');
+    test.assert(Array.isArray(result.matches) && result.matches[0] === result.bestMatch, 'bestMatch heads matches');
+    test.assertEqual(result.alternatives.length, result.matches.length - 1, 'Alternatives are the remaining matches');
+    test.assert(typeof result.selectedStrategy === 'string', 'Selected strategy reported');
+    test.assertEqual(result.strategyComparison.length, 3, 'All strategies compared');
+    test.assert(Object.keys(result.bestMatch.strategyScores).length === 3, 'Per-strategy scores on each match');
+    test.assert(typeof result.bestMatch.validation.isValid === 'boolean', 'Validation attached');
+    
+    // Test 3: Ordering
+    console.log('\nTest 3: Matches sorted by confidence');
+    const sorted = result.matches.every((match, i) => i === 0 || match.confidence <= result.matches[i - 1].confidence);
+    test.assert(sorted, 'Confidence descending');
+    
+    return test.summary();
+}
+
+/**
+ * Test single-strategy matching and edge cases
+ */
+function testBestMatchesEdgeCases() {
+    const test = new SimpleTest('FrequencyMatcher.findBestMatches');
+    console.log('\n=== Testing Edge Cases ===');
+    
+    const matcher = new FrequencyMatcher(new DopplerSpeedCalculator());
+    
+    console.log('\nTest 1: Empty input');
+    const empty = matcher.findBestMatches([], []);
+    test.assert(!empty.success && empty.bestMatch === null, 'No match for empty input');
+    
+    console.log('\nTest 2: Approach lower than recede');
+    const inverted = matcher.findBestMatches([{ frequency: 800, power: 0.001 }], [{ frequency: 1200, power: 0.001 }]);
+    test.assertEqual(inverted.matches.length, 0, 'Inverted pair rejected');
+    
+    console.log('\nTest 3: Unrealistic speeds filtered');
+    const extreme = matcher.findBestMatches(
+        [{ frequency: 2000, power: 0.001 }, { frequency: 1100, power: 0.001 }],
+        [{ frequency: 100, power: 0.001 }, { frequency: 900, power: 0.001 }]
+    );
+    test.assert(extreme.matches.every(match => match.speed < 200), 'All speeds below 200 mph');
+    test.assertEqual(extreme.selectedStrategy, 'power_weighted', 'Single strategy reported');
+    
+    console.log('\nTest 4: Validation reasons');
+    test.assertEqual(matcher.validateMatch({ approachFreq: 900, recedeFreq: 1100, speed: 60, confidence: 0.8 }).reason,
+        'Invalid frequency order', 'Frequency order checked');
+    test.assertEqual(matcher.validateMatch({ approachFreq: 2000, recedeFreq: 500, speed: 250, confidence: 0.9 }).reason,
+        'Speed too high', 'Speed limit checked');
+    
+    return test.summary();
+}
+
+/**
+ * Test blind (prior-free) speed scoring
+ */
+function testBlindSpeedCalculation() {
+    const test = new SimpleTest('FrequencyMatcher.findBlindSpeedCalculation');
+    console.log('\n=== Testing Blind Speed Calculation ===');
+    
+    const calculator = new DopplerSpeedCalculator();
+    const matcher = new FrequencyMatcher(calculator);
+    
+    console.log('\nTest 1: Recovers a fast pass without being pulled toward 30 mph');
+    const { approach, recede } = createDopplerCandidates(400, 55, calculator.soundSpeed);
+    const blind = matcher.findOptimalSpeedCalculation(approach, recede);
+    test.assert(blind.valid, 'Blind result is valid');
+    test.assertEqual(blind.scoringMode, 'blind', 'No expected speed selects blind scoring');
+    test.assertNear(blind.speedMph, 55, 0.5, 'Speed recovered from harmonic series');
+    test.assert(blind.scores.harmonic > 0, 'Harmonic pair supports the winner');
+    test.assert(blind.confidence > 0.5, 'Confidence is high for a clean harmonic series');
+    
+    console.log('\nTest 2: Hinted mode still honours the expected speed');
+    const hinted = matcher.findOptimalSpeedCalculation(approach, recede, 55);
+    test.assertNear(hinted.speedMph, 55, 0.5, 'Hinted mode agrees on clean data');
+    
+    console.log('\nTest 3: Ambiguous input yields lower confidence');
+    const ambiguous = matcher.findBlindSpeedCalculation(
+        [{ frequency: 1100, power: 0.001 }, { frequency: 1300, power: 0.001 }],
+        [{ frequency: 900, power: 0.001 }, { frequency: 1000, power: 0.001 }]
+    );
+    test.assert(ambiguous.valid, 'Ambiguous input still produces an estimate');
+    test.assert(ambiguous.confidence < blind.confidence, 'Competing speeds lower the confidence');
+    test.assert(ambiguous.competingSpeedMph !== null, 'Strongest competing speed is reported');
+    
+    console.log('\nTest 4: No valid pairs');
+    const none = matcher.findBlindSpeedCalculation([{ frequency: 800, power: 0.001 }], [{ frequency: 1200, power: 0.001 }]);
+    test.assert(!none.valid, 'Inverted input is rejected');
+    test.assertEqual(none.confidence, 0, 'Zero confidence without candidates');
+    
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    console.log('🧪 FREQUENCY MATCHER UNIT TESTS');
+    console.log('================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Test algorithms with synthetic data of known answer');
+    console.log('• Test ordering and result-shape guarantees');
+    console.log('• Test edge cases');
+    
+    const results = [];
+    results.push(testMultiStrategyMatching());
+    results.push(testBestMatchesEdgeCases());
+    results.push(testBlindSpeedCalculation());
+    
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+    
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+    
+    if (allPassed) {
+        console.log('🎉 All FrequencyMatcher tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+    
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,219 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for HarmonicMatcher
+ *
+ * These tests show beginners how to:
+ * - Build harmonic series (engine orders) before and after a Doppler shift
+ * - Check that harmonics are matched by number, not by loudness
+ * - Check that a harmonic that disagrees is rejected
+ */
+
+import HarmonicMatcher from '../../docs/shared/harmonic-matcher.js';
+import FrequencyMatcher from '../../docs/shared/frequency-matcher.js';
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SOUND_SPEED = 343;
+const SPEED_MS = 13.41; // 30 mph
+
+/**
+ * Approach and recede peaks of a harmonic series
+ * @param {number} fundamental - Source fundamental (Hz)
+ * @param {Array} approachPowers - Power of harmonics 1..n on approach
+ * @param {Array} recedePowers - Power of harmonics 1..n on recede
+ * @param {Array} jitter - Frequency error (Hz) added to each harmonic
+ */
+function createSeries(fundamental, approachPowers, recedePowers, jitter = []) {
+    const approachFactor = SOUND_SPEED / (SOUND_SPEED - SPEED_MS);
+    const recedeFactor = SOUND_SPEED / (SOUND_SPEED + SPEED_MS);
+    const approach = approachPowers.map((power, i) => ({
+        frequency: (i + 1) * fundamental * approachFactor + (jitter[i] || 0),
+        power
+    }));
+    const recede = recedePowers.map((power, i) => ({
+        frequency: (i + 1) * fundamental * recedeFactor - (jitter[i] || 0),
+        power
+    }));
+    return { approach, recede };
+}
+
+/**
+ * Test speed from matched harmonic series
+ */
+function testHarmonicSpeed() {
+    const test = new SimpleTest('HarmonicMatcher.findHarmonicSpeedCalculation');
+    console.log('\n=== Testing Harmonic Series Speed ===');
+
+    const calculator = new DopplerSpeedCalculator(SOUND_SPEED);
+    const matcher = new HarmonicMatcher(calculator);
+
+    console.log('\nTest 1: Four harmonics combine into one estimate');
+    const clean = createSeries(120, [1, 0.5, 0.33, 0.25], [0.8, 0.4, 0.27, 0.2], [0.2, -0.3, 0.25, -0.2]);
+    const result = matcher.findHarmonicSpeedCalculation(clean.approach, clean.recede);
+    test.assert(result.valid, 'Harmonic estimate found');
+    test.assertEqual(result.harmonicCount, 4, 'All four harmonics used');
+    test.assertNear(result.speedMph, 30, 0.5, 'Speed from combined Doppler ratio');
+    test.assertNear(result.approachFreq, 120 * SOUND_SPEED / (SOUND_SPEED - SPEED_MS), 0.5, 'Approach fundamental');
+    test.assert(result.speedUncertaintyMph > 0 && result.speedUncertaintyMph < 1, 'Speed uncertainty from ratio scatter');
+    test.assertEqual(result.scoringMode, 'harmonic', 'Scoring mode reported');
+
+    console.log('\nTest 2: Loudest peaks are different harmonics');
+    // Approach is dominated by the 4th order, recede by the 3rd (a 4:3 pair would read ~110 mph)
+    const decoy = createSeries(120, [0.02, 0.02, 0.05, 1], [0.02, 0.02, 1, 0.05]);
+    const pairResult = new FrequencyMatcher(calculator).findMatchesMultiStrategy(decoy.approach, decoy.recede, { strategies: ['power_weighted'] });
+    const harmonicResult = matcher.findHarmonicSpeedCalculation(decoy.approach, decoy.recede);
+    test.assert(pairResult.bestMatch.speed > 100, `Pair matching is fooled (${pairResult.bestMatch.speed.toFixed(1)} mph)`);
+    test.assertNear(harmonicResult.speedMph, 30, 0.2, 'Harmonic matching is not');
+    test.assert(harmonicResult.harmonics.every(h => Math.abs(h.ratio - harmonicResult.dopplerRatio) < 1e-6),
+        'Every harmonic matched to the same harmonic number');
+
+    console.log('\nTest 3: A harmonic with a different ratio is rejected');
+    const broken = createSeries(120, [1, 0.5, 0.33, 0.25], [0.8, 0.4, 0.27, 0.2]);
+    broken.recede[2].frequency *= 0.992; // 3rd harmonic recede peak belongs to something else
+    const robust = matcher.findHarmonicSpeedCalculation(broken.approach, broken.recede);
+    test.assertEqual(robust.rejectedHarmonics.length, 1, 'One harmonic rejected');
+    test.assertEqual(robust.rejectedHarmonics[0].harmonic, 3, 'The 3rd harmonic');
+    test.assertNear(robust.speedMph, 30, 0.2, 'Speed from the agreeing harmonics');
+
+    console.log('\nTest 4: Peak uncertainties weight the harmonics');
+    const weighted = createSeries(120, [1, 0.5, 0.33], [0.8, 0.4, 0.27]);
+    const withUncertainty = list => list.map(peak => ({ ...peak, frequencyUncertainty: 0.5 }));
+    const sharp = matcher.findHarmonicSpeedCalculation(withUncertainty(weighted.approach), withUncertainty(weighted.recede));
+    const expected = 2 * SOUND_SPEED / (sharp.dopplerRatio + 1) ** 2 * sharp.dopplerRatioUncertainty * 3.6 * 0.621371;
+    test.assertNear(sharp.speedUncertaintyMph, expected, 1e-9, 'Speed uncertainty propagated from the ratio');
+    const fundamentalOnly = calculator.calculateSpeedUncertainty(weighted.approach[0].frequency, weighted.recede[0].frequency, 0.5, 0.5) * 0.621371;
+    // Harmonic h measures the ratio h times more precisely; √(1 + 4 + 9) ≈ 3.7 times better overall
+    test.assertNear(fundamentalOnly / sharp.speedUncertaintyMph, Math.sqrt(14), 0.05, 'Harmonics tighten the speed');
+
+    console.log('\nTest 5: Nothing to match');
+    const single = matcher.findHarmonicSpeedCalculation([{ frequency: 500, power: 1 }], [{ frequency: 460, power: 1 }]);
+    test.assert(!single.valid, 'Single tones are not a series');
+    test.assertEqual(single.error, 'No harmonic series found', 'Reason reported');
+
+    return test.summary();
+}
+
+/**
+ * Test series detection
+ */
+function testSeriesDetection() {
+    const test = new SimpleTest('HarmonicMatcher.findHarmonicSeries');
+    console.log('\n=== Testing Series Detection ===');
+
+    const matcher = new HarmonicMatcher(new DopplerSpeedCalculator(SOUND_SPEED));
+
+    console.log('\nTest 1: Missing fundamental');
+    const peaks = [2, 3, 4, 5].map(h => ({ frequency: h * 110, power: 1 / h }));
+    const [series] = matcher.findHarmonicSeries(peaks);
+    test.assertNear(series.fundamental, 110, 0.01, 'Fundamental inferred from its harmonics');
+    test.assertEqual(series.members.map(m => m.harmonic).join(','), '2,3,4,5', 'Harmonic numbers');
+
+    console.log('\nTest 2: AudioAnalyzer prefers the harmonic estimate');
+    const analyzer = new AudioAnalyzer({ soundSpeed: SOUND_SPEED });
+    const decoy = createSeries(120, [0.02, 0.02, 0.05, 1], [0.02, 0.02, 1, 0.05]);
+    const pairResults = analyzer.frequencyMatcher.findMatchesMultiStrategy(decoy.approach, decoy.recede);
+    const combined = analyzer.applyHarmonicResult(pairResults,
+        analyzer.harmonicMatcher.findHarmonicSpeedCalculation(decoy.approach, decoy.recede));
+    test.assertEqual(combined.selectedStrategy, 'harmonic_series', 'Harmonic strategy selected');
+    test.assertNear(combined.bestMatch.speed, 30, 0.2, 'Best match speed');
+    test.assertEqual(combined.alternatives.length, pairResults.matches.length, 'Pair matches kept as alternatives');
+    test.assertEqual(combined.strategyComparison.at(-1).agreesWithSelection, true, 'Selected series agrees with itself');
+
+    console.log('\nTest 3: A weak series does not override a confident pair');
+    const harmonicResult = analyzer.harmonicMatcher.findHarmonicSpeedCalculation(decoy.approach, decoy.recede);
+    const confidentPair = { speed: 40, confidence: 0.9, approachFreq: 500, recedeFreq: 440 };
+    const pairOnly = {
+        success: true,
+        matches: [confidentPair],
+        bestMatch: confidentPair,
+        alternatives: [],
+        selectedStrategy: 'consensus',
+        strategyComparison: [{ strategy: 'power', bestSpeed: 40, bestScore: 0.9, agreesWithSelection: true }]
+    };
+    const kept = analyzer.applyHarmonicResult(pairOnly, { ...harmonicResult, confidence: 0.3 });
+    test.assertEqual(kept.bestMatch, confidentPair, 'Pair match stays best');
+    test.assertEqual(kept.selectedStrategy, 'consensus', 'Selected strategy unchanged');
+    test.assertEqual(kept.alternatives[0].strategy, 'harmonic_series', 'Series offered as the first alternative');
+    test.assertEqual(kept.strategyComparison.at(-1).agreesWithSelection, false, 'Series disagreement reported from the speeds');
+    const overridden = analyzer.applyHarmonicResult(pairOnly, { ...harmonicResult, confidence: 0.95 });
+    test.assertEqual(overridden.selectedStrategy, 'harmonic_series', 'A more confident series replaces the pair');
+    test.assertEqual(overridden.strategyComparison[0].agreesWithSelection, false, 'Pair strategies then disagree');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+    console.log('🧪 HARMONIC MATCHER UNIT TESTS');
+    console.log('==============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Match harmonic series before and after a Doppler shift');
+    console.log('• Avoid pairing different harmonics');
+    console.log('• Reject harmonics that disagree');
+
+    const results = [];
+    results.push(testHarmonicSpeed());
+    results.push(testSeriesDetection());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All HarmonicMatcher tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
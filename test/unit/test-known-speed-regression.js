@@ -0,0 +1,250 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for KnownSpeedRegression
+ *
+ * These tests show beginners how to:
+ * - Judge a measured speed against a known one and a tolerance
+ * - Spot drift by comparing a run with the last recorded one
+ * - Run the real analyzer on a committed recording from a manifest
+ * - Render a pass at a known speed and check the analyzer finds it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import KnownSpeedRegression from '../integration/known-speed-regression.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const AUDIO_DIRECTORY = path.join(HERE, '..', '..', 'docs', 'shared');
+const MANIFEST_PATH = path.join(HERE, '..', 'integration', 'known-speed-manifest.json');
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertApproxEqual(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual.toFixed(4)}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertThrows(fn, fragment, message) {
+        try {
+            fn();
+            this.assert(false, `${message} (did not throw)`);
+        } catch (error) {
+            this.assert(error.message.includes(fragment), `${message} (${error.message})`);
+        }
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * A run as analyzeClip() returns it
+ */
+function createRun(speedMph, measuredMph) {
+    const detected = measuredMph !== null;
+    return {
+        name: 'clip.wav',
+        file: 'clip.wav',
+        speedMph,
+        detected,
+        measuredMph,
+        errorMph: detected ? Math.abs(measuredMph - speedMph) : null,
+        confidence: detected ? 0.9 : null,
+        interval: detected ? { lowerMph: measuredMph - 1, upperMph: measuredMph + 1, reliable: true, issues: [] } : null,
+        error: detected ? null : 'No valid speed calculations found'
+    };
+}
+
+/**
+ * Test judging runs against tolerances and history
+ */
+function testEvaluation() {
+    const test = new SimpleTest('KnownSpeedRegression evaluation');
+    console.log('\n=== Testing Tolerances and Drift ===');
+    const harness = new KnownSpeedRegression({ defaults: { toleranceMph: 3, driftToleranceMph: 1 }, clips: [] });
+
+    console.log('\nTest 1: Tolerances');
+    test.assertEqual(harness.evaluate({ speedMph: 30 }, createRun(30, 32.5)).status, 'pass', '2.5 mph out is within 3');
+    const missed = harness.evaluate({ speedMph: 30 }, createRun(30, 36));
+    test.assert(missed.status === 'fail' && missed.failed, '6 mph out fails a clip expected to pass');
+    test.assertEqual(harness.evaluate({ speedMph: 30, toleranceMph: 8 }, createRun(30, 36)).status, 'pass', 'Clips can set their own tolerance');
+    const drift = harness.evaluate({ speedMph: 30, expected: 'drift' }, createRun(30, 36));
+    test.assert(drift.status === 'fail' && !drift.failed, 'Clips tracked for drift do not fail the run');
+    test.assertEqual(harness.evaluate({ speedMph: 30 }, createRun(30, null)).status, 'fail', 'Not detected is a fail');
+    test.assertThrows(() => harness.evaluate({ file: 'clip.wav', speedMph: 30, expected: 'fail' }, createRun(30, 30)),
+        'Unknown expectation', 'Unknown expectation rejected');
+
+    console.log('\nTest 2: Interval gate');
+    const interval = { speedMph: 30, gate: 'interval', maxIntervalMph: 20 };
+    const inside = harness.evaluate(interval, { ...createRun(30, 20), interval: { lowerMph: 15, upperMph: 31 } });
+    test.assert(inside.status === 'pass' && inside.gate === 'interval', 'Known speed inside the interval passes however far the speed is');
+    test.assertEqual(harness.evaluate(interval, { ...createRun(30, 20), interval: { lowerMph: 15, upperMph: 29 } }).status, 'fail',
+        'Known speed outside the interval fails');
+    test.assertEqual(harness.evaluate(interval, { ...createRun(30, 20), interval: { lowerMph: 5, upperMph: 31 } }).status, 'fail',
+        'An interval wider than maxIntervalMph fails');
+    test.assertEqual(harness.evaluate(interval, createRun(30, null)).status, 'fail', 'Not detected fails the interval gate');
+    test.assertThrows(() => harness.evaluate({ file: 'clip.wav', speedMph: 30, gate: 'width' }, createRun(30, 30)),
+        'Unknown gate', 'Unknown gate rejected');
+
+    console.log('\nTest 3: Drift from the last recorded run');
+    const previous = { detected: true, measuredMph: 25, errorMph: 5 };
+    const worse = harness.evaluate({ speedMph: 30, expected: 'drift' }, createRun(30, 22), previous);
+    test.assertEqual(worse.regression, 'error grew from 5 to 8 mph', 'Error growing past the drift tolerance is a regression');
+    test.assertEqual(harness.evaluate({ speedMph: 30 }, createRun(30, 24.5), previous).regression, null, 'Within the drift tolerance is not');
+    test.assert(harness.evaluate({ speedMph: 30 }, createRun(30, null), previous).regression.startsWith('no longer detected'),
+        'Losing the detection is a regression');
+    test.assertEqual(harness.evaluate({ speedMph: 30 }, createRun(30, 29), previous).improvement, 'error fell from 5 to 1 mph', 'Improvements reported');
+
+    return test.summary();
+}
+
+/**
+ * Test the history file and analysis options
+ */
+function testHistory() {
+    const test = new SimpleTest('KnownSpeedRegression history');
+    console.log('\n=== Testing History and Options ===');
+
+    console.log('\nTest 1: Appending runs');
+    const report = { clips: [{ ...createRun(30, 31), name: 'a.wav' }] };
+    const history = { clips: { 'a.wav': Array.from({ length: 50 }, (_, i) => ({ date: `run ${i}` })) } };
+    const updated = KnownSpeedRegression.appendHistory(history, report, { date: 'today', commit: 'abc1234' });
+    test.assertEqual(updated.clips['a.wav'].length, 50, 'Oldest run dropped past 50');
+    test.assertEqual(updated.clips['a.wav'].at(-1).measuredMph, 31, 'Newest run last');
+    test.assertEqual(updated.clips['a.wav'].at(-1).commit, 'abc1234', 'Commit recorded');
+    test.assertEqual(history.clips['a.wav'].at(-1).date, 'run 49', 'History given is not modified');
+    test.assertEqual(KnownSpeedRegression.loadHistory('/no/such/history.json').clips.constructor, Object, 'Missing history file is empty');
+
+    console.log('\nTest 2: Clip conditions become analysis options');
+    const harness = new KnownSpeedRegression({ defaults: { analysis: { fftMode: 'JavaScript' } }, clips: [] });
+    const options = harness.resolveAnalysisOptions({ temperatureC: 15, distanceMeters: 6, analysis: { windowType: 'hann' } });
+    test.assertEqual(options.environment.temperature, 15, 'Temperature as the environment');
+    test.assertEqual(options.geometry.lateralDistance, 6, 'Distance as the geometry');
+    test.assertEqual(`${options.fftMode} ${options.windowType}`, 'JavaScript hann', 'Defaults and clip options merged');
+
+    console.log('\nTest 3: The committed manifest can fail on accuracy');
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const expectedToPass = manifest.clips.filter(clip => (clip.expected || 'pass') === 'pass');
+    const byTolerance = expectedToPass.filter(clip => (clip.gate || 'tolerance') === 'tolerance');
+    test.assert(byTolerance.length >= 3, `Clips expected to pass within a tolerance (${byTolerance.length})`);
+    test.assert(byTolerance.every(clip => (clip.toleranceMph ?? manifest.defaults.toleranceMph) <= 3),
+        'Their tolerance is 3 mph or less');
+    const recordings = expectedToPass.filter(clip => clip.file);
+    test.assert(recordings.length >= 3, `Recordings expected to pass (${recordings.map(clip => clip.file).join(', ')})`);
+    test.assert(manifest.clips.every(clip => ['pass', 'drift'].includes(clip.expected || 'pass') && !clip.reason),
+        'Other clips are tracked for drift, with no stated cause');
+    const names = manifest.clips.map(KnownSpeedRegression.clipName);
+    test.assertEqual(new Set(names).size, names.length, 'Clip names are unique');
+
+    return test.summary();
+}
+
+/**
+ * Test a real run on a committed recording
+ */
+async function testRun() {
+    const test = new SimpleTest('KnownSpeedRegression run');
+    console.log('\n=== Testing a Real Run ===');
+
+    console.log('\nTest 1: One committed recording');
+    const manifest = {
+        audioDirectory: AUDIO_DIRECTORY,
+        defaults: { toleranceMph: 100, analysis: { fftMode: 'JavaScript' } },
+        clips: [{ file: '23_mph.wav', speedMph: 23 }, { file: 'missing.wav', speedMph: 30, expected: 'drift' }]
+    };
+    const report = await new KnownSpeedRegression(manifest).run();
+    const [clip, missing] = report.clips;
+    test.assert(clip.detected && clip.measuredMph > 0, `Real speed measured (${clip.measuredMph} mph)`);
+    test.assertApproxEqual(clip.clipDuration, 0.68, 0.01, 'Clip duration read from the file');
+    test.assert(clip.interval.lowerMph <= clip.measuredMph && clip.measuredMph <= clip.interval.upperMph,
+        `Interval around the speed (${clip.interval.lowerMph}-${clip.interval.upperMph} mph)`);
+    test.assert(!missing.detected && missing.error !== null && missing.interval === null, 'A missing file is reported, not thrown');
+    test.assert(report.passed, 'Run passes within a wide tolerance');
+
+    const only = await new KnownSpeedRegression(manifest).run({ only: ['missing.wav'] });
+    test.assertEqual(only.clips.length, 1, 'Clips can be picked by file');
+
+    console.log('\nTest 2: One rendered pass');
+    const rendered = await new KnownSpeedRegression({
+        defaults: { toleranceMph: 1, analysis: { fftMode: 'JavaScript' } },
+        clips: [
+            { name: 'rendered', speedMph: 30, temperatureC: 15, distanceMeters: 6, render: { engineHz: 120 } },
+            { name: 'no audio', speedMph: 30, expected: 'drift' }
+        ]
+    }).run();
+    const [pass, noAudio] = rendered.clips;
+    test.assertEqual(`${pass.name} ${pass.file}`, 'rendered null', 'Reported under its name');
+    test.assertApproxEqual(pass.measuredMph, 30, 1, 'Rendered 30 mph pass measured within 1 mph');
+    test.assertEqual(pass.clipDuration, 6, 'Rendered duration');
+    test.assert(noAudio.error.includes('neither a file nor render options'), 'A clip with no audio is reported');
+    test.assert(rendered.passed, 'Run passes');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 KNOWN-SPEED REGRESSION UNIT TESTS');
+    console.log('====================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Judge speeds against known ones and tolerances');
+    console.log('• Spot drift against recorded history');
+    console.log('• Run the real analyzer from a manifest');
+
+    const results = [];
+    results.push(testEvaluation());
+    results.push(testHistory());
+    results.push(await testRun());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All known-speed regression tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
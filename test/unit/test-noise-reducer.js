@@ -0,0 +1,269 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for NoiseReducer
+ *
+ * These tests show beginners how to:
+ * - Find the quiet stretch of a recording that holds only background noise
+ * - Measure a signal-to-noise ratio before and after noise reduction
+ * - Turn on noise suppression for speed analysis
+ */
+
+import NoiseReducer from '../../docs/shared/noise-reducer.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import AnalysisPipeline from '../../docs/shared/analysis-pipeline.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertApproxEqual(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual.toFixed(4)}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertThrows(fn, fragment, message) {
+        try {
+            fn();
+            this.assert(false, `${message} (did not throw)`);
+        } catch (error) {
+            this.assert(error.message.includes(fragment), `${message} (${error.message})`);
+        }
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Repeatable white noise between -amplitude/2 and amplitude/2
+ */
+function createNoise(length, amplitude, seed = 1) {
+    const noise = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 16807) % 2147483647;
+        noise[i] = (seed / 2147483647 - 0.5) * amplitude;
+    }
+    return noise;
+}
+
+/**
+ * A 700 Hz tone swelling and fading around `peak` seconds, like a vehicle going by
+ */
+function createSwell(sampleRate, duration, peak) {
+    const samples = new Float32Array(sampleRate * duration);
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        samples[i] = 0.5 * Math.exp(-((t - peak) ** 2) / 0.3) * Math.sin(2 * Math.PI * 700 * t);
+    }
+    return samples;
+}
+
+/**
+ * A 30 mph pass recorded 5 m from the road: a 300 Hz tone and its second harmonic in heavy wind noise
+ */
+function createWindyPass(sampleRate, duration = 6) {
+    const speed = 13.41;
+    const noise = createNoise(sampleRate * duration, 0.5);
+    const samples = new Float32Array(sampleRate * duration);
+    let phase = 0;
+    let gust = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        const along = speed * (t - duration / 2);
+        const distance = Math.hypot(5, along);
+        phase += 2 * Math.PI * 300 * 343 / (343 + speed * along / distance) / sampleRate;
+        gust = 0.99 * gust + 0.05 * noise[i]; // Low-frequency buffeting
+        samples[i] = noise[i] + gust + 0.3 * 5 / distance * (Math.sin(phase) + 0.5 * Math.sin(2 * phase));
+    }
+    return samples;
+}
+
+/**
+ * Mean square difference between two signals
+ */
+function meanSquareError(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) ** 2;
+    }
+    return sum / a.length;
+}
+
+/**
+ * Await analysis work without the analyzers' step-by-step logging
+ */
+async function quietly(promise) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await promise;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Test finding the noise sample and measuring SNR
+ */
+function testSpansAndSnr() {
+    const test = new SimpleTest('NoiseReducer spans and SNR');
+    console.log('\n=== Testing Quiet Stretches and SNR ===');
+    const rate = 8000;
+
+    console.log('\nTest 1: The quietest and loudest half seconds');
+    const swell = createSwell(rate, 4, 2.5);
+    const noisy = createNoise(swell.length, 0.1).map((value, i) => value + swell[i]);
+    const spans = NoiseReducer.findSpans(noisy, rate, 0.5);
+    test.assert(spans.quietest.end / rate <= 1, `Quiet stretch before the swell (ends ${(spans.quietest.end / rate).toFixed(2)} s)`);
+    test.assertApproxEqual((spans.quietest.end - spans.quietest.start) / rate, 0.5, 0.05, 'Quiet stretch lasts half a second');
+    test.assertApproxEqual((spans.loudest.start + spans.loudest.end) / 2 / rate, 2.5, 0.1, 'Loud stretch centred on the swell');
+
+    console.log('\nTest 2: SNR of a tone ten times louder than the background');
+    const steps = new Float32Array(rate * 2).map((_, i) => (i < rate ? 0.1 : 1) * Math.sin(2 * Math.PI * 440 * i / rate));
+    test.assertApproxEqual(NoiseReducer.measureSnr(steps, NoiseReducer.findSpans(steps, rate)), 20, 0.1, '20 dB');
+    const gated = steps.map((value, i) => (i < rate ? 0 : value));
+    test.assertEqual(NoiseReducer.measureSnr(gated, NoiseReducer.findSpans(gated, rate)), Infinity, 'Silent background is infinite SNR');
+
+    return test.summary();
+}
+
+/**
+ * Test suppressing noise around a tone
+ */
+async function testSuppression() {
+    const test = new SimpleTest('NoiseReducer suppression');
+    console.log('\n=== Testing Noise Suppression ===');
+    const rate = 8000;
+    const swell = createSwell(rate, 4, 2.5);
+    const noisy = createNoise(swell.length, 0.1).map((value, i) => value + swell[i]);
+
+    console.log('\nTest 1: Wiener filtering (the default)');
+    const wiener = await new NoiseReducer(rate, { fftMode: 'JavaScript' }).reduce(noisy);
+    test.assertEqual(wiener.method, 'wiener', 'Method reported');
+    test.assertEqual(wiener.samples.length, noisy.length, 'Same length out');
+    test.assert(wiener.noiseEnd <= 1, `Noise learned before the swell (${wiener.noiseStart.toFixed(2)}-${wiener.noiseEnd.toFixed(2)} s)`);
+    test.assert(wiener.snrAfter > wiener.snrBefore + 15,
+        `SNR up at least 15 dB (${wiener.snrBefore.toFixed(1)} to ${wiener.snrAfter.toFixed(1)} dB)`);
+    test.assert(meanSquareError(wiener.samples, swell) < 0.05 * meanSquareError(noisy, swell), 'Closer to the clean tone');
+
+    console.log('\nTest 2: Spectral subtraction');
+    const subtraction = await new NoiseReducer(rate, { method: 'spectral_subtraction', fftMode: 'JavaScript' }).reduce(noisy);
+    test.assertEqual(subtraction.method, 'spectral_subtraction', 'Method reported');
+    test.assert(subtraction.snrAfter > subtraction.snrBefore + 5,
+        `SNR up at least 5 dB (${subtraction.snrBefore.toFixed(1)} to ${subtraction.snrAfter.toFixed(1)} dB)`);
+
+    console.log('\nTest 3: Tones survive');
+    const peak = Math.round(2.5 * rate);
+    const peakAmplitude = Math.max(...wiener.samples.subarray(peak - 100, peak + 100).map(Math.abs));
+    test.assertApproxEqual(peakAmplitude, 0.5, 0.05, 'Swell keeps its amplitude');
+    const unity = await new NoiseReducer(rate, { fftMode: 'JavaScript', gainFloor: 1 }).reduce(noisy);
+    test.assert(meanSquareError(unity.samples, noisy) < 1e-12, 'A gain floor of 1 reconstructs the input exactly');
+
+    console.log('\nTest 4: Option checks');
+    test.assertThrows(() => new NoiseReducer(rate, { method: 'gate' }), 'Unknown noise reduction method', 'Unknown methods rejected');
+    test.assertThrows(() => new NoiseReducer(rate, { fftSize: 1000 }), 'power of 2', 'FFT size must be a power of 2');
+    test.assertEqual(new NoiseReducer(44100).fftSize, 2048, 'About 40 ms frames by default');
+
+    return test.summary();
+}
+
+/**
+ * Test noise reduction configured for analysis
+ */
+async function testAnalysis() {
+    const test = new SimpleTest('NoiseReducer in analysis');
+    console.log('\n=== Testing Noise Reduction in Analysis ===');
+    const rate = 16000;
+    const pass = createWindyPass(rate);
+
+    console.log('\nTest 1: Configured in AudioAnalyzer options');
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', noiseReduction: true });
+    const analysis = await quietly(analyzer.analyzeAudioForSpeed(pass, rate));
+    test.assert(analysis.success, 'Speed found');
+    test.assert(Math.abs(analysis.speedMPH - 30) < 3, `Within 3 mph of 30 (got ${analysis.speedMPH?.toFixed(1)})`);
+    test.assertEqual(analysis.noiseReduction?.method, 'wiener', 'Noise reduction reported');
+    test.assert(analysis.diagnostics.snr.after > analysis.diagnostics.snr.before,
+        `Diagnostics show the SNR rise (${analysis.diagnostics.snr.before.toFixed(1)} to ${analysis.diagnostics.snr.after.toFixed(1)} dB)`);
+    const plain = await quietly(new AudioAnalyzer({ fftMode: 'JavaScript' }).analyzeAudioForSpeed(pass, rate));
+    test.assertEqual(plain.noiseReduction, undefined, 'Off by default');
+
+    console.log('\nTest 2: Long recordings are denoised once');
+    const passes = await quietly(analyzer.analyzePasses(pass, rate));
+    test.assertEqual(passes.noiseReduction?.method, 'wiener', 'Noise reduction reported for the recording');
+    test.assert(passes.passes.every(found => !found.result.noiseReduction), 'Not repeated for each pass');
+
+    console.log('\nTest 3: The worker pipeline honours the option');
+    const pipeline = new AnalysisPipeline({
+        fftMode: 'JavaScript',
+        analysis: { noiseReduction: { method: 'spectral_subtraction' } }
+    });
+    const piped = await quietly(pipeline.analyze(pass, rate, { expectedMph: 30 }));
+    test.assertEqual(piped.noiseReduction?.method, 'spectral_subtraction', 'Method passed through');
+    test.assert(piped.noiseReduction.snrAfter > piped.noiseReduction.snrBefore, 'SNR rises');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 NOISE REDUCER UNIT TESTS');
+    console.log('===========================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Learn the background noise from the quietest stretch');
+    console.log('• Suppress it with Wiener filtering or spectral subtraction');
+    console.log('• Turn on noise reduction for speed analysis');
+
+    const results = [];
+    results.push(testSpansAndSnr());
+    results.push(await testSuppression());
+    results.push(await testAnalysis());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All noise reducer tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,203 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for PassSegmenter
+ *
+ * These tests show beginners how to:
+ * - Build a long recording with several vehicles driving past
+ * - Check that each clean pass becomes one event with start, closest approach and end
+ * - Check that overlapping and too-close passes are rejected
+ */
+
+import PassSegmenter from '../../docs/shared/pass-segmenter.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+
+/**
+ * Background noise plus vehicles passing 5 m from the microphone
+ * Each vehicle has a 300 Hz tone and its second harmonic, louder as it gets closer
+ * @param {Array} vehicles - [{ closestApproachTime, speed (m/s) }]
+ * @param {number} duration - Recording length in seconds
+ * @returns {Float32Array} Samples
+ */
+function createTraffic(vehicles, duration) {
+    const samples = new Float32Array(SAMPLE_RATE * duration);
+    const phases = vehicles.map(() => 0);
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        let value = noise() * 0.07;
+        vehicles.forEach(({ closestApproachTime, speed }, k) => {
+            const along = speed * (t - closestApproachTime);
+            const distance = Math.hypot(5, along);
+            phases[k] += 2 * Math.PI * 300 * SOUND_SPEED / (SOUND_SPEED + speed * along / distance) / SAMPLE_RATE;
+            value += 0.3 * 5 / distance * (Math.sin(phases[k]) + 0.5 * Math.sin(2 * phases[k]));
+        });
+        samples[i] = value;
+    }
+    return samples;
+}
+
+/**
+ * Noise with short loud bursts (Gaussian envelopes) at the given times
+ */
+function createBursts(times, duration, width = 0.3) {
+    const samples = createTraffic([], duration);
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        const envelope = times.reduce((sum, time) => sum + Math.exp(-0.5 * ((t - time) / width) ** 2), 0);
+        samples[i] += envelope * 0.5 * Math.sin(2 * Math.PI * 400 * t);
+    }
+    return samples;
+}
+
+/**
+ * Test segmentation of the energy profile
+ */
+function testSegmentation() {
+    const test = new SimpleTest('PassSegmenter.findPasses');
+    console.log('\n=== Testing Segmentation ===');
+
+    console.log('\nTest 1: Four vehicles, two of them overlapping');
+    const traffic = createTraffic([
+        { closestApproachTime: 5, speed: 13.41 },
+        { closestApproachTime: 15, speed: 20 },
+        { closestApproachTime: 17, speed: 15 },
+        { closestApproachTime: 27, speed: 11 }
+    ], 32);
+    const { events, rejected } = PassSegmenter.findPasses(traffic, SAMPLE_RATE);
+    test.assertEqual(events.length, 2, 'Two clean passes');
+    test.assertNear(events[0].closestApproachTime, 5, 0.2, 'First closest approach');
+    test.assertNear(events[1].closestApproachTime, 27, 0.2, 'Second closest approach');
+    test.assert(events.every(e => e.startTime < e.closestApproachTime && e.closestApproachTime < e.endTime),
+        'Each pass has start < closest approach < end');
+    test.assert(events[0].endTime < 14 && events[1].startTime > 18, 'Clean passes do not reach the overlapping pair');
+    test.assertEqual(rejected.length, 2, 'Overlapping pair rejected');
+    test.assert(rejected.every(e => e.reason.startsWith('Overlaps')), 'Rejected as overlapping');
+
+    console.log('\nTest 2: Separate but too close together');
+    const close = PassSegmenter.findPasses(createBursts([3, 4.5, 9], 12, 0.15), SAMPLE_RATE);
+    test.assertEqual(close.events.length, 1, 'Only the isolated burst kept');
+    test.assertNear(close.events[0].closestApproachTime, 9, 0.1, 'Isolated burst time');
+    test.assert(close.rejected.length === 2 && close.rejected.every(e => e.reason.startsWith('Another pass')),
+        'Close pair rejected as too close');
+
+    console.log('\nTest 3: Bumps on one hump are one pass');
+    const bumpy = PassSegmenter.findPasses(createBursts([6, 6.5], 12, 0.4), SAMPLE_RATE);
+    test.assertEqual(bumpy.events.length, 1, 'Merged into one pass');
+    test.assertEqual(bumpy.rejected.length, 0, 'Nothing rejected');
+
+    console.log('\nTest 4: No vehicles');
+    const quiet = PassSegmenter.findPasses(createTraffic([], 10), SAMPLE_RATE);
+    test.assertEqual(quiet.events.length, 0, 'No passes in background noise');
+    test.assert(quiet.backgroundEnergy > 0, 'Background energy measured');
+
+    return test.summary();
+}
+
+/**
+ * Test speed analysis of each pass
+ */
+async function testAnalyzePasses() {
+    const test = new SimpleTest('AudioAnalyzer.analyzePasses');
+    console.log('\n=== Testing Speed Per Pass ===');
+
+    const traffic = createTraffic([
+        { closestApproachTime: 5, speed: 13.41 },   // 30 mph
+        { closestApproachTime: 15, speed: 22.35 }   // 50 mph
+    ], 20);
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', soundSpeed: SOUND_SPEED });
+    const result = await analyzer.analyzePasses(traffic, SAMPLE_RATE);
+
+    test.assert(result.success, 'Analysis succeeded');
+    test.assertEqual(result.passes.length, 2, 'One result per pass');
+    test.assertEqual(result.passes.map(p => p.passNumber).join(','), '1,2', 'Passes numbered in time order');
+    test.assertNear(result.passes[0].closestApproachTime, 5, 0.2, 'First pass time stamp');
+    test.assertNear(result.passes[0].speedMPH, 30, 3, 'First pass speed');
+    test.assertNear(result.passes[1].speedMPH, 50, 5, 'Second pass speed');
+    test.assertEqual(result.duration, 20, 'Recording duration');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 PASS SEGMENTER UNIT TESTS');
+    console.log('============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Find every vehicle pass in a long recording');
+    console.log('• Reject passes that overlap or come too close together');
+    console.log('• Get a time-stamped speed for each pass');
+
+    const results = [];
+    results.push(testSegmentation());
+    results.push(await testAnalyzePasses());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All PassSegmenter tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
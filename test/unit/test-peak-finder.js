@@ -0,0 +1,187 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for PeakFinder and spectrum analyzer peak picking
+ *
+ * These tests show beginners how to:
+ * - Tell a spectral peak apart from the bins around it
+ * - Check each rejection rule with a small hand-made spectrum
+ * - Run the same check against several implementations
+ */
+
+import PeakFinder from '../../docs/shared/peak-finder.js';
+import SpectrumAnalyzer from '../../docs/shared/spectrum-analyzer.js';
+import PureJsSpectrumAnalyzer from '../../docs/pure-js/spectrum-analyzer.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Sum of tones [{ frequency, amplitude }] with optional fixed-seed noise
+ */
+function createTones(tones, sampleRate, length, noise = 0) {
+    let seed = 7;
+    const samples = new Array(length);
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        let value = (seed / 2147483648 - 0.5) * 2 * noise;
+        for (const { frequency, amplitude } of tones) {
+            value += amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+        }
+        samples[i] = value;
+    }
+    return samples;
+}
+
+/**
+ * Test the rules on hand-made spectra
+ */
+function testRules() {
+    const test = new SimpleTest('PeakFinder.findPeaks');
+    console.log('\n=== Testing Peak Rules ===');
+
+    console.log('\nTest 1: Prominence');
+    const shoulder = [0, 1, 10, 9, 9.5, 9, 1, 0.5, 0];
+    const strict = PeakFinder.findPeaks(shoulder, 1, { minDistance: 1 });
+    test.assertEqual(strict.length, 1, 'Small bump on a lobe is not a peak');
+    test.assertNear(strict[0].prominence, 10, 1e-9, 'Main peak prominence');
+    const loose = PeakFinder.findPeaks(shoulder, 1, { minDistance: 1, minProminence: 0 });
+    test.assertEqual(loose.length, 2, 'Bump kept without a prominence threshold');
+    test.assertNear(loose[1].prominence, 0.5, 1e-9, 'Bump prominence measured to its higher base');
+
+    console.log('\nTest 2: Minimum distance');
+    const twin = [0, 0, 8, 0, 0, 6, 0, 0, 0];
+    test.assertEqual(PeakFinder.findPeaks(twin, 10, { minDistance: 20 }).length, 2, 'Peaks 30 Hz apart kept with 20 Hz spacing');
+    const spaced = PeakFinder.findPeaks(twin, 10, { minDistance: 40 });
+    test.assertEqual(spaced.length, 1, 'Weaker peak dropped with 40 Hz spacing');
+    test.assertEqual(spaced[0].index, 2, 'Stronger peak kept');
+
+    console.log('\nTest 3: Noise floor');
+    const floor = [1, 1.2, 0.9, 1.5, 1, 6, 1, 1.1, 0.8, 1];
+    const peaks = PeakFinder.findPeaks(floor, 1, { minDistance: 1, minProminence: 0 });
+    test.assertEqual(peaks.length, 1, 'Only the peak above twice the median survives');
+    test.assertEqual(PeakFinder.findPeaks(floor, 1, { noiseFloorRatio: 0, minProminence: 0, minDistance: 1 }).length, 4,
+        'All local maxima without a noise threshold');
+
+    console.log('\nTest 4: Bandwidth');
+    const triangle = [0, 0, 5, 10, 5, 0, 0];
+    test.assertNear(PeakFinder.calculateBandwidth(triangle, 3), 2 * (1 - 1 / Math.SQRT2) * 2, 1e-9, 'Half-power width interpolated between bins');
+    test.assertEqual(PeakFinder.findPeaks([0, 0, 0], 1).length, 0, 'Silence has no peaks');
+
+    return test.summary();
+}
+
+/**
+ * Test peak picking through the analyzers
+ */
+async function testAnalyzers() {
+    const test = new SimpleTest('SpectrumAnalyzer.getStrongestFrequencies');
+    console.log('\n=== Testing Analyzer Peaks ===');
+
+    const sampleRate = 8000;
+    const length = 4096;
+    const binWidth = sampleRate / length;
+    const samples = createTones([
+        { frequency: 440, amplitude: 1 },
+        { frequency: 880, amplitude: 0.5 },
+        { frequency: 1320, amplitude: 0.25 }
+    ], sampleRate, length, 0.05);
+
+    const shared = new SpectrumAnalyzer(samples, sampleRate, { fftMode: 'JavaScript', windowType: 'hann' });
+    await shared.calculatePowerSpectrum();
+    const pureJs = new PureJsSpectrumAnalyzer(samples, sampleRate, { windowType: 'hann' });
+    await pureJs.calculatePowerSpectrum();
+
+    for (const [name, analyzer] of [['shared', shared], ['pure-js', pureJs]]) {
+        console.log(`\nAnalyzer: ${name}`);
+        const peaks = analyzer.getStrongestFrequencies(5);
+        const top = peaks.slice(0, 3).map(peak => peak.frequency);
+        test.assertNear(top[0], 440, binWidth, 'Strongest peak is the fundamental');
+        test.assertNear(top[1], 880, binWidth, 'Second peak is the 2nd harmonic');
+        test.assertNear(top[2], 1320, binWidth, 'Third peak is the 3rd harmonic');
+
+        const closest = Math.min(...peaks.flatMap((a, i) => peaks.slice(i + 1).map(b => Math.abs(a.frequency - b.frequency))));
+        test.assert(closest >= 2 * binWidth, `No two peaks from the same lobe (closest ${closest.toFixed(1)} Hz)`);
+        // Hann main lobe is 1.44 bins wide at -3 dB
+        test.assertNear(peaks[0].bandwidth, 1.44 * binWidth, 0.2 * binWidth, 'Bandwidth of the Hann main lobe');
+        test.assert(peaks[0].prominence > 0.9 * peaks[0].power, 'Fundamental is prominent');
+    }
+
+    console.log('\nPer-call options');
+    const fewer = shared.getStrongestFrequencies(5, { noiseFloorRatio: 1000 });
+    test.assert(fewer.length < 3, `High noise threshold keeps only strong peaks (${fewer.length})`);
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 PEAK FINDER UNIT TESTS');
+    console.log('=========================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Separate real peaks from their neighbouring bins');
+    console.log('• Test each rejection rule on its own');
+    console.log('• Compare implementations on the same signal');
+
+    const results = [];
+    results.push(testRules());
+    results.push(await testAnalyzers());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All PeakFinder tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
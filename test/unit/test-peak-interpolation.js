@@ -0,0 +1,231 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for PeakInterpolator and SpectrumAnalyzer peak refinement
+ *
+ * These tests show beginners how to:
+ * - Put a test tone deliberately between FFT bins
+ * - Compare several algorithms on the same input
+ * - Check that an error estimate covers the real error
+ */
+
+import PeakInterpolator from '../../docs/shared/peak-interpolation.js';
+import SpectrumAnalyzer from '../../docs/shared/spectrum-analyzer.js';
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+import FrequencyMatcher from '../../docs/shared/frequency-matcher.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Tone sampled at sampleRate, with optional fixed-seed noise
+ */
+function createTone(frequency, sampleRate, length, noise = 0) {
+    let seed = 99;
+    const samples = new Array(length);
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate + 0.3) + (seed / 2147483648 - 0.5) * 2 * noise;
+    }
+    return samples;
+}
+
+/**
+ * Test each estimator on a tone 0.3 bins off centre
+ */
+async function testEstimators() {
+    const test = new SimpleTest('SpectrumAnalyzer peak interpolation');
+    console.log('\n=== Testing Peak Interpolation Methods ===');
+
+    const sampleRate = 8000;
+    const length = 4096;
+    const binWidth = sampleRate / length;
+    const trueFrequency = 256.3 * binWidth; // Between bins 256 and 257
+    const samples = createTone(trueFrequency, sampleRate, length + length / 4);
+
+    const expectedError = {
+        none: 0.5 * binWidth,
+        parabolic: 0.1 * binWidth,
+        gaussian: 0.03 * binWidth,
+        jacobsen: 0.01 * binWidth,
+        phase_vocoder: 0.01 * binWidth
+    };
+
+    for (const method of Object.keys(expectedError)) {
+        const input = method === 'phase_vocoder' ? samples : samples.slice(0, length);
+        const analyzer = new SpectrumAnalyzer(input, sampleRate, {
+            fftMode: 'JavaScript',
+            windowType: 'hann',
+            peakInterpolation: method
+        });
+        await analyzer.calculatePowerSpectrum();
+        const [peak] = analyzer.getStrongestFrequencies(1);
+
+        console.log(`\nMethod: ${method}`);
+        test.assertNear(peak.frequency, trueFrequency, expectedError[method], 'Refined frequency');
+        test.assert(peak.frequencyUncertainty > 0, `Uncertainty reported (${peak.frequencyUncertainty.toFixed(4)} Hz)`);
+        test.assert(Math.abs(peak.frequency - trueFrequency) <= 3 * peak.frequencyUncertainty, 'Error within 3σ');
+        test.assertNear(analyzer.findPeakFrequency(), peak.frequency, 1e-9, 'findPeakFrequency agrees');
+    }
+
+    console.log('\nNoise widens the uncertainty');
+    const quiet = new SpectrumAnalyzer(createTone(trueFrequency, sampleRate, length, 0.01), sampleRate,
+        { fftMode: 'JavaScript', windowType: 'hann', peakInterpolation: 'gaussian' });
+    const noisy = new SpectrumAnalyzer(createTone(trueFrequency, sampleRate, length, 3), sampleRate,
+        { fftMode: 'JavaScript', windowType: 'hann', peakInterpolation: 'gaussian' });
+    await quiet.calculatePowerSpectrum();
+    await noisy.calculatePowerSpectrum();
+    test.assert(noisy.getStrongestFrequencies(1)[0].frequencyUncertainty > quiet.getStrongestFrequencies(1)[0].frequencyUncertainty,
+        'Noisy peak is less certain');
+
+    console.log('\nMethod names');
+    test.assertEqual(PeakInterpolator.normalizeMethod('quadratic'), 'parabolic', 'quadratic is an alias of parabolic');
+    let threw = false;
+    try {
+        new SpectrumAnalyzer([], sampleRate, { peakInterpolation: 'cubic' });
+    } catch (error) {
+        threw = error.message.includes('Unknown peak interpolation method');
+    }
+    test.assert(threw, 'Unknown method rejected');
+
+    return test.summary();
+}
+
+/**
+ * Sweep a clean tone across a bin and check every estimator stays within its worst-case bias
+ */
+async function testBiasSweep() {
+    const test = new SimpleTest('PeakInterpolator bias sweep');
+    console.log('\n=== Testing Worst-Case Bias Across a Bin ===');
+
+    const sampleRate = 8000;
+    const length = 1024;
+    const binWidth = sampleRate / length;
+
+    for (const method of ['parabolic', 'gaussian', 'jacobsen', 'phase_vocoder']) {
+        console.log(`\nMethod: ${method}`);
+        for (const windowType of ['none', 'hann', 'hamming', 'blackman']) {
+            const maxBias = PeakInterpolator.estimateSystematicUncertainty(method, windowType, 1) * Math.sqrt(3);
+            let worst = 0;
+            for (let step = 0; step <= 20; step++) {
+                for (const phase of [0, 1.1]) {
+                    const frequency = (128 + step / 20) * binWidth;
+                    const samples = new Float64Array(method === 'phase_vocoder' ? length + length / 4 : length);
+                    for (let i = 0; i < samples.length; i++) {
+                        samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate + phase);
+                    }
+                    const analyzer = new SpectrumAnalyzer(samples, sampleRate, { fftMode: 'JavaScript', windowType, peakInterpolation: method });
+                    await analyzer.calculatePowerSpectrum();
+                    const [peak] = analyzer.getStrongestFrequencies(1);
+                    worst = Math.max(worst, Math.abs(peak.frequency - frequency) / binWidth);
+                }
+            }
+            test.assert(worst <= maxBias, `${windowType}: worst ${worst.toFixed(4)} bins within the table's ${maxBias}`);
+        }
+    }
+
+    return test.summary();
+}
+
+/**
+ * Test that frequency uncertainty reaches the speed
+ */
+function testSpeedErrorBars() {
+    const test = new SimpleTest('Speed uncertainty propagation');
+    console.log('\n=== Testing Speed Error Bars ===');
+
+    const calculator = new DopplerSpeedCalculator(343);
+
+    console.log('\nTest 1: Error propagation through the Doppler formula');
+    const sigma = calculator.calculateSpeedUncertainty(1050, 950, 1, 1);
+    // ∂v/∂f ≈ 2c·f/(f1+f2)² ≈ 0.163-0.180 m/s per Hz
+    const expectedMs = Math.hypot(2 * 343 * 950 / 4e6, 2 * 343 * 1050 / 4e6);
+    test.assertNear(sigma, expectedMs * 3.6, 1e-9, 'Speed σ in km/h');
+    test.assertNear(calculator.calculateSpeedUncertainty(1050, 950, 2, 2), 2 * sigma, 1e-9, 'Scales with frequency σ');
+
+    console.log('\nTest 2: Matches carry speed error bars');
+    const matcher = new FrequencyMatcher(calculator);
+    const { bestMatch } = matcher.findMatchesMultiStrategy(
+        [{ frequency: 1050, power: 0.001, frequencyUncertainty: 1 }],
+        [{ frequency: 950, power: 0.001, frequencyUncertainty: 1 }]
+    );
+    test.assertNear(bestMatch.speedUncertainty, sigma * 0.621371, 1e-9, 'Match speedUncertainty in mph');
+
+    const legacy = matcher.findMatchesMultiStrategy([{ frequency: 1050, power: 0.001 }], [{ frequency: 950, power: 0.001 }]);
+    test.assertEqual(legacy.bestMatch.speedUncertainty, null, 'No error bars without frequency uncertainty');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 PEAK INTERPOLATION UNIT TESTS');
+    console.log('================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Place test tones between FFT bins');
+    console.log('• Compare algorithms on the same input');
+    console.log('• Check error estimates against real errors');
+
+    const results = [];
+    results.push(await testEstimators());
+    results.push(await testBiasSweep());
+    results.push(testSpeedErrorBars());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All PeakInterpolator tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,202 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for PffftPlans
+ *
+ * These tests show beginners how to:
+ * - Run real FFTs on the PFFFT WebAssembly module
+ * - Check that FFT setups and buffers are made once and reused
+ * - Transform many frames in one call
+ *
+ * They use the non-SIMD PFFFT build, which loads in Node.js.
+ */
+
+import PffftPlans from '../../docs/shared/pffft-plans.js';
+import createPffftModule from '../../docs/non-simd/pffft.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Direct DFT of the first half of the spectrum plus Nyquist
+ * @returns {Array} Interleaved [re, im] pairs for bins 0..N/2
+ */
+function referenceDFT(signal) {
+    const n = signal.length;
+    const result = [];
+    for (let k = 0; k <= n / 2; k++) {
+        let re = 0;
+        let im = 0;
+        for (let t = 0; t < n; t++) {
+            const angle = -2 * Math.PI * k * t / n;
+            re += signal[t] * Math.cos(angle);
+            im += signal[t] * Math.sin(angle);
+        }
+        result.push(re, im);
+    }
+    return result;
+}
+
+/**
+ * Largest difference between an FFT result and the reference, over bins 0..N/2
+ */
+function largestError(result, reference) {
+    return reference.reduce((max, value, i) => Math.max(max, Math.abs(value - result[i])), 0);
+}
+
+function createSignal(length, seed = 1) {
+    return Float32Array.from({ length }, (_, i) => Math.sin(0.3 * seed * i) + 0.5 * Math.cos(1.7 * i));
+}
+
+/**
+ * Expect a function to throw with a message containing `text`
+ */
+function throwsWith(fn, text) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * Test single transforms and the plan cache
+ */
+function testTransform(wasmModule) {
+    const test = new SimpleTest('PffftPlans.transform');
+    console.log('\n=== Testing Single Transforms ===');
+    const plans = new PffftPlans(wasmModule, 'WASM+noSIMD');
+
+    console.log('\nTest 1: Same spectrum as a direct DFT');
+    for (const length of [32, 256, 1024]) {
+        const signal = createSignal(length);
+        const result = plans.transform(signal);
+        test.assertEqual(result.length, length * 2, `${length}-point result is interleaved`);
+        test.assert(largestError(result, referenceDFT(signal)) < 1e-3 * length, `${length}-point spectrum matches`);
+    }
+    test.assert(plans.transform(Array.from(createSignal(32)))[0] !== undefined, 'Plain arrays accepted');
+
+    console.log('\nTest 2: Alternating sizes reuse their setups and buffers');
+    const before = plans.getStats();
+    for (let i = 0; i < 20; i++) {
+        plans.transform(createSignal(i % 2 === 0 ? 1024 : 256));
+    }
+    const after = plans.getStats();
+    test.assertEqual(after.setupsCreated, before.setupsCreated, 'No new setups');
+    test.assertEqual(after.allocations, before.allocations, 'No new buffers');
+    test.assertEqual(after.sizes.join(','), '32,256,1024', 'One setup per size');
+
+    console.log('\nTest 3: Mistakes');
+    test.assert(throwsWith(() => plans.transform(createSignal(100)), 'power of 2'), 'Non power of 2 rejected');
+    const simdLike = new PffftPlans({ ...wasmModule, _pffft_simd_size: () => 4 }, 'WASM+SIMD');
+    test.assertEqual(simdLike.minimumLength, 32, 'SIMD builds need 32 points');
+    test.assert(throwsWith(() => simdLike.transform(createSignal(16)), 'at least 32'),
+        'Too short rejected before PFFFT aborts');
+
+    plans.destroy();
+    test.assertEqual(plans.getStats().sizes.length, 0, 'destroy() frees every setup');
+    test.assertEqual(plans.getStats().bufferFloats, 0, 'destroy() frees the buffers');
+
+    return test.summary();
+}
+
+/**
+ * Test batches of frames
+ */
+function testTransformMany(wasmModule) {
+    const test = new SimpleTest('PffftPlans.transformMany');
+    console.log('\n=== Testing Batches ===');
+    const plans = new PffftPlans(wasmModule, 'WASM+noSIMD');
+
+    console.log('\nTest 1: Same results as one frame at a time');
+    const frames = Array.from({ length: 12 }, (_, i) => createSignal(512, i + 1));
+    const batch = plans.transformMany(frames);
+    test.assertEqual(batch.length, frames.length, 'One result per frame');
+    test.assertEqual(plans.getStats().batches, 1, 'One round trip');
+    test.assertEqual(plans.getStats().bufferFloats, 512 * 12, 'Buffers sized for the batch');
+    const single = plans.transform(frames[5]);
+    test.assert(single.every((value, i) => value === batch[5][i]), 'Frame 6 identical');
+
+    console.log('\nTest 2: Smaller batches fit the buffers already there');
+    const allocations = plans.getStats().allocations;
+    plans.transformMany(frames.slice(0, 4));
+    plans.transformMany(frames.map(frame => frame.subarray(0, 256)));
+    test.assertEqual(plans.getStats().allocations, allocations, 'No reallocation');
+
+    console.log('\nTest 3: Mistakes');
+    test.assertEqual(plans.transformMany([]).length, 0, 'Empty batch');
+    test.assert(throwsWith(() => plans.transformMany([createSignal(64), createSignal(128)]), 'same length'),
+        'Mixed lengths rejected');
+
+    plans.destroy();
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 PFFFT PLAN UNIT TESTS');
+    console.log('========================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Run FFTs on the PFFFT WebAssembly module');
+    console.log('• Reuse FFT setups and buffers across sizes');
+    console.log('• Transform many frames in one round trip');
+
+    const wasmModule = await createPffftModule();
+
+    const results = [];
+    results.push(testTransform(wasmModule));
+    results.push(testTransformMany(wasmModule));
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All PffftPlans tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
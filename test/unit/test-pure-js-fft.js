@@ -0,0 +1,208 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for the pure JavaScript FFT
+ *
+ * These tests show beginners how to:
+ * - Check an FFT against the textbook DFT
+ * - Check two FFT implementations agree
+ * - Make sure cached tables and buffers never leak between calls
+ */
+
+import { fft } from '../../docs/pure-js/fft-wrapper.js';
+import PffftPlans from '../../docs/shared/pffft-plans.js';
+import createPffftModule from '../../docs/non-simd/pffft.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Direct DFT, the reference every FFT must agree with
+ * @returns {Float64Array} Interleaved [re, im] pairs
+ */
+function referenceDFT(signal) {
+    const n = signal.length;
+    const result = new Float64Array(n * 2);
+    for (let k = 0; k < n; k++) {
+        for (let t = 0; t < n; t++) {
+            const angle = -2 * Math.PI * k * t / n;
+            result[k * 2] += signal[t] * Math.cos(angle);
+            result[k * 2 + 1] += signal[t] * Math.sin(angle);
+        }
+    }
+    return result;
+}
+
+/**
+ * Largest difference over the first `count` values, relative to the largest magnitude
+ */
+function relativeError(actual, expected, count = expected.length) {
+    let largest = 1e-12;
+    let error = 0;
+    for (let i = 0; i < count; i++) {
+        largest = Math.max(largest, Math.abs(expected[i]));
+        error = Math.max(error, Math.abs(actual[i] - expected[i]));
+    }
+    return error / largest;
+}
+
+function createSignal(length, seed = 1) {
+    return Float64Array.from({ length }, (_, i) => Math.sin(0.37 * seed * i) + 0.25 * Math.cos(2.1 * i + seed));
+}
+
+/**
+ * Test the FFT against a direct DFT
+ */
+function testAccuracy() {
+    const test = new SimpleTest('Pure JS FFT accuracy');
+    console.log('\n=== Testing Against the DFT ===');
+
+    console.log('\nTest 1: Every size from 1 to 1024 points');
+    for (const length of [1, 2, 4, 8, 16, 32, 128, 1024]) {
+        const signal = createSignal(length);
+        const result = fft(signal);
+        test.assertEqual(result.length, length * 2, `${length}-point result is interleaved`);
+        test.assert(relativeError(result, referenceDFT(signal)) < 1e-12, `${length}-point spectrum matches`);
+    }
+
+    console.log('\nTest 2: Known spectra');
+    const impulse = new Float64Array(16);
+    impulse[0] = 1;
+    test.assert(fft(impulse).every((value, i) => value === (i % 2 === 0 ? 1 : 0)), 'Impulse is flat');
+    const tone = Float64Array.from({ length: 64 }, (_, i) => Math.cos(2 * Math.PI * 5 * i / 64));
+    const toneSpectrum = fft(tone);
+    test.assert(Math.abs(toneSpectrum[5 * 2] - 32) < 1e-9 && Math.abs(toneSpectrum[59 * 2] - 32) < 1e-9,
+        'Cosine at bin 5 and its mirror');
+
+    console.log('\nTest 3: Mistakes');
+    let error = null;
+    try {
+        fft(createSignal(100));
+    } catch (e) {
+        error = e;
+    }
+    test.assert(error?.message.includes('power of 2'), 'Non power of 2 rejected');
+
+    return test.summary();
+}
+
+/**
+ * Test the cached tables and buffers
+ */
+function testReuse() {
+    const test = new SimpleTest('Pure JS FFT reuse');
+    console.log('\n=== Testing Cached Tables and Buffers ===');
+
+    console.log('\nTest 1: Results are not overwritten by later calls');
+    const first = createSignal(256, 1);
+    const second = createSignal(256, 2);
+    const firstResult = fft(first);
+    const firstCopy = Float64Array.from(firstResult);
+    const secondResult = fft(second);
+    test.assert(firstResult !== secondResult, 'A new result per call');
+    test.assert(firstResult.every((value, i) => value === firstCopy[i]), 'First result unchanged');
+
+    console.log('\nTest 2: Alternating sizes give the same answers as fresh calls');
+    const small = createSignal(64, 3);
+    const smallResult = fft(small);
+    fft(createSignal(4096, 4));
+    test.assert(fft(small).every((value, i) => value === smallResult[i]), 'Identical after another size');
+
+    console.log('\nTest 3: Input types');
+    const fromArray = fft(Array.from(first));
+    const fromFloat32 = fft(Float32Array.from(first));
+    test.assert(fromArray.every((value, i) => value === firstResult[i]), 'Array same as Float64Array');
+    test.assert(relativeError(fromFloat32, firstResult) < 1e-6, 'Float32Array within float precision');
+    const before = Float64Array.from(first);
+    fft(first);
+    test.assert(first.every((value, i) => value === before[i]), 'Input left untouched');
+
+    return test.summary();
+}
+
+/**
+ * Test agreement with the WASM backend
+ */
+async function testAgainstWasm() {
+    const test = new SimpleTest('Pure JS FFT vs PFFFT');
+    console.log('\n=== Testing Against PFFFT ===');
+    const plans = new PffftPlans(await createPffftModule(), 'WASM+noSIMD');
+
+    console.log('\nTest 1: Same spectrum as WASM within float precision');
+    for (const length of [32, 512, 4096]) {
+        const signal = Float32Array.from(createSignal(length, 5));
+        const wasm = plans.transform(signal);
+        // PFFFT fills bins 0..N/2; the upper half is the mirror image
+        test.assert(relativeError(fft(signal), wasm, length + 2) < 1e-5, `${length}-point spectra agree`);
+    }
+
+    plans.destroy();
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 PURE JAVASCRIPT FFT UNIT TESTS');
+    console.log('=================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Check an FFT against the DFT');
+    console.log('• Compare the JavaScript and WASM FFTs');
+    console.log('• Check cached tables do not leak between calls');
+
+    const results = [];
+    results.push(testAccuracy());
+    results.push(testReuse());
+    results.push(await testAgainstWasm());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All pure JavaScript FFT tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,194 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for Spectrogram and FrequencyTracker
+ *
+ * These tests show beginners how to:
+ * - Synthesize a signal whose answer is known exactly
+ * - Test async code that returns promises
+ * - Check the shape of a matrix result before its contents
+ */
+
+import Spectrogram from '../../docs/shared/spectrogram.js';
+import FrequencyTracker from '../../docs/shared/frequency-tracker.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+/**
+ * Synthesize a tone (plus weaker 2nd harmonic and noise) from a source driving past a microphone
+ * Noise is from a fixed-seed generator so every run sees the same signal
+ */
+function createPassBy({ sampleRate, duration, sourceFreq, speedMs, distance, soundSpeed = 343 }) {
+    const samples = new Float32Array(Math.floor(sampleRate * duration));
+    const closestTime = duration / 2;
+    let seed = 12345;
+    let phase = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const along = speedMs * (closestTime - i / sampleRate);
+        const radialSpeed = speedMs * along / Math.sqrt(along * along + distance * distance);
+        const frequency = sourceFreq * soundSpeed / (soundSpeed - radialSpeed);
+        phase += 2 * Math.PI * frequency / sampleRate;
+
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const noise = (seed / 2147483648 - 0.5) * 0.2;
+        samples[i] = Math.sin(phase) + 0.3 * Math.sin(2 * phase) + noise;
+    }
+
+    return samples;
+}
+
+/**
+ * Test STFT matrix shape and contents
+ */
+async function testSpectrogramCompute() {
+    const test = new SimpleTest('Spectrogram.compute');
+    console.log('\n=== Testing Spectrogram Compute ===');
+
+    const sampleRate = 8000;
+    const tone = new Float32Array(sampleRate);
+    for (let i = 0; i < tone.length; i++) {
+        tone[i] = Math.sin(2 * Math.PI * 500 * i / sampleRate);
+    }
+
+    console.log('\nTest 1: Matrix dimensions follow fftSize and hopSize');
+    const spectrogram = await new Spectrogram(sampleRate, { fftSize: 512, hopSize: 256, fftMode: 'JavaScript' })
+        .compute(tone);
+    test.assertEqual(spectrogram.frameCount, Math.floor((sampleRate - 512) / 256) + 1, 'Frame count');
+    test.assertEqual(spectrogram.power.length, spectrogram.frameCount, 'One row per frame');
+    test.assertEqual(spectrogram.binCount, 256, 'Bins up to Nyquist');
+    test.assertNear(spectrogram.times[0], 256 / sampleRate, 1e-9, 'Frame time is the frame centre');
+    test.assertEqual(spectrogram.fftMode, 'JavaScript', 'FFT backend reported');
+
+    console.log('\nTest 2: Tone energy lands in the right bin');
+    const [strongest] = Spectrogram.getFrameStrongestFrequencies(spectrogram, 10, 1);
+    test.assertNear(strongest.frequency, 500, spectrogram.binWidth, 'Strongest bin at 500 Hz');
+
+    console.log('\nTest 3: Frequency range limits the matrix');
+    const banded = await new Spectrogram(sampleRate, { fftSize: 512, minFrequency: 200, maxFrequency: 1000, fftMode: 'JavaScript' })
+        .compute(tone.subarray(0, 512));
+    test.assert(banded.frequencies[0] >= 200 && banded.frequencies[banded.binCount - 1] <= 1000, 'Bins within range');
+    test.assertEqual(banded.frameCount, 1, 'Signal of one frame gives one frame');
+
+    console.log('\nTest 4: Invalid configuration');
+    let threw = false;
+    try {
+        new Spectrogram(sampleRate, { fftSize: 1000 });
+    } catch (error) {
+        threw = error.message.includes('power of 2');
+    }
+    test.assert(threw, 'Non power-of-2 FFT size rejected');
+
+    return test.summary();
+}
+
+/**
+ * Test dominant tone tracking through a synthetic pass-by
+ */
+async function testFrequencyTracking() {
+    const test = new SimpleTest('FrequencyTracker.trackDominantTone');
+    console.log('\n=== Testing Frequency Tracking ===');
+
+    const sampleRate = 8000;
+    const sourceFreq = 400;
+    const speedMs = 20;
+    const samples = createPassBy({ sampleRate, duration: 3, sourceFreq, speedMs, distance: 5 });
+    const spectrogram = await new Spectrogram(sampleRate, { fftSize: 1024, hopSize: 256, fftMode: 'JavaScript' })
+        .compute(samples);
+
+    console.log('\nTest 1: Track follows the S-curve');
+    const track = FrequencyTracker.trackDominantTone(spectrogram, { minFrequency: 200, maxFrequency: 1000 });
+    test.assert(track.success, 'Track found');
+    test.assert(track.coverage > 0.9, 'Track covers the pass without gaps');
+    test.assert(track.endTime - track.startTime > 2, 'Track spans most of the clip');
+    test.assert(track.points.every(point => point.frequency < 600), 'Track never jumps to the 2nd harmonic');
+
+    console.log('\nTest 2: End frequencies match the Doppler shifts');
+    const { approachFrequency, recedeFrequency } = FrequencyTracker.getEndFrequencies(track);
+    const expectedApproach = sourceFreq * 343 / (343 - speedMs * 0.97);
+    const expectedRecede = sourceFreq * 343 / (343 + speedMs * 0.97);
+    test.assertNear(approachFrequency, expectedApproach, spectrogram.binWidth, 'Approach frequency');
+    test.assertNear(recedeFrequency, expectedRecede, spectrogram.binWidth, 'Recede frequency');
+
+    console.log('\nTest 3: Silence gives an empty track');
+    const silent = await new Spectrogram(sampleRate, { fftSize: 512, fftMode: 'JavaScript' })
+        .compute(new Float32Array(4096));
+    const empty = FrequencyTracker.trackDominantTone(silent);
+    test.assert(!empty.success, 'No track in silence');
+    test.assertEqual(empty.points.length, 0, 'No points');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 SPECTROGRAM UNIT TESTS');
+    console.log('=========================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Synthesize signals with a known answer');
+    console.log('• Test async functions');
+    console.log('• Check matrix shapes before values');
+
+    const results = [];
+    results.push(await testSpectrogramCompute());
+    results.push(await testFrequencyTracking());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All Spectrogram tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,282 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for SpeedUncertainty
+ *
+ * These tests show beginners how to:
+ * - Build an uncertainty budget from frequency, temperature and geometry errors
+ * - Check that the interval around a synthetic pass contains the true speed
+ * - Check a reliable interval covers the known speed, and an unreliable one says why
+ */
+
+import SpeedUncertainty from '../../docs/shared/speed-uncertainty.js';
+import DopplerSpeedCalculator from '../../docs/shared/doppler-calculator.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import KnownSpeedRegression from '../integration/known-speed-regression.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+const MANIFEST_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'integration', 'known-speed-manifest.json');
+
+// A short recording confirmed by its strategies, one with overlapping peaks, one the
+// strategies disagree about, and two rendered passes; npm run test:regression runs the rest
+const KNOWN_SPEED_CLIPS = [
+    '23_mph.wav',
+    '30_mph_2.wav',
+    '33_mph.wav',
+    'rendered_30_mph_15degreesC_6meters',
+    'rendered_40_mph_unknown_distance'
+];
+
+/**
+ * A vehicle with a 300 Hz tone and its second harmonic passing `distance` metres away
+ * @param {number} speed - m/s
+ * @param {number} distance - Metres from the microphone to the vehicle's path
+ * @returns {Float32Array} Samples, closest approach at 4 s
+ */
+function createPass(speed, distance) {
+    const samples = new Float32Array(SAMPLE_RATE * 8);
+    let phase = 0;
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    for (let i = 0; i < samples.length; i++) {
+        const along = speed * (i / SAMPLE_RATE - 4);
+        const range = Math.hypot(distance, along);
+        phase += 2 * Math.PI * 300 * SOUND_SPEED / (SOUND_SPEED + speed * along / range) / SAMPLE_RATE;
+        samples[i] = noise() * 0.05 + 0.3 * distance / range * (Math.sin(phase) + 0.5 * Math.sin(2 * phase));
+    }
+    return samples;
+}
+
+/**
+ * Test each term of the budget
+ */
+function testBudget() {
+    const test = new SimpleTest('SpeedUncertainty.calculateBudget');
+    console.log('\n=== Testing Uncertainty Budget ===');
+
+    const measurement = {
+        speedMPH: 30,
+        approachFrequency: 330,
+        recedeFrequency: 300,
+        frequencyUncertaintyMPH: 0.5,
+        approachBinWidth: 1,
+        recedeBinWidth: 1,
+        peakInterpolation: 'none',
+        windowType: 'hamming',
+        soundSpeed: SOUND_SPEED,
+        environment: { temperature: 20 }
+    };
+
+    console.log('\nTest 1: Temperature');
+    const budget = SpeedUncertainty.calculateBudget(measurement);
+    const gradient = DopplerSpeedCalculator.calculateSoundSpeed(20.5) - DopplerSpeedCalculator.calculateSoundSpeed(19.5);
+    test.assertNear(budget.components.temperature, 30 * gradient * 2 / SOUND_SPEED, 1e-9, 'v·σc/c for ±2°C');
+    const fixed = SpeedUncertainty.calculateBudget(measurement, { soundSpeedUncertainty: 3.43 });
+    test.assertNear(fixed.components.temperature, 0.3, 1e-9, 'Given speed-of-sound uncertainty used as-is');
+
+    console.log('\nTest 2: Frequency resolution and peak fit');
+    const binLimited = new DopplerSpeedCalculator(SOUND_SPEED).calculateSpeedUncertainty(330, 300, 0.5 / Math.sqrt(3), 0.5 / Math.sqrt(3)) * 0.621371;
+    test.assertNear(budget.components.frequencyResolution, binLimited, 1e-9, 'Half a bin, uniform, without interpolation');
+    test.assertNear(budget.components.peakFit ** 2 + binLimited ** 2, 0.25, 1e-9, 'Peak fit is the rest of the frequency error');
+    const smeared = SpeedUncertainty.calculateBudget({ ...measurement, approachBandwidth: 8, recedeBandwidth: 8 });
+    test.assert(smeared.components.frequencyResolution > 5 * binLimited, 'A peak smeared over 8 bins resolves worse');
+
+    console.log('\nTest 3: Interval');
+    test.assertNear(budget.level, 0.9545, 0.0001, 'k = 2 is 95%');
+    test.assertNear(budget.expandedUncertaintyMPH, 2 * budget.standardUncertaintyMPH, 1e-12, 'Expanded by the coverage factor');
+    test.assertNear(budget.lowerMPH, 30 - budget.expandedUncertaintyMPH, 1e-12, 'Lower bound');
+    test.assertEqual(budget.geometry, null, 'No geometry term without section times');
+    test.assert(budget.assumptions.some(note => note.includes('timing unknown')), 'Missing timing is noted');
+
+    console.log('\nTest 4: Geometry');
+    // A 30 mph vehicle 5 m away, heard 2 s either side of closest approach, measures as 30·cosθ
+    const along = 30 / 2.236936 * 2;
+    const cosine = along / Math.hypot(along, 5);
+    const offAxis = { ...measurement, speedMPH: 30 * cosine, approachTime: -2, recedeTime: 2 };
+    const measured = SpeedUncertainty.calculateBudget(offAxis, { lateralDistance: 5 });
+    test.assertNear(measured.upperMPH - measured.expandedUncertaintyMPH, 30, 0.001, 'Upper bound reaches the true speed');
+    test.assertNear(measured.geometry.cosineFactor, cosine, 1e-6, 'Cosine at the section centres');
+    test.assertEqual(measured.geometry.distanceSource, 'measured', 'Measured distance');
+    test.assertNear(measured.lowerMPH, 30 * cosine - measured.expandedUncertaintyMPH, 1e-9, 'Geometry leaves the lower bound alone');
+    const assumed = SpeedUncertainty.calculateBudget(offAxis);
+    test.assertEqual(assumed.geometry.distanceSource, 'assumed_maximum', 'Distance assumed when not given');
+    test.assert(SpeedUncertainty.formatInterval(budget).endsWith('mph, 95%)'), 'Formatted for a report');
+
+    console.log('\nTest 5: Pairing evidence');
+    test.assert(budget.reliable && budget.issues.length === 0, 'Reliable when nothing says otherwise');
+    const confirmed = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 3, strategySpeedsMPH: [30, 30.1] });
+    test.assert(confirmed.reliable, 'Three harmonics and agreeing strategies are reliable');
+    test.assertEqual(confirmed.upperMPH, budget.upperMPH, 'Agreeing strategies leave the interval alone');
+    const singlePair = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 1 });
+    test.assert(!singlePair.reliable && singlePair.issues[0].includes('one pair'), 'One pair with nothing to confirm it is unreliable');
+    const agreed = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 1, strategySpeedsMPH: [30, 30, 29.9] });
+    test.assert(agreed.reliable, 'One pair every strategy chose is reliable');
+    const alone = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 1, strategySpeedsMPH: [30] });
+    test.assert(!alone.reliable, 'One strategy alone does not confirm a pair');
+    const overlapping = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 3, approachBandwidth: 40, recedeBandwidth: 36 });
+    test.assert(!overlapping.reliable && overlapping.issues[0].includes('30.0 Hz apart, 38.0 Hz wide'),
+        'Peaks closer than their width are unreliable');
+    const disputed = SpeedUncertainty.calculateBudget({ ...measurement, harmonicCount: 3, strategySpeedsMPH: [30, 61.8, 6.4] });
+    test.assert(!disputed.reliable && disputed.issues[0].includes('6.4-61.8'), 'Disagreeing strategies are unreliable');
+    test.assert(disputed.lowerMPH === 6.4 && disputed.upperMPH === 61.8, 'Interval widened to every strategy\'s speed');
+    test.assertNear(disputed.components.pairing, 61.8 - budget.upperMPH, 1e-9, 'Pairing term is the wider side');
+    const corrected = SpeedUncertainty.calculateBudget({ ...measurement, cosineFactor: 0.9, harmonicCount: 2, strategySpeedsMPH: [27] });
+    test.assert(corrected.reliable, 'Strategy speeds corrected for the angle before comparing');
+    test.assert(SpeedUncertainty.formatInterval(disputed).endsWith('95%, unreliable)'), 'Formatted as unreliable');
+
+    return test.summary();
+}
+
+/**
+ * Test the interval attached to analysis results
+ */
+async function testAnalyzerInterval() {
+    const test = new SimpleTest('AudioAnalyzer confidenceInterval');
+    console.log('\n=== Testing Analysis Interval ===');
+
+    console.log('\nTest 1: Synthetic 30 mph pass, 5 m from the microphone');
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', soundSpeed: SOUND_SPEED, uncertainty: { lateralDistance: 5 } });
+    const result = await analyzer.analyzeAudioForSpeed(createPass(13.41, 5), SAMPLE_RATE);
+    const interval = result.confidenceInterval;
+    test.assert(result.success, 'Speed detected');
+    test.assert(interval.lowerMPH <= result.speedMPH && result.speedMPH <= interval.upperMPH, 'Interval contains the estimate');
+    test.assert(interval.lowerMPH <= 30 && 30 <= interval.upperMPH,
+        `Interval contains the true speed (${SpeedUncertainty.formatInterval(interval)})`);
+    test.assertEqual(interval.geometry.lateralDistance, 5, 'Geometry uses the given distance');
+    // Two tones are fewer than the harmonic matcher's three; every strategy choosing the pair confirms it
+    test.assertEqual(result.harmonics, undefined, 'No harmonic series');
+    test.assert(interval.reliable, `Single pair confirmed by the strategies (${interval.issues.join('; ') || 'no issues'})`);
+
+    console.log('\nTest 2: The same pass 15 m away, corrected for the angle');
+    const far = await new AudioAnalyzer({ fftMode: 'JavaScript', soundSpeed: SOUND_SPEED, geometry: { lateralDistance: 15 } })
+        .analyzeAudioForSpeed(createPass(13.41, 15), SAMPLE_RATE);
+    test.assert(far.uncorrectedSpeedMPH < 28.5, `Uncorrected speed is low (${far.uncorrectedSpeedMPH.toFixed(1)} mph)`);
+    test.assertNear(far.speedMPH, 30, 0.5, 'Corrected speed');
+    test.assert(far.geometry.approachAngle > 15, `Observation angle reported (${far.geometry.approachAngle.toFixed(1)}°)`);
+    test.assert(far.confidenceInterval.lowerMPH <= 30 && 30 <= far.confidenceInterval.upperMPH,
+        `Interval contains the true speed (${SpeedUncertainty.formatInterval(far.confidenceInterval)})`);
+    test.assertEqual(far.confidenceInterval.components.geometry, 0, 'No geometry term once corrected');
+
+    return test.summary();
+}
+
+/**
+ * Check the interval on a few known-speed clips, analysed by the regression harness
+ * A wrongly paired peak is a blunder, not a measurement error, so no measurement budget
+ * covers it; the result must then say it is unreliable. An interval that claims to be
+ * reliable must contain the known speed.
+ */
+async function testKnownSpeedClips() {
+    const test = new SimpleTest('Known-speed clips');
+    console.log('\n=== Testing Known-Speed Clips ===');
+
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const harness = new KnownSpeedRegression(manifest, { baseDirectory: path.dirname(MANIFEST_PATH) });
+    const report = await harness.run({ only: KNOWN_SPEED_CLIPS });
+
+    for (const [i, result] of report.clips.entries()) {
+        console.log(`\nTest ${i + 1}: ${result.name}`);
+        const { interval } = result;
+        test.assert(result.detected, `Speed detected (${result.measuredMph} mph)`);
+        const covered = interval.lowerMph <= result.speedMph && result.speedMph <= interval.upperMph;
+        const described = `${interval.lowerMph}-${interval.upperMph} mph`;
+        if (interval.reliable) {
+            test.assert(covered, `Reliable interval ${described} contains the known ${result.speedMph} mph`);
+        } else {
+            test.assert(interval.issues.length > 0, `Unreliable interval ${described} says why (${interval.issues.join('; ')})`);
+        }
+        if (!result.file) {
+            test.assert(interval.reliable, 'Rendered pass is reliable');
+        }
+    }
+
+    console.log(`\nTest ${report.clips.length + 1}: Recordings`);
+    const reliable = report.clips.filter(result => result.file && result.interval.reliable);
+    test.assert(reliable.length > 0, `At least one recording is reliable (${reliable.map(result => result.name).join(', ')})`);
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 SPEED UNCERTAINTY UNIT TESTS');
+    console.log('===============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Propagate frequency, temperature and geometry errors to the speed');
+    console.log('• Report a ± interval with a stated coverage');
+    console.log('• Check reliable intervals cover known speeds');
+
+    const results = [];
+    results.push(testBudget());
+    results.push(await testAnalyzerInterval());
+    results.push(await testKnownSpeedClips());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All SpeedUncertainty tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
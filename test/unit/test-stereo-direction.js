@@ -0,0 +1,204 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for StereoDirectionEstimator
+ *
+ * These tests show beginners how to:
+ * - Simulate a vehicle heard by two microphones half a metre apart
+ * - Check the inter-channel delay found by cross-correlation
+ * - Check the direction of travel and the broadside (closest approach) time
+ */
+
+import StereoDirectionEstimator from '../../docs/shared/stereo-direction.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+const MIC_POSITIONS = [-0.25, 0.25]; // Left and right microphone, metres along the road
+
+/**
+ * Stereo recording of a vehicle passing 5 m away
+ * The vehicle sound is a sum of 30 random partials (broadband, like tyre noise). Each
+ * microphone hears it delayed by its own distance, so both delay and Doppler shift are exact.
+ * @param {number} direction - +1 for left to right, -1 for right to left
+ * @param {number} closestApproachTime - Seconds
+ * @returns {Array<Float32Array>} [left, right]
+ */
+function createStereoPass(direction, closestApproachTime = 3, duration = 6, speed = 13.41) {
+    let seed = 3;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+    const partials = Array.from({ length: 30 }, () => ({
+        frequency: 60 + random() * 1500, phase: random() * 2 * Math.PI, amplitude: 0.5 + random()
+    }));
+
+    const channels = MIC_POSITIONS.map(() => new Float32Array(SAMPLE_RATE * duration));
+    for (let i = 0; i < channels[0].length; i++) {
+        const t = i / SAMPLE_RATE;
+        const position = direction * speed * (t - closestApproachTime);
+        MIC_POSITIONS.forEach((micPosition, m) => {
+            const distance = Math.hypot(5, position - micPosition);
+            const emitted = t - distance / SOUND_SPEED;
+            let value = 0;
+            for (const p of partials) {
+                value += p.amplitude * Math.sin(2 * Math.PI * p.frequency * emitted + p.phase);
+            }
+            channels[m][i] = value * 0.05 * 5 / distance + (random() - 0.5) * 0.02;
+        });
+    }
+    return channels;
+}
+
+/**
+ * Test the delay between channels
+ */
+function testCrossCorrelation() {
+    const test = new SimpleTest('StereoDirectionEstimator.crossCorrelate');
+    console.log('\n=== Testing Cross-Correlation ===');
+
+    console.log('\nTest 1: Right channel 4 samples late');
+    const [left] = createStereoPass(1);
+    const right = new Float32Array(left.length);
+    right.set(left.subarray(0, left.length - 4), 4);
+    const { lag, correlation } = StereoDirectionEstimator.crossCorrelate(left, right, 20000, 800, 12);
+    test.assertNear(lag, 4, 0.05, 'Lag in samples');
+    test.assert(correlation > 0.99, `Correlation near 1 (${correlation.toFixed(3)})`);
+
+    console.log('\nTest 2: Opposite sign for a left channel that lags');
+    const reversed = StereoDirectionEstimator.crossCorrelate(right, left, 20000, 800, 12);
+    test.assertNear(reversed.lag, -4, 0.05, 'Negative lag');
+
+    return test.summary();
+}
+
+/**
+ * Test direction and closest approach
+ */
+function testDirection() {
+    const test = new SimpleTest('StereoDirectionEstimator.estimateDirection');
+    console.log('\n=== Testing Direction of Travel ===');
+
+    console.log('\nTest 1: Left to right');
+    const [left, right] = createStereoPass(1);
+    const leftToRight = StereoDirectionEstimator.estimateDirection(left, right, SAMPLE_RATE);
+    test.assertEqual(leftToRight.direction, 'left_to_right', 'Direction');
+    test.assert(leftToRight.startDelay > 0 && leftToRight.endDelay < 0, 'Right channel lags first, left channel last');
+    test.assertNear(leftToRight.closestApproachTime, 3, 0.05, 'Broadside time');
+    test.assert(leftToRight.confidence > 0.8, `Confident (${leftToRight.confidence.toFixed(2)})`);
+
+    console.log('\nTest 2: Right to left');
+    const [left2, right2] = createStereoPass(-1, 2.5);
+    const rightToLeft = StereoDirectionEstimator.estimateDirection(left2, right2, SAMPLE_RATE);
+    test.assertEqual(rightToLeft.direction, 'right_to_left', 'Direction');
+    test.assertNear(rightToLeft.closestApproachTime, 2.5, 0.05, 'Broadside time');
+
+    console.log('\nTest 3: Identical channels');
+    const mono = StereoDirectionEstimator.estimateDirection(left, left, SAMPLE_RATE);
+    test.assertEqual(mono.direction, 'unknown', 'No direction without a delay');
+    test.assertEqual(mono.closestApproachTime, null, 'No broadside time');
+
+    console.log('\nTest 4: Silence');
+    const silent = new Float32Array(SAMPLE_RATE * 2);
+    const none = StereoDirectionEstimator.estimateDirection(silent, silent, SAMPLE_RATE);
+    test.assertEqual(none.direction, 'unknown', 'Unknown');
+    test.assertEqual(none.validWindows, 0, 'No coherent windows');
+
+    return test.summary();
+}
+
+/**
+ * Test direction in the analysis result
+ */
+async function testAnalyzerResult() {
+    const test = new SimpleTest('AudioAnalyzer.analyzeStereoForSpeed');
+    console.log('\n=== Testing Analysis Result ===');
+
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', soundSpeed: SOUND_SPEED });
+    const stereo = await analyzer.analyzeStereoForSpeed(createStereoPass(-1), SAMPLE_RATE);
+    test.assertEqual(stereo.direction.direction, 'right_to_left', 'Direction in result');
+    test.assertNear(stereo.direction.closestApproachTime, 3, 0.05, 'Stereo closest approach in result');
+
+    const [left] = createStereoPass(1);
+    const mono = await analyzer.analyzeStereoForSpeed([left], SAMPLE_RATE);
+    test.assertEqual(mono.direction, null, 'No direction for one channel');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 STEREO DIRECTION UNIT TESTS');
+    console.log('==============================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Measure the delay between two microphones');
+    console.log('• Tell which way a vehicle travelled');
+    console.log('• Find when the vehicle was broadside');
+
+    const results = [];
+    results.push(testCrossCorrelation());
+    results.push(testDirection());
+    results.push(await testAnalyzerResult());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All StereoDirectionEstimator tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,200 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for StreamingAnalyzer
+ *
+ * These tests show beginners how to:
+ * - Feed recorded samples through the streaming pipeline with ArrayStreamSource
+ * - Check that each vehicle pass produces one 'pass' event
+ * - Check the closest approach time and speed reported for each pass
+ */
+
+import StreamingAnalyzer from '../../docs/shared/streaming-analyzer.js';
+import ArrayStreamSource from '../../docs/shared/array-stream-source.js';
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const SOUND_SPEED = 343;
+const SPEED_MS = 13.41; // 30 mph
+
+/**
+ * Noise with vehicles driving past a microphone 5 m from the road
+ * Each vehicle has a 300 Hz tone and its second harmonic, louder as it gets closer
+ * @param {Array} closestApproachTimes - Seconds at which each vehicle is nearest
+ * @param {number} duration - Recording length in seconds
+ * @returns {Float32Array} Samples
+ */
+function createPasses(closestApproachTimes, duration) {
+    const samples = new Float32Array(SAMPLE_RATE * duration);
+    const phases = closestApproachTimes.map(() => 0);
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        let value = noise() * 0.07;
+        closestApproachTimes.forEach((tca, k) => {
+            const along = SPEED_MS * (t - tca);
+            const distance = Math.hypot(5, along);
+            const radialSpeed = SPEED_MS * along / distance;
+            phases[k] += 2 * Math.PI * 300 * SOUND_SPEED / (SOUND_SPEED + radialSpeed) / SAMPLE_RATE;
+            value += 0.3 * 5 / distance * (Math.sin(phases[k]) + 0.5 * Math.sin(2 * phases[k]));
+        });
+        samples[i] = value;
+    }
+    return samples;
+}
+
+/**
+ * Stream a recording and collect the events
+ */
+async function streamSamples(samples, options = {}) {
+    const analyzer = new StreamingAnalyzer({ analysis: { fftMode: 'JavaScript' }, ...options });
+    const passes = [];
+    let stopped = null;
+    analyzer.on('pass', pass => passes.push(pass));
+    analyzer.on('stop', status => { stopped = status; });
+
+    const source = new ArrayStreamSource(samples, SAMPLE_RATE, { chunkSize: 1024 });
+    await analyzer.start(source);
+    await source.finished;
+    await analyzer.stop();
+    return { passes, stopped };
+}
+
+/**
+ * Test pass detection
+ */
+async function testPassDetection() {
+    const test = new SimpleTest('StreamingAnalyzer passes');
+    console.log('\n=== Testing Pass Detection ===');
+
+    console.log('\nTest 1: Two vehicles, nine seconds apart');
+    const { passes, stopped } = await streamSamples(createPasses([5, 14], 19));
+    test.assertEqual(passes.length, 2, 'One pass event per vehicle');
+    test.assertEqual(passes.map(p => p.passNumber).join(','), '1,2', 'Passes numbered in order');
+    test.assertNear(passes[0].closestApproachTime, 5, 0.3, 'First closest approach');
+    test.assertNear(passes[1].closestApproachTime, 14, 0.3, 'Second closest approach');
+    test.assert(passes[0].startTime < 5 && passes[0].endTime > 5, 'First clip contains its closest approach');
+    test.assert(passes[0].endTime < passes[1].startTime, 'Clips do not overlap');
+
+    passes.forEach(pass => {
+        test.assert(pass.success, `Pass ${pass.passNumber} analysed`);
+        test.assertNear(pass.speedMPH, 30, 3, `Pass ${pass.passNumber} speed`);
+    });
+
+    test.assertEqual(stopped.passesDetected, 2, 'Status counts passes');
+    test.assertEqual(stopped.secondsReceived, 19, 'Status counts samples');
+
+    console.log('\nTest 2: Quiet recording');
+    const quiet = await streamSamples(createPasses([], 10));
+    test.assertEqual(quiet.passes.length, 0, 'No passes in background noise');
+
+    console.log('\nTest 3: Vehicle still passing when the stream stops');
+    const cut = await streamSamples(createPasses([8], 8.5));
+    test.assertEqual(cut.passes.length, 1, 'Open pass analysed on stop');
+    test.assertEqual(cut.stopped.inPass, false, 'No pass left open');
+
+    console.log('\nTest 4: Source that fails to start');
+    const analyzer = new StreamingAnalyzer({ analysis: { fftMode: 'JavaScript' } });
+    const denied = { start: () => Promise.reject(new Error('Permission denied')), stop: async () => {} };
+    let startError = null;
+    try {
+        await analyzer.start(denied);
+    } catch (error) {
+        startError = error;
+    }
+    test.assertEqual(startError?.message, 'Permission denied', 'Source error passed on');
+    test.assertEqual(analyzer.getStatus().state, 'stopped', 'Analyzer left stopped');
+    const retry = new ArrayStreamSource(createPasses([], 2), SAMPLE_RATE, { chunkSize: 1024 });
+    await analyzer.start(retry);
+    test.assertEqual(analyzer.getStatus().state, 'running', 'Can be started again');
+    await retry.finished;
+    await analyzer.stop();
+
+    console.log('\nTest 5: Profile option over the analysis profile');
+    const truck = await streamSamples(createPasses([5], 10), {
+        profile: 'truck',
+        analysis: { fftMode: 'JavaScript', profile: 'car' }
+    });
+    test.assertEqual(truck.passes.length, 1, 'Pass detected');
+    test.assertEqual(truck.passes[0].result.metadata.configuration.profile, 'truck', 'Pass analysed with the truck profile');
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 STREAMING ANALYZER UNIT TESTS');
+    console.log('================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Stream recorded audio through the real-time pipeline');
+    console.log('• Detect vehicle passes from the energy profile');
+    console.log('• Read the speed reported for each pass');
+
+    const results = [];
+    results.push(await testPassDetection());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All StreamingAnalyzer tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };
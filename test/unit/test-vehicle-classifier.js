@@ -0,0 +1,302 @@
+/**
+ * Copyright Paul Hammant 2025, see GPL3 LICENSE in this repo
+ *
+ * Unit Tests for VehicleFeatureExtractor and VehicleClassifier
+ *
+ * These tests show beginners how to:
+ * - Turn a recording into a few numbers that describe its sound
+ * - Train a model on labelled clips and save it as JSON
+ * - Classify a new recording with a saved model
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pkg from 'wavefile';
+import VehicleFeatureExtractor from '../../docs/shared/vehicle-features.js';
+import VehicleClassifier from '../../docs/shared/vehicle-classifier.js';
+import AudioAnalyzer from '../../docs/shared/audio-analyzer.js';
+import { run, EXIT_CODES } from '../../bin/train-vehicle-classifier.js';
+
+const { WaveFile } = pkg;
+
+/**
+ * Simple test framework for beginners
+ */
+class SimpleTest {
+    constructor(testName) {
+        this.testName = testName;
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    assert(condition, message) {
+        if (condition) {
+            console.log(`  ✅ ${message}`);
+            this.passed++;
+        } else {
+            console.log(`  ❌ ${message}`);
+            this.failed++;
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        const condition = actual === expected;
+        const fullMessage = `${message} (expected: ${expected}, got: ${actual})`;
+        this.assert(condition, fullMessage);
+    }
+
+    assertNear(actual, expected, tolerance, message) {
+        const condition = Math.abs(actual - expected) <= tolerance;
+        const fullMessage = `${message} (expected: ~${expected}, got: ${actual}, tolerance: ±${tolerance})`;
+        this.assert(condition, fullMessage);
+    }
+
+    summary() {
+        console.log(`\n${this.testName} Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+const SAMPLE_RATE = 8000;
+const CLASSES = ['bicycle', 'car', 'motorbike', 'truck'];
+
+/**
+ * How each synthetic vehicle sounds: fundamental (Hz), harmonic amplitudes,
+ * broadband noise, how long it stays loud (s) and clip length (s)
+ */
+const VEHICLE_SOUNDS = {
+    car: { fundamental: 120, harmonics: [1, 0.6, 0.4, 0.2], noise: 0.15, width: 1.2, seconds: 6 },
+    truck: { fundamental: 55, harmonics: [1, 0.9, 0.8, 0.7, 0.6, 0.5], noise: 0.1, width: 2.5, seconds: 8 },
+    motorbike: { fundamental: 260, harmonics: [1, 0.8, 0.6, 0.5, 0.4], noise: 0.1, width: 0.6, seconds: 5 },
+    bicycle: { fundamental: 0, harmonics: [], noise: 0.6, width: 1, seconds: 5 }
+};
+
+/**
+ * A vehicle passing, with its tone and loudness varied by the seed
+ * @param {string} kind - Key of VEHICLE_SOUNDS
+ * @param {number} seed - Different seeds give different vehicles of the same class
+ * @returns {Float32Array} Samples, loudest in the middle
+ */
+function createVehicle(kind, seed) {
+    const sound = VEHICLE_SOUNDS[kind];
+    let state = seed * 7919 + 1;
+    const random = () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+
+    const fundamental = sound.fundamental * (0.9 + 0.2 * random());
+    const width = sound.width * (0.8 + 0.4 * random());
+    const samples = new Float32Array(SAMPLE_RATE * sound.seconds);
+    const middle = sound.seconds / 2;
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const envelope = 1 / (1 + ((i / SAMPLE_RATE - middle) / width) ** 2);
+        phase += 2 * Math.PI * fundamental / SAMPLE_RATE;
+        const tone = sound.harmonics.reduce((sum, amplitude, k) => sum + amplitude * Math.sin((k + 1) * phase), 0);
+        samples[i] = envelope * (0.3 * tone + sound.noise * (random() - 0.5)) + 0.01 * (random() - 0.5);
+    }
+    return samples;
+}
+
+/**
+ * Features of five vehicles of each class
+ */
+async function createExamples() {
+    const examples = [];
+    for (const label of CLASSES) {
+        for (let seed = 0; seed < 5; seed++) {
+            const extraction = await VehicleFeatureExtractor.extract(createVehicle(label, seed), SAMPLE_RATE, { fftMode: 'JavaScript' });
+            examples.push({ label, features: extraction.features });
+        }
+    }
+    return examples;
+}
+
+/**
+ * Expect a function to throw an error whose message contains `text`
+ */
+function throwsWith(action, text) {
+    try {
+        action();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * Test feature extraction
+ */
+async function testFeatures() {
+    const test = new SimpleTest('VehicleFeatureExtractor');
+    console.log('\n=== Testing Feature Extraction ===');
+
+    console.log('\nTest 1: Spectral shape of two tones');
+    const shape = VehicleFeatureExtractor.spectralShape([100, 200, 300, 400], [1, 0, 0, 1], 50, 500);
+    test.assertEqual(shape.spectralCentroid, 250, 'Centroid halfway between equal tones');
+    test.assertEqual(shape.spectralSpread, 150, 'Spread is the distance to each tone');
+    test.assertEqual(shape.spectralRolloff, 400, '85% of the magnitude reached at the upper tone');
+    test.assertEqual(VehicleFeatureExtractor.spectralShape([100], [1], 200, 500).spectralCentroid, 0,
+        'Nothing in the band gives zeros');
+
+    console.log('\nTest 2: Features of a truck and a motorbike');
+    const truck = await VehicleFeatureExtractor.extract(createVehicle('truck', 1), SAMPLE_RATE, { fftMode: 'JavaScript' });
+    const motorbike = await VehicleFeatureExtractor.extract(createVehicle('motorbike', 1), SAMPLE_RATE, { fftMode: 'JavaScript' });
+    test.assert(truck.valid && motorbike.valid, 'Both extracted');
+    test.assertEqual(truck.vector.length, VehicleFeatureExtractor.getFeatureNames().length, 'One value per feature name');
+    test.assert(truck.features.spectralCentroid < motorbike.features.spectralCentroid, 'Truck sounds lower than a motorbike');
+    test.assert(truck.features.energyDuration > motorbike.features.energyDuration, 'Truck stays loud for longer');
+    test.assert(truck.features.harmonicCount >= 2, 'Truck harmonics found');
+    test.assert(motorbike.features.dynamicRange > truck.features.dynamicRange, 'A quick pass rises further above the background');
+    test.assertNear(truck.section.endTime - truck.section.startTime, 1, 1e-9, 'One second used for the spectrum');
+
+    console.log('\nTest 3: Silence');
+    const silence = await VehicleFeatureExtractor.extract(new Float32Array(SAMPLE_RATE), SAMPLE_RATE, { fftMode: 'JavaScript' });
+    test.assertEqual(silence.valid, false, 'No features from silence');
+
+    return test.summary();
+}
+
+/**
+ * Test training, saving and classifying
+ */
+async function testClassifier(examples) {
+    const test = new SimpleTest('VehicleClassifier');
+    console.log('\n=== Testing Classification ===');
+
+    for (const [number, type] of VehicleClassifier.getModelTypes().entries()) {
+        console.log(`\nTest ${number + 1}: ${type} on vehicles it was not trained on`);
+        const classifier = VehicleClassifier.train(examples, { type });
+        test.assertEqual(classifier.getClasses().join(','), CLASSES.join(','), 'Classes in sorted order');
+        let correct = 0;
+        for (const label of CLASSES) {
+            for (let seed = 10; seed < 12; seed++) {
+                const result = await classifier.classifyAudio(createVehicle(label, seed), SAMPLE_RATE, { fftMode: 'JavaScript' });
+                if (result.label === label) correct++;
+            }
+        }
+        test.assertEqual(correct, 8, 'All eight classified correctly');
+
+        const result = classifier.classify(examples[0].features);
+        const total = Object.values(result.scores).reduce((sum, score) => sum + score, 0);
+        test.assertNear(total, 1, 1e-9, 'Scores sum to 1');
+        test.assertEqual(result.confidence, result.scores[result.label], 'Confidence is the winning score');
+    }
+
+    const testNumber = VehicleClassifier.getModelTypes().length + 1;
+    console.log(`\nTest ${testNumber}: Saving and loading`);
+    const classifier = VehicleClassifier.train(examples, { type: 'gaussian_naive_bayes' });
+    const loaded = VehicleClassifier.fromJSON(classifier.toJSON());
+    test.assertEqual(JSON.stringify(loaded.classify(examples[7].features)), JSON.stringify(classifier.classify(examples[7].features)),
+        'Same answer after a JSON round trip');
+    test.assertEqual(loaded.model.trainedOn.perClass.car, 5, 'Training counts kept');
+
+    console.log(`\nTest ${testNumber + 1}: Bad models and training sets`);
+    test.assert(throwsWith(() => VehicleClassifier.fromJSON('{ "format"'), 'Invalid vehicle classifier JSON'), 'Bad JSON reported');
+    test.assert(throwsWith(() => VehicleClassifier.fromJSON({ format: 'other' }), 'Not a vehicle-classifier model'), 'Other files rejected');
+    test.assert(throwsWith(() => VehicleClassifier.fromJSON({ ...classifier.model, type: 'forest' }), 'Use one of nearest_centroid'),
+        'Unknown model type lists the known ones');
+    test.assert(throwsWith(() => VehicleClassifier.fromJSON({ ...classifier.model, featureNames: ['spectralCentroid'] }), 'do not match'),
+        'Different features rejected');
+    test.assert(throwsWith(() => VehicleClassifier.train(examples.filter(e => e.label === 'car')), 'at least two classes'),
+        'One class is not enough');
+
+    console.log(`\nTest ${testNumber + 2}: Vehicle class in speed results`);
+    const analyzer = new AudioAnalyzer({ fftMode: 'JavaScript', classifier: VehicleClassifier.train(examples) });
+    const result = await analyzer.analyzeAudioForSpeed(createVehicle('truck', 20), SAMPLE_RATE);
+    test.assert(result.vehicleClass !== undefined, 'Result has a vehicle class');
+    test.assertEqual(result.vehicleClass?.label, 'truck', 'Truck recognised');
+
+    return test.summary();
+}
+
+/**
+ * Test the offline trainer on a directory of labelled WAV files
+ */
+async function testTrainer() {
+    const test = new SimpleTest('train-vehicle-classifier');
+    console.log('\n=== Testing the Trainer ===');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vehicle-classifier-'));
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } }
+    };
+    try {
+        for (const label of ['car', 'truck']) {
+            fs.mkdirSync(path.join(directory, label));
+            for (let seed = 0; seed < 2; seed++) {
+                const wav = new WaveFile();
+                wav.fromScratch(1, SAMPLE_RATE, '32f', createVehicle(label, seed));
+                fs.writeFileSync(path.join(directory, label, `${seed}.wav`), wav.toBuffer());
+            }
+        }
+
+        console.log('\nTest 1: Model trained from class directories');
+        const modelFile = path.join(directory, 'model.json');
+        const code = await run(['-m', 'JavaScript', '-o', modelFile, directory], io);
+        test.assertEqual(code, EXIT_CODES.TRAINED, 'Exit code');
+        const classifier = VehicleClassifier.fromJSON(fs.readFileSync(modelFile, 'utf8'));
+        test.assertEqual(classifier.getClasses().join(','), 'car,truck', 'Labels from the directory names');
+        test.assert(output.stderr.includes('on 4 clips'), 'Summary on stderr');
+
+        console.log('\nTest 2: Usage errors');
+        test.assertEqual(await run(['--type', 'forest', directory], io), EXIT_CODES.USAGE, 'Unknown model type');
+        test.assertEqual(await run([path.join(directory, 'car')], io), EXIT_CODES.USAGE, 'A single class cannot be trained');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return test.summary();
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+    console.log('🧪 VEHICLE CLASSIFIER UNIT TESTS');
+    console.log('================================');
+    console.log('These tests demonstrate how to:');
+    console.log('• Describe a vehicle pass with spectral and energy features');
+    console.log('• Train nearest-centroid and naive Bayes models');
+    console.log('• Save, load and use a model offline');
+
+    // The analysis libraries log progress; keep the test output readable
+    const originalLog = console.log;
+    console.log = () => {};
+    let examples;
+    try {
+        examples = await createExamples();
+    } finally {
+        console.log = originalLog;
+    }
+
+    const results = [];
+    results.push(await testFeatures());
+    results.push(await testClassifier(examples));
+    results.push(await testTrainer());
+
+    const allPassed = results.every(result => result === true);
+    const passedCount = results.filter(result => result === true).length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`OVERALL RESULTS: ${passedCount}/${results.length} test suites passed`);
+
+    if (allPassed) {
+        console.log('🎉 All VehicleClassifier tests passed!');
+    } else {
+        console.log('⚠️  Some tests failed - check implementation');
+    }
+
+    return allPassed;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runAllTests();
+}
+
+export { runAllTests };